@@ -77,6 +77,36 @@ const redisUrl = process.env.REDIS_URL || '';
 // ---------------------------------------------------------------------------
 const trustProxy = process.env.TRUST_PROXY === 'true' || isProduction;
 
+// Production rule changes must carry a reason and ticket reference
+const requireChangeReason = process.env.REQUIRE_CHANGE_REASON === 'true';
+
+// Custom login domains must match a pattern (* stands for one DNS label)
+// or be listed exactly in the allowlist
+const customDomainPatterns = (process.env.CUSTOM_DOMAIN_PATTERNS || '*.my.salesforce.com,*.sandbox.my.salesforce.com')
+  .split(',').map((p) => p.trim().toLowerCase()).filter(Boolean);
+const customDomainAllowlist = (process.env.CUSTOM_DOMAIN_ALLOWLIST || '')
+  .split(',').map((d) => d.trim().toLowerCase()).filter(Boolean);
+
+// Bridge roles (viewer, operator, admin): a JSON list of mappings such as
+// { "profile": "System Administrator", "role": "admin" } or
+// { "permissionSet": "Release_Manager", "role": { "sandbox": "admin", "production": "operator" } }
+// A mapping without username, profile or permissionSet applies to everyone
+let roleMappings = [];
+let roleMappingsError = null;
+try {
+  roleMappings = JSON.parse(process.env.ROLE_MAPPINGS || '[]');
+} catch (err) {
+  roleMappingsError = err.message;
+}
+
+// Without mappings everyone keeps full access, as before roles existed
+const defaultRole = (process.env.DEFAULT_ROLE || (roleMappings.length > 0 ? 'viewer' : 'admin')).trim().toLowerCase();
+
+// Production toggles and edits wait for a second user with APPROVER_ROLE to approve them
+const requireApproval = process.env.REQUIRE_APPROVAL === 'true';
+const approverRole = (process.env.APPROVER_ROLE || 'admin').trim().toLowerCase();
+const approvalTtlHours = parseInt(process.env.APPROVAL_TTL_HOURS || '24', 10);
+
 // ---------------------------------------------------------------------------
 // Rate Limiting
 // ---------------------------------------------------------------------------
@@ -91,6 +121,57 @@ const apiRateLimitWindowMs = parseInt(process.env.API_RATE_LIMIT_WINDOW_MS || '6
 const toolingApiVersion = process.env.TOOLING_API_VERSION || 'v59.0';
 const requestTimeout = parseInt(process.env.REQUEST_TIMEOUT || '30000', 10);
 
+// Bulk operations
+const bulkConcurrency = parseInt(process.env.BULK_CONCURRENCY || '5', 10);
+const bulkMaxRules = parseInt(process.env.BULK_MAX_RULES || '200', 10);
+
+// Maintenance snapshots
+const snapshotTtlDays = parseInt(process.env.SNAPSHOT_TTL_DAYS || '30', 10);
+
+// Scheduled deactivation windows
+const schedulerIntervalMs = parseInt(process.env.SCHEDULER_INTERVAL_MS || '30000', 10);
+const scheduleMaxHours = parseInt(process.env.SCHEDULE_MAX_HOURS || '72', 10);
+
+// Polling connected orgs for rule changes made directly in Salesforce Setup (0 turns it off)
+const externalChangePollMs = parseInt(process.env.EXTERNAL_CHANGE_POLL_MS || '120000', 10);
+
+// Audit log (Redis list, or a JSON-lines file without Redis)
+const auditLogFile = process.env.AUDIT_LOG_FILE || path.join(__dirname, '../../logs/audit.jsonl');
+const auditMaxEntries = parseInt(process.env.AUDIT_MAX_ENTRIES || '50000', 10);
+
+// Rule promotion waits this long for a metadata deploy before reporting it as in progress
+const promoteWaitMs = parseInt(process.env.PROMOTE_WAIT_MS || '120000', 10);
+
+// Expression put in front of formulas by the bypass action
+const bypassExpression = (process.env.BYPASS_EXPRESSION || 'NOT($Permission.Bypass_Validation)').trim();
+
+// Rule lint: check=severity pairs (error, warning, info or off) override the default severities
+const lintSeverityPairs = (process.env.LINT_SEVERITIES || '')
+  .split(',')
+  .filter((pair) => pair.trim())
+  .map((pair) => pair.split('=').map((part) => part.trim().toLowerCase()));
+const lintSeverities = Object.fromEntries(lintSeverityPairs);
+const lintMaxMessageLength = parseInt(process.env.LINT_MAX_MESSAGE_LENGTH || '150', 10);
+
+// ---------------------------------------------------------------------------
+// Webhooks
+// ---------------------------------------------------------------------------
+// A JSON list of targets such as
+// { "name": "chat", "url": "https://hooks.example.com/abc", "secret": "...", "events": ["toggle", "update"] }
+// Targets without events receive every rule change
+let webhooks = [];
+let webhooksError = null;
+try {
+  webhooks = JSON.parse(process.env.WEBHOOKS || '[]');
+} catch (err) {
+  webhooksError = err.message;
+}
+
+const webhookTimeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+const webhookMaxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10);
+// Retries wait this long, doubling after each failed attempt
+const webhookRetryBaseMs = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '2000', 10);
+
 // ---------------------------------------------------------------------------
 // Logging Configuration
 // ---------------------------------------------------------------------------
@@ -116,6 +197,96 @@ function validateConfig() {
     errors.push('❌ REDIRECT_URI could not be determined');
   }
 
+  // Role mappings must name a valid role for each environment they cover
+  const roles = ['viewer', 'operator', 'admin'];
+  const validRole = (role) => roles.includes(role) ||
+    (role && typeof role === 'object' && Object.keys(role).length > 0 &&
+      Object.entries(role).every(([env, r]) => ['production', 'sandbox'].includes(env) && roles.includes(r)));
+
+  if (roleMappingsError || !Array.isArray(roleMappings)) {
+    errors.push(`❌ ROLE_MAPPINGS must be a JSON array${roleMappingsError ? ` (${roleMappingsError})` : ''}`);
+  } else {
+    roleMappings.forEach((mapping, index) => {
+      const matchers = ['username', 'profile', 'permissionSet'].filter((key) => mapping?.[key]);
+      if (matchers.length > 1 || !validRole(mapping?.role)) {
+        errors.push(`❌ ROLE_MAPPINGS[${index}] needs at most one of username, profile or permissionSet and a role of ${roles.join(', ')} (or one per production/sandbox)`);
+      }
+    });
+  }
+
+  if (!roles.includes(defaultRole)) {
+    errors.push(`❌ DEFAULT_ROLE must be one of ${roles.join(', ')}`);
+  }
+
+  if (!roles.includes(approverRole)) {
+    errors.push(`❌ APPROVER_ROLE must be one of ${roles.join(', ')}`);
+  }
+
+  if (!Number.isInteger(approvalTtlHours) || approvalTtlHours < 1) {
+    errors.push('❌ APPROVAL_TTL_HOURS must be a positive whole number');
+  }
+
+  // Webhook targets need a unique name, an http(s) URL and a signing secret
+  if (webhooksError || !Array.isArray(webhooks)) {
+    errors.push(`❌ WEBHOOKS must be a JSON array${webhooksError ? ` (${webhooksError})` : ''}`);
+  } else {
+    const names = new Set();
+    webhooks.forEach((target, index) => {
+      let protocol = null;
+      try {
+        protocol = new URL(target?.url).protocol;
+      } catch {
+        // Reported below
+      }
+
+      if (!['http:', 'https:'].includes(protocol) || typeof target.secret !== 'string' || !target.secret ||
+          (target.events !== undefined && (!Array.isArray(target.events) || target.events.some((e) => typeof e !== 'string')))) {
+        errors.push(`❌ WEBHOOKS[${index}] needs an http(s) url, a secret and, optionally, an events array`);
+      } else if (isProduction && protocol === 'http:') {
+        warnings.push(`⚠️  WEBHOOKS[${index}] sends rule changes over plain http`);
+      }
+
+      const name = target?.name || `webhook-${index + 1}`;
+      if (names.has(name)) errors.push(`❌ WEBHOOKS[${index}] name "${name}" is used twice`);
+      names.add(name);
+    });
+  }
+
+  if (![webhookTimeoutMs, webhookMaxAttempts, webhookRetryBaseMs].every((n) => Number.isInteger(n) && n > 0)) {
+    errors.push('❌ WEBHOOK_TIMEOUT_MS, WEBHOOK_MAX_ATTEMPTS and WEBHOOK_RETRY_BASE_MS must be positive whole numbers');
+  }
+
+  if (![bulkConcurrency, bulkMaxRules].every((n) => Number.isInteger(n) && n > 0)) {
+    errors.push('❌ BULK_CONCURRENCY and BULK_MAX_RULES must be positive whole numbers');
+  }
+
+  if (!Number.isInteger(auditMaxEntries) || auditMaxEntries < 1) {
+    errors.push('❌ AUDIT_MAX_ENTRIES must be a positive whole number');
+  }
+
+  // Lint overrides must name one of the checks in lintService and a severity
+  const lintChecks = [
+    'missing-description',
+    'hardcoded-id',
+    'constant-formula',
+    'duplicate-formula',
+    'missing-bypass',
+    'long-error-message',
+    'unfriendly-error-message',
+  ];
+  const lintLevels = ['error', 'warning', 'info', 'off'];
+
+  lintSeverityPairs.forEach((pair) => {
+    const [check, severity] = pair;
+    if (pair.length !== 2 || !lintChecks.includes(check) || !lintLevels.includes(severity)) {
+      errors.push(`❌ LINT_SEVERITIES entry "${pair.join('=')}" must be check=severity with a check of ${lintChecks.join(', ')} and a severity of ${lintLevels.join(', ')}`);
+    }
+  });
+
+  if (!Number.isInteger(externalChangePollMs) || externalChangePollMs < 0) {
+    errors.push('❌ EXTERNAL_CHANGE_POLL_MS must be 0 or a positive whole number');
+  }
+
   // Production-specific validations
   if (isProduction) {
     if (!redisUrl) {
@@ -141,6 +312,10 @@ function validateConfig() {
   console.log(`  Redirect URI: ${redirectUri}`);
   console.log(`  Redis: ${redisUrl ? 'Configured ✅' : 'Not configured ⚠️'}`);
   console.log(`  Trust Proxy: ${trustProxy}`);
+  console.log(`  Role mappings: ${Array.isArray(roleMappings) ? roleMappings.length : 0} (default role: ${defaultRole})`);
+  console.log(`  Change approval: ${requireApproval ? `Required in production (approver role: ${approverRole}) ✅` : 'Off'}`);
+  console.log(`  Webhooks: ${Array.isArray(webhooks) ? webhooks.length : 0}`);
+  console.log(`  External change polling: ${externalChangePollMs > 0 ? `Every ${externalChangePollMs / 1000}s` : 'Off'}`);
 
   if (warnings.length > 0) {
     console.log('');
@@ -172,6 +347,14 @@ module.exports = {
   appUrl,
   frontendUrl,
   trustProxy,
+  requireChangeReason,
+  customDomainPatterns,
+  customDomainAllowlist,
+  roleMappings,
+  defaultRole,
+  requireApproval,
+  approverRole,
+  approvalTtlHours,
 
   // Salesforce OAuth
   clientId,
@@ -192,6 +375,28 @@ module.exports = {
   // Salesforce API
   toolingApiVersion,
   requestTimeout,
+  bulkConcurrency,
+  bulkMaxRules,
+  snapshotTtlDays,
+  schedulerIntervalMs,
+  scheduleMaxHours,
+  externalChangePollMs,
+
+  // Audit
+  auditLogFile,
+  auditMaxEntries,
+  promoteWaitMs,
+
+  // Lint
+  bypassExpression,
+  lintSeverities,
+  lintMaxMessageLength,
+
+  // Webhooks
+  webhooks,
+  webhookTimeoutMs,
+  webhookMaxAttempts,
+  webhookRetryBaseMs,
 
   // Logging
   logLevel,
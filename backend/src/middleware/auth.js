@@ -3,12 +3,27 @@
  */
 
 const { getSessionTokens } = require('../services/salesforceService');
+const { resolveOrg } = require('../services/orgService');
+const { resolveRole, hasRole } = require('../services/roleService');
 const logger = require('../utils/logger');
 
 /**
  * Require authentication middleware
+ * Attaches the selected org connection to req.org and the user's bridge role there to req.role
  */
 function requireAuth(req, res, next) {
+  const { requested, org } = resolveOrg(req);
+
+  if (requested && !org && req.session?.authenticated) {
+    logger.warn(`Request for an org not connected in this session: ${requested}`);
+    return res.status(404).json({
+      success: false,
+      error: 'Org is not connected in this session',
+      code: 'ORG_NOT_CONNECTED',
+    });
+  }
+
+  req.org = org;
   const tokens = getSessionTokens(req);
   
   if (!tokens || !req.session.authenticated) {
@@ -19,10 +34,30 @@ function requireAuth(req, res, next) {
       code: 'UNAUTHORIZED',
     });
   }
-  
+
+  req.role = resolveRole(req.org);
   next();
 }
 
+/**
+ * Require a minimum bridge role in the request's org; use after requireAuth
+ */
+function requireRole(required) {
+  return (req, res, next) => {
+    if (hasRole(req.role, required)) return next();
+
+    logger.warn(`${req.org?.username} (${req.role}) denied ${req.method} ${req.originalUrl} - needs ${required}`);
+    return res.status(403).json({
+      success: false,
+      error: `This action needs the ${required} role; you are ${req.role === 'admin' ? 'an' : 'a'} ${req.role} in this org`,
+      code: 'INSUFFICIENT_ROLE',
+      role: req.role,
+      requiredRole: required,
+    });
+  };
+}
+
 module.exports = {
   requireAuth,
+  requireRole,
 };
@@ -0,0 +1,54 @@
+/**
+ * Change Reason Middleware
+ * Reads the justification for a rule change and enforces it where required
+ */
+
+const config = require('../config/config');
+const { getOrgEnvironment } = require('../services/roleService');
+
+const MAX_REASON_LENGTH = 500;
+const MAX_TICKET_ID_LENGTH = 100;
+
+/**
+ * Whether changes in the request's org need a reason and ticket
+ * Production orgs logging in through My Domain count too, so this goes by isSandbox
+ */
+function isChangeReasonRequired(req) {
+  return config.requireChangeReason && getOrgEnvironment(req.org) === 'production';
+}
+
+/**
+ * Parse reason and ticketId from the body into req.changeReason
+ */
+function changeReason(req, res, next) {
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+  const ticketId = typeof req.body.ticketId === 'string' ? req.body.ticketId.trim() : '';
+
+  if (reason.length > MAX_REASON_LENGTH || ticketId.length > MAX_TICKET_ID_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `reason must be at most ${MAX_REASON_LENGTH} characters and ticketId at most ${MAX_TICKET_ID_LENGTH}`,
+      code: 'INVALID_CHANGE_REASON',
+    });
+  }
+
+  if (isChangeReasonRequired(req) && (!reason || !ticketId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'A reason and ticket reference are required for production changes',
+      code: 'CHANGE_REASON_REQUIRED',
+    });
+  }
+
+  req.changeReason = {
+    reason: reason || null,
+    ticketId: ticketId || null,
+  };
+
+  next();
+}
+
+module.exports = {
+  changeReason,
+  isChangeReasonRequired,
+};
@@ -43,6 +43,7 @@ function errorHandler(err, req, res, next) {
     success: false,
     error: message,
     code,
+    ...(err.details && { details: err.details }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
   });
 }
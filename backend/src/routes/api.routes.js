@@ -5,14 +5,145 @@
  */
 
 const express = require('express');
-const { requireAuth } = require('../middleware/auth');
-const { getSessionTokens, fetchValidationRules, toggleValidationRule } = require('../services/salesforceService');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { changeReason, isChangeReasonRequired } = require('../middleware/changeReason');
+const {
+  getSessionTokens,
+  getOrgKey,
+  MIN_BATCH_SIZE,
+  MAX_BATCH_SIZE,
+  fetchValidationRules,
+  fetchValidationRule,
+  toggleValidationRule,
+  bulkToggleValidationRules,
+  updateValidationRule,
+  createValidationRule,
+  deleteValidationRule,
+  fetchSObjects,
+} = require('../services/salesforceService');
+const { resolveOrg, listOrgs, toPublicOrg } = require('../services/orgService');
+const { resolveRole, hasRole } = require('../services/roleService');
+const { EXPORT_FORMATS, exportValidationRules } = require('../services/exportService');
+const { getRuleReferences, scanRuleReferences } = require('../services/referenceService');
+const { lintValidationRules } = require('../services/lintService');
+const { previewBypass, applyBypass } = require('../services/bypassService');
+const { isApprovalRequired, requestApproval } = require('../services/approvalService');
+const { getExternalChanges } = require('../services/externalChangeService');
+const { evaluateFormula } = require('../utils/formulaEvaluator');
+const config = require('../config/config');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Editable rule metadata fields and the length limits Salesforce enforces
+const EDITABLE_RULE_FIELDS = {
+  errorConditionFormula: 3900,
+  errorMessage: 255,
+  errorDisplayField: 255,
+  description: 1000,
+};
+
+/**
+ * Pick editable rule fields from a request body and validate them
+ */
+function parseRuleChanges(body = {}) {
+  const changes = {};
+
+  for (const [field, maxLength] of Object.entries(EDITABLE_RULE_FIELDS)) {
+    if (body[field] === undefined) continue;
+
+    const value = body[field] === null ? '' : body[field];
+    if (typeof value !== 'string') {
+      return { error: `${field} must be a string` };
+    }
+    if (value.length > maxLength) {
+      return { error: `${field} must be at most ${maxLength} characters` };
+    }
+    changes[field] = field === 'errorDisplayField' ? value.trim() : value;
+  }
+
+  if (changes.errorConditionFormula !== undefined && !changes.errorConditionFormula.trim()) {
+    return { error: 'errorConditionFormula cannot be empty' };
+  }
+  if (changes.errorMessage !== undefined && !changes.errorMessage.trim()) {
+    return { error: 'errorMessage cannot be empty' };
+  }
+
+  return { changes };
+}
+
+/**
+ * Parse an active flag from query or body values
+ */
+function parseActive(raw) {
+  if (['true', true, '1', 1].includes(raw)) return true;
+  if (['false', false, '0', 0].includes(raw)) return false;
+  return undefined;
+}
+
+/**
+ * Read a de-duplicated list of rule IDs for a bulk action from the body
+ */
+function parseRuleIds(body = {}, verb) {
+  const ids = Array.isArray(body.ids)
+    ? [...new Set(body.ids.map((id) => (id || '').toString().trim()).filter(Boolean))]
+    : [];
+
+  if (ids.length === 0) {
+    return { error: 'ids must be a non-empty array of rule IDs', code: 'MISSING_RULE_IDS' };
+  }
+  if (ids.length > config.bulkMaxRules) {
+    return { error: `At most ${config.bulkMaxRules} rules can be ${verb} per request`, code: 'TOO_MANY_RULES' };
+  }
+
+  return { ids };
+}
+
+const OBJECT_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+// Salesforce API names: start with a letter, no double or trailing underscores
+const RULE_NAME_PATTERN = /^[A-Za-z](?:[A-Za-z0-9]|_(?!_))*$/;
+
+/**
+ * Validate the body of a create rule request
+ * Accepts objectName + validationName, or fullName as "Object.RuleName"
+ */
+function parseNewRule(body = {}) {
+  let objectName = (body.objectName || '').toString().trim();
+  let validationName = (body.validationName || '').toString().trim();
+
+  if (body.fullName && (!objectName || !validationName)) {
+    [objectName, validationName] = body.fullName.toString().trim().split('.');
+  }
+
+  if (!objectName || !OBJECT_NAME_PATTERN.test(objectName)) {
+    return { error: 'A valid objectName is required' };
+  }
+  if (!validationName || validationName.length > 40 ||
+      !RULE_NAME_PATTERN.test(validationName) || validationName.endsWith('_')) {
+    return { error: 'validationName must start with a letter, use only letters, numbers and single underscores, and be at most 40 characters' };
+  }
+
+  const { changes, error } = parseRuleChanges(body);
+  if (error) {
+    return { error };
+  }
+  if (!changes.errorConditionFormula || !changes.errorMessage) {
+    return { error: 'errorConditionFormula and errorMessage are required' };
+  }
+
+  return {
+    rule: {
+      objectName,
+      validationName,
+      ...changes,
+      active: ['true', true].includes(body.active),
+    },
+  };
+}
+
 /**
  * GET /api/me - Get current user info
+ * Describes the selected org (falling back to the active one) and lists every connected org
  * FIXED: Added session existence check
  */
 router.get('/me', (req, res) => {
@@ -23,16 +154,27 @@ router.get('/me', (req, res) => {
     });
   }
 
+  const { org } = resolveOrg(req);
+  req.org = org || req.session.orgs?.[req.session.activeOrgId] || null;
   const tokens = getSessionTokens(req);
   
   if (tokens && req.session.authenticated) {
     res.json({
       loggedIn: true,
-      username: req.session.username || 'User',
-      email: req.session.email || '',
-      userType: req.session.userType || 'Standard',
-      instanceUrl: req.session.instance_url || '',
-      domainType: req.session.domain_type || 'production',
+      orgId: req.org.orgId,
+      orgName: req.org.orgName || null,
+      isSandbox: Boolean(req.org.isSandbox),
+      username: req.org.username || 'User',
+      email: req.org.email || '',
+      userType: req.org.userType || 'Standard',
+      instanceUrl: req.org.instance_url || '',
+      domainType: req.org.domain_type || 'production',
+      requireChangeReason: isChangeReasonRequired(req),
+      requireApproval: isApprovalRequired(req),
+      role: resolveRole(req.org),
+      canApprove: hasRole(resolveRole(req.org), config.approverRole),
+      activeOrgId: req.session.activeOrgId,
+      orgs: listOrgs(req.session).map((o) => toPublicOrg(o, req.session.activeOrgId)),
     });
   } else {
     res.json({
@@ -42,14 +184,350 @@ router.get('/me', (req, res) => {
 });
 
 /**
- * GET /api/validation-rules - Fetch all validation rules
+ * GET /api/validation-rules - Fetch validation rules
+ * Optional paging: ?limit=<batch size> for the first batch, then
+ * ?cursor=<nextCursor> for each following batch
+ * There is no ?offset: Tooling API query locators only move forward and
+ * SOQL OFFSET stops at 2000 rows, so an offset could not reach every rule
+ * Rules last changed in Salesforce Setup carry ExternalChange: { change, by, at }
  */
 router.get('/validation-rules', requireAuth, async (req, res, next) => {
+  const limitRaw = req.query.limit;
+  const cursor = (req.query.cursor || '').toString().trim();
+  const limit = limitRaw === undefined ? undefined : parseInt(limitRaw, 10);
+
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < MIN_BATCH_SIZE || limit > MAX_BATCH_SIZE)) {
+    return res.status(400).json({
+      success: false,
+      error: `limit must be an integer between ${MIN_BATCH_SIZE} and ${MAX_BATCH_SIZE}`,
+      code: 'INVALID_LIMIT',
+    });
+  }
+
+  if (req.query.offset !== undefined) {
+    return res.status(400).json({
+      success: false,
+      error: 'offset is not supported; page with the cursor returned by each batch',
+      code: 'OFFSET_NOT_SUPPORTED',
+    });
+  }
+
+  if (cursor && !/^[\w-]+$/.test(cursor)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid cursor',
+      code: 'INVALID_CURSOR',
+    });
+  }
+
   try {
-    const result = await fetchValidationRules(req);
+    const result = await fetchValidationRules(req, { limit, cursor: cursor || undefined });
+    const externalChanges = await getExternalChanges(getOrgKey(req));
     
-    logger.info(`Fetched ${result.records.length} validation rules`);
+    logger.info(`Fetched ${result.records.length} of ${result.totalSize} validation rules`);
     
+    res.json({
+      ...result,
+      records: result.records.map((r) => ({ ...r, ExternalChange: externalChanges[r.Id] || null })),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/objects - List objects that validation rules can be created on
+ */
+router.get('/objects', requireAuth, async (req, res, next) => {
+  try {
+    const objects = await fetchSObjects(req);
+    res.json({ success: true, objects });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/validation-rules - Create a validation rule
+ * Body may include reason and ticketId, required in production when REQUIRE_CHANGE_REASON is set
+ */
+router.post('/validation-rules', requireAuth, requireRole('admin'), changeReason, async (req, res, next) => {
+  const { rule: newRule, error } = parseNewRule(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error,
+      code: 'INVALID_RULE_FIELDS',
+    });
+  }
+
+  try {
+    if (isApprovalRequired(req)) {
+      // The rule does not exist yet, so the approver sees the one to be created
+      const approval = await requestApproval(req, {
+        type: 'create',
+        rules: [{ Id: null, ValidationName: newRule.validationName, EntityName: newRule.objectName, Active: newRule.active }],
+        details: { rule: newRule },
+      });
+      return res.status(202).json({ success: true, pending: true, approval });
+    }
+
+    const rule = await createValidationRule(req, newRule, req.changeReason);
+    res.status(201).json({ success: true, rule });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/validation-rules/bulk-toggle - Activate or deactivate many rules
+ * Body: { ids: string[], active: boolean, reason?: string, ticketId?: string }
+ */
+router.post('/validation-rules/bulk-toggle', requireAuth, requireRole('operator'), changeReason, async (req, res, next) => {
+  const { ids, error, code } = parseRuleIds(req.body, 'toggled');
+  const newActive = parseActive(req.body.active);
+
+  if (error) {
+    return res.status(400).json({ success: false, error, code });
+  }
+
+  if (newActive === undefined) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing active status (true/false)',
+      code: 'MISSING_ACTIVE_STATUS',
+    });
+  }
+
+  try {
+    if (isApprovalRequired(req)) {
+      const approval = await requestApproval(req, { type: 'bulk-toggle', ruleIds: ids, active: newActive });
+      return res.status(202).json({ success: true, pending: true, approval });
+    }
+
+    const result = await bulkToggleValidationRules(req, ids, newActive, req.changeReason);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/validation-rules/bypass/preview - Show each rule's formula with the bypass expression added
+ * Body: { ids: string[] }
+ */
+router.post('/validation-rules/bypass/preview', requireAuth, async (req, res, next) => {
+  const { ids, error, code } = parseRuleIds(req.body, 'previewed');
+
+  if (error) {
+    return res.status(400).json({ success: false, error, code });
+  }
+
+  try {
+    const preview = await previewBypass(req, ids);
+    res.json({ success: true, ...preview });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/validation-rules/bypass - Add the bypass expression to rules that lack it
+ * Body: { ids: string[], reason?: string, ticketId?: string }
+ */
+router.post('/validation-rules/bypass', requireAuth, requireRole('admin'), changeReason, async (req, res, next) => {
+  const { ids, error, code } = parseRuleIds(req.body, 'updated');
+
+  if (error) {
+    return res.status(400).json({ success: false, error, code });
+  }
+
+  try {
+    if (isApprovalRequired(req)) {
+      const approval = await requestApproval(req, { type: 'bypass', ruleIds: ids });
+      return res.status(202).json({ success: true, pending: true, approval });
+    }
+
+    const result = await applyBypass(req, ids, req.changeReason);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/validation-rules/export - Download rules with full metadata
+ * Query: format=csv|json|xml, search, status=all|active|inactive
+ * xml returns a zip of SFDX source files plus package.xml
+ */
+router.get('/validation-rules/export', requireAuth, async (req, res, next) => {
+  const format = (req.query.format || 'json').toString().toLowerCase();
+  const search = (req.query.search || '').toString();
+  const status = (req.query.status || 'all').toString();
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: `format must be one of ${EXPORT_FORMATS.join(', ')}`,
+      code: 'INVALID_FORMAT',
+    });
+  }
+
+  if (!['all', 'active', 'inactive'].includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: 'status must be all, active or inactive',
+      code: 'INVALID_STATUS',
+    });
+  }
+
+  try {
+    const file = await exportValidationRules(req, { format, search, status });
+    res.set('Content-Type', file.contentType);
+    res.attachment(file.filename);
+    res.send(file.body);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/validation-rules/references - Check every rule's formula for fields that no longer exist
+ * Query: broken=true to return only rules with missing references
+ */
+router.get('/validation-rules/references', requireAuth, async (req, res, next) => {
+  try {
+    const report = await scanRuleReferences(req, { brokenOnly: req.query.broken === 'true' });
+    res.json({ success: true, ...report });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/validation-rules/lint - Health report: every rule checked against the lint checks
+ * Check severities come from LINT_SEVERITIES
+ */
+router.get('/validation-rules/lint', requireAuth, async (req, res, next) => {
+  try {
+    const report = await lintValidationRules(req);
+    res.json({ success: true, ...report });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/validation-rules/:id/references - Fields referenced by a rule's formula
+ */
+router.get('/validation-rules/:id/references', requireAuth, async (req, res, next) => {
+  try {
+    const result = await getRuleReferences(req, req.params.id);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * POST /api/validation-rules/:id/evaluate - Run a rule's formula against a sample record
+ * Body: { record, priorRecord?, isNew?, formula? } - formula overrides the saved one to try unsaved edits
+ * Evaluated locally; nothing is sent to Salesforce apart from reading the saved formula
+ */
+router.post('/validation-rules/:id/evaluate', requireAuth, async (req, res, next) => {
+  const { record, priorRecord, isNew, formula } = req.body || {};
+
+  if (!isPlainObject(record) || (priorRecord != null && !isPlainObject(priorRecord))) {
+    return res.status(400).json({
+      success: false,
+      error: 'record (and priorRecord, if given) must be JSON objects of field values',
+      code: 'INVALID_RECORD',
+    });
+  }
+
+  if (formula !== undefined && (typeof formula !== 'string' || formula.length > EDITABLE_RULE_FIELDS.errorConditionFormula)) {
+    return res.status(400).json({
+      success: false,
+      error: `formula must be a string of at most ${EDITABLE_RULE_FIELDS.errorConditionFormula} characters`,
+      code: 'INVALID_FORMULA',
+    });
+  }
+
+  try {
+    const ruleFormula = formula ?? (await fetchValidationRule(req, req.params.id)).ErrorConditionFormula;
+    const result = evaluateFormula(ruleFormula, {
+      record,
+      priorRecord: priorRecord || null,
+      isNew: typeof isNew === 'boolean' ? isNew : undefined,
+    });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/validation-rules/:id - Fetch a validation rule with its full metadata
+ */
+router.get('/validation-rules/:id', requireAuth, async (req, res, next) => {
+  try {
+    const rule = await fetchValidationRule(req, req.params.id);
+    res.json({ success: true, rule });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PATCH /api/validation-rules/:id - Update formula, error message, display field or description
+ */
+router.patch('/validation-rules/:id', requireAuth, requireRole('admin'), changeReason, async (req, res, next) => {
+  const { changes, error } = parseRuleChanges(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error,
+      code: 'INVALID_RULE_FIELDS',
+    });
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Nothing to update. Editable fields: ${Object.keys(EDITABLE_RULE_FIELDS).join(', ')}`,
+      code: 'NO_CHANGES',
+    });
+  }
+
+  try {
+    if (isApprovalRequired(req)) {
+      const approval = await requestApproval(req, { type: 'update', ruleIds: [req.params.id], changes });
+      return res.status(202).json({ success: true, pending: true, approval });
+    }
+
+    const rule = await updateValidationRule(req, req.params.id, changes, req.changeReason);
+    res.json({ success: true, rule });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/validation-rules/:id - Delete a validation rule
+ * Body may include reason and ticketId, required in production when REQUIRE_CHANGE_REASON is set
+ */
+router.delete('/validation-rules/:id', requireAuth, requireRole('admin'), changeReason, async (req, res, next) => {
+  try {
+    if (isApprovalRequired(req)) {
+      const approval = await requestApproval(req, { type: 'delete', ruleIds: [req.params.id] });
+      return res.status(202).json({ success: true, pending: true, approval });
+    }
+
+    const result = await deleteValidationRule(req, req.params.id, req.changeReason);
     res.json(result);
   } catch (err) {
     next(err);
@@ -58,18 +536,14 @@ router.get('/validation-rules', requireAuth, async (req, res, next) => {
 
 /**
  * POST /api/validation-toggle - Toggle validation rule active status
+ * Body may include reason and ticketId, required in production when REQUIRE_CHANGE_REASON is set
  */
-router.post('/validation-toggle', requireAuth, async (req, res, next) => {
+router.post('/validation-toggle', requireAuth, requireRole('operator'), changeReason, async (req, res, next) => {
   const ruleId = (req.query.id || req.body.Id || req.body.id || '').toString().trim();
   const activeRaw = req.query.active ?? req.body.Active ?? req.body.active;
 
   // Parse active status
-  let newActive;
-  if (['true', true, '1', 1].includes(activeRaw)) {
-    newActive = true;
-  } else if (['false', false, '0', 0].includes(activeRaw)) {
-    newActive = false;
-  }
+  const newActive = parseActive(activeRaw);
 
   // Validate input
   if (!ruleId) {
@@ -89,7 +563,12 @@ router.post('/validation-toggle', requireAuth, async (req, res, next) => {
   }
 
   try {
-    const result = await toggleValidationRule(req, ruleId, newActive);
+    if (isApprovalRequired(req)) {
+      const approval = await requestApproval(req, { type: 'toggle', ruleIds: [ruleId], active: newActive });
+      return res.status(202).json({ success: true, pending: true, approval });
+    }
+
+    const result = await toggleValidationRule(req, ruleId, newActive, req.changeReason);
     res.json(result);
   } catch (err) {
     next(err);
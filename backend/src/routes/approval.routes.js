@@ -0,0 +1,108 @@
+/**
+ * Change Approval Routes
+ * Production changes wait here until a second user approves or rejects them
+ */
+
+const express = require('express');
+const config = require('../config/config');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const {
+  APPROVAL_STATUSES,
+  listApprovals,
+  approveRequest,
+  rejectRequest,
+} = require('../services/approvalService');
+
+const router = express.Router();
+
+const APPROVAL_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+const MAX_COMMENT_LENGTH = 500;
+
+router.use(requireAuth);
+
+router.param('approvalId', (req, res, next, approvalId) => {
+  if (!APPROVAL_ID_PATTERN.test(approvalId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid approval ID',
+      code: 'INVALID_APPROVAL_ID',
+    });
+  }
+  next();
+});
+
+/**
+ * Read the approver's optional comment from the body
+ */
+function parseComment(body = {}) {
+  const comment = typeof body.comment === 'string' ? body.comment.trim() : '';
+
+  if (comment.length > MAX_COMMENT_LENGTH) {
+    return { error: `comment must be at most ${MAX_COMMENT_LENGTH} characters` };
+  }
+
+  return { comment: comment || null };
+}
+
+/**
+ * GET /api/approvals - List approval requests for the current org, newest first
+ * Query: status=pending|approved|failed|rejected|expired
+ */
+router.get('/', async (req, res, next) => {
+  const status = (req.query.status || '').toString();
+
+  if (status && !APPROVAL_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `status must be one of ${APPROVAL_STATUSES.join(', ')}`,
+      code: 'INVALID_STATUS',
+    });
+  }
+
+  try {
+    const approvals = await listApprovals(req, { status: status || undefined });
+    res.json({ success: true, approvals });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/approvals/:approvalId/approve - Approve a request and run its change as the requester
+ * Body: { comment?: string }
+ */
+router.post('/:approvalId/approve', requireRole(config.approverRole), async (req, res, next) => {
+  const { comment, error } = parseComment(req.body);
+
+  if (error) {
+    return res.status(400).json({ success: false, error, code: 'INVALID_COMMENT' });
+  }
+
+  try {
+    const approval = await approveRequest(req, req.params.approvalId, comment);
+    res.json({ success: approval.status === 'approved', approval });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/approvals/:approvalId/reject - Reject a request without running it
+ * Body: { comment?: string }
+ */
+router.post('/:approvalId/reject', requireRole(config.approverRole), async (req, res, next) => {
+  const { comment, error } = parseComment(req.body);
+
+  if (error) {
+    return res.status(400).json({ success: false, error, code: 'INVALID_COMMENT' });
+  }
+
+  try {
+    const approval = await rejectRequest(req, req.params.approvalId, comment);
+    res.json({ success: true, approval });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,88 @@
+/**
+ * Audit Routes
+ * Read the log of rule changes made through the bridge
+ */
+
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const { getOrgKey } = require('../services/salesforceService');
+const { AUDIT_ACTIONS, queryAudit } = require('../services/auditService');
+
+const router = express.Router();
+
+const MAX_AUDIT_LIMIT = 500;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+router.use(requireAuth);
+
+/**
+ * Parse an optional date filter into an ISO string
+ * With endOfDay, a date without a time means the last moment of that day
+ */
+function parseDateFilter(raw, { endOfDay = false } = {}) {
+  if (raw === undefined || raw === '') return { value: undefined };
+  const date = new Date(raw);
+  if (Number.isNaN(date.getTime())) return { error: true };
+
+  if (endOfDay && DATE_ONLY_PATTERN.test(raw)) {
+    return { value: new Date(date.getTime() + DAY_MS - 1).toISOString() };
+  }
+  return { value: date.toISOString() };
+}
+
+/**
+ * GET /api/audit - List audit entries for the current org, newest first
+ * Query: user, ruleId, action, q (rule name search), from, to, limit, offset
+ */
+router.get('/', async (req, res, next) => {
+  const { user, ruleId, action, q } = req.query;
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+  const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+  const from = parseDateFilter(req.query.from);
+  const to = parseDateFilter(req.query.to, { endOfDay: true });
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_AUDIT_LIMIT ||
+      !Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({
+      success: false,
+      error: `limit must be between 1 and ${MAX_AUDIT_LIMIT} and offset must not be negative`,
+      code: 'INVALID_PAGE',
+    });
+  }
+
+  if (action && !AUDIT_ACTIONS.includes(action)) {
+    return res.status(400).json({
+      success: false,
+      error: `action must be one of ${AUDIT_ACTIONS.join(', ')}`,
+      code: 'INVALID_ACTION',
+    });
+  }
+
+  if (from.error || to.error) {
+    return res.status(400).json({
+      success: false,
+      error: 'from and to must be dates',
+      code: 'INVALID_DATE',
+    });
+  }
+
+  try {
+    const result = await queryAudit({
+      orgKey: getOrgKey(req),
+      username: user,
+      ruleId,
+      action,
+      search: q,
+      from: from.value,
+      to: to.value,
+      limit,
+      offset,
+    });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
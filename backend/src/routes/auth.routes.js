@@ -14,26 +14,45 @@ const axios = require('axios');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 const { generateCodeVerifier, generateCodeChallenge } = require('../utils/pkce');
+const { getOAuthBaseUrl, resolveLoginDomain } = require('../utils/domains');
+const {
+  getOrgKey,
+  fetchOrgDetails,
+  fetchUserAccess,
+  createBackgroundRequest,
+} = require('../services/salesforceService');
+const { watchOrg } = require('../services/externalChangeService');
+const { endSessionWindows } = require('../services/scheduleService');
+const { withdrawSessionApprovals } = require('../services/approvalService');
+const {
+  getOrgIdFromIdentityUrl,
+  normalizeOrgId,
+  listOrgs,
+  addOrg,
+  removeOrg,
+} = require('../services/orgService');
 
 const router = express.Router();
 
 /**
  * GET /login - Initiate OAuth flow
+ * Query: domain (production|sandbox|custom), customDomain, loginHint (username to prefill)
  */
 router.get('/login', (req, res) => {
   try {
-    const domainType = req.query.domain || 'production';
-    
-    // Determine auth URL
-    let authUrl;
-    if (domainType === 'sandbox') {
-      authUrl = 'https://test.salesforce.com/services/oauth2/authorize';
-    } else if (domainType === 'custom' && req.query.customDomain) {
-      authUrl = `https://${req.query.customDomain}/services/oauth2/authorize`;
-    } else {
-      authUrl = 'https://login.salesforce.com/services/oauth2/authorize';
+    let login;
+    try {
+      login = resolveLoginDomain(req.query.domain || 'production', req.query.customDomain);
+    } catch (err) {
+      logger.warn(`Rejected login domain: ${err.message}`);
+      return res.redirect(`${config.frontendUrl}/?error=${encodeURIComponent(err.message)}`);
     }
 
+    const { domainType, customDomain } = login;
+
+    // Determine auth URL
+    const authUrl = `${getOAuthBaseUrl(domainType, customDomain)}/authorize`;
+
     // PKCE challenge
     const codeVerifier = generateCodeVerifier();
     const codeChallenge = generateCodeChallenge(codeVerifier);
@@ -48,10 +67,10 @@ router.get('/login', (req, res) => {
       });
     }
 
-    // Store PKCE data
+    // Store PKCE data; orgs already connected in this session are kept
     req.session.code_verifier = codeVerifier;
-    req.session.domain_type = domainType;
-    req.session.custom_domain = req.query.customDomain || '';
+    req.session.login_domain_type = domainType;
+    req.session.login_custom_domain = customDomain;
 
     // CRITICAL: Explicitly save session before redirect
     req.session.save((err) => {
@@ -77,6 +96,10 @@ router.get('/login', (req, res) => {
         prompt: 'login',
       });
 
+      if (typeof req.query.loginHint === 'string' && req.query.loginHint.trim()) {
+        params.set('login_hint', req.query.loginHint.trim().slice(0, 80));
+      }
+
       const loginUrl = `${authUrl}?${params.toString()}`;
       logger.info(`Redirecting to Salesforce login (${domainType})`);
       
@@ -125,20 +148,13 @@ router.get('/oauth/callback', async (req, res) => {
     }
 
     const codeVerifier = req.session.code_verifier;
-    const domainType = req.session.domain_type || 'production';
-    const customDomain = req.session.custom_domain || '';
+    const domainType = req.session.login_domain_type || 'production';
+    const customDomain = req.session.login_custom_domain || '';
 
     logger.info('✅ Session verified, code_verifier found');
 
     // Determine token URL
-    let tokenUrl;
-    if (domainType === 'sandbox') {
-      tokenUrl = 'https://test.salesforce.com/services/oauth2/token';
-    } else if (domainType === 'custom' && customDomain) {
-      tokenUrl = `https://${customDomain}/services/oauth2/token`;
-    } else {
-      tokenUrl = 'https://login.salesforce.com/services/oauth2/token';
-    }
+    const tokenUrl = `${getOAuthBaseUrl(domainType, customDomain)}/token`;
 
     // Exchange code for tokens
     const tokenParams = new URLSearchParams({
@@ -175,32 +191,49 @@ router.get('/oauth/callback', async (req, res) => {
     const userInfo = userInfoResponse.data;
     logger.info(`✅ User info received: ${userInfo.username}`);
 
-    // CRITICAL: Clear old session data first
-    delete req.session.code_verifier;
-    delete req.session.custom_domain;
-
-    // Store authentication data
-    req.session.access_token = access_token;
-    req.session.refresh_token = refresh_token;
-    req.session.instance_url = instance_url;
-    req.session.authenticated = true;
-    req.session.username = userInfo.username || 'User';
-    req.session.email = userInfo.email || '';
-    req.session.userType = userInfo.user_type || 'Standard';
-    req.session.domain_type = domainType;
+    const orgId = userInfo.organization_id || getOrgIdFromIdentityUrl(idUrl);
+    if (!orgId) {
+      logger.error('❌ Could not determine the org ID from the identity response');
+      return res.redirect(`${config.frontendUrl}/?error=unknown_org`);
+    }
 
-    // CRITICAL: Force session regeneration for security
-    const sessionData = {
+    const connection = {
+      orgId,
       access_token,
       refresh_token,
       instance_url,
-      authenticated: true,
+      userId: userInfo.user_id || null,
       username: userInfo.username || 'User',
       email: userInfo.email || '',
       userType: userInfo.user_type || 'Standard',
       domain_type: domainType,
+      // Kept for refresh-token grants against the same login host
+      custom_domain: customDomain,
+      connectedAt: new Date().toISOString(),
+    };
+
+    // Org name and sandbox flag drive the environment badge; not worth failing login over
+    try {
+      Object.assign(connection, await fetchOrgDetails(createBackgroundRequest(connection)));
+    } catch (detailsErr) {
+      logger.warn('Could not fetch org details:', detailsErr.message);
+    }
+
+    // Profile and permission sets map the user to a bridge role; without them only username mappings apply
+    try {
+      Object.assign(connection, await fetchUserAccess(createBackgroundRequest(connection), userInfo.user_id));
+    } catch (accessErr) {
+      logger.warn('Could not fetch user profile and permission sets:', accessErr.message);
+    }
+
+    // Keep orgs connected earlier in this session
+    const sessionData = {
+      orgs: req.session.orgs || {},
+      activeOrgId: req.session.activeOrgId,
     };
+    const connected = addOrg(sessionData, connection);
 
+    // CRITICAL: Force session regeneration for security
     req.session.regenerate((err) => {
       if (err) {
         logger.error('Session regeneration error:', err);
@@ -219,11 +252,14 @@ router.get('/oauth/callback', async (req, res) => {
         }
 
         logger.info('✅ Session saved successfully');
-        logger.info(`✅ User authenticated: ${userInfo.username}`);
+        logger.info(`✅ User authenticated: ${userInfo.username} (org ${orgId}, ${listOrgs(req.session).length} connected)`);
         logger.info('Session ID:', req.sessionID);
+
+        // Poll the org for changes made in Setup while it is connected
+        watchOrg(req.sessionID, connected);
         
         // Redirect with success
-        res.redirect(`${config.frontendUrl}/?login=success`);
+        res.redirect(`${config.frontendUrl}/?login=success&orgId=${encodeURIComponent(connected.orgId)}`);
       });
     });
 
@@ -239,17 +275,66 @@ router.get('/oauth/callback', async (req, res) => {
 });
 
 /**
- * POST /logout - Clear session and logout
+ * Org to log out of, if the request names one
+ */
+function getLogoutOrgId(req) {
+  return req.body?.orgId || req.query.orgId || req.get('X-Org-Id') || null;
+}
+
+/**
+ * Stop what a session left running in the background for some of its orgs,
+ * since it cannot run without the login: end its deactivation windows and
+ * withdraw its pending approval requests
+ * Failures are logged so they never block a logout
+ */
+async function releaseBackgroundWork(req, orgs) {
+  for (const org of orgs) {
+    const orgKey = getOrgKey({ org });
+
+    try {
+      const windows = await endSessionWindows(req.sessionID, org.orgId, orgKey);
+      const approvals = await withdrawSessionApprovals(req.sessionID, orgKey);
+
+      if (windows > 0 || approvals > 0) {
+        logger.info(`Logout of ${orgKey} ended ${windows} deactivation window(s) and withdrew ${approvals} approval request(s)`);
+      }
+    } catch (err) {
+      logger.error(`Failed to stop background work in ${orgKey} on logout:`, err.message);
+    }
+  }
+}
+
+/**
+ * Disconnect one org, keeping the session while other orgs remain
+ * Calls done(err, remainingOrgs); the session is destroyed when none remain
+ */
+function logoutOrg(req, orgId, done) {
+  const orgs = listOrgs(req.session).filter((o) => !orgId || o.orgId === normalizeOrgId(orgId));
+
+  releaseBackgroundWork(req, orgs).then(() => {
+    const remaining = orgId ? removeOrg(req.session, orgId) : [];
+
+    if (remaining.length > 0) {
+      return req.session.save((err) => done(err, remaining));
+    }
+
+    req.session.destroy((err) => done(err, []));
+  });
+}
+
+/**
+ * POST /logout - Log out of one org (orgId in body, query or X-Org-Id) or all of them
  */
 router.post('/logout', (req, res) => {
   if (!req.session) {
     return res.json({ success: true, message: 'Already logged out' });
   }
 
-  const username = req.session.username || 'User';
-  
-  // Destroy session
-  req.session.destroy((err) => {
+  const orgId = getLogoutOrgId(req);
+  const connected = listOrgs(req.session);
+  const username = connected.map((o) => o.username).join(', ') || 'User';
+
+  logoutOrg(req, orgId, (err, remaining) => {
     if (err) {
       logger.error('Session destruction error:', err);
       return res.status(500).json({
@@ -259,10 +344,13 @@ router.post('/logout', (req, res) => {
       });
     }
 
-    logger.info(`User logged out: ${username}`);
+    logger.info(orgId
+      ? `User logged out of org ${orgId}, ${remaining.length} still connected`
+      : `User logged out: ${username}`);
     res.json({
       success: true,
-      message: 'Logged out successfully'
+      message: 'Logged out successfully',
+      remainingOrgs: remaining.length,
     });
   });
 });
@@ -275,7 +363,7 @@ router.get('/logout', (req, res) => {
     return res.redirect(`${config.frontendUrl}/?logout=success`);
   }
 
-  req.session.destroy((err) => {
+  logoutOrg(req, req.query.orgId, (err) => {
     if (err) {
       logger.error('Session destruction error:', err);
     }
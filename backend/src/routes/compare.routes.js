@@ -0,0 +1,64 @@
+/**
+ * Compare Routes
+ * Report rule drift between two orgs, or an org and an uploaded metadata zip
+ */
+
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const { createUpload, compareRules } = require('../services/compareService');
+
+const router = express.Router();
+
+// A connected org ID or upload:<id> from POST /api/compare/uploads
+const SIDE_PATTERN = /^(?:00D[a-zA-Z0-9]{12}(?:[a-zA-Z0-9]{3})?|upload:[0-9a-f-]{36})$/i;
+
+router.use(requireAuth);
+
+/**
+ * POST /api/compare/uploads - Store an SFDX or metadata API zip to compare against
+ * Body: { content: base64 zip, filename?: string }
+ */
+router.post('/uploads', async (req, res, next) => {
+  const { content, filename } = req.body;
+
+  if (typeof content !== 'string' || !content.trim()) {
+    return res.status(400).json({
+      success: false,
+      error: 'content must be the base64 encoded zip file',
+      code: 'MISSING_CONTENT',
+    });
+  }
+
+  try {
+    const upload = await createUpload(req, { content, filename });
+    res.status(201).json({ success: true, upload });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/compare?source=<orgId|upload:id>&target=<orgId|upload:id>
+ * source defaults to the request's org
+ */
+router.get('/', async (req, res, next) => {
+  const source = (req.query.source || req.org.orgId).toString().trim();
+  const target = (req.query.target || '').toString().trim();
+
+  if (!SIDE_PATTERN.test(source) || !SIDE_PATTERN.test(target)) {
+    return res.status(400).json({
+      success: false,
+      error: 'source and target must be connected org IDs or upload:<id>',
+      code: 'INVALID_COMPARE_SIDE',
+    });
+  }
+
+  try {
+    const report = await compareRules(req, { source, target });
+    res.json({ success: true, ...report });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,105 @@
+/**
+ * Desired State Routes
+ * Upload a rule activation file, review the plan, then apply it
+ */
+
+const express = require('express');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { changeReason } = require('../middleware/changeReason');
+const { DESIRED_STATE_FORMATS, detectFormat } = require('../utils/desiredState');
+const { isApprovalRequired, requestApproval } = require('../services/approvalService');
+const {
+  createPlan,
+  loadPlan,
+  keepPlanUntil,
+  applyPlan,
+} = require('../services/desiredStateService');
+
+const router = express.Router();
+
+const PLAN_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+router.use(requireAuth);
+
+router.param('planId', (req, res, next, planId) => {
+  if (!PLAN_ID_PATTERN.test(planId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid plan ID',
+      code: 'INVALID_PLAN_ID',
+    });
+  }
+  next();
+});
+
+/**
+ * POST /api/desired-state/plan - Compare a desired state file with the org
+ * Body: { content: string, filename?: string, format?: json|yaml|csv }
+ */
+router.post('/plan', async (req, res, next) => {
+  const { content, filename } = req.body;
+
+  if (typeof content !== 'string' || !content.trim()) {
+    return res.status(400).json({
+      success: false,
+      error: 'content must be the text of the desired state file',
+      code: 'MISSING_CONTENT',
+    });
+  }
+
+  const format = detectFormat(req.body.format, filename);
+  if (!format) {
+    return res.status(400).json({
+      success: false,
+      error: `Could not tell the file format; use one of ${DESIRED_STATE_FORMATS.join(', ')}`,
+      code: 'INVALID_FORMAT',
+    });
+  }
+
+  try {
+    const plan = await createPlan(req, { content, format, filename });
+    res.status(201).json({ success: true, plan });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/desired-state/plans/:planId/apply - Run a plan's toggles
+ * Body may include reason and ticketId like the other toggle endpoints
+ */
+router.post('/plans/:planId/apply', requireRole('operator'), changeReason, async (req, res, next) => {
+  try {
+    if (isApprovalRequired(req)) {
+      const plan = await loadPlan(req, req.params.planId);
+      const steps = plan.changes.filter((c) => ['enable', 'disable'].includes(c.action));
+
+      const approval = await requestApproval(req, {
+        type: 'plan-apply',
+        rules: steps.map((c) => ({
+          Id: c.Id,
+          EntityName: c.fullName.slice(0, c.fullName.indexOf('.')),
+          ValidationName: c.fullName.slice(c.fullName.indexOf('.') + 1),
+          Active: c.currentActive,
+        })),
+        details: {
+          planId: plan.id,
+          filename: plan.filename,
+          enable: plan.summary.enable,
+          disable: plan.summary.disable,
+        },
+      });
+
+      // The plan must outlive the wait for a decision
+      await keepPlanUntil(plan, approval.expiresAt);
+      return res.status(202).json({ success: true, pending: true, approval });
+    }
+
+    const result = await applyPlan(req, req.params.planId, req.changeReason);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
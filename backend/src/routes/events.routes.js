@@ -0,0 +1,52 @@
+/**
+ * Live Event Routes
+ * Server-sent event stream of changes made in the current org
+ */
+
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const { getOrgKey } = require('../services/salesforceService');
+const { addClient } = require('../services/eventService');
+const { watchOrg } = require('../services/externalChangeService');
+
+const router = express.Router();
+
+// Proxies close idle connections, so send a comment line well before that
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// How long the browser waits before reconnecting after the stream drops
+const RECONNECT_DELAY_MS = 5000;
+
+/**
+ * GET /api/events - Stream rule-changed, snapshot and scheduled-window events for the current org
+ * EventSource cannot send headers, so pick the org with ?orgId when needed
+ */
+router.get('/', requireAuth, (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+  res.flush?.();
+
+  const removeClient = addClient(getOrgKey(req), res);
+
+  // Someone is looking at this org, so keep polling it for changes made in Setup
+  watchOrg(req.sessionID, req.org);
+
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+    res.flush?.();
+  }, HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    removeClient();
+  });
+});
+
+module.exports = router;
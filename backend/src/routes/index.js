@@ -5,14 +5,66 @@
 
 const express = require('express');
 const authRoutes = require('./auth.routes');
+const orgRoutes = require('./org.routes');
 const apiRoutes = require('./api.routes');
+const snapshotRoutes = require('./snapshot.routes');
+const scheduleRoutes = require('./schedule.routes');
+const auditRoutes = require('./audit.routes');
+const desiredStateRoutes = require('./desiredState.routes');
+const compareRoutes = require('./compare.routes');
+const promotionRoutes = require('./promotion.routes');
+const approvalRoutes = require('./approval.routes');
+const webhookRoutes = require('./webhook.routes');
+const eventRoutes = require('./events.routes');
 
 const router = express.Router();
 
+// Org-scoped API, mounted twice below so an org can also be picked by path
+const apiRouter = express.Router();
+
+// API routes (validation rules, user info)
+apiRouter.use('/', apiRoutes);
+
+// Maintenance snapshots
+apiRouter.use('/snapshots', snapshotRoutes);
+
+// Scheduled deactivation windows
+apiRouter.use('/schedules', scheduleRoutes);
+
+// Audit log of rule changes
+apiRouter.use('/audit', auditRoutes);
+
+// Desired state plan/apply
+apiRouter.use('/desired-state', desiredStateRoutes);
+
+// Cross-org rule comparison
+apiRouter.use('/compare', compareRoutes);
+
+// Rule promotion between orgs
+apiRouter.use('/promotions', promotionRoutes);
+
+// Two-person approval of production changes
+apiRouter.use('/approvals', approvalRoutes);
+
+// Outgoing webhook targets and dead letters
+apiRouter.use('/webhooks', webhookRoutes);
+
+// Live updates for open browser sessions
+apiRouter.use('/events', eventRoutes);
+
 // Auth routes (login, callback, logout)
 router.use('/', authRoutes);
 
-// API routes (validation rules, user info)
-router.use('/api', apiRoutes);
+// Connected orgs and org switching
+router.use('/api/orgs', orgRoutes);
+
+// /api/orgs/:orgId/... works against that org; plain /api/... uses the
+// X-Org-Id header, ?orgId or the session's active org
+router.use('/api/orgs/:orgId', (req, res, next) => {
+  req.requestedOrgId = req.params.orgId;
+  next();
+}, apiRouter);
+
+router.use('/api', apiRouter);
 
 module.exports = router;
@@ -0,0 +1,58 @@
+/**
+ * Org Routes
+ * List the orgs connected in this session and switch the active one
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+const { listOrgs, activateOrg, toPublicOrg } = require('../services/orgService');
+
+const router = express.Router();
+
+/**
+ * Reject requests from sessions without any connected org
+ */
+function requireSession(req, res, next) {
+  if (!req.session?.authenticated || listOrgs(req.session).length === 0) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+      code: 'UNAUTHORIZED',
+    });
+  }
+  next();
+}
+
+router.use(requireSession);
+
+/**
+ * GET /api/orgs - List connected orgs
+ */
+router.get('/', (req, res) => {
+  const { activeOrgId } = req.session;
+
+  res.json({
+    success: true,
+    activeOrgId,
+    orgs: listOrgs(req.session).map((org) => toPublicOrg(org, activeOrgId)),
+  });
+});
+
+/**
+ * POST /api/orgs/:orgId/activate - Use an org for requests without an org selector
+ */
+router.post('/:orgId/activate', (req, res, next) => {
+  try {
+    const org = activateOrg(req.session, req.params.orgId);
+    logger.info(`Switched active org to ${org.orgId} (${org.username})`);
+
+    req.session.save((err) => {
+      if (err) return next(err);
+      res.json({ success: true, org: toPublicOrg(org, org.orgId) });
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,138 @@
+/**
+ * Promotion Routes
+ * Copy validation rules from another connected org into the request's org:
+ * validate the deploy, review it, then deploy for real
+ */
+
+const express = require('express');
+const config = require('../config/config');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { changeReason } = require('../middleware/changeReason');
+const { isApprovalRequired, requestApproval } = require('../services/approvalService');
+const {
+  createPromotion,
+  getPromotion,
+  checkDeployable,
+  keepPromotionUntil,
+  deployPromotion,
+} = require('../services/promotionService');
+
+const router = express.Router();
+
+const PROMOTION_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+const ORG_ID_PATTERN = /^00D[a-zA-Z0-9]{12}(?:[a-zA-Z0-9]{3})?$/;
+
+router.use(requireAuth);
+
+router.param('promotionId', (req, res, next, promotionId) => {
+  if (!PROMOTION_ID_PATTERN.test(promotionId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid promotion ID',
+      code: 'INVALID_PROMOTION_ID',
+    });
+  }
+  next();
+});
+
+/**
+ * POST /api/orgs/:orgId/promotions - Validate promoting rules into this (target) org
+ * Body: { sourceOrgId: string, ruleIds: string[] } with rule IDs from the source org
+ */
+router.post('/', requireRole('admin'), async (req, res, next) => {
+  const sourceOrgId = (req.body.sourceOrgId || '').toString().trim();
+  const ruleIds = Array.isArray(req.body.ruleIds)
+    ? [...new Set(req.body.ruleIds.map((id) => (id || '').toString().trim()).filter(Boolean))]
+    : [];
+
+  if (!ORG_ID_PATTERN.test(sourceOrgId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'sourceOrgId must be the ID of a connected org',
+      code: 'INVALID_SOURCE_ORG',
+    });
+  }
+
+  if (ruleIds.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'ruleIds must be a non-empty array of rule IDs',
+      code: 'MISSING_RULE_IDS',
+    });
+  }
+
+  if (ruleIds.length > config.bulkMaxRules) {
+    return res.status(400).json({
+      success: false,
+      error: `At most ${config.bulkMaxRules} rules can be promoted per request`,
+      code: 'TOO_MANY_RULES',
+    });
+  }
+
+  try {
+    const promotion = await createPromotion(req, { sourceOrgId, ruleIds });
+    res.status(201).json({ success: true, promotion });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/orgs/:orgId/promotions/:promotionId - Get a promotion and its deploy progress
+ */
+router.get('/:promotionId', async (req, res, next) => {
+  try {
+    const promotion = await getPromotion(req, req.params.promotionId);
+    res.json({ success: true, promotion });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/orgs/:orgId/promotions/:promotionId/deploy - Deploy a validated promotion
+ * Body: { confirmOverwrite: boolean, reason?: string, ticketId?: string }
+ */
+router.post('/:promotionId/deploy', requireRole('admin'), changeReason, async (req, res, next) => {
+  const confirmOverwrite = req.body.confirmOverwrite === true;
+
+  try {
+    if (isApprovalRequired(req)) {
+      const pending = await getPromotion(req, req.params.promotionId);
+      checkDeployable(pending, confirmOverwrite);
+
+      const approval = await requestApproval(req, {
+        type: 'promotion-deploy',
+        rules: pending.rules
+          .filter((rule) => rule.action !== 'unchanged')
+          .map((rule) => ({
+            Id: rule.targetId || rule.sourceId,
+            EntityName: rule.EntityName,
+            ValidationName: rule.ValidationName,
+            Active: rule.target ? rule.target.Active : undefined,
+          })),
+        details: {
+          promotionId: pending.id,
+          confirmOverwrite,
+          source: pending.source,
+          create: pending.summary.create,
+          update: pending.summary.update,
+        },
+      });
+
+      // The validated promotion must outlive the wait for a decision
+      await keepPromotionUntil(pending, approval.expiresAt);
+      return res.status(202).json({ success: true, pending: true, approval });
+    }
+
+    const promotion = await deployPromotion(req, req.params.promotionId, {
+      confirmOverwrite,
+      change: req.changeReason,
+    });
+    res.json({ success: promotion.status !== 'deploy-failed', promotion });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
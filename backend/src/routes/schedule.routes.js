@@ -0,0 +1,188 @@
+/**
+ * Deactivation Window Routes
+ * Disable rules for a period and have the server turn them back on
+ */
+
+const express = require('express');
+const config = require('../config/config');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { changeReason } = require('../middleware/changeReason');
+const { isApprovalRequired, requestApproval } = require('../services/approvalService');
+const {
+  listWindows,
+  getWindow,
+  createWindow,
+  cancelWindow,
+  extendWindow,
+} = require('../services/scheduleService');
+
+const router = express.Router();
+
+const WINDOW_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+router.use(requireAuth);
+
+router.param('windowId', (req, res, next, windowId) => {
+  if (!WINDOW_ID_PATTERN.test(windowId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid window ID',
+      code: 'INVALID_SCHEDULE_ID',
+    });
+  }
+  next();
+});
+
+/**
+ * Parse and validate a new window's timing
+ * Accepts either endAt or durationMinutes; startAt defaults to now
+ */
+function parseWindowTiming(body) {
+  const now = Date.now();
+  const startAt = body.startAt ? new Date(body.startAt) : new Date(now);
+
+  if (Number.isNaN(startAt.getTime())) {
+    return { error: 'startAt must be an ISO date' };
+  }
+
+  let endAt;
+  if (body.durationMinutes !== undefined) {
+    const minutes = Number(body.durationMinutes);
+    if (!Number.isInteger(minutes) || minutes < 1) {
+      return { error: 'durationMinutes must be a positive whole number' };
+    }
+    endAt = new Date(startAt.getTime() + minutes * 60 * 1000);
+  } else if (body.endAt) {
+    endAt = new Date(body.endAt);
+    if (Number.isNaN(endAt.getTime())) {
+      return { error: 'endAt must be an ISO date' };
+    }
+  } else {
+    return { error: 'Either endAt or durationMinutes is required' };
+  }
+
+  if (endAt <= startAt || endAt <= now) {
+    return { error: 'The window must end in the future and after it starts' };
+  }
+
+  if (endAt - startAt > config.scheduleMaxHours * 60 * 60 * 1000) {
+    return { error: `Windows cannot be longer than ${config.scheduleMaxHours} hours` };
+  }
+
+  return { startAt, endAt };
+}
+
+/**
+ * GET /api/schedules - List deactivation windows for the current org
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const windows = await listWindows(req);
+    res.json({ success: true, windows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/schedules - Schedule a deactivation window
+ * Body: { ruleIds: string[], startAt?: ISO date, endAt?: ISO date, durationMinutes?: number, reason?, ticketId? }
+ * The reason is recorded against both the disabling and the re-enabling toggles
+ */
+router.post('/', requireRole('operator'), changeReason, async (req, res, next) => {
+  const { ruleIds } = req.body;
+
+  if (!Array.isArray(ruleIds) || ruleIds.length === 0 || ruleIds.some((id) => typeof id !== 'string')) {
+    return res.status(400).json({
+      success: false,
+      error: 'ruleIds must be a non-empty array of rule IDs',
+      code: 'MISSING_RULE_IDS',
+    });
+  }
+
+  if (ruleIds.length > config.bulkMaxRules) {
+    return res.status(400).json({
+      success: false,
+      error: `A window can include at most ${config.bulkMaxRules} rules`,
+      code: 'TOO_MANY_RULES',
+    });
+  }
+
+  const timing = parseWindowTiming(req.body);
+  if (timing.error) {
+    return res.status(400).json({
+      success: false,
+      error: timing.error,
+      code: 'INVALID_SCHEDULE',
+    });
+  }
+
+  try {
+    if (isApprovalRequired(req)) {
+      const approval = await requestApproval(req, {
+        type: 'schedule-create',
+        ruleIds: [...new Set(ruleIds)],
+        details: { startAt: timing.startAt.toISOString(), endAt: timing.endAt.toISOString() },
+      });
+      return res.status(202).json({ success: true, pending: true, approval });
+    }
+
+    const window = await createWindow(req, {
+      ruleIds: [...new Set(ruleIds)],
+      startAt: timing.startAt,
+      endAt: timing.endAt,
+      change: req.changeReason,
+    });
+    res.status(201).json({ success: true, window });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/schedules/:windowId/cancel - Cancel a window, re-enabling its rules if running
+ * Body: { reason?, ticketId? }
+ */
+router.post('/:windowId/cancel', requireRole('operator'), changeReason, async (req, res, next) => {
+  try {
+    const window = await cancelWindow(req, req.params.windowId, req.changeReason);
+    res.json({ success: true, window });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/schedules/:windowId/extend - Push a window's end time back
+ * Body: { minutes: number, reason?, ticketId? }
+ */
+router.post('/:windowId/extend', requireRole('operator'), changeReason, async (req, res, next) => {
+  const minutes = Number(req.body.minutes);
+
+  if (!Number.isInteger(minutes) || minutes < 1) {
+    return res.status(400).json({
+      success: false,
+      error: 'minutes must be a positive whole number',
+      code: 'INVALID_SCHEDULE',
+    });
+  }
+
+  try {
+    if (isApprovalRequired(req)) {
+      const window = await getWindow(req, req.params.windowId);
+      const approval = await requestApproval(req, {
+        type: 'schedule-extend',
+        rules: window.rules,
+        details: { windowId: window.id, minutes },
+      });
+      return res.status(202).json({ success: true, pending: true, approval });
+    }
+
+    const window = await extendWindow(req, req.params.windowId, minutes, req.changeReason);
+    res.json({ success: true, window });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
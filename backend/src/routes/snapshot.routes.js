@@ -0,0 +1,129 @@
+/**
+ * Maintenance Snapshot Routes
+ * Disable every active rule for a data load and restore exactly that set later
+ */
+
+const express = require('express');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { changeReason } = require('../middleware/changeReason');
+const { isApprovalRequired, requestApproval } = require('../services/approvalService');
+const {
+  findActiveRules,
+  listSnapshots,
+  getSnapshot,
+  createSnapshot,
+  restoreSnapshot,
+  deleteSnapshot,
+} = require('../services/snapshotService');
+
+const router = express.Router();
+
+const SNAPSHOT_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+router.use(requireAuth);
+
+router.param('snapshotId', (req, res, next, snapshotId) => {
+  if (!SNAPSHOT_ID_PATTERN.test(snapshotId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid snapshot ID',
+      code: 'INVALID_SNAPSHOT_ID',
+    });
+  }
+  next();
+});
+
+/**
+ * GET /api/snapshots - List maintenance snapshots for the current org
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const snapshots = await listSnapshots(req);
+    res.json({ success: true, snapshots });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/snapshots - Capture active rules and disable them
+ * Body: { objects?: string[], reason?, ticketId? } - objects limits the snapshot to some objects
+ */
+router.post('/', requireRole('operator'), changeReason, async (req, res, next) => {
+  const objects = req.body.objects ?? [];
+
+  if (!Array.isArray(objects) || objects.some((o) => typeof o !== 'string' || !o.trim())) {
+    return res.status(400).json({
+      success: false,
+      error: 'objects must be an array of object API names',
+      code: 'INVALID_OBJECTS',
+    });
+  }
+
+  try {
+    const trimmed = objects.map((o) => o.trim());
+
+    if (isApprovalRequired(req)) {
+      const approval = await requestApproval(req, {
+        type: 'snapshot-create',
+        rules: await findActiveRules(req, trimmed),
+        details: { objects: trimmed },
+      });
+      return res.status(202).json({ success: true, pending: true, approval });
+    }
+
+    const result = await createSnapshot(req, { objects: trimmed, change: req.changeReason });
+    res.status(201).json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/snapshots/:snapshotId - Get a snapshot
+ */
+router.get('/:snapshotId', async (req, res, next) => {
+  try {
+    const snapshot = await getSnapshot(req, req.params.snapshotId);
+    res.json({ success: true, snapshot });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/snapshots/:snapshotId/restore - Re-enable the rules in a snapshot
+ * Body: { reason?, ticketId? }
+ */
+router.post('/:snapshotId/restore', requireRole('operator'), changeReason, async (req, res, next) => {
+  try {
+    if (isApprovalRequired(req)) {
+      const snapshot = await getSnapshot(req, req.params.snapshotId);
+      const approval = await requestApproval(req, {
+        type: 'snapshot-restore',
+        rules: snapshot.rules,
+        details: { snapshotId: snapshot.id },
+      });
+      return res.status(202).json({ success: true, pending: true, approval });
+    }
+
+    const result = await restoreSnapshot(req, req.params.snapshotId, req.changeReason);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/snapshots/:snapshotId - Delete a snapshot without restoring it
+ */
+router.delete('/:snapshotId', requireRole('operator'), async (req, res, next) => {
+  try {
+    const result = await deleteSnapshot(req, req.params.snapshotId);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
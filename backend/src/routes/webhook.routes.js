@@ -0,0 +1,81 @@
+/**
+ * Webhook Routes
+ * Inspect the configured webhook targets, send test events and redeliver dead letters
+ */
+
+const express = require('express');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { getOrgKey } = require('../services/salesforceService');
+const { AUDIT_ACTIONS } = require('../services/auditService');
+const {
+  listTargets,
+  sendTestDelivery,
+  listDeadLetters,
+  retryDeadLetter,
+} = require('../services/webhookService');
+
+const router = express.Router();
+
+const DELIVERY_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+router.use(requireAuth, requireRole('admin'));
+
+router.param('deliveryId', (req, res, next, deliveryId) => {
+  if (!DELIVERY_ID_PATTERN.test(deliveryId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid delivery ID',
+      code: 'INVALID_DELIVERY_ID',
+    });
+  }
+  next();
+});
+
+/**
+ * GET /api/webhooks - List webhook targets and the events they can subscribe to
+ */
+router.get('/', (req, res) => {
+  res.json({ success: true, targets: listTargets(), events: AUDIT_ACTIONS });
+});
+
+/**
+ * POST /api/webhooks/test - Send a test event about the current org
+ * Body: { target?: string } to test one target instead of all
+ */
+router.post('/test', async (req, res, next) => {
+  const target = typeof req.body.target === 'string' ? req.body.target.trim() : '';
+
+  try {
+    const results = await sendTestDelivery(req.org, getOrgKey(req), target || undefined);
+    res.json({ success: results.every((r) => r.success), results });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/webhooks/dead-letters - Deliveries for the current org that ran out of attempts
+ */
+router.get('/dead-letters', async (req, res, next) => {
+  try {
+    const deadLetters = await listDeadLetters(getOrgKey(req));
+    res.json({ success: true, deadLetters });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/webhooks/dead-letters/:deliveryId/retry - Deliver a dead letter again
+ * Failed attempts are retried as usual and the delivery returns to the list if they all fail
+ */
+router.post('/dead-letters/:deliveryId/retry', async (req, res, next) => {
+  try {
+    const result = await retryDeadLetter(getOrgKey(req), req.params.deliveryId);
+    res.json({ success: result.success, result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
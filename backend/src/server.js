@@ -22,6 +22,12 @@ const rateLimit = require('express-rate-limit');
 const config = require('./config/config');
 const logger = require('./utils/logger');
 const routes = require('./routes');
+const storage = require('./services/storageService');
+const { startScheduler, stopScheduler } = require('./services/scheduleService');
+const { enableRedisEvents, stopEvents } = require('./services/eventService');
+const { startExternalChangePoller, stopExternalChangePoller } = require('./services/externalChangeService');
+const { setSessionStore } = require('./services/sessionStoreService');
+const { getAuditStatus } = require('./services/auditService');
 const { notFoundHandler, errorHandler } = require('./middleware/errorHandler');
 
 const app = express();
@@ -61,8 +67,8 @@ const corsOptions = {
   },
   credentials: true, // CRITICAL for cookies
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Cookie', 'Set-Cookie'],
-  exposedHeaders: ['set-cookie'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Cookie', 'Set-Cookie', 'X-Org-Id'],
+  exposedHeaders: ['set-cookie', 'Content-Disposition'],
   maxAge: 86400,
   preflightContinue: false,
   optionsSuccessStatus: 204,
@@ -137,6 +143,10 @@ async function initializeRedis() {
       });
       
       logger.info('✅ Redis session store initialized successfully');
+
+      // Snapshots and other bridge data share the session Redis connection
+      storage.setRedisClient(redisClient);
+      await enableRedisEvents(redisClient);
       return true;
     } catch (err) {
       logger.error('❌ Redis initialization failed:', err);
@@ -180,8 +190,11 @@ async function initializeSession() {
     sessionConfig.store = sessionStore;
     logger.info('✅ Using Redis session store');
   } else {
+    // Created here rather than by express-session so background jobs can reach it
+    sessionConfig.store = new session.MemoryStore();
     logger.warn('⚠️  Using in-memory session store');
   }
+  setSessionStore(sessionConfig.store);
   
   app.use(session(sessionConfig));
   logger.info('✅ Session middleware initialized');
@@ -217,12 +230,14 @@ async function startServer() {
     
     // 4. Health check
     app.get('/health', (req, res) => {
+      const audit = getAuditStatus();
       res.json({
-        status: 'ok',
+        status: audit.healthy ? 'ok' : 'degraded',
         timestamp: new Date().toISOString(),
         environment: config.nodeEnv,
         redis: redisClient?.isOpen ? 'connected' : 'disconnected',
         uptime: process.uptime(),
+        audit,
         session: {
           store: sessionStore ? 'redis' : 'memory',
           cookie: sessionConfig.cookie,
@@ -267,6 +282,12 @@ async function startServer() {
       logger.info(`🔐 Redis: ${redisClient?.isOpen ? 'Connected ✅' : 'Not Connected ⚠️'}`);
       logger.info(`🍪 Cookies: SameSite=none, Secure=true`);
       logger.info('='.repeat(60));
+
+      // 9. Run deactivation windows at their boundaries
+      startScheduler();
+
+      // 10. Watch connected orgs for rule changes made in Salesforce Setup
+      startExternalChangePoller();
     });
   } catch (err) {
     logger.error('Failed to start server:', err);
@@ -281,6 +302,10 @@ async function gracefulShutdown(signal) {
   logger.info(`${signal} received, shutting down gracefully...`);
   
   try {
+    stopScheduler();
+    stopExternalChangePoller();
+    await stopEvents();
+
     if (redisClient && redisClient.isOpen) {
       await redisClient.quit();
       logger.info('Redis client disconnected');
@@ -0,0 +1,382 @@
+/**
+ * Change Approval Service
+ * Holds production rule changes until a second user approves them.
+ * The request remembers the requester's session, apart from the request
+ * and only until it is decided or expires, so an approver runs the change
+ * as the person who asked for it with that session's login, read from the
+ * session store; no tokens are copied out of the session.
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const storage = require('./storageService');
+const { getOrgEnvironment } = require('./roleService');
+const { applyBypass } = require('./bypassService');
+const { createSnapshot, restoreSnapshot } = require('./snapshotService');
+const { createWindow, extendWindow } = require('./scheduleService');
+const { createSessionRequest } = require('./sessionStoreService');
+const { applyPlan } = require('./desiredStateService');
+const { deployPromotion } = require('./promotionService');
+const {
+  getOrgKey,
+  fetchValidationRules,
+  fetchValidationRule,
+  toggleValidationRule,
+  bulkToggleValidationRules,
+  updateValidationRule,
+  createValidationRule,
+  deleteValidationRule,
+} = require('./salesforceService');
+
+const APPROVAL_PREFIX = 'approval:';
+const LOGIN_PREFIX = 'approval-login:';
+
+const APPROVAL_STATUSES = ['pending', 'approved', 'failed', 'rejected', 'expired'];
+
+// Decided and expired requests stay visible for a week
+const DECIDED_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+// Long enough for a bulk change of BULK_MAX_RULES rules to finish
+const RUN_LOCK_SECONDS = 300;
+
+function approvalKey(orgKey, approvalId) {
+  return `${APPROVAL_PREFIX}${orgKey}:${approvalId}`;
+}
+
+function loginKey(orgKey, approvalId) {
+  return `${LOGIN_PREFIX}${orgKey}:${approvalId}`;
+}
+
+function approvalError(message, status, code) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+/**
+ * Whether changes in the request's org must be approved before they run
+ */
+function isApprovalRequired(req) {
+  return config.requireApproval && getOrgEnvironment(req.org) === 'production';
+}
+
+/**
+ * A pending request past its expiry is reported as expired
+ */
+function withCurrentStatus(approval) {
+  if (approval.status === 'pending' && Date.parse(approval.expiresAt) <= Date.now()) {
+    return { ...approval, status: 'expired' };
+  }
+  return approval;
+}
+
+/**
+ * Persist a request, keeping it until a week after it expires or is decided
+ */
+async function saveApproval(approval) {
+  const until = Math.max(Date.parse(approval.expiresAt), Date.parse(approval.decidedAt || 0));
+  const secondsUntil = Math.max(0, (until - Date.now()) / 1000);
+  await storage.setJSON(
+    approvalKey(approval.orgKey, approval.id),
+    approval,
+    Math.ceil(secondsUntil) + DECIDED_RETENTION_SECONDS
+  );
+}
+
+/**
+ * Load a request for the request's org or throw 404
+ */
+async function loadApproval(req, approvalId) {
+  const approval = await storage.getJSON(approvalKey(getOrgKey(req), approvalId));
+  if (!approval) {
+    throw approvalError('Approval request not found', 404, 'APPROVAL_NOT_FOUND');
+  }
+  return approval;
+}
+
+/**
+ * Names of the rules a change touches, for the approver to read
+ */
+async function describeRules(req, ruleIds) {
+  const { records } = await fetchValidationRules(req);
+  const byId = new Map(records.map((r) => [r.Id, r]));
+  const unknown = ruleIds.filter((id) => !byId.has(id));
+
+  if (unknown.length > 0) {
+    const err = approvalError('Some validation rules were not found', 400, 'RULE_NOT_FOUND');
+    err.details = unknown.map((id) => ({ message: `Rule ${id} not found` }));
+    throw err;
+  }
+
+  return ruleIds.map((id) => {
+    const rule = byId.get(id);
+    return { Id: rule.Id, ValidationName: rule.ValidationName, EntityName: rule.EntityName, Active: rule.Active };
+  });
+}
+
+/**
+ * Store a change as a pending approval request instead of running it
+ * type is toggle or bulk-toggle (with active), update (with changes), bypass,
+ * delete, or create, snapshot-create, snapshot-restore, schedule-create,
+ * schedule-extend, plan-apply and promotion-deploy (with what they need in details)
+ * Callers that already know the rules involved pass them as rules
+ */
+async function requestApproval(req, { type, ruleIds, rules: knownRules = null, active = null, changes = null, details = null }) {
+  let rules = knownRules;
+  let before = null;
+
+  if (rules) {
+    rules = rules.map(({ Id, ValidationName, EntityName, Active }) => ({ Id, ValidationName, EntityName, Active }));
+  } else if (type === 'update') {
+    // Keep the current values so the approver sees what the edit replaces
+    const rule = await fetchValidationRule(req, ruleIds[0]);
+    rules = [{ Id: rule.Id, ValidationName: rule.ValidationName, EntityName: rule.EntityName, Active: rule.Active }];
+    before = Object.fromEntries(Object.keys(changes).map((field) => [field, rule.Metadata[field] ?? null]));
+  } else {
+    rules = await describeRules(req, ruleIds);
+  }
+
+  const now = Date.now();
+  const approval = {
+    id: crypto.randomUUID(),
+    orgKey: getOrgKey(req),
+    type,
+    status: 'pending',
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + config.approvalTtlHours * 60 * 60 * 1000).toISOString(),
+    requestedBy: req.org.username || 'User',
+    rules,
+    active,
+    changes,
+    before,
+    details,
+    reason: req.changeReason?.reason ?? null,
+    ticketId: req.changeReason?.ticketId ?? null,
+    decidedBy: null,
+    decidedAt: null,
+    comment: null,
+    result: null,
+    error: null,
+  };
+
+  // The pointer to the requester's login goes away on its own when the request expires
+  await storage.setJSON(
+    loginKey(approval.orgKey, approval.id),
+    { sessionId: req.sessionID, orgId: req.org.orgId },
+    config.approvalTtlHours * 60 * 60
+  );
+  await saveApproval(approval);
+  logger.info(`${approval.requestedBy} requested approval ${approval.id} to ${type} ${rules.length} rules`);
+
+  return withCurrentStatus(approval);
+}
+
+/**
+ * List requests for the request's org, newest first
+ */
+async function listApprovals(req, { status } = {}) {
+  const approvals = await storage.listJSON(`${APPROVAL_PREFIX}${getOrgKey(req)}:`);
+  return approvals
+    .map(withCurrentStatus)
+    .filter((a) => !status || a.status === status)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Load a request that is still waiting for a decision by someone other than its requester
+ */
+async function loadDecidableApproval(req, approvalId) {
+  const approval = await loadApproval(req, approvalId);
+  const current = withCurrentStatus(approval);
+
+  if (current.status === 'expired') {
+    throw approvalError('This approval request has expired; the change must be requested again', 409, 'APPROVAL_EXPIRED');
+  }
+  if (current.status !== 'pending') {
+    throw approvalError(`This approval request is already ${current.status}`, 409, 'APPROVAL_DECIDED');
+  }
+  if ((approval.requestedBy || '').toLowerCase() === (req.org.username || '').toLowerCase()) {
+    throw approvalError('Changes must be approved or rejected by someone other than the requester', 403, 'SELF_APPROVAL');
+  }
+
+  return approval;
+}
+
+/**
+ * Run an approved change with the requester's login from the session store
+ * Throws SESSION_EXPIRED once the requester has logged out or the session ended
+ */
+async function runChange(approval, approverReq) {
+  const login = await storage.getJSON(loginKey(approval.orgKey, approval.id));
+  if (!login) {
+    throw approvalError('The requester\'s Salesforce login is no longer available; the change must be requested again', 409, 'APPROVAL_LOGIN_GONE');
+  }
+
+  const req = {
+    ...(await createSessionRequest(login.sessionId, login.orgId, 'approval')),
+    // Windows created on approval run with the requester's session
+    sessionID: login.sessionId,
+    approvedBy: approverReq.org.username || 'User',
+    ip: approverReq.ip,
+  };
+  const change = { reason: approval.reason, ticketId: approval.ticketId };
+  const ruleIds = approval.rules.map((r) => r.Id);
+  const details = approval.details || {};
+
+  switch (approval.type) {
+    case 'toggle':
+      return toggleValidationRule(req, ruleIds[0], approval.active, change);
+    case 'bulk-toggle':
+      return bulkToggleValidationRules(req, ruleIds, approval.active, change);
+    case 'update':
+      return updateValidationRule(req, ruleIds[0], approval.changes, change);
+    case 'bypass':
+      return applyBypass(req, ruleIds, change);
+    case 'create':
+      return createValidationRule(req, details.rule, change);
+    case 'delete':
+      return deleteValidationRule(req, ruleIds[0], change);
+    case 'snapshot-create':
+      return createSnapshot(req, { objects: details.objects, change });
+    case 'snapshot-restore':
+      return restoreSnapshot(req, details.snapshotId, change);
+    case 'schedule-create':
+      if (Date.parse(details.endAt) <= Date.now()) {
+        throw approvalError('The requested window has already ended', 409, 'SCHEDULE_FINISHED');
+      }
+      return createWindow(req, {
+        ruleIds,
+        startAt: new Date(details.startAt),
+        endAt: new Date(details.endAt),
+        change,
+      });
+    case 'schedule-extend':
+      return extendWindow(req, details.windowId, details.minutes, change);
+    case 'plan-apply':
+      return applyPlan(req, details.planId, change);
+    case 'promotion-deploy':
+      return deployPromotion(req, details.promotionId, { confirmOverwrite: details.confirmOverwrite, change });
+    default:
+      throw approvalError(`Unknown change type ${approval.type}`, 500, 'INVALID_APPROVAL');
+  }
+}
+
+/**
+ * Run a decision while holding the request's lock, so two approvers
+ * clicking at once cannot both decide it (or run the change twice)
+ */
+async function withDecisionLock(approvalId, decide) {
+  const lock = await storage.acquireLock(`approval:${approvalId}`, RUN_LOCK_SECONDS);
+  if (!lock) {
+    throw approvalError('This approval request is already being decided', 409, 'APPROVAL_IN_PROGRESS');
+  }
+
+  try {
+    return await decide();
+  } finally {
+    await storage.releaseLock(`approval:${approvalId}`, lock);
+  }
+}
+
+/**
+ * Store a decided request and drop the requester's login, which is no longer needed
+ */
+async function saveDecision(approval) {
+  await saveApproval(approval);
+  await storage.deleteKey(loginKey(approval.orgKey, approval.id));
+}
+
+/**
+ * Approve a pending request and run its change
+ * A change that throws marks the request failed; bulk results are kept either way
+ */
+function approveRequest(req, approvalId, comment = null) {
+  return withDecisionLock(approvalId, async () => {
+    const approval = await loadDecidableApproval(req, approvalId);
+
+    approval.decidedBy = req.org.username || 'User';
+    approval.decidedAt = new Date().toISOString();
+    approval.comment = comment;
+
+    try {
+      approval.result = await runChange(approval, req);
+      approval.status = 'approved';
+      logger.info(`${approval.decidedBy} approved ${approval.id} from ${approval.requestedBy}`);
+    } catch (err) {
+      approval.status = 'failed';
+      approval.error = err.code === 'SESSION_EXPIRED'
+        ? 'The requester\'s Salesforce login has expired; the change must be requested again'
+        : err.message;
+      approval.result = err.details ? { details: err.details } : null;
+      logger.error(`Approved change ${approval.id} failed:`, err.message);
+    }
+
+    await saveDecision(approval);
+    return withCurrentStatus(approval);
+  });
+}
+
+/**
+ * Reject a pending request without running it
+ */
+function rejectRequest(req, approvalId, comment = null) {
+  return withDecisionLock(approvalId, async () => {
+    const approval = await loadDecidableApproval(req, approvalId);
+
+    approval.status = 'rejected';
+    approval.decidedBy = req.org.username || 'User';
+    approval.decidedAt = new Date().toISOString();
+    approval.comment = comment;
+
+    await saveDecision(approval);
+    logger.info(`${approval.decidedBy} rejected ${approval.id} from ${approval.requestedBy}`);
+
+    return withCurrentStatus(approval);
+  });
+}
+
+/**
+ * Withdraw the pending requests a session made in an org when it logs out,
+ * deleting the login each one kept
+ * Requests being decided right now are left to finish
+ */
+async function withdrawSessionApprovals(sessionId, orgKey) {
+  const keys = await storage.listKeys(`${LOGIN_PREFIX}${orgKey}:`);
+  let withdrawn = 0;
+
+  for (const key of keys) {
+    const login = await storage.getJSON(key);
+    if (login?.sessionId !== sessionId) continue;
+
+    const approvalId = key.slice(key.lastIndexOf(':') + 1);
+    const lock = await storage.acquireLock(`approval:${approvalId}`, RUN_LOCK_SECONDS);
+    if (!lock) continue;
+
+    try {
+      const approval = await storage.getJSON(approvalKey(orgKey, approvalId));
+      if (approval?.status === 'pending') {
+        approval.status = 'expired';
+        approval.error = 'The requester logged out before the change was decided';
+        await saveApproval(approval);
+        withdrawn += 1;
+      }
+      await storage.deleteKey(key);
+    } finally {
+      await storage.releaseLock(`approval:${approvalId}`, lock);
+    }
+  }
+
+  return withdrawn;
+}
+
+module.exports = {
+  APPROVAL_STATUSES,
+  isApprovalRequired,
+  requestApproval,
+  listApprovals,
+  approveRequest,
+  rejectRequest,
+  withdrawSessionApprovals,
+};
@@ -0,0 +1,210 @@
+/**
+ * Audit Service
+ * Records who changed which rule, when, and from what to what.
+ * Entries go to a Redis list when Redis is connected, otherwise
+ * to a JSON-lines file that is rotated once it holds auditMaxEntries.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const storage = require('./storageService');
+const { sendRuleChange } = require('./webhookService');
+const { publishEvent } = require('./eventService');
+const { getInstanceHost } = require('../utils/domains');
+
+const AUDIT_KEY = 'audit';
+
+const AUDIT_ACTIONS = ['toggle', 'update', 'create', 'delete', 'promote', 'bypass'];
+
+// Entries in the current audit file, counted on its first write
+let fileCount = null;
+// File writes run one at a time, so a rotation never splits an append
+let fileQueue = Promise.resolve();
+
+// Writes that failed since startup, reported by /health
+const writeStatus = {
+  failedWrites: 0,
+  lastFailedAt: null,
+  lastError: null,
+  lastWrittenAt: null,
+};
+let lastWriteFailed = false;
+
+/**
+ * The file the audit log is rotated into
+ */
+function rotatedFile() {
+  return `${config.auditLogFile}.1`;
+}
+
+/**
+ * Read the lines of an audit file, oldest first
+ */
+async function readLines(file) {
+  try {
+    const content = await fs.readFile(file, 'utf8');
+    return content.split('\n').filter((line) => line.trim());
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+/**
+ * Append an entry to the audit file, first moving a full file to
+ * rotatedFile() (replacing the previous one)
+ */
+async function writeToFile(entry) {
+  const file = config.auditLogFile;
+
+  try {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    if (fileCount?.file !== file) {
+      fileCount = { file, entries: (await readLines(file)).length };
+    }
+
+    if (fileCount.entries >= config.auditMaxEntries) {
+      await fs.rename(file, rotatedFile());
+      fileCount.entries = 0;
+    }
+
+    await fs.appendFile(file, `${JSON.stringify(entry)}\n`, 'utf8');
+    fileCount.entries += 1;
+  } catch (err) {
+    // Count again next time rather than trust a count the failure may have left wrong
+    fileCount = null;
+    throw err;
+  }
+}
+
+/**
+ * Queue an entry for the audit file
+ */
+function appendToFile(entry) {
+  const write = fileQueue.then(() => writeToFile(entry));
+  fileQueue = write.catch(() => {});
+  return write;
+}
+
+/**
+ * Read the newest auditMaxEntries entries from the audit files, newest first
+ */
+async function readFromFile() {
+  const lines = [...await readLines(rotatedFile()), ...await readLines(config.auditLogFile)];
+
+  const entries = [];
+  for (const line of lines) {
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      logger.warn('Skipping unreadable audit log line');
+    }
+  }
+  return entries.reverse().slice(0, config.auditMaxEntries);
+}
+
+/**
+ * Report whether audit entries are being written; unhealthy while the
+ * last write failed
+ */
+function getAuditStatus() {
+  return {
+    healthy: !lastWriteFailed,
+    ...writeStatus,
+  };
+}
+
+/**
+ * Record a rule change
+ * Failures are logged and counted in getAuditStatus(), never thrown,
+ * so auditing cannot block a change
+ */
+async function recordAudit(req, { action, ruleId, ruleName, entityName, before = null, after = null, reason = null, ticketId = null }) {
+  const entry = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    action,
+    username: req.org?.username || 'Unknown',
+    orgId: req.org?.orgId || null,
+    orgUrl: req.org?.instance_url || null,
+    orgKey: getInstanceHost(req.org?.instance_url),
+    ruleId,
+    ruleName: ruleName || null,
+    entityName: entityName || null,
+    before,
+    after,
+    reason,
+    ticketId,
+    ip: req.ip || null,
+    source: req.auditSource || 'user',
+    approvedBy: req.approvedBy || null,
+  };
+
+  try {
+    if (storage.isRedisReady()) {
+      await storage.pushList(AUDIT_KEY, entry, config.auditMaxEntries);
+    } else {
+      await appendToFile(entry);
+    }
+    writeStatus.lastWrittenAt = new Date().toISOString();
+    lastWriteFailed = false;
+  } catch (err) {
+    lastWriteFailed = true;
+    writeStatus.failedWrites += 1;
+    writeStatus.lastFailedAt = new Date().toISOString();
+    writeStatus.lastError = err.message;
+    logger.error(`Failed to write audit entry for ${action} on ${entityName}.${ruleName} by ${entry.username}:`, err.message);
+  }
+
+  sendRuleChange(entry);
+
+  publishEvent(entry.orgKey, 'rule-changed', {
+    action: entry.action,
+    ruleId: entry.ruleId,
+    ruleName: entry.ruleName,
+    entityName: entry.entityName,
+    active: entry.after?.active ?? null,
+    username: entry.username,
+    source: entry.source,
+    timestamp: entry.timestamp,
+  });
+
+  return entry;
+}
+
+/**
+ * Query audit entries for an org, newest first
+ */
+async function queryAudit({ orgKey, username, ruleId, action, search, from, to, limit = 100, offset = 0 }) {
+  const entries = storage.isRedisReady()
+    ? await storage.getList(AUDIT_KEY)
+    : await readFromFile();
+
+  const term = search?.toLowerCase();
+  const userTerm = username?.toLowerCase();
+
+  const matches = entries.filter((e) =>
+    e.orgKey === orgKey &&
+    (!userTerm || e.username.toLowerCase().includes(userTerm)) &&
+    (!ruleId || e.ruleId === ruleId) &&
+    (!action || e.action === action) &&
+    (!term || `${e.entityName}.${e.ruleName}`.toLowerCase().includes(term)) &&
+    (!from || e.timestamp >= from) &&
+    (!to || e.timestamp <= to)
+  );
+
+  return {
+    total: matches.length,
+    entries: matches.slice(offset, offset + limit),
+  };
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  recordAudit,
+  queryAudit,
+  getAuditStatus,
+};
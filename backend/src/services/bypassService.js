@@ -0,0 +1,168 @@
+/**
+ * Bypass Clause Service
+ * Wraps rule formulas with the org standard bypass expression (BYPASS_EXPRESSION)
+ */
+
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { tokenizeFormula } = require('../utils/formulaParser');
+const { parseFormula } = require('../utils/formulaEvaluator');
+const { fetchValidationRule, updateValidationRule } = require('./salesforceService');
+
+// Same limit the rule editor enforces on errorConditionFormula
+const MAX_FORMULA_LENGTH = 3900;
+
+/**
+ * Tokens compared without case, so layout and capitalisation do not matter
+ */
+function normalizedTokens(formula) {
+  return tokenizeFormula(formula).map((t) => (t.type === 'string' ? t.value : t.value.toUpperCase()));
+}
+
+/**
+ * Whether the formula already contains the bypass expression anywhere
+ */
+function hasBypass(formula, expression = config.bypassExpression) {
+  const tokens = normalizedTokens(formula);
+  const wanted = normalizedTokens(expression);
+
+  for (let i = 0; i + wanted.length <= tokens.length; i++) {
+    if (wanted.every((value, j) => tokens[i + j] === value)) return true;
+  }
+  return false;
+}
+
+/**
+ * Whether the formula checks some other $Permission or $Setup value
+ */
+function hasOtherBypass(formula) {
+  return tokenizeFormula(formula).some((t) => t.type === 'identifier' && /^\$(?:permission|setup)\./i.test(t.value));
+}
+
+/**
+ * Prefix a formula with the bypass expression
+ * The original condition keeps its own parentheses unless it is a single term or an && chain
+ */
+function wrapFormula(formula, expression = config.bypassExpression) {
+  const condition = formula.trim();
+  let needsParens = true;
+
+  try {
+    const tree = parseFormula(condition);
+    needsParens = tree.type === 'binary' && tree.op === '||';
+  } catch {
+    // Leave formulas the local parser cannot read in parentheses
+  }
+
+  return needsParens ? `${expression} && (\n${condition}\n)` : `${expression} && ${condition}`;
+}
+
+/**
+ * What adding the bypass would do to one rule
+ * status: ready, has-bypass or too-long
+ */
+function planBypass(rule) {
+  const formula = rule.ErrorConditionFormula || '';
+  const base = {
+    Id: rule.Id,
+    EntityName: rule.EntityName,
+    ValidationName: rule.ValidationName,
+    Active: rule.Active,
+    formula,
+    otherBypass: false,
+    newFormula: null,
+  };
+
+  if (hasBypass(formula)) return { ...base, status: 'has-bypass' };
+
+  const newFormula = wrapFormula(formula);
+  const status = newFormula.length > MAX_FORMULA_LENGTH ? 'too-long' : 'ready';
+
+  return { ...base, status, otherBypass: hasOtherBypass(formula), newFormula };
+}
+
+/**
+ * Preview the new formula of each rule without saving anything
+ */
+async function previewBypass(req, ruleIds) {
+  const rules = await mapWithConcurrency(ruleIds, config.bulkConcurrency, async (ruleId) => {
+    try {
+      return planBypass(await fetchValidationRule(req, ruleId));
+    } catch (err) {
+      return { Id: ruleId, status: 'error', error: err.message, code: err.code || 'FETCH_FAILED' };
+    }
+  });
+
+  return {
+    expression: config.bypassExpression,
+    summary: {
+      ready: rules.filter((r) => r.status === 'ready').length,
+      hasBypass: rules.filter((r) => r.status === 'has-bypass').length,
+      failed: rules.filter((r) => ['too-long', 'error'].includes(r.status)).length,
+    },
+    rules,
+  };
+}
+
+/**
+ * Add the bypass to each rule that lacks it
+ * Formulas are read again before saving, so a rule changed since the preview is wrapped as it is now
+ */
+async function applyBypass(req, ruleIds, change = {}) {
+  const results = await mapWithConcurrency(ruleIds, config.bulkConcurrency, async (ruleId) => {
+    try {
+      const plan = planBypass(await fetchValidationRule(req, ruleId));
+
+      if (plan.status === 'has-bypass') {
+        return { Id: ruleId, success: true, skipped: true, formula: plan.formula };
+      }
+
+      if (plan.status === 'too-long') {
+        return {
+          Id: ruleId,
+          success: false,
+          error: `The formula would be longer than ${MAX_FORMULA_LENGTH} characters`,
+          code: 'FORMULA_TOO_LONG',
+        };
+      }
+
+      await updateValidationRule(req, ruleId, { errorConditionFormula: plan.newFormula }, {
+        action: 'bypass',
+        ...change,
+      });
+      return { Id: ruleId, success: true, skipped: false, formula: plan.newFormula };
+    } catch (err) {
+      return {
+        Id: ruleId,
+        success: false,
+        error: err.message,
+        code: err.code || 'BYPASS_FAILED',
+        details: err.details,
+      };
+    }
+  });
+
+  const failed = results.filter((r) => !r.success).length;
+  const skipped = results.filter((r) => r.skipped).length;
+  logger.info(`Bypass added to ${results.length - failed - skipped} rules - ${skipped} already had it, ${failed} failed`);
+
+  return {
+    success: failed === 0,
+    expression: config.bypassExpression,
+    total: results.length,
+    updated: results.length - failed - skipped,
+    skipped,
+    failed,
+    reason: change.reason ?? null,
+    ticketId: change.ticketId ?? null,
+    results,
+  };
+}
+
+module.exports = {
+  hasBypass,
+  wrapFormula,
+  previewBypass,
+  applyBypass,
+};
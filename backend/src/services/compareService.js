@@ -0,0 +1,209 @@
+/**
+ * Compare Service
+ * Compares validation rules between two connected orgs or an org and an uploaded metadata zip
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const storage = require('./storageService');
+const { readZip } = require('../utils/zip');
+const { parseValidationRuleXml, parseObjectValidationRules } = require('../utils/metadataXml');
+const { fetchRulesForExport } = require('./exportService');
+const { getOrgRequest, toLongOrgId } = require('./orgService');
+
+const UPLOAD_PREFIX = 'compare-upload:';
+
+// Uploads only live long enough to run a few comparisons
+const UPLOAD_TTL_SECONDS = 60 * 60;
+
+// Fields compared for rules that exist on both sides
+const COMPARED_FIELDS = ['Active', 'ErrorConditionFormula', 'ErrorMessage', 'ErrorDisplayField'];
+
+// objects/<Object>/validationRules/<Rule>.validationRule-meta.xml, optionally under force-app/...
+const SOURCE_FILE_PATTERN = /(?:^|\/)objects\/([^/]+)\/validationRules\/([^/]+)\.validationRule-meta\.xml$/;
+// objects/<Object>.object from a metadata API retrieve
+const OBJECT_FILE_PATTERN = /(?:^|\/)objects\/([^/]+)\.object$/;
+
+const UPLOAD_SIDE_PATTERN = /^upload:([0-9a-f-]{36})$/i;
+
+/**
+ * One form per side, so a 15 and an 18 character ID of the same org match
+ */
+function sideKey(side) {
+  return UPLOAD_SIDE_PATTERN.test(side) ? side.toLowerCase() : toLongOrgId(side);
+}
+
+function ruleKey(rule) {
+  return `${rule.EntityName}.${rule.ValidationName}`.toLowerCase();
+}
+
+/**
+ * Rule fields in the shape both sides are compared in
+ */
+function toComparedRule(entityName, validationName, metadata, id = null) {
+  return {
+    Id: id,
+    EntityName: entityName,
+    ValidationName: validationName,
+    Active: metadata.active === true,
+    ErrorConditionFormula: metadata.errorConditionFormula || '',
+    ErrorMessage: metadata.errorMessage || '',
+    ErrorDisplayField: metadata.errorDisplayField || '',
+    Description: metadata.description || '',
+  };
+}
+
+/**
+ * Read validation rules from a zip in SFDX source or metadata API format
+ */
+function readRulesFromZip(buffer) {
+  const rules = [];
+
+  for (const file of readZip(buffer)) {
+    const sourceMatch = file.name.match(SOURCE_FILE_PATTERN);
+    if (sourceMatch) {
+      const metadata = parseValidationRuleXml(file.content.toString('utf8'));
+      rules.push(toComparedRule(sourceMatch[1], sourceMatch[2], metadata));
+      continue;
+    }
+
+    const objectMatch = file.name.match(OBJECT_FILE_PATTERN);
+    if (objectMatch) {
+      for (const metadata of parseObjectValidationRules(file.content.toString('utf8'))) {
+        if (metadata.fullName) rules.push(toComparedRule(objectMatch[1], metadata.fullName, metadata));
+      }
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Store an uploaded metadata zip's rules for comparison
+ */
+async function createUpload(req, { content, filename }) {
+  const rules = readRulesFromZip(Buffer.from(content, 'base64'));
+
+  if (rules.length === 0) {
+    const err = new Error('No validation rules found in the zip; expected objects/<Object>/validationRules/*.validationRule-meta.xml or objects/<Object>.object');
+    err.status = 400;
+    err.code = 'NO_RULES_IN_ZIP';
+    throw err;
+  }
+
+  const upload = {
+    id: crypto.randomUUID(),
+    // Uploads are private to the session that made them
+    sessionId: req.sessionID,
+    filename: filename || 'metadata.zip',
+    uploadedAt: new Date().toISOString(),
+    rules,
+  };
+
+  await storage.setJSON(`${UPLOAD_PREFIX}${upload.id}`, upload, UPLOAD_TTL_SECONDS);
+  logger.info(`Stored comparison upload ${upload.id} - ${rules.length} rules from ${upload.filename}`);
+
+  return { id: upload.id, filename: upload.filename, uploadedAt: upload.uploadedAt, count: rules.length };
+}
+
+/**
+ * Load one side of a comparison: a connected org ID or upload:<id>
+ */
+async function loadSide(req, side) {
+  const uploadMatch = side.match(UPLOAD_SIDE_PATTERN);
+
+  if (uploadMatch) {
+    const upload = await storage.getJSON(`${UPLOAD_PREFIX}${uploadMatch[1]}`);
+    if (!upload || upload.sessionId !== req.sessionID) {
+      const err = new Error('Upload not found or expired, please upload the zip again');
+      err.status = 404;
+      err.code = 'UPLOAD_NOT_FOUND';
+      throw err;
+    }
+    return {
+      side: { type: 'upload', id: side, label: upload.filename },
+      rules: upload.rules,
+    };
+  }
+
+  const orgReq = sideKey(side) === toLongOrgId(req.org.orgId) ? req : getOrgRequest(req, side);
+  const rules = await fetchRulesForExport(orgReq, {});
+
+  return {
+    side: {
+      type: 'org',
+      id: orgReq.org.orgId,
+      label: orgReq.org.orgName || new URL(orgReq.org.instance_url).host,
+      username: orgReq.org.username,
+      isSandbox: Boolean(orgReq.org.isSandbox),
+    },
+    rules: rules.map((r) => toComparedRule(r.EntityName, r.ValidationName, r.Metadata, r.Id)),
+  };
+}
+
+/**
+ * Fields that differ between two versions of a rule
+ * Line endings and trailing whitespace are not differences
+ */
+function diffFields(source, target) {
+  const normalize = (value) => (typeof value === 'string' ? value.replace(/\r\n/g, '\n').trimEnd() : value);
+  return COMPARED_FIELDS.filter((field) => normalize(source[field]) !== normalize(target[field]));
+}
+
+/**
+ * Compare the rules on two sides, matched by object and rule name
+ */
+async function compareRules(req, { source, target }) {
+  if (sideKey(source) === sideKey(target)) {
+    const err = new Error('Pick two different sides to compare');
+    err.status = 400;
+    err.code = 'SAME_COMPARE_SIDES';
+    throw err;
+  }
+
+  const [left, right] = await Promise.all([loadSide(req, source), loadSide(req, target)]);
+
+  const sourceRules = new Map(left.rules.map((r) => [ruleKey(r), r]));
+  const targetRules = new Map(right.rules.map((r) => [ruleKey(r), r]));
+  const keys = [...new Set([...sourceRules.keys(), ...targetRules.keys()])];
+
+  const rules = keys.map((key) => {
+    const s = sourceRules.get(key) || null;
+    const t = targetRules.get(key) || null;
+    const { EntityName, ValidationName } = s || t;
+
+    const differences = s && t ? diffFields(s, t) : [];
+    let status = 'only-source';
+    if (s && t) status = differences.length > 0 ? 'different' : 'identical';
+    else if (t) status = 'only-target';
+
+    return { key, EntityName, ValidationName, status, differences, source: s, target: t };
+  }).sort((a, b) => a.EntityName.localeCompare(b.EntityName) || a.ValidationName.localeCompare(b.ValidationName));
+
+  const count = (status) => rules.filter((r) => r.status === status).length;
+
+  logger.info(`Compared ${left.side.label} with ${right.side.label} - ${rules.length} rules`);
+
+  return {
+    comparedAt: new Date().toISOString(),
+    source: left.side,
+    target: right.side,
+    summary: {
+      total: rules.length,
+      onlySource: count('only-source'),
+      onlyTarget: count('only-target'),
+      activeDiffers: rules.filter((r) => r.differences.includes('Active')).length,
+      definitionDiffers: rules.filter((r) => r.differences.some((field) => field !== 'Active')).length,
+      identical: count('identical'),
+    },
+    rules,
+  };
+}
+
+module.exports = {
+  COMPARED_FIELDS,
+  toComparedRule,
+  diffFields,
+  createUpload,
+  compareRules,
+};
@@ -0,0 +1,190 @@
+/**
+ * Desired State Service
+ * Compares a desired activation state file with the org (plan) and applies it
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const storage = require('./storageService');
+const { parseDesiredState } = require('../utils/desiredState');
+const {
+  getOrgKey,
+  fetchValidationRules,
+  bulkToggleValidationRules,
+} = require('./salesforceService');
+
+const PLAN_PREFIX = 'plan:';
+
+// Plans describe the org at one moment, so they are short-lived
+const PLAN_TTL_SECONDS = 60 * 60;
+
+// Long enough for both bulk toggles of a plan to finish
+const APPLY_LOCK_SECONDS = 300;
+
+function planKey(orgKey, planId) {
+  return `${PLAN_PREFIX}${orgKey}:${planId}`;
+}
+
+/**
+ * Build a plan from a desired state file
+ */
+async function createPlan(req, { content, format, filename }) {
+  const { entries, errors } = parseDesiredState(content, format);
+  const { records } = await fetchValidationRules(req);
+
+  const live = new Map(records.map((r) => [`${r.EntityName}.${r.ValidationName}`.toLowerCase(), r]));
+
+  const changes = entries.map(({ fullName, active }) => {
+    const rule = live.get(fullName.toLowerCase());
+
+    if (!rule) {
+      return { fullName, Id: null, currentActive: null, desiredActive: active, action: 'missing' };
+    }
+
+    let action = 'unchanged';
+    if (rule.Active !== active) action = active ? 'enable' : 'disable';
+
+    return {
+      fullName: `${rule.EntityName}.${rule.ValidationName}`,
+      Id: rule.Id,
+      currentActive: rule.Active,
+      desiredActive: active,
+      action,
+    };
+  });
+
+  const count = (action) => changes.filter((c) => c.action === action).length;
+
+  const plan = {
+    id: crypto.randomUUID(),
+    orgKey: getOrgKey(req),
+    filename: filename || null,
+    format,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + PLAN_TTL_SECONDS * 1000).toISOString(),
+    createdBy: req.org.username || 'User',
+    status: 'planned',
+    summary: {
+      enable: count('enable'),
+      disable: count('disable'),
+      unchanged: count('unchanged'),
+      missing: count('missing'),
+      // Rules in the org that the file does not mention are left alone
+      unlisted: records.length - (changes.length - count('missing')),
+      invalid: errors.length,
+    },
+    changes,
+    errors,
+  };
+
+  await storage.setJSON(planKey(plan.orgKey, plan.id), plan, PLAN_TTL_SECONDS);
+  logger.info(`Created desired state plan ${plan.id} - ${plan.summary.enable} to enable, ${plan.summary.disable} to disable`);
+
+  return plan;
+}
+
+/**
+ * Load a plan that has not been applied yet, or throw
+ */
+async function loadPlan(req, planId) {
+  const plan = await storage.getJSON(planKey(getOrgKey(req), planId));
+
+  if (!plan) {
+    const err = new Error('Plan not found or expired, please upload the file again');
+    err.status = 404;
+    err.code = 'PLAN_NOT_FOUND';
+    throw err;
+  }
+
+  if (plan.status === 'applied') {
+    const err = new Error('Plan has already been applied');
+    err.status = 409;
+    err.code = 'PLAN_ALREADY_APPLIED';
+    throw err;
+  }
+
+  return plan;
+}
+
+/**
+ * Keep a plan at least until a given time, e.g. while its apply waits for approval
+ */
+async function keepPlanUntil(plan, until) {
+  const seconds = Math.ceil((Date.parse(until) - Date.now()) / 1000);
+  await storage.setJSON(planKey(plan.orgKey, plan.id), plan, Math.max(PLAN_TTL_SECONDS, seconds));
+}
+
+/**
+ * Execute a plan's enable and disable steps
+ * Holds a lock on the plan so two requests cannot apply it at once
+ */
+async function applyPlan(req, planId, change = {}) {
+  const lockKey = `plan-apply:${getOrgKey(req)}:${planId}`;
+  const lock = await storage.acquireLock(lockKey, APPLY_LOCK_SECONDS);
+  if (!lock) {
+    const err = new Error('Plan is already being applied');
+    err.status = 409;
+    err.code = 'PLAN_APPLY_IN_PROGRESS';
+    throw err;
+  }
+
+  try {
+    return await runPlan(req, planId, change);
+  } finally {
+    await storage.releaseLock(lockKey, lock);
+  }
+}
+
+/**
+ * Toggle a plan's rules and store the results; the caller holds the plan's lock
+ */
+async function runPlan(req, planId, change) {
+  // Loaded under the lock, so a plan applied meanwhile is refused
+  const plan = await loadPlan(req, planId);
+  const key = planKey(plan.orgKey, plan.id);
+
+  const toEnable = plan.changes.filter((c) => c.action === 'enable');
+  const toDisable = plan.changes.filter((c) => c.action === 'disable');
+
+  const run = async (items, active) => {
+    if (items.length === 0) return [];
+    const bulk = await bulkToggleValidationRules(req, items.map((c) => c.Id), active, change);
+    return bulk.results.map((result, index) => ({
+      fullName: items[index].fullName,
+      Id: result.Id,
+      action: items[index].action,
+      success: result.success,
+      error: result.error,
+    }));
+  };
+
+  const results = [...await run(toEnable, true), ...await run(toDisable, false)];
+  const failed = results.filter((r) => !r.success).length;
+
+  const applied = {
+    ...plan,
+    status: 'applied',
+    appliedAt: new Date().toISOString(),
+    appliedBy: req.org.username || 'User',
+    results,
+  };
+  await storage.setJSON(key, applied, PLAN_TTL_SECONDS);
+
+  logger.info(`Applied desired state plan ${plan.id} - ${results.length - failed} succeeded, ${failed} failed`);
+
+  return {
+    success: failed === 0,
+    plan: applied,
+    total: results.length,
+    succeeded: results.length - failed,
+    failed,
+    results,
+  };
+}
+
+module.exports = {
+  createPlan,
+  loadPlan,
+  keepPlanUntil,
+  applyPlan,
+};
@@ -0,0 +1,125 @@
+/**
+ * Event Service
+ * Pushes server-sent events to every browser connected to an org.
+ * With Redis, events go through pub/sub so sessions on other
+ * instances receive them too; otherwise they stay in this process.
+ */
+
+const logger = require('../utils/logger');
+
+const EVENT_CHANNEL = 'bridge:events';
+
+// orgKey -> Set of open event-stream responses
+const clients = new Map();
+
+let publisher = null;
+let subscriber = null;
+
+/**
+ * Write an event to every stream open on an org in this process
+ */
+function deliverLocally(orgKey, type, data) {
+  const streams = clients.get(orgKey);
+  if (!streams) return;
+
+  const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+  streams.forEach((res) => {
+    res.write(message);
+    // compression buffers responses; push the event out now
+    res.flush?.();
+  });
+}
+
+/**
+ * Register an open event stream for an org
+ * Returns a function that unregisters it
+ */
+function addClient(orgKey, res) {
+  if (!clients.has(orgKey)) {
+    clients.set(orgKey, new Set());
+  }
+  clients.get(orgKey).add(res);
+
+  return () => {
+    const streams = clients.get(orgKey);
+    if (!streams) return;
+
+    streams.delete(res);
+    if (streams.size === 0) {
+      clients.delete(orgKey);
+    }
+  };
+}
+
+/**
+ * Relay events between instances over Redis pub/sub
+ * Subscribing needs a connection of its own, so the client is duplicated
+ */
+async function enableRedisEvents(client) {
+  try {
+    subscriber = client.duplicate();
+    subscriber.on('error', (err) => logger.error('Redis event subscriber error:', err.message));
+    await subscriber.connect();
+
+    await subscriber.subscribe(EVENT_CHANNEL, (raw) => {
+      try {
+        const { orgKey, type, data } = JSON.parse(raw);
+        deliverLocally(orgKey, type, data);
+      } catch (err) {
+        logger.error('Ignoring malformed live event:', err.message);
+      }
+    });
+
+    publisher = client;
+    logger.info('✅ Live events using Redis pub/sub');
+  } catch (err) {
+    logger.error('Redis event subscription failed, live events stay on this instance:', err.message);
+    subscriber = null;
+    publisher = null;
+  }
+}
+
+/**
+ * Send an event to everyone connected to an org
+ * Never throws, so live updates cannot break the change that caused them
+ */
+function publishEvent(orgKey, type, data) {
+  if (!orgKey) return;
+
+  if (publisher && publisher.isReady && subscriber && subscriber.isReady) {
+    publisher.publish(EVENT_CHANNEL, JSON.stringify({ orgKey, type, data }))
+      .catch((err) => {
+        logger.error(`Failed to publish ${type} event:`, err.message);
+        deliverLocally(orgKey, type, data);
+      });
+    return;
+  }
+
+  try {
+    deliverLocally(orgKey, type, data);
+  } catch (err) {
+    logger.error(`Failed to send ${type} event:`, err.message);
+  }
+}
+
+/**
+ * Close open streams and the Redis subscriber on shutdown
+ */
+async function stopEvents() {
+  clients.forEach((streams) => streams.forEach((res) => res.end()));
+  clients.clear();
+
+  if (subscriber && subscriber.isOpen) {
+    await subscriber.quit();
+  }
+  subscriber = null;
+  publisher = null;
+}
+
+module.exports = {
+  addClient,
+  enableRedisEvents,
+  publishEvent,
+  stopEvents,
+};
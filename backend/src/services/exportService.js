@@ -0,0 +1,122 @@
+/**
+ * Export Service
+ * Exports validation rules with their full metadata as CSV, JSON or a metadata zip
+ */
+
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { toCsv } = require('../utils/csv');
+const { createZip } = require('../utils/zip');
+const { validationRuleToXml, packageXml } = require('../utils/metadataXml');
+const {
+  getOrgKey,
+  fetchValidationRules,
+  fetchValidationRule,
+} = require('./salesforceService');
+
+const EXPORT_FORMATS = ['csv', 'json', 'xml'];
+
+const CSV_COLUMNS = [
+  'EntityName',
+  'ValidationName',
+  'FullName',
+  'Id',
+  'Active',
+  'Description',
+  'ErrorConditionFormula',
+  'ErrorMessage',
+  'ErrorDisplayField',
+  'CreatedByName',
+  'CreatedDate',
+  'LastModifiedByName',
+  'LastModifiedDate',
+];
+
+/**
+ * Fetch the full definition of every rule matching the search and status filter
+ * Matches the frontend's rule name / object search
+ */
+async function fetchRulesForExport(req, { search = '', status = 'all' }) {
+  const { records } = await fetchValidationRules(req);
+  const term = search.toLowerCase();
+
+  const matching = records.filter((r) =>
+    (r.ValidationName.toLowerCase().includes(term) || r.EntityName.toLowerCase().includes(term)) &&
+    (status === 'all' || (status === 'active' && r.Active) || (status === 'inactive' && !r.Active))
+  );
+
+  // Metadata can only be read one rule at a time
+  const rules = await mapWithConcurrency(matching, config.bulkConcurrency, (r) =>
+    fetchValidationRule(req, r.Id)
+  );
+
+  return rules.sort((a, b) =>
+    a.EntityName.localeCompare(b.EntityName) || a.ValidationName.localeCompare(b.ValidationName)
+  );
+}
+
+/**
+ * Build the SFDX source layout zip for a set of rules
+ */
+function buildMetadataZip(rules) {
+  const files = rules.map((rule) => ({
+    name: `objects/${rule.EntityName}/validationRules/${rule.ValidationName}.validationRule-meta.xml`,
+    content: validationRuleToXml(rule.ValidationName, rule.Metadata),
+  }));
+
+  files.push({
+    name: 'package.xml',
+    content: packageXml(
+      { ValidationRule: rules.map((rule) => `${rule.EntityName}.${rule.ValidationName}`) },
+      config.toolingApiVersion.replace(/^v/, '')
+    ),
+  });
+
+  return createZip(files);
+}
+
+/**
+ * Export rules in the given format
+ * Returns the file body with its name and content type
+ */
+async function exportValidationRules(req, { format, search, status }) {
+  const rules = await fetchRulesForExport(req, { search, status });
+  const stamp = new Date().toISOString().slice(0, 10);
+  const baseName = `validation-rules-${getOrgKey(req).split('.')[0]}-${stamp}`;
+
+  logger.info(`Exporting ${rules.length} validation rules as ${format}`);
+
+  if (format === 'csv') {
+    return {
+      filename: `${baseName}.csv`,
+      contentType: 'text/csv; charset=utf-8',
+      body: toCsv(rules, CSV_COLUMNS),
+    };
+  }
+
+  if (format === 'xml') {
+    return {
+      filename: `${baseName}.zip`,
+      contentType: 'application/zip',
+      body: buildMetadataZip(rules),
+    };
+  }
+
+  return {
+    filename: `${baseName}.json`,
+    contentType: 'application/json; charset=utf-8',
+    body: JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      instanceUrl: req.org.instance_url,
+      count: rules.length,
+      rules,
+    }, null, 2),
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  fetchRulesForExport,
+  exportValidationRules,
+};
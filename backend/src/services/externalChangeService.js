@@ -0,0 +1,299 @@
+/**
+ * External Change Service
+ * Polls every connected org for validation rules created, edited or
+ * deleted directly in Salesforce Setup, tells open sessions about them
+ * and keeps a "modified externally" marker on each rule until the
+ * bridge changes it again.
+ * Polls run with the login of a session that has the org open, read
+ * from the session store, so watches keep no tokens of their own.
+ */
+
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const storage = require('./storageService');
+const { publishEvent } = require('./eventService');
+const { queryAudit } = require('./auditService');
+const { createSessionRequest } = require('./sessionStoreService');
+const { getOrgKey, fetchValidationRules } = require('./salesforceService');
+
+const WATCH_PREFIX = 'watch:';
+const POLL_LOCK = 'external-change-poll';
+
+// Held for the whole poll, which lists every rule of every watched org,
+// so it must outlast the slowest poll rather than the poll interval
+const POLL_LOCK_SECONDS = 15 * 60;
+
+// Salesforce stamps LastModifiedDate a moment before the bridge writes its
+// audit entry; an entry this close to it means the bridge made the change
+const AUDIT_MATCH_MS = 2 * 60 * 1000;
+
+// Markers older than this are dropped even if the bridge never touches the rule
+const MARKER_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Enough spare logins to keep polling when some of their sessions log out
+const MAX_WATCH_LOGINS = 10;
+
+let pollTimer = null;
+
+function watchKey(orgKey) {
+  return `${WATCH_PREFIX}${orgKey}`;
+}
+
+/**
+ * The parts of a rule compared between polls
+ */
+function toRuleState(rule) {
+  return {
+    ValidationName: rule.ValidationName,
+    EntityName: rule.EntityName,
+    Active: rule.Active,
+    LastModifiedDate: rule.LastModifiedDate,
+    LastModifiedByName: rule.LastModifiedByName,
+  };
+}
+
+/**
+ * Start (or keep) watching an org with one of a session's org connections
+ * The watch lasts as long as a session would, and is renewed whenever a
+ * session connects the org or opens its live event stream
+ * Failures are logged, never thrown
+ */
+async function watchOrg(sessionId, org) {
+  if (config.externalChangePollMs === 0) return;
+
+  const orgKey = getOrgKey({ org });
+  if (!orgKey) return;
+
+  try {
+    const existing = await storage.getJSON(watchKey(orgKey));
+    const others = (existing?.logins || []).filter((login) => login.sessionId !== sessionId);
+    const watch = {
+      orgKey,
+      rules: null,
+      markers: {},
+      polledAt: null,
+      ...existing,
+      // Newest first, since it is the most likely to still be signed in
+      logins: [{ sessionId, orgId: org.orgId }, ...others].slice(0, MAX_WATCH_LOGINS),
+      renewedAt: new Date().toISOString(),
+    };
+
+    await storage.setJSON(watchKey(orgKey), watch, Math.ceil(config.sessionMaxAge / 1000));
+  } catch (err) {
+    logger.error(`Failed to watch ${orgKey} for external changes:`, err.message);
+  }
+}
+
+/**
+ * Split rule differences into those the bridge made and those it did not,
+ * by looking for a matching audit entry
+ */
+async function findExternalChanges(watch, changes) {
+  const times = changes
+    .map((c) => Date.parse(c.rule.LastModifiedDate || watch.polledAt))
+    .filter((t) => !Number.isNaN(t));
+  const from = new Date(Math.min(...times) - AUDIT_MATCH_MS).toISOString();
+
+  const { entries } = await queryAudit({ orgKey: watch.orgKey, from, limit: config.auditMaxEntries });
+
+  return changes.filter(({ change, rule }) => !entries.some((e) => {
+    if (e.ruleId !== rule.Id) return false;
+    if (change === 'deleted') return e.action === 'delete';
+    return Math.abs(Date.parse(e.timestamp) - Date.parse(rule.LastModifiedDate)) <= AUDIT_MATCH_MS;
+  }));
+}
+
+/**
+ * Request for polling an org with the newest login that is still signed in
+ * Also returns the session IDs of logins found to have ended
+ */
+async function createPollRequest(watch) {
+  const ended = [];
+
+  for (const login of watch.logins) {
+    try {
+      const req = await createSessionRequest(login.sessionId, login.orgId);
+      return { req, sessionId: login.sessionId, ended };
+    } catch (err) {
+      if (err.code !== 'SESSION_EXPIRED') throw err;
+      ended.push(login.sessionId);
+    }
+  }
+
+  return { req: null, sessionId: null, ended };
+}
+
+/**
+ * Store what a poll learned without losing logins added while it ran
+ * The watch is dropped once no login is left to poll with
+ */
+async function saveWatch(watch, ended, changes = {}) {
+  // The watch may have expired while we polled
+  const stored = await storage.getJSON(watchKey(watch.orgKey));
+  if (!stored) return;
+
+  const updated = {
+    ...stored,
+    ...changes,
+    logins: stored.logins.filter((login) => !ended.includes(login.sessionId)),
+  };
+
+  if (updated.logins.length === 0) {
+    logger.info(`Stopped watching ${watch.orgKey} for external changes - no session has it open`);
+    await storage.deleteKey(watchKey(watch.orgKey));
+    return;
+  }
+
+  const ttlSeconds = Math.ceil((Date.parse(updated.renewedAt) + config.sessionMaxAge - Date.now()) / 1000);
+  if (ttlSeconds > 0) {
+    await storage.setJSON(watchKey(watch.orgKey), updated, ttlSeconds);
+  }
+}
+
+/**
+ * Compare an org's rules with the last poll and announce changes made outside the bridge
+ * The first poll of an org only records its current state
+ */
+async function pollOrg(watch) {
+  const { req, sessionId, ended } = await createPollRequest(watch);
+  if (!req) {
+    await saveWatch(watch, ended);
+    return;
+  }
+
+  let records;
+  try {
+    ({ records } = await fetchValidationRules(req));
+  } catch (err) {
+    // A login whose token cannot be refreshed is dropped; the next poll tries another
+    if (err.code === 'SESSION_EXPIRED') {
+      await saveWatch(watch, [...ended, sessionId]);
+      return;
+    }
+    throw err;
+  }
+
+  const current = new Map(records.map((r) => [r.Id, r]));
+
+  const changes = [];
+  if (watch.rules) {
+    records.forEach((rule) => {
+      const previous = watch.rules[rule.Id];
+      if (!previous) {
+        changes.push({ change: 'created', rule });
+      } else if (previous.LastModifiedDate !== rule.LastModifiedDate) {
+        changes.push({ change: 'modified', rule });
+      }
+    });
+
+    Object.entries(watch.rules)
+      .filter(([id]) => !current.has(id))
+      .forEach(([id, previous]) => changes.push({ change: 'deleted', rule: { Id: id, ...previous } }));
+  }
+
+  const external = changes.length > 0 ? await findExternalChanges(watch, changes) : [];
+  const externalIds = new Set(external.map((c) => c.rule.Id));
+  const markers = { ...watch.markers };
+
+  // The bridge changing a rule, or the rule going away, clears its marker
+  changes
+    .filter((c) => c.change === 'deleted' || !externalIds.has(c.rule.Id))
+    .forEach((c) => delete markers[c.rule.Id]);
+
+  external.forEach(({ change, rule }) => {
+    // Salesforce keeps no record of who deleted a rule
+    const deleted = change === 'deleted';
+
+    if (!deleted) {
+      markers[rule.Id] = {
+        change,
+        by: rule.LastModifiedByName || 'Unknown',
+        at: rule.LastModifiedDate,
+      };
+    }
+
+    publishEvent(watch.orgKey, 'rule-changed-externally', {
+      change,
+      ruleId: rule.Id,
+      ruleName: rule.ValidationName,
+      entityName: rule.EntityName,
+      active: deleted ? null : rule.Active,
+      lastModifiedBy: deleted ? null : rule.LastModifiedByName || 'Unknown',
+      lastModifiedDate: deleted ? null : rule.LastModifiedDate,
+    });
+  });
+
+  Object.keys(markers)
+    .filter((id) => Date.now() - Date.parse(markers[id].at) > MARKER_TTL_MS)
+    .forEach((id) => delete markers[id]);
+
+  if (external.length > 0) {
+    logger.info(`${external.length} validation rule change(s) made outside the bridge in ${watch.orgKey}`);
+  }
+
+  await saveWatch(watch, ended, {
+    rules: Object.fromEntries(records.map((r) => [r.Id, toRuleState(r)])),
+    markers,
+    polledAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Poll every watched org once
+ */
+async function runExternalChangePoll() {
+  const lock = await storage.acquireLock(POLL_LOCK, POLL_LOCK_SECONDS);
+  if (!lock) return;
+
+  try {
+    const watches = await storage.listJSON(WATCH_PREFIX);
+
+    for (const watch of watches) {
+      try {
+        await pollOrg(watch);
+      } catch (err) {
+        logger.error(`External change poll of ${watch.orgKey} failed:`, err.message);
+      }
+    }
+  } finally {
+    await storage.releaseLock(POLL_LOCK, lock);
+  }
+}
+
+/**
+ * Markers for rules last changed outside the bridge in an org, keyed by rule ID
+ */
+async function getExternalChanges(orgKey) {
+  const watch = await storage.getJSON(watchKey(orgKey));
+  return watch?.markers || {};
+}
+
+/**
+ * Start the background poll
+ */
+function startExternalChangePoller() {
+  if (pollTimer || config.externalChangePollMs === 0) return;
+
+  pollTimer = setInterval(() => {
+    runExternalChangePoll().catch((err) => logger.error('External change poll failed:', err));
+  }, config.externalChangePollMs);
+  pollTimer.unref();
+
+  logger.info(`🔎 Polling connected orgs for external rule changes every ${config.externalChangePollMs / 1000}s`);
+}
+
+/**
+ * Stop the background poll
+ */
+function stopExternalChangePoller() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+module.exports = {
+  watchOrg,
+  getExternalChanges,
+  runExternalChangePoll,
+  startExternalChangePoller,
+  stopExternalChangePoller,
+};
@@ -0,0 +1,229 @@
+/**
+ * Rule Lint Service
+ * Health checks over every validation rule in an org
+ */
+
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { tokenizeFormula, extractReferences } = require('../utils/formulaParser');
+const { evaluateFormula } = require('../utils/formulaEvaluator');
+const { fetchValidationRules, fetchValidationRule } = require('./salesforceService');
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+// Default severities; LINT_SEVERITIES can change them or turn a check off
+// (validateConfig keeps its own list of these IDs to check overrides at startup)
+const CHECKS = {
+  'missing-description': { label: 'No description', severity: 'info' },
+  'hardcoded-id': { label: 'Hard-coded record or user ID', severity: 'error' },
+  'constant-formula': { label: 'Formula is always TRUE or FALSE', severity: 'error' },
+  'duplicate-formula': { label: 'Duplicate formula on the same object', severity: 'warning' },
+  'missing-bypass': { label: 'No bypass check', severity: 'warning' },
+  'long-error-message': { label: 'Error message too long', severity: 'warning' },
+  'unfriendly-error-message': { label: 'Error message not user-friendly', severity: 'info' },
+};
+
+// Functions whose result depends on more than the formula text
+const CONTEXT_FUNCTIONS = ['TODAY', 'NOW', 'ISNEW', 'ISCLONE', 'ISCHANGED', 'PRIORVALUE', 'TIMENOW'];
+
+// Known key prefixes, used to say what a hard-coded ID points to
+const ID_PREFIXES = {
+  '005': 'user',
+  '00e': 'profile',
+  '00E': 'role',
+  '012': 'record type',
+  '00G': 'queue or group',
+  '001': 'account',
+};
+
+// Salesforce IDs are 15 or 18 characters and the sixth is always 0
+const ID_PATTERN = /^[a-zA-Z0-9]{5}0[a-zA-Z0-9]{9}(?:[a-zA-Z0-9]{3})?$/;
+
+// Words that mean nothing to the person saving the record
+const TECHNICAL_TERMS = /\b(?:null|boolean|formula|validation rule|exception|true|false|regex|picklist value)\b/i;
+
+/**
+ * Effective severity of every check
+ * LINT_SEVERITIES is checked against CHECKS when the config loads, so every entry applies
+ */
+const severities = {
+  ...Object.fromEntries(Object.entries(CHECKS).map(([id, check]) => [id, check.severity])),
+  ...config.lintSeverities,
+};
+
+function listChecks() {
+  return Object.entries(CHECKS).map(([id, check]) => ({ id, label: check.label, severity: severities[id] }));
+}
+
+/**
+ * Formula text with comments, whitespace and identifier case removed
+ * Two rules with the same key have the same logic
+ */
+function normalizeFormula(formula) {
+  return tokenizeFormula(formula)
+    .map((token) => (token.type === 'string' ? token.value : token.value.toUpperCase()))
+    .join(' ');
+}
+
+function findHardcodedIds(formula) {
+  return tokenizeFormula(formula)
+    .filter((token) => token.type === 'string')
+    .map((token) => token.value.slice(1, -1))
+    .filter((value) => ID_PATTERN.test(value) && /\d/.test(value));
+}
+
+/**
+ * TRUE or FALSE when evaluating the formula reads no fields and no context, otherwise null
+ * Fields behind a constant short-circuit, as in AND(FALSE, Amount > 0), are never read
+ */
+function constantValue(formula) {
+  const tokens = tokenizeFormula(formula);
+  const usesContext = tokens.some((token, index) =>
+    token.type === 'identifier' &&
+    tokens[index + 1]?.value === '(' &&
+    CONTEXT_FUNCTIONS.includes(token.value.toUpperCase())
+  );
+  if (usesContext) return null;
+
+  try {
+    const { result, missingFields } = evaluateFormula(formula, { record: {} });
+    return typeof result === 'boolean' && missingFields.length === 0 ? result : null;
+  } catch {
+    // Formulas the local evaluator cannot run are not judged
+    return null;
+  }
+}
+
+function errorMessageProblems(message) {
+  const text = message.trim();
+  const problems = [];
+  const letters = text.replace(/[^A-Za-z]/g, '');
+
+  if (text.length < 15) problems.push('it is too short to explain what to fix');
+  if (letters.length >= 10 && letters === letters.toUpperCase()) problems.push('it is written in capitals');
+  if (/\b\w+__[cr]\b/i.test(text)) problems.push('it names fields by their API name');
+  if (TECHNICAL_TERMS.test(text)) problems.push('it uses technical terms');
+
+  return problems;
+}
+
+/**
+ * Findings for one rule, without the cross-rule duplicate check
+ */
+function lintRule(rule) {
+  const findings = [];
+  const add = (check, message) => findings.push({ check, severity: severities[check], message });
+  const formula = rule.ErrorConditionFormula || '';
+  const message = rule.ErrorMessage || '';
+
+  if (!rule.Description.trim()) {
+    add('missing-description', 'The rule has no description of why it exists');
+  }
+
+  findHardcodedIds(formula).forEach((id) => {
+    const kind = ID_PREFIXES[id.slice(0, 3)];
+    add('hardcoded-id', `The formula compares against ${kind ? `a ${kind}` : 'a record'} ID (${id}) that differs between orgs`);
+  });
+
+  const constant = constantValue(formula);
+  if (constant === true) add('constant-formula', 'The formula is always TRUE, so every save is blocked');
+  if (constant === false) add('constant-formula', 'The formula is always FALSE, so the rule never fires');
+
+  const bypassable = extractReferences(formula)
+    .some((ref) => ['$permission', '$setup'].includes((ref.global || '').toLowerCase()));
+  if (!bypassable) {
+    add('missing-bypass', 'The formula has no $Permission or $Setup check, so integrations and data loads cannot skip it');
+  }
+
+  if (message.length > config.lintMaxMessageLength) {
+    add('long-error-message', `The error message is ${message.length} characters; keep it under ${config.lintMaxMessageLength}`);
+  }
+
+  const problems = errorMessageProblems(message);
+  if (problems.length > 0) {
+    add('unfriendly-error-message', `The error message may confuse users: ${problems.join(', ')}`);
+  }
+
+  return findings.filter((f) => f.severity !== 'off');
+}
+
+/**
+ * Flag rules on the same object whose formulas only differ in layout
+ */
+function addDuplicateFindings(results, formulaKeys) {
+  if (severities['duplicate-formula'] === 'off') return;
+
+  const groups = new Map();
+  results.forEach((result) => {
+    if (!formulaKeys.get(result.Id)) return;
+    const key = `${result.EntityName}:${formulaKeys.get(result.Id)}`;
+    groups.set(key, [...(groups.get(key) || []), result]);
+  });
+
+  groups.forEach((group) => {
+    if (group.length < 2) return;
+    group.forEach((result) => {
+      const others = group.filter((r) => r !== result).map((r) => r.ValidationName);
+      result.findings.push({
+        check: 'duplicate-formula',
+        severity: severities['duplicate-formula'],
+        message: `Same formula as ${others.join(', ')}`,
+      });
+    });
+  });
+}
+
+/**
+ * Lint every rule in the org
+ * Returns the checks, a count per check and severity, and the rules with findings
+ */
+async function lintValidationRules(req) {
+  const { records } = await fetchValidationRules(req);
+  const formulaKeys = new Map();
+
+  // Metadata can only be read one rule at a time
+  const results = await mapWithConcurrency(records, config.bulkConcurrency, async (r) => {
+    const rule = await fetchValidationRule(req, r.Id);
+    formulaKeys.set(rule.Id, normalizeFormula(rule.ErrorConditionFormula || ''));
+
+    return {
+      Id: rule.Id,
+      EntityName: rule.EntityName,
+      ValidationName: rule.ValidationName,
+      Active: rule.Active,
+      findings: lintRule(rule),
+    };
+  });
+
+  addDuplicateFindings(results, formulaKeys);
+
+  const checks = listChecks().map((check) => ({
+    ...check,
+    count: results.filter((r) => r.findings.some((f) => f.check === check.id)).length,
+  }));
+  const bySeverity = Object.fromEntries(SEVERITIES.map((severity) => [
+    severity,
+    results.reduce((total, r) => total + r.findings.filter((f) => f.severity === severity).length, 0),
+  ]));
+
+  const flagged = results
+    .filter((r) => r.findings.length > 0)
+    .sort((a, b) => a.EntityName.localeCompare(b.EntityName) || a.ValidationName.localeCompare(b.ValidationName));
+
+  logger.info(`Linted ${results.length} rules - ${flagged.length} with findings`);
+
+  return {
+    checkedAt: new Date().toISOString(),
+    summary: { scanned: results.length, flagged: flagged.length, ...bySeverity },
+    checks,
+    rules: flagged,
+  };
+}
+
+module.exports = {
+  CHECKS,
+  listChecks,
+  lintRule,
+  lintValidationRules,
+};
@@ -0,0 +1,180 @@
+/**
+ * Org Connection Service
+ * Keeps several Salesforce org connections in one session, keyed by org ID
+ */
+
+const logger = require('../utils/logger');
+const { resolveRole } = require('./roleService');
+
+const ORG_ID_PATTERN = /^00D[a-zA-Z0-9]{12}(?:[a-zA-Z0-9]{3})?$/;
+
+/**
+ * Read the org ID from an identity URL (https://login.salesforce.com/id/<orgId>/<userId>)
+ */
+function getOrgIdFromIdentityUrl(idUrl) {
+  try {
+    const [, prefix, orgId] = new URL(idUrl).pathname.split('/');
+    return prefix === 'id' && ORG_ID_PATTERN.test(orgId) ? orgId : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Salesforce org IDs are 15 or 18 characters; compare on the 15 character form
+ */
+function normalizeOrgId(orgId) {
+  const value = (orgId || '').toString().trim();
+  return ORG_ID_PATTERN.test(value) ? value.slice(0, 15) : null;
+}
+
+/**
+ * The 18 character, case-insensitive form of a 15 or 18 character org ID
+ * Each of the three extra characters encodes which of five ID characters are upper case
+ */
+function toLongOrgId(orgId) {
+  const id = normalizeOrgId(orgId);
+  if (!id) return null;
+
+  let suffix = '';
+  for (let chunk = 0; chunk < 15; chunk += 5) {
+    let bits = 0;
+    for (let i = 0; i < 5; i += 1) {
+      if (/[A-Z]/.test(id[chunk + i])) bits += 1 << i;
+    }
+    suffix += 'ABCDEFGHIJKLMNOPQRSTUVWXYZ012345'[bits];
+  }
+
+  return id + suffix;
+}
+
+/**
+ * All org connections in the session, in the order they were connected
+ */
+function listOrgs(session) {
+  return Object.values(session?.orgs || {})
+    .sort((a, b) => a.connectedAt.localeCompare(b.connectedAt));
+}
+
+/**
+ * Add (or replace) an org connection and make it the active org
+ */
+function addOrg(session, connection) {
+  const orgId = normalizeOrgId(connection.orgId);
+  session.orgs = { ...session.orgs, [orgId]: { ...connection, orgId } };
+  session.activeOrgId = orgId;
+  session.authenticated = true;
+  return session.orgs[orgId];
+}
+
+/**
+ * Disconnect one org, falling back to the oldest remaining org if it was active
+ * Returns the remaining connections
+ */
+function removeOrg(session, orgId) {
+  const key = normalizeOrgId(orgId);
+  if (!key || !session.orgs?.[key]) return listOrgs(session);
+
+  const { username } = session.orgs[key];
+  delete session.orgs[key];
+
+  const remaining = listOrgs(session);
+  if (session.activeOrgId === key) {
+    session.activeOrgId = remaining[0]?.orgId || null;
+  }
+  session.authenticated = remaining.length > 0;
+
+  logger.info(`Disconnected org ${key} (${username})`);
+  return remaining;
+}
+
+/**
+ * Org ID the request asked for: path segment, X-Org-Id header or ?orgId
+ */
+function getRequestedOrgId(req) {
+  return req.requestedOrgId || req.get?.('X-Org-Id') || req.query?.orgId || null;
+}
+
+/**
+ * Resolve the org connection a request works against
+ * An explicit selector wins over the session's active org
+ */
+function resolveOrg(req) {
+  const orgs = req.session?.orgs || {};
+  const requested = getRequestedOrgId(req);
+
+  if (requested) {
+    const orgId = normalizeOrgId(requested);
+    return { requested, org: (orgId && orgs[orgId]) || null };
+  }
+
+  return { requested: null, org: orgs[req.session?.activeOrgId] || null };
+}
+
+/**
+ * Make an org the session's default for requests without a selector
+ */
+function activateOrg(session, orgId) {
+  const key = normalizeOrgId(orgId);
+
+  if (!key || !session?.orgs?.[key]) {
+    const err = new Error('Org is not connected in this session');
+    err.status = 404;
+    err.code = 'ORG_NOT_CONNECTED';
+    throw err;
+  }
+
+  session.activeOrgId = key;
+  return session.orgs[key];
+}
+
+/**
+ * Build a request-like object that works against another org connected in the session
+ * Refreshed tokens land on that org's connection and are saved with the session
+ */
+function getOrgRequest(req, orgId) {
+  const key = normalizeOrgId(orgId);
+  const org = key && req.session?.orgs?.[key];
+
+  if (!org) {
+    const err = new Error('Org is not connected in this session');
+    err.status = 404;
+    err.code = 'ORG_NOT_CONNECTED';
+    throw err;
+  }
+
+  return { session: req.session, org, ip: req.ip, auditSource: req.auditSource };
+}
+
+/**
+ * Org connection without its tokens
+ */
+function toPublicOrg(connection, activeOrgId) {
+  return {
+    orgId: connection.orgId,
+    orgName: connection.orgName || null,
+    isSandbox: Boolean(connection.isSandbox),
+    username: connection.username || 'User',
+    email: connection.email || '',
+    userType: connection.userType || 'Standard',
+    instanceUrl: connection.instance_url || '',
+    domainType: connection.domain_type || 'production',
+    customDomain: connection.custom_domain || '',
+    role: resolveRole(connection),
+    connectedAt: connection.connectedAt,
+    active: connection.orgId === activeOrgId,
+  };
+}
+
+module.exports = {
+  getOrgIdFromIdentityUrl,
+  normalizeOrgId,
+  toLongOrgId,
+  listOrgs,
+  addOrg,
+  removeOrg,
+  resolveOrg,
+  activateOrg,
+  getOrgRequest,
+  toPublicOrg,
+};
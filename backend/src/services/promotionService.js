@@ -0,0 +1,435 @@
+/**
+ * Promotion Service
+ * Copies validation rules from one connected org to another with a metadata deploy,
+ * validating the deploy first and deploying for real only when asked
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const storage = require('./storageService');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { createZip } = require('../utils/zip');
+const { customObjectXml, packageXml } = require('../utils/metadataXml');
+const { getOrgRequest } = require('./orgService');
+const { recordAudit } = require('./auditService');
+const { toComparedRule, diffFields } = require('./compareService');
+const { isChangeReasonRequired } = require('../middleware/changeReason');
+const {
+  getOrgKey,
+  fetchValidationRules,
+  fetchValidationRule,
+  startMetadataDeploy,
+  fetchDeployStatus,
+} = require('./salesforceService');
+
+const PROMOTION_PREFIX = 'promotion:';
+
+// A promotion reflects both orgs at one moment, so it is short-lived like a plan
+const PROMOTION_TTL_SECONDS = 60 * 60;
+
+const POLL_INTERVAL_MS = 2000;
+
+// Long enough to store a finished deploy and audit its rules
+const FINISH_LOCK_SECONDS = 60;
+
+// Long enough to start a deploy and store it as deploying
+const DEPLOY_LOCK_SECONDS = 300;
+
+function promotionKey(orgKey, promotionId) {
+  return `${PROMOTION_PREFIX}${orgKey}:${promotionId}`;
+}
+
+function ruleKey(entityName, validationName) {
+  return `${entityName}.${validationName}`.toLowerCase();
+}
+
+function toArray(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Poll a metadata deploy until it finishes or PROMOTE_WAIT_MS passes
+ */
+async function waitForDeploy(req, deployId) {
+  const deadline = Date.now() + config.promoteWaitMs;
+
+  for (;;) {
+    const result = await fetchDeployStatus(req, deployId);
+    if (result.done || Date.now() + POLL_INTERVAL_MS > deadline) return result;
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Build the deploy zip: a package.xml and one .object file per object
+ */
+function buildDeployZip(rules) {
+  const byObject = new Map();
+  for (const rule of rules) {
+    const list = byObject.get(rule.EntityName) || [];
+    list.push({ name: rule.ValidationName, metadata: rule.metadata });
+    byObject.set(rule.EntityName, list);
+  }
+
+  const files = [...byObject.entries()].map(([objectName, objectRules]) => ({
+    name: `objects/${objectName}.object`,
+    content: customObjectXml(objectRules),
+  }));
+
+  files.push({
+    name: 'package.xml',
+    content: packageXml(
+      { ValidationRule: rules.map((rule) => rule.fullName) },
+      config.toolingApiVersion.replace(/^v/, '')
+    ),
+  });
+
+  return createZip(files);
+}
+
+/**
+ * Per-rule outcome of a finished deploy
+ * Failures reported against the whole object count for every rule on it
+ */
+function toRuleResult(rule, deployResult) {
+  const failures = toArray(deployResult.details?.componentFailures).filter((f) => {
+    const name = (f.fullName || '').toLowerCase();
+    return name === rule.key || name === rule.EntityName.toLowerCase();
+  });
+
+  const problems = failures.map((f) => ({
+    problem: f.problem || 'Unknown problem',
+    problemType: f.problemType || 'Error',
+    line: f.lineNumber ? Number(f.lineNumber) : null,
+    column: f.columnNumber ? Number(f.columnNumber) : null,
+  }));
+
+  // rollbackOnError means one failing rule keeps every rule from being saved
+  if (!deployResult.success && problems.length === 0) {
+    problems.push({
+      problem: deployResult.errorMessage || 'Not saved because other rules in the deploy failed',
+      problemType: 'Rollback',
+      line: null,
+      column: null,
+    });
+  }
+
+  return { success: deployResult.success === true, problems };
+}
+
+/**
+ * Record the outcome of a deploy on the promotion
+ * phase is 'validation' or 'deployment'
+ */
+function applyDeployResult(promotion, phase, deployResult) {
+  const done = deployResult.done === true;
+  const succeeded = done && deployResult.success === true;
+
+  const statuses = phase === 'validation'
+    ? { pending: 'validating', success: 'validated', failure: 'validation-failed' }
+    : { pending: 'deploying', success: 'deployed', failure: 'deploy-failed' };
+
+  let status = statuses.pending;
+  if (done) status = succeeded ? statuses.success : statuses.failure;
+
+  return {
+    ...promotion,
+    status,
+    [`${phase}Status`]: deployResult.status || null,
+    [`${phase}FinishedAt`]: done ? new Date().toISOString() : null,
+    rules: promotion.rules.map((rule) => (
+      done && rule.action !== 'unchanged'
+        ? { ...rule, [phase]: toRuleResult(rule, deployResult) }
+        : rule
+    )),
+  };
+}
+
+async function savePromotion(promotion) {
+  await storage.setJSON(promotionKey(promotion.orgKey, promotion.id), promotion, PROMOTION_TTL_SECONDS);
+  return promotion;
+}
+
+/**
+ * Audit every rule a finished deploy saved in the target org
+ * Created rules only get an ID once they exist, so it is looked up afterwards
+ */
+async function auditPromotion(req, promotion) {
+  const saved = promotion.rules.filter((rule) => rule.deployment?.success);
+  if (saved.length === 0) return;
+
+  const { records } = await fetchValidationRules(req);
+  const ids = new Map(records.map((r) => [ruleKey(r.EntityName, r.ValidationName), r.Id]));
+
+  const auditValues = (rule) => rule && {
+    active: rule.Active,
+    errorConditionFormula: rule.ErrorConditionFormula,
+    errorMessage: rule.ErrorMessage,
+    errorDisplayField: rule.ErrorDisplayField || null,
+    description: rule.Description || null,
+  };
+
+  for (const rule of saved) {
+    await recordAudit(req, {
+      action: 'promote',
+      ruleId: rule.targetId || ids.get(rule.key) || null,
+      ruleName: rule.ValidationName,
+      entityName: rule.EntityName,
+      before: auditValues(rule.target),
+      after: auditValues(rule.source),
+      reason: promotion.change?.reason || null,
+      ticketId: promotion.change?.ticketId || null,
+    });
+  }
+}
+
+/**
+ * Store the outcome of a finished deploy, once
+ * The request that started a deploy and getPromotion can both see it finish;
+ * only the first to store the outcome audits the rules it deployed
+ */
+async function finishDeploy(req, promotion, phase, deployResult) {
+  const finished = applyDeployResult(promotion, phase, deployResult);
+  const key = promotionKey(promotion.orgKey, promotion.id);
+  const lockKey = `promotion-finish:${promotion.orgKey}:${promotion.id}`;
+
+  // Someone else is storing the same outcome right now
+  const lock = await storage.acquireLock(lockKey, FINISH_LOCK_SECONDS);
+  if (!lock) return finished;
+
+  try {
+    const stored = await storage.getJSON(key);
+    const pending = phase === 'validation' ? 'validating' : 'deploying';
+    if (stored && stored.status !== pending) return stored;
+
+    await savePromotion(finished);
+    if (phase === 'deployment') await auditPromotion(req, finished);
+    return finished;
+  } finally {
+    await storage.releaseLock(lockKey, lock);
+  }
+}
+
+/**
+ * Load a promotion for the request's (target) org or throw 404
+ */
+async function loadPromotion(req, promotionId) {
+  const promotion = await storage.getJSON(promotionKey(getOrgKey(req), promotionId));
+
+  if (!promotion) {
+    const err = new Error('Promotion not found or expired');
+    err.status = 404;
+    err.code = 'PROMOTION_NOT_FOUND';
+    throw err;
+  }
+
+  return promotion;
+}
+
+/**
+ * Get a promotion, checking on a deploy that was still running
+ */
+async function getPromotion(req, promotionId) {
+  const promotion = await loadPromotion(req, promotionId);
+
+  const phase = { validating: 'validation', deploying: 'deployment' }[promotion.status];
+  if (!phase) return promotion;
+
+  const deployResult = await fetchDeployStatus(req, promotion[`${phase}DeployId`]);
+  if (!deployResult.done) return promotion;
+
+  return finishDeploy(req, promotion, phase, deployResult);
+}
+
+/**
+ * Read the selected rules from the source org, match them in the request's (target) org
+ * and start a validate-only deploy
+ */
+async function createPromotion(req, { sourceOrgId, ruleIds }) {
+  const sourceReq = getOrgRequest(req, sourceOrgId);
+
+  if (sourceReq.org.orgId === req.org.orgId) {
+    const err = new Error('Pick a target org other than the source org');
+    err.status = 400;
+    err.code = 'SAME_PROMOTION_ORGS';
+    throw err;
+  }
+
+  // Metadata can only be read one rule at a time
+  const sourceRules = await mapWithConcurrency(ruleIds, config.bulkConcurrency, (id) =>
+    fetchValidationRule(sourceReq, id)
+  );
+
+  const { records } = await fetchValidationRules(req);
+  const targetIds = new Map(records.map((r) => [ruleKey(r.EntityName, r.ValidationName), r.Id]));
+
+  const rules = await mapWithConcurrency(sourceRules, config.bulkConcurrency, async (s) => {
+    const key = ruleKey(s.EntityName, s.ValidationName);
+    const targetId = targetIds.get(key) || null;
+    const t = targetId ? await fetchValidationRule(req, targetId) : null;
+
+    const source = toComparedRule(s.EntityName, s.ValidationName, s.Metadata, s.Id);
+    const target = t && toComparedRule(t.EntityName, t.ValidationName, t.Metadata, t.Id);
+    const differences = target ? diffFields(source, target) : [];
+
+    let action = 'create';
+    if (target) action = differences.length > 0 ? 'update' : 'unchanged';
+
+    return {
+      key,
+      fullName: `${s.EntityName}.${s.ValidationName}`,
+      EntityName: s.EntityName,
+      ValidationName: s.ValidationName,
+      sourceId: s.Id,
+      targetId,
+      action,
+      differences,
+      source,
+      target,
+      metadata: s.Metadata,
+      validation: null,
+      deployment: null,
+    };
+  });
+
+  const toDeploy = rules.filter((rule) => rule.action !== 'unchanged');
+
+  if (toDeploy.length === 0) {
+    const err = new Error('Every selected rule is already identical in the target org');
+    err.status = 400;
+    err.code = 'NOTHING_TO_PROMOTE';
+    throw err;
+  }
+
+  const validationDeployId = await startMetadataDeploy(req, buildDeployZip(toDeploy), { checkOnly: true });
+  const count = (action) => rules.filter((rule) => rule.action === action).length;
+
+  const promotion = {
+    id: crypto.randomUUID(),
+    orgKey: getOrgKey(req),
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + PROMOTION_TTL_SECONDS * 1000).toISOString(),
+    createdBy: req.org.username || 'User',
+    source: {
+      orgId: sourceReq.org.orgId,
+      orgName: sourceReq.org.orgName || null,
+      username: sourceReq.org.username,
+      isSandbox: Boolean(sourceReq.org.isSandbox),
+    },
+    target: {
+      orgId: req.org.orgId,
+      orgName: req.org.orgName || null,
+      username: req.org.username,
+      isSandbox: Boolean(req.org.isSandbox),
+    },
+    requireChangeReason: isChangeReasonRequired(req),
+    status: 'validating',
+    summary: {
+      create: count('create'),
+      update: count('update'),
+      unchanged: count('unchanged'),
+    },
+    validationDeployId,
+    deploymentDeployId: null,
+    change: null,
+    rules,
+  };
+
+  await savePromotion(promotion);
+  logger.info(`Created promotion ${promotion.id} from ${promotion.source.orgId} - ${promotion.summary.create} to create, ${promotion.summary.update} to update`);
+
+  const deployResult = await waitForDeploy(req, validationDeployId);
+  // Still running: getPromotion stores the outcome once it finishes
+  if (!deployResult.done) return applyDeployResult(promotion, 'validation', deployResult);
+  return finishDeploy(req, promotion, 'validation', deployResult);
+}
+
+/**
+ * Keep a promotion at least until a given time, e.g. while its deploy waits for approval
+ */
+async function keepPromotionUntil(promotion, until) {
+  const seconds = Math.ceil((Date.parse(until) - Date.now()) / 1000);
+  await storage.setJSON(promotionKey(promotion.orgKey, promotion.id), promotion, Math.max(PROMOTION_TTL_SECONDS, seconds));
+}
+
+/**
+ * Throw unless a promotion can be deployed
+ * Overwriting rules that already exist in the target must be confirmed
+ */
+function checkDeployable(promotion, confirmOverwrite) {
+  if (promotion.status !== 'validated') {
+    const err = new Error(`Promotion is ${promotion.status}; only a validated promotion can be deployed`);
+    err.status = 409;
+    err.code = 'PROMOTION_NOT_VALIDATED';
+    throw err;
+  }
+
+  const overwrites = promotion.rules.filter((rule) => rule.action === 'update');
+
+  if (overwrites.length > 0 && !confirmOverwrite) {
+    const err = new Error(`${overwrites.length} rule(s) already exist in the target org; confirm the overwrite to deploy`);
+    err.status = 400;
+    err.code = 'OVERWRITE_NOT_CONFIRMED';
+    throw err;
+  }
+}
+
+/**
+ * Start the real deploy of a validated promotion and store it as deploying
+ * Holds a lock on the promotion until then, so two requests cannot both deploy it
+ */
+async function startDeploy(req, promotionId, { confirmOverwrite, change }) {
+  const lockKey = `promotion-deploy:${getOrgKey(req)}:${promotionId}`;
+  const lock = await storage.acquireLock(lockKey, DEPLOY_LOCK_SECONDS);
+  if (!lock) {
+    const err = new Error('Promotion is already being deployed');
+    err.status = 409;
+    err.code = 'PROMOTION_DEPLOY_IN_PROGRESS';
+    throw err;
+  }
+
+  try {
+    const promotion = await getPromotion(req, promotionId);
+    checkDeployable(promotion, confirmOverwrite);
+
+    const toDeploy = promotion.rules.filter((rule) => rule.action !== 'unchanged');
+    const deploymentDeployId = await startMetadataDeploy(req, buildDeployZip(toDeploy), { checkOnly: false });
+
+    return await savePromotion({
+      ...promotion,
+      status: 'deploying',
+      deploymentDeployId,
+      deployedBy: req.org.username || 'User',
+      change: { reason: change.reason || null, ticketId: change.ticketId || null },
+    });
+  } finally {
+    await storage.releaseLock(lockKey, lock);
+  }
+}
+
+/**
+ * Deploy a validated promotion for real
+ */
+async function deployPromotion(req, promotionId, { confirmOverwrite = false, change = {} } = {}) {
+  const deploying = await startDeploy(req, promotionId, { confirmOverwrite, change });
+
+  const deployResult = await waitForDeploy(req, deploying.deploymentDeployId);
+  if (!deployResult.done) return applyDeployResult(deploying, 'deployment', deployResult);
+
+  const updated = await finishDeploy(req, deploying, 'deployment', deployResult);
+  const deployed = updated.rules.filter((rule) => rule.action !== 'unchanged').length;
+  logger.info(`Promotion ${updated.id} ${updated.status} - ${deployed} rules`);
+  return updated;
+}
+
+module.exports = {
+  createPromotion,
+  getPromotion,
+  checkDeployable,
+  keepPromotionUntil,
+  deployPromotion,
+};
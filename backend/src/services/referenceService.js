@@ -0,0 +1,212 @@
+/**
+ * Formula Reference Service
+ * Checks the fields a rule's formula references against the org's object describes
+ */
+
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { extractReferences } = require('../utils/formulaParser');
+const {
+  salesforceRequest,
+  dataPath,
+  fetchValidationRules,
+  fetchValidationRule,
+  fetchObjectDescribe,
+} = require('./salesforceService');
+
+// Globals that read a record of a standard object
+const GLOBAL_OBJECTS = {
+  $user: 'User',
+  $profile: 'Profile',
+  $userrole: 'UserRole',
+  $organization: 'Organization',
+  $recordtype: 'RecordType',
+};
+
+/**
+ * Describe objects once per check, remembering objects that do not exist
+ */
+function createDescriber(req) {
+  const cache = new Map();
+
+  return (objectName) => {
+    const key = objectName.toLowerCase();
+    if (!cache.has(key)) {
+      cache.set(key, fetchObjectDescribe(req, objectName).catch((err) => {
+        if (err.status === 404 || err.status === 400) return null;
+        throw err;
+      }));
+    }
+    return cache.get(key);
+  };
+}
+
+/**
+ * Load the org's custom permission names once per check
+ * Returns null when they cannot be read, so $Permission is left unchecked
+ */
+function createPermissionLoader(req) {
+  let permissions;
+
+  return () => {
+    if (!permissions) {
+      const query = encodeURIComponent('SELECT DeveloperName, NamespacePrefix FROM CustomPermission');
+      permissions = salesforceRequest(req, 'GET', dataPath(`/query?q=${query}`))
+        .then((result) => new Set((result.records || []).map((p) =>
+          (p.NamespacePrefix ? `${p.NamespacePrefix}__${p.DeveloperName}` : p.DeveloperName).toLowerCase()
+        )))
+        .catch((err) => {
+          logger.warn('Could not read custom permissions:', err.message);
+          return null;
+        });
+    }
+    return permissions;
+  };
+}
+
+const ok = () => ({ status: 'ok', message: null });
+const missing = (message) => ({ status: 'missing', message });
+const unchecked = (message) => ({ status: 'unchecked', message });
+
+/**
+ * Walk a field path from an object through its relationships
+ * Owner:User.Name picks the User side of a polymorphic relationship
+ */
+async function resolveFieldPath(describe, objectName, segments) {
+  let current = objectName;
+
+  for (let i = 0; i < segments.length; i++) {
+    const result = await describe(current);
+    if (!result) return missing(`Object ${current} does not exist`);
+
+    const [name, explicitType] = segments[i].split(':');
+    const lower = name.toLowerCase();
+
+    if (i === segments.length - 1) {
+      const field = result.fields.find((f) => f.name.toLowerCase() === lower);
+      return field ? ok() : missing(`${result.name} has no field ${name}`);
+    }
+
+    const relationship = result.fields.find((f) => (f.relationshipName || '').toLowerCase() === lower);
+    if (!relationship) return missing(`${result.name} has no relationship ${name}`);
+
+    const targets = relationship.referenceTo || [];
+    if (explicitType) {
+      current = targets.find((t) => t.toLowerCase() === explicitType.toLowerCase());
+      if (!current) return missing(`${result.name}.${name} cannot point to ${explicitType}`);
+    } else {
+      // Polymorphic owner lookups resolve to User in formulas
+      current = targets.length > 1 && targets.includes('User') ? 'User' : targets[0];
+    }
+  }
+
+  return ok();
+}
+
+/**
+ * Check one reference found in a formula on objectName
+ */
+async function checkReference(reference, objectName, { describe, loadPermissions }) {
+  const { global, segments } = reference;
+
+  if (!global) return resolveFieldPath(describe, objectName, segments);
+
+  const globalKey = global.toLowerCase();
+
+  if (segments.length === 0) return unchecked(`${global} needs a field`);
+
+  if (GLOBAL_OBJECTS[globalKey]) {
+    return resolveFieldPath(describe, GLOBAL_OBJECTS[globalKey], segments);
+  }
+
+  if (globalKey === '$setup') {
+    if (segments.length < 2) return missing('$Setup needs a custom setting and a field');
+    return resolveFieldPath(describe, segments[0], segments.slice(1));
+  }
+
+  if (globalKey === '$permission') {
+    const permissions = await loadPermissions();
+    if (!permissions) return unchecked('Custom permissions could not be read');
+    return permissions.has(segments[0].toLowerCase())
+      ? ok()
+      : missing(`Custom permission ${segments[0]} does not exist`);
+  }
+
+  return unchecked(`${global} references are not checked`);
+}
+
+/**
+ * Referenced fields of a formula on an object, each with its check result
+ */
+async function analyzeFormula(formula, objectName, context) {
+  const references = extractReferences(formula || '');
+
+  return Promise.all(references.map(async (reference) => ({
+    path: reference.path,
+    global: reference.global,
+    usedIn: reference.usedIn,
+    ...(await checkReference(reference, objectName, context)),
+  })));
+}
+
+function createContext(req) {
+  return { describe: createDescriber(req), loadPermissions: createPermissionLoader(req) };
+}
+
+/**
+ * Fields referenced by one rule's formula
+ */
+async function getRuleReferences(req, ruleId) {
+  const rule = await fetchValidationRule(req, ruleId);
+  const references = await analyzeFormula(rule.ErrorConditionFormula, rule.EntityName, createContext(req));
+
+  return {
+    Id: rule.Id,
+    EntityName: rule.EntityName,
+    ValidationName: rule.ValidationName,
+    references,
+    broken: references.filter((r) => r.status === 'missing').length,
+  };
+}
+
+/**
+ * Check every rule in the org, optionally returning only rules with broken references
+ * Describes are shared across rules, so each object is described once
+ */
+async function scanRuleReferences(req, { brokenOnly = false } = {}) {
+  const { records } = await fetchValidationRules(req);
+  const context = createContext(req);
+
+  // Metadata can only be read one rule at a time
+  const rules = await mapWithConcurrency(records, config.bulkConcurrency, async (r) => {
+    const rule = await fetchValidationRule(req, r.Id);
+    const references = await analyzeFormula(rule.ErrorConditionFormula, rule.EntityName, context);
+
+    return {
+      Id: rule.Id,
+      EntityName: rule.EntityName,
+      ValidationName: rule.ValidationName,
+      Active: rule.Active,
+      references,
+      broken: references.filter((ref) => ref.status === 'missing').length,
+    };
+  });
+
+  const withBroken = rules.filter((r) => r.broken > 0);
+  logger.info(`Checked formula references of ${rules.length} rules - ${withBroken.length} with missing fields`);
+
+  return {
+    checkedAt: new Date().toISOString(),
+    summary: { scanned: rules.length, withBroken: withBroken.length },
+    rules: (brokenOnly ? withBroken : rules).sort((a, b) =>
+      a.EntityName.localeCompare(b.EntityName) || a.ValidationName.localeCompare(b.ValidationName)
+    ),
+  };
+}
+
+module.exports = {
+  analyzeFormula,
+  getRuleReferences,
+  scanRuleReferences,
+};
@@ -0,0 +1,67 @@
+/**
+ * Bridge Role Service
+ * Maps a connected Salesforce user to a bridge role (viewer, operator or admin) per org
+ */
+
+const config = require('../config/config');
+
+// Lowest to highest; each role can do everything the ones before it can
+const ROLES = ['viewer', 'operator', 'admin'];
+
+/**
+ * Environment a connection's role mappings are read for
+ */
+function getOrgEnvironment(connection) {
+  return connection?.isSandbox || connection?.domain_type === 'sandbox' ? 'sandbox' : 'production';
+}
+
+/**
+ * Values of the connected user that mappings can match, lower-cased
+ */
+function getIdentity(connection) {
+  const lower = (values) => values.filter(Boolean).map((v) => v.toLowerCase());
+
+  return {
+    username: lower([connection.username]),
+    profile: lower([connection.profileName]),
+    permissionSet: lower(connection.permissionSets || []),
+  };
+}
+
+function matches(mapping, identity) {
+  const key = ['username', 'profile', 'permissionSet'].find((k) => mapping[k]);
+  return !key || identity[key].includes(mapping[key].toLowerCase());
+}
+
+/**
+ * Highest role any matching mapping grants in the connection's environment
+ * Falls back to DEFAULT_ROLE when nothing matches
+ */
+function resolveRole(connection) {
+  if (!connection) return null;
+
+  const environment = getOrgEnvironment(connection);
+  const identity = getIdentity(connection);
+
+  const granted = config.roleMappings
+    .filter((mapping) => matches(mapping, identity))
+    .map((mapping) => (typeof mapping.role === 'string' ? mapping.role : mapping.role[environment]))
+    .filter(Boolean);
+
+  if (granted.length === 0) return config.defaultRole;
+  return granted.reduce((best, role) => (ROLES.indexOf(role) > ROLES.indexOf(best) ? role : best));
+}
+
+/**
+ * Whether a role includes the permissions of another
+ */
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+module.exports = {
+  ROLES,
+  getOrgEnvironment,
+  resolveRole,
+  hasRole,
+};
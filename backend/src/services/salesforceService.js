@@ -4,48 +4,177 @@
  * FIXED: Removed undefined config.salesforceDomains reference
  */
 
+const crypto = require('crypto');
 const axios = require('axios');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const { getOAuthBaseUrl, getInstanceHost } = require('../utils/domains');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { recordAudit } = require('./auditService');
+
+// Metadata fields recorded in the audit log
+const AUDITED_FIELDS = ['active', 'errorConditionFormula', 'errorMessage', 'errorDisplayField', 'description'];
+
+// In-flight refresh-token grants keyed by refresh token, so concurrent
+// requests from the same session share a single refresh
+const pendingRefreshes = new Map();
 
 /**
- * Get session tokens from request
+ * Get tokens for the org connection selected for this request
  * FIXED: Proper null checks and fallback values
  */
 function getSessionTokens(req) {
-  // Check if session exists
-  if (!req.session) {
-    logger.warn('No session object found');
+  const org = req.org;
+
+  // Check if an org was selected
+  if (!org) {
+    logger.warn('No org connection on request');
     return null;
   }
 
   // Check if required tokens exist
-  if (!req.session.access_token || !req.session.instance_url) {
-    logger.warn('Missing access_token or instance_url in session');
+  if (!org.access_token || !org.instance_url) {
+    logger.warn('Missing access_token or instance_url for org connection');
     return null;
   }
   
   return {
-    access_token: req.session.access_token,
-    instance_url: req.session.instance_url,
-    // FIXED: Use domain_type from session or default to 'production'
-    salesforce_domain: req.session.domain_type || 'production',
+    access_token: org.access_token,
+    refresh_token: org.refresh_token,
+    instance_url: org.instance_url,
+    // FIXED: Use domain_type from the connection or default to 'production'
+    salesforce_domain: org.domain_type || 'production',
+    custom_domain: org.custom_domain || '',
   };
 }
 
 /**
- * Make authenticated Salesforce API request
+ * Get a stable key for the org the request is connected to
+ * Used to scope data the bridge stores per org
  */
-async function salesforceRequest(req, method, path, body = null) {
+function getOrgKey(req) {
   const tokens = getSessionTokens(req);
-  
-  if (!tokens) {
-    const err = new Error('Not authenticated');
+  return tokens ? getInstanceHost(tokens.instance_url) : null;
+}
+
+/**
+ * Copy the connection details a background job needs from the request's org
+ */
+function getSessionConnection(req) {
+  return {
+    orgId: req.org.orgId,
+    access_token: req.org.access_token,
+    refresh_token: req.org.refresh_token,
+    instance_url: req.org.instance_url,
+    domain_type: req.org.domain_type,
+    custom_domain: req.org.custom_domain,
+    username: req.org.username,
+  };
+}
+
+/**
+ * Build a request-like object for work done outside an HTTP request
+ * Refreshed tokens are written back onto the given connection object
+ */
+function createBackgroundRequest(connection) {
+  return { org: connection, auditSource: 'scheduler' };
+}
+
+/**
+ * Check whether a Salesforce error means the access token is no longer valid
+ */
+function isInvalidSessionError(err) {
+  return err.status === 401 || err.code === 'INVALID_SESSION_ID';
+}
+
+/**
+ * Persist the session if it is backed by express-session
+ */
+function saveSession(req) {
+  if (typeof req.session?.save !== 'function') {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve) => {
+    req.session.save((err) => {
+      if (err) {
+        logger.error('Failed to save refreshed session:', err);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Exchange a refresh token for a new access token
+ */
+async function requestTokenRefresh(tokens) {
+  const tokenUrl = `${getOAuthBaseUrl(tokens.salesforce_domain, tokens.custom_domain)}/token`;
+  const params = new URLSearchParams({
+    grant_type: 'refresh_token',
+    refresh_token: tokens.refresh_token,
+    client_id: config.clientId,
+    client_secret: config.clientSecret,
+  });
+
+  try {
+    logger.info(`Refreshing Salesforce access token (${tokens.salesforce_domain})`);
+    const response = await axios.post(tokenUrl, params.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: config.requestTimeout,
+    });
+    return response.data;
+  } catch (axiosError) {
+    const data = axiosError.response?.data;
+    logger.error('Access token refresh failed:', data || axiosError.message);
+
+    const err = new Error(data?.error_description || 'Session expired, please log in again');
     err.status = 401;
-    err.code = 'NO_SESSION';
+    err.code = 'SESSION_EXPIRED';
     throw err;
   }
+}
 
+/**
+ * Refresh the org connection's access token using the stored refresh token
+ */
+async function refreshAccessToken(req) {
+  const tokens = getSessionTokens(req);
+
+  if (!tokens?.refresh_token) {
+    const err = new Error('Session expired, please log in again');
+    err.status = 401;
+    err.code = 'SESSION_EXPIRED';
+    throw err;
+  }
+
+  let refresh = pendingRefreshes.get(tokens.refresh_token);
+  if (!refresh) {
+    refresh = requestTokenRefresh(tokens).finally(() => {
+      pendingRefreshes.delete(tokens.refresh_token);
+    });
+    pendingRefreshes.set(tokens.refresh_token, refresh);
+  }
+
+  const refreshed = await refresh;
+
+  // req.org is the connection object held in the session, so saving persists it
+  req.org.access_token = refreshed.access_token;
+  if (refreshed.instance_url) {
+    req.org.instance_url = refreshed.instance_url;
+  }
+  if (refreshed.refresh_token) {
+    req.org.refresh_token = refreshed.refresh_token;
+  }
+
+  await saveSession(req);
+  logger.info('✅ Access token refreshed');
+}
+
+/**
+ * Send a single request to the Salesforce REST API
+ */
+async function sendSalesforceRequest(tokens, method, path, body, headers = {}) {
   const url = `${tokens.instance_url}${path}`;
   const requestConfig = {
     method,
@@ -53,6 +182,7 @@ async function salesforceRequest(req, method, path, body = null) {
     headers: {
       Authorization: `Bearer ${tokens.access_token}`,
       'Content-Type': 'application/json',
+      ...headers,
     },
     timeout: 30000, // 30 seconds
   };
@@ -71,86 +201,574 @@ async function salesforceRequest(req, method, path, body = null) {
     
     logger.error(`Salesforce API error: ${status}`, data);
     
-    const err = new Error(data?.message || axiosError.message || 'Salesforce request failed');
+    const errors = Array.isArray(data) ? data : [];
+    const err = new Error(data?.message || errors[0]?.message || axiosError.message || 'Salesforce request failed');
     err.status = status || 500;
     err.code = Array.isArray(data) ? data[0]?.errorCode : data?.errorCode;
+    err.errors = errors;
     throw err;
   }
 }
 
 /**
- * Fetch validation rules from Salesforce
+ * Make authenticated Salesforce API request
+ * Refreshes an expired access token once and retries the call
  */
-async function fetchValidationRules(req) {
-  const query = 'SELECT Id, ValidationName, Active, EntityDefinition.QualifiedApiName FROM ValidationRule ORDER BY ValidationName';
+async function salesforceRequest(req, method, path, body = null, headers = {}) {
+  const tokens = getSessionTokens(req);
   
-  const result = await salesforceRequest(
-    req,
-    'GET',
-    `/services/data/${config.toolingApiVersion}/tooling/query?q=${encodeURIComponent(query)}`
-  );
+  if (!tokens) {
+    const err = new Error('Not authenticated');
+    err.status = 401;
+    err.code = 'NO_SESSION';
+    throw err;
+  }
+
+  try {
+    return await sendSalesforceRequest(tokens, method, path, body, headers);
+  } catch (err) {
+    if (!isInvalidSessionError(err)) {
+      throw err;
+    }
 
-  const records = (result.records || []).map((r) => ({
+    await refreshAccessToken(req);
+    return sendSalesforceRequest(getSessionTokens(req), method, path, body, headers);
+  }
+}
+
+/**
+ * Build a REST API path for the configured API version
+ */
+function dataPath(suffix) {
+  return `/services/data/${config.toolingApiVersion}${suffix}`;
+}
+
+/**
+ * Build a Tooling API path for the configured API version
+ */
+function toolingPath(suffix) {
+  return `/services/data/${config.toolingApiVersion}/tooling${suffix}`;
+}
+
+/**
+ * Run a Tooling API query and follow nextRecordsUrl until every batch is read
+ */
+async function toolingQueryAll(req, query) {
+  let result = await salesforceRequest(req, 'GET', toolingPath(`/query?q=${encodeURIComponent(query)}`));
+  const records = [...(result.records || [])];
+
+  while (!result.done && result.nextRecordsUrl) {
+    result = await salesforceRequest(req, 'GET', result.nextRecordsUrl);
+    records.push(...(result.records || []));
+  }
+
+  return {
+    totalSize: result.totalSize || records.length,
+    records,
+  };
+}
+
+/**
+ * Map a Tooling ValidationRule record to the shape used by the frontend
+ */
+function mapValidationRule(r) {
+  return {
     Id: r.Id,
     ValidationName: r.ValidationName || 'Unnamed Rule',
     Active: r.Active === true,
     EntityName: r.EntityDefinition?.QualifiedApiName || 'Unknown',
-  }));
+    LastModifiedDate: r.LastModifiedDate || null,
+    LastModifiedByName: r.LastModifiedBy?.Name || '',
+  };
+}
+
+// Salesforce only honours query batch sizes in this range
+const MIN_BATCH_SIZE = 200;
+const MAX_BATCH_SIZE = 2000;
+
+/**
+ * Extract the query locator from a nextRecordsUrl
+ */
+function getQueryCursor(result) {
+  if (result.done || !result.nextRecordsUrl) return null;
+  return result.nextRecordsUrl.split('/').pop();
+}
+
+/**
+ * Fetch validation rules from Salesforce
+ * Without paging options every query batch is returned. With `limit` or
+ * `cursor` a single batch is returned along with the cursor for the next one.
+ * `limit` (MIN_BATCH_SIZE to MAX_BATCH_SIZE) caps the batch; Salesforce may
+ * return fewer records but never more.
+ */
+async function fetchValidationRules(req, { limit, cursor } = {}) {
+  const query = [
+    'SELECT Id, ValidationName, Active, EntityDefinition.QualifiedApiName,',
+    'LastModifiedDate, LastModifiedBy.Name',
+    'FROM ValidationRule ORDER BY ValidationName',
+  ].join(' ');
+
+  if (!limit && !cursor) {
+    const result = await toolingQueryAll(req, query);
+    const records = result.records.map(mapValidationRule);
+
+    return {
+      success: true,
+      totalSize: result.totalSize,
+      records,
+      done: true,
+      nextCursor: null,
+    };
+  }
+
+  if (limit !== undefined && (limit < MIN_BATCH_SIZE || limit > MAX_BATCH_SIZE)) {
+    const err = new Error(`limit must be between ${MIN_BATCH_SIZE} and ${MAX_BATCH_SIZE}`);
+    err.status = 400;
+    err.code = 'INVALID_LIMIT';
+    throw err;
+  }
+
+  const headers = limit ? { 'Sforce-Query-Options': `batchSize=${limit}` } : {};
+  const path = cursor
+    ? toolingPath(`/query/${encodeURIComponent(cursor)}`)
+    : toolingPath(`/query?q=${encodeURIComponent(query)}`);
+
+  const result = await salesforceRequest(req, 'GET', path, null, headers);
+  const records = (result.records || []).map(mapValidationRule);
+  const nextCursor = getQueryCursor(result);
 
   return {
     success: true,
     totalSize: result.totalSize || records.length,
     records,
+    done: !nextCursor,
+    nextCursor,
   };
 }
 
 /**
- * Toggle validation rule active status
+ * Ensure a rule ID is a 15 or 18 character Salesforce ID before it is used in SOQL
  */
-async function toggleValidationRule(req, ruleId, newActive) {
-  // Fetch current rule metadata
+function assertValidRuleId(ruleId) {
+  if (!/^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/.test(ruleId || '')) {
+    const err = new Error('Invalid validation rule ID');
+    err.status = 400;
+    err.code = 'INVALID_RULE_ID';
+    throw err;
+  }
+}
+
+/**
+ * Fetch a single validation rule with its full Tooling metadata
+ * Metadata can only be queried one record at a time
+ */
+async function fetchValidationRuleRecord(req, ruleId) {
+  assertValidRuleId(ruleId);
+
+  const query = [
+    'SELECT Id, ValidationName, Active, FullName, Metadata,',
+    'EntityDefinition.QualifiedApiName, CreatedBy.Name, CreatedDate,',
+    'LastModifiedBy.Name, LastModifiedDate',
+    `FROM ValidationRule WHERE Id = '${ruleId}'`,
+  ].join(' ');
+
   const queryResult = await salesforceRequest(
     req,
     'GET',
-    `/services/data/${config.toolingApiVersion}/tooling/query?q=${encodeURIComponent(
-      `SELECT Id, FullName, Metadata FROM ValidationRule WHERE Id = '${ruleId}'`
-    )}`
+    toolingPath(`/query?q=${encodeURIComponent(query)}`)
   );
 
   const records = queryResult.records || [];
-  
+
   if (records.length === 0) {
     const err = new Error('Validation rule not found');
     err.status = 404;
+    err.code = 'RULE_NOT_FOUND';
     throw err;
   }
 
-  const rule = records[0];
+  return records[0];
+}
+
+/**
+ * Fetch validation rule details
+ */
+async function fetchValidationRule(req, ruleId) {
+  const r = await fetchValidationRuleRecord(req, ruleId);
+  const meta = r.Metadata || {};
+
+  return {
+    ...mapValidationRule(r),
+    FullName: r.FullName || '',
+    Description: meta.description || '',
+    ErrorConditionFormula: meta.errorConditionFormula || '',
+    ErrorMessage: meta.errorMessage || '',
+    ErrorDisplayField: meta.errorDisplayField || '',
+    CreatedByName: r.CreatedBy?.Name || '',
+    CreatedDate: r.CreatedDate || null,
+    Metadata: meta,
+  };
+}
+
+/**
+ * Parse a Salesforce save error into a structured compile error
+ * Formula errors carry their position in the message text when available
+ */
+function parseSaveError(error) {
+  const message = error.message || 'Unknown error';
+  const position = message.match(/line[:\s]+(\d+)[,\s]+column[:\s]+(\d+)/i);
+
+  return {
+    message,
+    errorCode: error.errorCode || null,
+    fields: error.fields || [],
+    line: position ? parseInt(position[1], 10) : null,
+    column: position ? parseInt(position[2], 10) : null,
+  };
+}
+
+/**
+ * Convert a rejected Tooling save into a 400 error with structured details
+ */
+function toSaveError(err) {
+  if (err.status !== 400 || !err.errors?.length) {
+    return err;
+  }
+
+  const details = err.errors.map(parseSaveError);
+  const saveErr = new Error(details[0].message);
+  saveErr.status = 400;
+  saveErr.code = 'RULE_SAVE_FAILED';
+  saveErr.details = details;
+  return saveErr;
+}
+
+/**
+ * Apply metadata changes to a validation rule through the Tooling API
+ * Returns the rule record with its metadata before and after the change
+ */
+async function applyValidationRuleChanges(req, ruleId, changes) {
+  // Fetch current rule metadata
+  const rule = await fetchValidationRuleRecord(req, ruleId);
   const existingMeta = rule.Metadata || {};
 
-  // Update metadata with new active status
   const metadata = {
     ...existingMeta,
-    active: newActive,
-    description: existingMeta.description || '',
-    errorConditionFormula: existingMeta.errorConditionFormula || 'TRUE',
-    errorMessage: existingMeta.errorMessage || 'Validation error',
+    ...changes,
+    description: changes.description ?? existingMeta.description ?? '',
+    errorConditionFormula: changes.errorConditionFormula || existingMeta.errorConditionFormula || 'TRUE',
+    errorMessage: changes.errorMessage || existingMeta.errorMessage || 'Validation error',
+  };
+
+  // An empty display field shows the error at the top of the page
+  if (metadata.errorDisplayField === '') {
+    metadata.errorDisplayField = null;
+  }
+
+  try {
+    await salesforceRequest(
+      req,
+      'PATCH',
+      toolingPath(`/sobjects/ValidationRule/${ruleId}`),
+      { Metadata: metadata }
+    );
+  } catch (err) {
+    throw toSaveError(err);
+  }
+
+  return { rule, previous: existingMeta, metadata };
+}
+
+/**
+ * Pick the fields of a rule's metadata that are worth keeping in the audit log
+ */
+function auditFields(meta, fields = AUDITED_FIELDS) {
+  return fields.reduce((acc, field) => {
+    acc[field] = meta[field] ?? null;
+    return acc;
+  }, {});
+}
+
+/**
+ * Describe a change reason for the server log
+ */
+function describeChangeReason({ reason, ticketId } = {}) {
+  if (!reason && !ticketId) return '';
+  return ` (ticket: ${ticketId || 'none'}, reason: ${JSON.stringify(reason || '')})`;
+}
+
+/**
+ * Toggle validation rule active status
+ * An optional { reason, ticketId } is logged, audited and echoed back
+ */
+async function toggleValidationRule(req, ruleId, newActive, { reason = null, ticketId = null } = {}) {
+  const { rule, previous } = await applyValidationRuleChanges(req, ruleId, { active: newActive });
+
+  logger.info(`Updated validation rule ${ruleId} - Active: ${newActive}${describeChangeReason({ reason, ticketId })}`);
+
+  await recordAudit(req, {
+    action: 'toggle',
+    ruleId,
+    ruleName: rule.ValidationName,
+    entityName: rule.EntityDefinition?.QualifiedApiName,
+    before: { active: previous.active === true },
+    after: { active: newActive },
+    reason,
+    ticketId,
+  });
+
+  return {
+    success: true,
+    Id: ruleId,
+    Active: newActive,
+    reason,
+    ticketId,
+  };
+}
+
+/**
+ * Toggle many validation rules with bounded concurrency
+ * A failing rule does not stop the others; each gets its own result
+ */
+async function bulkToggleValidationRules(req, ruleIds, newActive, change = {}) {
+  const results = await mapWithConcurrency(ruleIds, config.bulkConcurrency, async (ruleId) => {
+    try {
+      await toggleValidationRule(req, ruleId, newActive, change);
+      return { Id: ruleId, success: true, Active: newActive };
+    } catch (err) {
+      return {
+        Id: ruleId,
+        success: false,
+        error: err.message,
+        code: err.code || 'TOGGLE_FAILED',
+      };
+    }
+  });
+
+  const failed = results.filter((r) => !r.success).length;
+  logger.info(`Bulk toggle to Active: ${newActive} - ${results.length - failed} succeeded, ${failed} failed${describeChangeReason(change)}`);
+
+  return {
+    success: failed === 0,
+    total: results.length,
+    succeeded: results.length - failed,
+    failed,
+    reason: change.reason ?? null,
+    ticketId: change.ticketId ?? null,
+    results,
+  };
+}
+
+/**
+ * Update a validation rule's formula, error message, display field or description
+ * The audit entry is recorded as action (update by default) with an optional reason and ticketId
+ */
+async function updateValidationRule(req, ruleId, changes, { action = 'update', reason = null, ticketId = null } = {}) {
+  const { rule, previous, metadata } = await applyValidationRuleChanges(req, ruleId, changes);
+
+  logger.info(`Updated validation rule ${ruleId} - Fields: ${Object.keys(changes).join(', ')}${describeChangeReason({ reason, ticketId })}`);
+
+  await recordAudit(req, {
+    action,
+    ruleId,
+    ruleName: rule.ValidationName,
+    entityName: rule.EntityDefinition?.QualifiedApiName,
+    before: auditFields(previous, Object.keys(changes)),
+    after: auditFields(metadata, Object.keys(changes)),
+    reason,
+    ticketId,
+  });
+
+  return fetchValidationRule(req, ruleId);
+}
+
+/**
+ * Create a validation rule on an object
+ * The audit entry carries an optional reason and ticketId
+ */
+async function createValidationRule(req, { objectName, validationName, ...fields }, { reason = null, ticketId = null } = {}) {
+  const metadata = {
+    active: fields.active === true,
+    description: fields.description || '',
+    errorConditionFormula: fields.errorConditionFormula,
+    errorMessage: fields.errorMessage,
+    errorDisplayField: fields.errorDisplayField || null,
   };
 
-  // Update the rule
+  let result;
+  try {
+    result = await salesforceRequest(
+      req,
+      'POST',
+      toolingPath('/sobjects/ValidationRule'),
+      { FullName: `${objectName}.${validationName}`, Metadata: metadata }
+    );
+  } catch (err) {
+    throw toSaveError(err);
+  }
+
+  logger.info(`Created validation rule ${objectName}.${validationName} (${result.id})${describeChangeReason({ reason, ticketId })}`);
+
+  await recordAudit(req, {
+    action: 'create',
+    ruleId: result.id,
+    ruleName: validationName,
+    entityName: objectName,
+    after: auditFields(metadata),
+    reason,
+    ticketId,
+  });
+
+  return fetchValidationRule(req, result.id);
+}
+
+/**
+ * Delete a validation rule
+ * The audit entry carries an optional reason and ticketId
+ */
+async function deleteValidationRule(req, ruleId, { reason = null, ticketId = null } = {}) {
+  const rule = await fetchValidationRuleRecord(req, ruleId);
+
   await salesforceRequest(
     req,
-    'PATCH',
-    `/services/data/${config.toolingApiVersion}/tooling/sobjects/ValidationRule/${ruleId}`,
-    { Metadata: metadata }
+    'DELETE',
+    toolingPath(`/sobjects/ValidationRule/${ruleId}`)
   );
 
-  logger.info(`Updated validation rule ${ruleId} - Active: ${newActive}`);
+  logger.info(`Deleted validation rule ${rule.FullName || ruleId}${describeChangeReason({ reason, ticketId })}`);
+
+  // Keep the full definition so a deleted rule can be recreated from the log
+  await recordAudit(req, {
+    action: 'delete',
+    ruleId,
+    ruleName: rule.ValidationName,
+    entityName: rule.EntityDefinition?.QualifiedApiName,
+    before: auditFields(rule.Metadata || {}),
+    reason,
+    ticketId,
+  });
 
   return {
     success: true,
     Id: ruleId,
-    Active: newActive,
+    ValidationName: rule.ValidationName,
+    EntityName: rule.EntityDefinition?.QualifiedApiName || 'Unknown',
+  };
+}
+
+/**
+ * Fetch the objects that validation rules can be created on
+ */
+async function fetchSObjects(req) {
+  const result = await salesforceRequest(req, 'GET', dataPath('/sobjects'));
+
+  return (result.sobjects || [])
+    .filter((o) => o.layoutable && !o.deprecatedAndHidden)
+    .map((o) => ({
+      name: o.name,
+      label: o.label,
+      custom: o.custom === true,
+    }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+}
+
+/**
+ * Fetch an object's describe result (fields and relationships)
+ */
+async function fetchObjectDescribe(req, objectName) {
+  if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(objectName || '')) {
+    const err = new Error('Invalid object name');
+    err.status = 400;
+    err.code = 'INVALID_OBJECT_NAME';
+    throw err;
+  }
+
+  return salesforceRequest(req, 'GET', dataPath(`/sobjects/${objectName}/describe`));
+}
+
+/**
+ * Start a Metadata API deploy of a zip through the REST deployRequest resource
+ * checkOnly validates the deploy without saving anything
+ */
+async function startMetadataDeploy(req, zipBuffer, { checkOnly }) {
+  const boundary = `----bridge${crypto.randomBytes(12).toString('hex')}`;
+  const deployOptions = { checkOnly, singlePackage: true, rollbackOnError: true };
+
+  const body = Buffer.concat([
+    Buffer.from([
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="json"',
+      'Content-Type: application/json',
+      '',
+      JSON.stringify({ deployOptions }),
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="file"; filename="deploy.zip"',
+      'Content-Type: application/zip',
+      '',
+      '',
+    ].join('\r\n')),
+    zipBuffer,
+    Buffer.from(`\r\n--${boundary}--\r\n`),
+  ]);
+
+  const result = await salesforceRequest(req, 'POST', dataPath('/metadata/deployRequest'), body, {
+    'Content-Type': `multipart/form-data; boundary=${boundary}`,
+  });
+
+  logger.info(`Started ${checkOnly ? 'validate-only ' : ''}metadata deploy ${result.id}`);
+  return result.id;
+}
+
+/**
+ * Fetch a metadata deploy's status with per-component results
+ */
+async function fetchDeployStatus(req, deployId) {
+  const result = await salesforceRequest(
+    req,
+    'GET',
+    dataPath(`/metadata/deployRequest/${encodeURIComponent(deployId)}?includeDetails=true`)
+  );
+  return result.deployResult;
+}
+
+/**
+ * Fetch the connected org's name and whether it is a sandbox
+ */
+async function fetchOrgDetails(req) {
+  const query = encodeURIComponent('SELECT Name, IsSandbox FROM Organization LIMIT 1');
+  const result = await salesforceRequest(req, 'GET', dataPath(`/query?q=${query}`));
+  const org = result.records?.[0] || {};
+
+  return {
+    orgName: org.Name || null,
+    isSandbox: org.IsSandbox === true,
+  };
+}
+
+/**
+ * Profile and permission set names of a user, used to map them to a bridge role
+ */
+async function fetchUserAccess(req, userId) {
+  if (!/^005[a-zA-Z0-9]{12}(?:[a-zA-Z0-9]{3})?$/.test(userId || '')) {
+    const err = new Error('Invalid user ID');
+    err.status = 400;
+    err.code = 'INVALID_USER_ID';
+    throw err;
+  }
+
+  const userQuery = encodeURIComponent(`SELECT Profile.Name FROM User WHERE Id = '${userId}'`);
+  const assignmentQuery = encodeURIComponent(
+    `SELECT PermissionSet.Name FROM PermissionSetAssignment WHERE AssigneeId = '${userId}' AND PermissionSet.IsOwnedByProfile = false`
+  );
+
+  const [user, assignments] = await Promise.all([
+    salesforceRequest(req, 'GET', dataPath(`/query?q=${userQuery}`)),
+    salesforceRequest(req, 'GET', dataPath(`/query?q=${assignmentQuery}`)),
+  ]);
+
+  return {
+    profileName: user.records?.[0]?.Profile?.Name || null,
+    permissionSets: (assignments.records || []).map((a) => a.PermissionSet?.Name).filter(Boolean),
   };
 }
 
@@ -183,8 +801,28 @@ async function fetchUserInfo(idUrl, accessToken) {
 
 module.exports = {
   getSessionTokens,
+  getOrgKey,
+  getSessionConnection,
+  createBackgroundRequest,
   salesforceRequest,
+  refreshAccessToken,
+  dataPath,
+  toolingPath,
+  toolingQueryAll,
+  MIN_BATCH_SIZE,
+  MAX_BATCH_SIZE,
   fetchValidationRules,
+  fetchValidationRule,
   toggleValidationRule,
+  bulkToggleValidationRules,
+  updateValidationRule,
+  createValidationRule,
+  deleteValidationRule,
+  fetchSObjects,
+  fetchObjectDescribe,
+  fetchOrgDetails,
+  fetchUserAccess,
+  startMetadataDeploy,
+  fetchDeployStatus,
   fetchUserInfo,
 };
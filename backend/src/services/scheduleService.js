@@ -0,0 +1,451 @@
+/**
+ * Deactivation Window Service
+ * Disables rules for a time window and re-enables them when it ends.
+ * Windows remember the session that created them; a background tick
+ * runs the toggles with that session's login, read from the session
+ * store, and keeps the session alive until the window is over.
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const storage = require('./storageService');
+const { publishEvent } = require('./eventService');
+const { createSessionRequest, keepSessionAlive } = require('./sessionStoreService');
+const {
+  getOrgKey,
+  fetchValidationRules,
+  bulkToggleValidationRules,
+} = require('./salesforceService');
+
+const SCHEDULE_PREFIX = 'schedule:';
+const TICK_LOCK = 'scheduler-tick';
+
+// Held for the whole tick, so it must outlast the slowest one: a tick that
+// outlives its lock lets the next tick run the same windows again
+const TICK_LOCK_SECONDS = 15 * 60;
+const PENDING_STATUSES = ['scheduled', 'active'];
+
+// Finished windows stay visible for a week
+const FINISHED_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+// Re-enabling is retried on later ticks before a window is marked failed
+const MAX_END_ATTEMPTS = 5;
+
+let tickTimer = null;
+
+function scheduleKey(orgKey, windowId) {
+  return `${SCHEDULE_PREFIX}${orgKey}:${windowId}`;
+}
+
+function scheduleError(message, status, code) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+/**
+ * Rules the window disabled that are still waiting for it to re-enable them
+ * Rules handed over to another window are that window's job
+ */
+function getHeldIds(window) {
+  return window.disabledIds.filter((id) => !window.restoredIds.includes(id) && !window.handedOverIds.includes(id));
+}
+
+/**
+ * Drop the session reference before a window leaves the server
+ */
+function toPublicWindow(window) {
+  const publicWindow = { ...window, heldIds: getHeldIds(window) };
+  delete publicWindow.sessionId;
+  return publicWindow;
+}
+
+/**
+ * Let the caller's login run the window from now on
+ */
+function adoptWindow(window, req) {
+  window.sessionId = req.sessionID;
+  window.orgId = req.org.orgId;
+}
+
+/**
+ * Mark a window failed, naming any rules it leaves disabled
+ */
+function failWindow(window, error) {
+  window.status = 'failed';
+  window.endedAt = new Date().toISOString();
+  window.error = error;
+
+  const heldIds = getHeldIds(window);
+  const held = window.rules
+    .filter((r) => heldIds.includes(r.Id))
+    .map((r) => `${r.EntityName}.${r.ValidationName}`);
+
+  logger.error(held.length > 0
+    ? `Deactivation window ${window.id} failed and left ${held.length} rules disabled: ${held.join(', ')}`
+    : `Deactivation window ${window.id} failed: ${error}`);
+}
+
+/**
+ * Persist a window, keeping it until a week after it ends, and tell open sessions
+ */
+async function saveWindow(window) {
+  const secondsUntilEnd = Math.max(0, (Date.parse(window.endAt) - Date.now()) / 1000);
+  await storage.setJSON(
+    scheduleKey(window.orgKey, window.id),
+    window,
+    Math.ceil(secondsUntilEnd) + FINISHED_RETENTION_SECONDS
+  );
+  publishEvent(window.orgKey, 'scheduled-window', { window: toPublicWindow(window) });
+}
+
+/**
+ * Load a window for the request's org or throw 404
+ */
+async function loadWindow(req, windowId) {
+  const window = await storage.getJSON(scheduleKey(getOrgKey(req), windowId));
+  if (!window) {
+    throw scheduleError('Deactivation window not found', 404, 'SCHEDULE_NOT_FOUND');
+  }
+  return window;
+}
+
+/**
+ * Disable the window's rules that are currently active
+ * Rules already inactive are left alone and will not be re-enabled later
+ */
+async function startWindow(window) {
+  const req = await createSessionRequest(window.sessionId, window.orgId);
+  const ruleIds = new Set(window.rules.map((r) => r.Id));
+
+  const { records } = await fetchValidationRules(req);
+  const toDisable = records.filter((r) => ruleIds.has(r.Id) && r.Active).map((r) => r.Id);
+
+  const bulk = toDisable.length > 0
+    ? await bulkToggleValidationRules(req, toDisable, false, window.change)
+    : { results: [] };
+
+  window.status = 'active';
+  window.startedAt = new Date().toISOString();
+  window.disabledIds = bulk.results.filter((r) => r.success).map((r) => r.Id);
+  window.results = bulk.results;
+
+  logger.info(`Deactivation window ${window.id} started - ${window.disabledIds.length} rules disabled`);
+}
+
+/**
+ * Hand rules another active window also covers over to that window,
+ * so they stay disabled until it ends too
+ * Returns the rule IDs no other window holds
+ */
+async function handOverRules(window, ruleIds) {
+  const others = (await storage.listJSON(`${SCHEDULE_PREFIX}${window.orgKey}:`))
+    .filter((w) => w.id !== window.id && w.status === 'active');
+  const holders = new Set();
+
+  const released = ruleIds.filter((id) => {
+    const holder = others.find((w) => w.rules.some((r) => r.Id === id));
+    if (!holder) return true;
+
+    if (!holder.disabledIds.includes(id)) {
+      holder.disabledIds.push(id);
+    }
+    window.handedOverIds.push(id);
+    holders.add(holder);
+    return false;
+  });
+
+  for (const holder of holders) {
+    await saveWindow(holder);
+    logger.info(`Deactivation window ${window.id} handed its rules over to window ${holder.id}`);
+  }
+
+  return released;
+}
+
+/**
+ * Re-enable the rules the window disabled
+ * Only rules that failed last time are retried
+ */
+async function endWindow(window, status = 'completed', change = window.change) {
+  const req = await createSessionRequest(window.sessionId, window.orgId);
+  const pending = await handOverRules(window, getHeldIds(window));
+
+  const bulk = pending.length > 0
+    ? await bulkToggleValidationRules(req, pending, true, change)
+    : { results: [] };
+
+  window.restoredIds.push(...bulk.results.filter((r) => r.success).map((r) => r.Id));
+  window.results = bulk.results;
+  window.endAttempts += 1;
+
+  const failed = bulk.results.some((r) => !r.success);
+
+  if (!failed) {
+    window.status = status;
+    window.endedAt = new Date().toISOString();
+    window.error = null;
+    logger.info(`Deactivation window ${window.id} ended - ${window.restoredIds.length} rules re-enabled`);
+  } else if (window.endAttempts >= MAX_END_ATTEMPTS) {
+    failWindow(window, 'Some rules could not be re-enabled');
+  }
+}
+
+/**
+ * Run whatever a window needs at this moment
+ */
+async function processWindow(window, now) {
+  if (!PENDING_STATUSES.includes(window.status)) return false;
+
+  // Keeps the login until the window is over, and notices early if it is gone
+  if (!(await keepSessionAlive(window.sessionId, window.orgId))) {
+    const err = new Error('The Salesforce login behind this window has ended');
+    err.code = 'SESSION_EXPIRED';
+    throw err;
+  }
+
+  if (window.status === 'scheduled' && Date.parse(window.startAt) <= now) {
+    if (Date.parse(window.endAt) <= now) {
+      // The server was down for the whole window
+      window.status = 'missed';
+      window.endedAt = new Date(now).toISOString();
+      logger.warn(`Deactivation window ${window.id} was missed`);
+      return true;
+    }
+    await startWindow(window);
+    return true;
+  }
+
+  if (window.status === 'active' && Date.parse(window.endAt) <= now) {
+    await endWindow(window);
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Check every stored window and run any that are due
+ */
+async function runDueWindows() {
+  const lock = await storage.acquireLock(TICK_LOCK, TICK_LOCK_SECONDS);
+  if (!lock) return;
+
+  try {
+    const keys = await storage.listKeys(SCHEDULE_PREFIX);
+    const now = Date.now();
+
+    for (const key of keys) {
+      // Read each window just before running it, since ending an earlier
+      // one may have handed rules over to it
+      const window = await storage.getJSON(key);
+      if (!window) continue;
+
+      try {
+        if (await processWindow(window, now)) {
+          await saveWindow(window);
+        }
+      } catch (err) {
+        logger.error(`Deactivation window ${window.id} could not be processed:`, err.message);
+
+        // Without a working login nothing more can be done for this window
+        // until someone re-enables its rules from the Maintenance tab
+        if (err.code === 'SESSION_EXPIRED') {
+          failWindow(window, window.status === 'active'
+            ? 'The Salesforce login that scheduled this window has ended, so its rules are still disabled'
+            : 'The Salesforce login that scheduled this window ended before it could start');
+          await saveWindow(window);
+        }
+      }
+    }
+  } finally {
+    await storage.releaseLock(TICK_LOCK, lock);
+  }
+}
+
+/**
+ * Start the background tick
+ */
+function startScheduler() {
+  if (tickTimer) return;
+
+  tickTimer = setInterval(() => {
+    runDueWindows().catch((err) => logger.error('Scheduler tick failed:', err));
+  }, config.schedulerIntervalMs);
+  tickTimer.unref();
+
+  logger.info(`⏰ Deactivation scheduler running every ${config.schedulerIntervalMs / 1000}s`);
+}
+
+/**
+ * Stop the background tick
+ */
+function stopScheduler() {
+  clearInterval(tickTimer);
+  tickTimer = null;
+}
+
+/**
+ * List windows for the request's org, soonest first
+ */
+async function listWindows(req) {
+  const windows = await storage.listJSON(`${SCHEDULE_PREFIX}${getOrgKey(req)}:`);
+  return windows
+    .sort((a, b) => a.startAt.localeCompare(b.startAt))
+    .map(toPublicWindow);
+}
+
+/**
+ * Create a deactivation window, starting it straight away if it is already due
+ */
+async function createWindow(req, { ruleIds, startAt, endAt, change = {} }) {
+  // In-memory windows and sessions vanish on restart, which would leave rules disabled
+  if (!storage.isRedisReady()) {
+    throw scheduleError('Deactivation windows need Redis so they survive a restart', 503, 'SCHEDULER_UNAVAILABLE');
+  }
+
+  const { records } = await fetchValidationRules(req);
+  const byId = new Map(records.map((r) => [r.Id, r]));
+  const unknown = ruleIds.filter((id) => !byId.has(id));
+
+  if (unknown.length > 0) {
+    const err = scheduleError('Some validation rules were not found', 400, 'RULE_NOT_FOUND');
+    err.details = unknown.map((id) => ({ message: `Rule ${id} not found` }));
+    throw err;
+  }
+
+  const window = {
+    id: crypto.randomUUID(),
+    orgKey: getOrgKey(req),
+    createdAt: new Date().toISOString(),
+    createdBy: req.org.username || 'User',
+    startAt: startAt.toISOString(),
+    endAt: endAt.toISOString(),
+    status: 'scheduled',
+    rules: ruleIds.map((id) => {
+      const rule = byId.get(id);
+      return { Id: rule.Id, ValidationName: rule.ValidationName, EntityName: rule.EntityName };
+    }),
+    disabledIds: [],
+    restoredIds: [],
+    handedOverIds: [],
+    endAttempts: 0,
+    results: [],
+    change,
+  };
+  adoptWindow(window, req);
+
+  if (Date.parse(window.startAt) <= Date.now()) {
+    await startWindow(window);
+  }
+
+  await saveWindow(window);
+  logger.info(`Created deactivation window ${window.id} for ${window.rules.length} rules`);
+
+  return toPublicWindow(window);
+}
+
+/**
+ * Cancel a window; an active window re-enables its rules immediately,
+ * and so does a failed one that left rules disabled
+ */
+async function cancelWindow(req, windowId, change = {}) {
+  const window = await loadWindow(req, windowId);
+
+  if (window.status === 'scheduled') {
+    window.status = 'cancelled';
+    window.endedAt = new Date().toISOString();
+  } else if (window.status === 'active' || (window.status === 'failed' && getHeldIds(window).length > 0)) {
+    // Use the caller's login rather than the one that created the window
+    adoptWindow(window, req);
+    await endWindow(window, window.status === 'active' ? 'cancelled' : 'completed', change);
+  } else {
+    throw scheduleError(`Window is already ${window.status}`, 409, 'SCHEDULE_FINISHED');
+  }
+
+  await saveWindow(window);
+  return toPublicWindow(window);
+}
+
+/**
+ * Get one window for the request's org
+ */
+async function getWindow(req, windowId) {
+  return toPublicWindow(await loadWindow(req, windowId));
+}
+
+/**
+ * Push a window's end time back, keeping who extended it and why
+ */
+async function extendWindow(req, windowId, minutes, change = {}) {
+  const window = await loadWindow(req, windowId);
+
+  if (!['scheduled', 'active'].includes(window.status)) {
+    throw scheduleError(`Window is already ${window.status}`, 409, 'SCHEDULE_FINISHED');
+  }
+
+  const endAt = new Date(Math.max(Date.parse(window.endAt), Date.now()) + minutes * 60 * 1000);
+
+  if (endAt - Date.parse(window.startAt) > config.scheduleMaxHours * 60 * 60 * 1000) {
+    throw scheduleError(`Windows cannot be longer than ${config.scheduleMaxHours} hours`, 400, 'SCHEDULE_TOO_LONG');
+  }
+
+  window.endAt = endAt.toISOString();
+  window.extensions = [
+    ...(window.extensions || []),
+    {
+      extendedAt: new Date().toISOString(),
+      extendedBy: req.org.username || 'User',
+      minutes,
+      endAt: window.endAt,
+      change,
+    },
+  ];
+  adoptWindow(window, req);
+
+  await saveWindow(window);
+  logger.info(`Extended deactivation window ${window.id} to ${window.endAt}${change.reason ? ` (${change.reason})` : ''}`);
+
+  return toPublicWindow(window);
+}
+
+/**
+ * End the windows a session runs in an org, since they cannot run once it logs out
+ * Scheduled windows are cancelled and active ones re-enable their rules now
+ * Returns how many windows were ended
+ */
+async function endSessionWindows(sessionId, orgId, orgKey) {
+  const windows = (await storage.listJSON(`${SCHEDULE_PREFIX}${orgKey}:`))
+    .filter((w) => w.sessionId === sessionId && w.orgId === orgId && PENDING_STATUSES.includes(w.status));
+
+  for (const window of windows) {
+    try {
+      if (window.status === 'scheduled') {
+        window.status = 'cancelled';
+        window.endedAt = new Date().toISOString();
+      } else {
+        await endWindow(window, 'cancelled');
+      }
+      await saveWindow(window);
+      logger.info(`Deactivation window ${window.id} ended because ${window.createdBy} logged out`);
+    } catch (err) {
+      logger.error(`Deactivation window ${window.id} could not be ended on logout:`, err.message);
+    }
+  }
+
+  return windows.length;
+}
+
+module.exports = {
+  startScheduler,
+  stopScheduler,
+  runDueWindows,
+  listWindows,
+  getWindow,
+  createWindow,
+  cancelWindow,
+  extendWindow,
+  endSessionWindows,
+};
@@ -0,0 +1,101 @@
+/**
+ * Session Store Service
+ * Lets background jobs act with a user's login straight from the
+ * express-session store, so they never keep copies of its tokens.
+ * A job loses its login when the session ends, logout included.
+ */
+
+// The parts of an org connection a token refresh changes
+const TOKEN_FIELDS = ['access_token', 'refresh_token', 'instance_url'];
+
+let sessionStore = null;
+
+function loginEndedError() {
+  const err = new Error('The Salesforce login behind this job has ended');
+  err.status = 401;
+  err.code = 'SESSION_EXPIRED';
+  return err;
+}
+
+/**
+ * Use the store express-session keeps sessions in
+ */
+function setSessionStore(store) {
+  sessionStore = store;
+}
+
+/**
+ * Call a callback-style store method
+ */
+function callStore(method, ...args) {
+  return new Promise((resolve, reject) => {
+    sessionStore[method](...args, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+}
+
+/**
+ * Load a stored session, or null if it has ended
+ */
+async function getStoredSession(sessionId) {
+  if (!sessionStore || !sessionId) return null;
+  return (await callStore('get', sessionId)) || null;
+}
+
+/**
+ * Write refreshed tokens of one org back into a stored session
+ * The session is re-read first and only the token fields are merged, so
+ * orgs connected or logged out of in the meantime are left as they are;
+ * nothing is written once the org was logged out of or logged into again
+ */
+async function saveRefreshedTokens(sessionId, orgId, org) {
+  const session = await getStoredSession(sessionId);
+  const stored = session?.orgs?.[orgId];
+  if (!stored || stored.connectedAt !== org.connectedAt) return;
+
+  for (const field of TOKEN_FIELDS) {
+    if (org[field] !== undefined) stored[field] = org[field];
+  }
+  await callStore('set', sessionId, session);
+}
+
+/**
+ * Build a request-like object that works with one org of a stored session
+ * Refreshed tokens are saved back into the session
+ * Throws SESSION_EXPIRED once the session or its org connection is gone
+ */
+async function createSessionRequest(sessionId, orgId, auditSource = 'scheduler') {
+  const session = await getStoredSession(sessionId);
+  const org = session?.orgs?.[orgId];
+  if (!org) {
+    throw loginEndedError();
+  }
+
+  return {
+    org,
+    session: {
+      save: (done) => saveRefreshedTokens(sessionId, orgId, org).then(() => done(), done),
+    },
+    auditSource,
+  };
+}
+
+/**
+ * Push a stored session's expiry back by its full lifetime
+ * Returns false if the session, or its connection to the org, has ended
+ */
+async function keepSessionAlive(sessionId, orgId) {
+  const session = await getStoredSession(sessionId);
+  if (!session?.orgs?.[orgId]) return false;
+
+  if (session.cookie?.originalMaxAge) {
+    session.cookie.expires = new Date(Date.now() + session.cookie.originalMaxAge).toISOString();
+    await callStore('touch', sessionId, session);
+  }
+  return true;
+}
+
+module.exports = {
+  setSessionStore,
+  createSessionRequest,
+  keepSessionAlive,
+};
@@ -0,0 +1,197 @@
+/**
+ * Maintenance Snapshot Service
+ * Captures the active rule set, disables it, and restores exactly that set later
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const storage = require('./storageService');
+const { publishEvent } = require('./eventService');
+const {
+  getOrgKey,
+  fetchValidationRules,
+  bulkToggleValidationRules,
+} = require('./salesforceService');
+
+const SNAPSHOT_PREFIX = 'snapshot:';
+
+function snapshotKey(orgKey, snapshotId) {
+  return `${SNAPSHOT_PREFIX}${orgKey}:${snapshotId}`;
+}
+
+/**
+ * Load a snapshot for the request's org or throw 404
+ */
+async function getSnapshot(req, snapshotId) {
+  const snapshot = await storage.getJSON(snapshotKey(getOrgKey(req), snapshotId));
+
+  if (!snapshot) {
+    const err = new Error('Snapshot not found');
+    err.status = 404;
+    err.code = 'SNAPSHOT_NOT_FOUND';
+    throw err;
+  }
+
+  return snapshot;
+}
+
+/**
+ * List snapshots for the request's org, newest first
+ */
+async function listSnapshots(req) {
+  const snapshots = await storage.listJSON(`${SNAPSHOT_PREFIX}${getOrgKey(req)}:`);
+  return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Rules a snapshot of some objects (or of every object) would disable right now
+ */
+async function findActiveRules(req, objects = []) {
+  const { records } = await fetchValidationRules(req);
+  const scope = objects.length > 0 ? new Set(objects.map((o) => o.toLowerCase())) : null;
+
+  return records.filter((r) =>
+    r.Active && (!scope || scope.has(r.EntityName.toLowerCase()))
+  );
+}
+
+/**
+ * Capture the currently active rules (optionally only on some objects) and disable them
+ */
+async function createSnapshot(req, { objects = [], change = {} } = {}) {
+  const activeRules = await findActiveRules(req, objects);
+
+  const bulk = activeRules.length > 0
+    ? await bulkToggleValidationRules(req, activeRules.map((r) => r.Id), false, change)
+    : { results: [] };
+
+  const disabledIds = new Set(bulk.results.filter((r) => r.success).map((r) => r.Id));
+
+  const snapshot = {
+    id: crypto.randomUUID(),
+    orgKey: getOrgKey(req),
+    createdAt: new Date().toISOString(),
+    createdBy: req.org.username || 'User',
+    objects,
+    status: 'disabled',
+    // Only rules that were actually disabled are restored later
+    rules: activeRules
+      .filter((r) => disabledIds.has(r.Id))
+      .map((r) => ({ Id: r.Id, ValidationName: r.ValidationName, EntityName: r.EntityName })),
+    restoredAt: null,
+    restoreResults: [],
+  };
+
+  await storage.setJSON(
+    snapshotKey(snapshot.orgKey, snapshot.id),
+    snapshot,
+    config.snapshotTtlDays * 24 * 60 * 60
+  );
+
+  logger.info(`Created maintenance snapshot ${snapshot.id} - ${snapshot.rules.length} rules disabled`);
+  publishEvent(snapshot.orgKey, 'snapshot', { snapshot });
+
+  return {
+    success: bulk.results.every((r) => r.success),
+    snapshot,
+    results: bulk.results,
+  };
+}
+
+/**
+ * Re-enable the rules in a snapshot
+ * Rules deleted or re-enabled since the snapshot are reported rather than touched
+ */
+async function restoreSnapshot(req, snapshotId, change = {}) {
+  const snapshot = await getSnapshot(req, snapshotId);
+
+  if (snapshot.status === 'restored') {
+    const err = new Error('Snapshot has already been restored');
+    err.status = 409;
+    err.code = 'SNAPSHOT_ALREADY_RESTORED';
+    throw err;
+  }
+
+  // A retry after a partial restore only revisits the rules that failed
+  const previous = snapshot.restoreResults.filter((r) => r.status !== 'failed');
+  const previousIds = new Set(previous.map((r) => r.Id));
+  const pending = snapshot.rules.filter((r) => !previousIds.has(r.Id));
+
+  const { records } = await fetchValidationRules(req);
+  const current = new Map(records.map((r) => [r.Id, r]));
+
+  const changed = [];
+  const toRestore = [];
+
+  for (const rule of pending) {
+    const live = current.get(rule.Id);
+    if (!live) {
+      changed.push({ ...rule, success: false, status: 'missing', error: 'Rule no longer exists' });
+    } else if (live.Active) {
+      changed.push({ ...rule, success: true, status: 'already-active', error: 'Rule was re-enabled outside the snapshot' });
+    } else {
+      toRestore.push(rule);
+    }
+  }
+
+  const bulk = toRestore.length > 0
+    ? await bulkToggleValidationRules(req, toRestore.map((r) => r.Id), true, change)
+    : { results: [] };
+
+  const restored = bulk.results.map((result, index) => ({
+    ...toRestore[index],
+    success: result.success,
+    status: result.success ? 'restored' : 'failed',
+    error: result.error,
+  }));
+
+  const results = [...restored, ...changed];
+  const allResults = [...previous, ...results];
+  const failed = results.some((r) => r.status === 'failed');
+
+  const updated = {
+    ...snapshot,
+    // A partially failed restore can be retried
+    status: failed ? 'partially-restored' : 'restored',
+    restoredAt: new Date().toISOString(),
+    restoredBy: req.org.username || 'User',
+    restoreResults: allResults,
+  };
+
+  await storage.setJSON(
+    snapshotKey(snapshot.orgKey, snapshot.id),
+    updated,
+    config.snapshotTtlDays * 24 * 60 * 60
+  );
+
+  logger.info(`Restored maintenance snapshot ${snapshot.id} - ${restored.filter((r) => r.success).length} rules re-enabled, ${changed.length} changed in between`);
+  publishEvent(updated.orgKey, 'snapshot', { snapshot: updated });
+
+  return {
+    success: !failed,
+    snapshot: updated,
+    results,
+    changed,
+  };
+}
+
+/**
+ * Delete a snapshot
+ */
+async function deleteSnapshot(req, snapshotId) {
+  const snapshot = await getSnapshot(req, snapshotId);
+  await storage.deleteKey(snapshotKey(snapshot.orgKey, snapshot.id));
+  logger.info(`Deleted maintenance snapshot ${snapshot.id}`);
+  publishEvent(snapshot.orgKey, 'snapshot', { id: snapshot.id, deleted: true });
+  return { success: true, id: snapshot.id };
+}
+
+module.exports = {
+  findActiveRules,
+  listSnapshots,
+  getSnapshot,
+  createSnapshot,
+  restoreSnapshot,
+  deleteSnapshot,
+};
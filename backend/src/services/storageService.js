@@ -0,0 +1,194 @@
+/**
+ * Storage Service
+ * Small JSON key/value store backed by Redis when configured,
+ * falling back to process memory otherwise
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const KEY_PREFIX = 'bridge:';
+
+// Compare-and-delete, so a lock is only released by whoever took it
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+let redisClient = null;
+
+// key -> { value, expiresAt }
+const memoryStore = new Map();
+
+/**
+ * Use a connected Redis client for storage
+ */
+function setRedisClient(client) {
+  redisClient = client;
+  logger.info('✅ Storage using Redis');
+}
+
+/**
+ * Check whether Redis is currently usable
+ */
+function isRedisReady() {
+  return Boolean(redisClient && redisClient.isReady);
+}
+
+/**
+ * Read a memory entry, dropping it if expired
+ */
+function readMemory(key) {
+  const entry = memoryStore.get(key);
+  if (!entry) return undefined;
+
+  if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+    memoryStore.delete(key);
+    return undefined;
+  }
+
+  return entry.value;
+}
+
+/**
+ * Get a JSON value by key
+ */
+async function getJSON(key) {
+  if (isRedisReady()) {
+    const raw = await redisClient.get(KEY_PREFIX + key);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  const value = readMemory(key);
+  return value === undefined ? null : JSON.parse(value);
+}
+
+/**
+ * Store a JSON value, optionally expiring after ttlSeconds
+ */
+async function setJSON(key, value, ttlSeconds) {
+  const raw = JSON.stringify(value);
+
+  if (isRedisReady()) {
+    const options = ttlSeconds ? { EX: ttlSeconds } : undefined;
+    await redisClient.set(KEY_PREFIX + key, raw, options);
+    return;
+  }
+
+  memoryStore.set(key, {
+    value: raw,
+    expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null,
+  });
+}
+
+/**
+ * Delete a key
+ */
+async function deleteKey(key) {
+  if (isRedisReady()) {
+    await redisClient.del(KEY_PREFIX + key);
+    return;
+  }
+
+  memoryStore.delete(key);
+}
+
+/**
+ * Add a JSON value to the front of a list, trimming it to maxLength
+ */
+async function pushList(key, value, maxLength) {
+  const raw = JSON.stringify(value);
+
+  if (isRedisReady()) {
+    await redisClient.lPush(KEY_PREFIX + key, raw);
+    await redisClient.lTrim(KEY_PREFIX + key, 0, maxLength - 1);
+    return;
+  }
+
+  const list = readMemory(key) || [];
+  list.unshift(raw);
+  memoryStore.set(key, { value: list.slice(0, maxLength), expiresAt: null });
+}
+
+/**
+ * Read every JSON value in a list, newest first
+ */
+async function getList(key) {
+  const raw = isRedisReady()
+    ? await redisClient.lRange(KEY_PREFIX + key, 0, -1)
+    : readMemory(key) || [];
+
+  return raw.map((item) => JSON.parse(item));
+}
+
+/**
+ * Take a short-lived lock so only one server instance runs a job
+ * Returns a token to release it with, or null if someone else holds it
+ */
+async function acquireLock(key, ttlSeconds) {
+  const token = crypto.randomUUID();
+
+  if (isRedisReady()) {
+    const result = await redisClient.set(`${KEY_PREFIX}lock:${key}`, token, { NX: true, EX: ttlSeconds });
+    return result === 'OK' ? token : null;
+  }
+
+  if (readMemory(`lock:${key}`) !== undefined) return null;
+  memoryStore.set(`lock:${key}`, { value: token, expiresAt: Date.now() + ttlSeconds * 1000 });
+  return token;
+}
+
+/**
+ * Release a lock taken with acquireLock, only while it still holds our token
+ * A lock that expired and was taken by someone else is left alone
+ */
+async function releaseLock(key, token) {
+  if (isRedisReady()) {
+    await redisClient.eval(RELEASE_LOCK_SCRIPT, { keys: [`${KEY_PREFIX}lock:${key}`], arguments: [token] });
+    return;
+  }
+
+  if (readMemory(`lock:${key}`) === token) {
+    memoryStore.delete(`lock:${key}`);
+  }
+}
+
+/**
+ * List keys that start with a prefix (without the storage prefix)
+ */
+async function listKeys(prefix) {
+  if (isRedisReady()) {
+    const keys = [];
+    for await (const key of redisClient.scanIterator({ MATCH: `${KEY_PREFIX}${prefix}*`, COUNT: 100 })) {
+      keys.push(key.slice(KEY_PREFIX.length));
+    }
+    return keys;
+  }
+
+  return [...memoryStore.keys()].filter((key) => key.startsWith(prefix) && readMemory(key) !== undefined);
+}
+
+/**
+ * Get every JSON value whose key starts with a prefix
+ */
+async function listJSON(prefix) {
+  const keys = await listKeys(prefix);
+  const values = await Promise.all(keys.map((key) => getJSON(key)));
+  return values.filter(Boolean);
+}
+
+module.exports = {
+  setRedisClient,
+  isRedisReady,
+  getJSON,
+  setJSON,
+  deleteKey,
+  pushList,
+  getList,
+  acquireLock,
+  releaseLock,
+  listKeys,
+  listJSON,
+};
@@ -0,0 +1,295 @@
+/**
+ * Webhook Service
+ * Posts each rule change as signed JSON to the targets in WEBHOOKS.
+ * Failed deliveries are retried with exponential backoff and end up
+ * in a per-org dead-letter list once they run out of attempts.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const storage = require('./storageService');
+
+const DEAD_LETTER_PREFIX = 'webhook-dead:';
+
+// Dead letters are kept for a week so they can be inspected and redelivered
+const DEAD_LETTER_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Responses worth trying again; any other 4xx will not change on retry
+const RETRYABLE_STATUSES = [408, 425, 429];
+
+function webhookError(message, status, code) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+function deadLetterKey(orgKey, deliveryId) {
+  return `${DEAD_LETTER_PREFIX}${orgKey}:${deliveryId}`;
+}
+
+/**
+ * Configured targets with their default names
+ */
+function getTargets() {
+  return config.webhooks.map((target, index) => ({
+    name: target.name || `webhook-${index + 1}`,
+    url: target.url,
+    secret: target.secret,
+    events: target.events || null,
+  }));
+}
+
+/**
+ * A target as shown to users: no secret, and only the origin of the URL
+ * since paths of chat webhooks are credentials too
+ */
+function toPublicTarget(target) {
+  return {
+    name: target.name,
+    url: `${new URL(target.url).origin}/…`,
+    events: target.events,
+  };
+}
+
+function findTarget(name) {
+  const target = getTargets().find((t) => t.name === name);
+  if (!target) {
+    throw webhookError(`Webhook target "${name}" is not configured`, 404, 'WEBHOOK_NOT_FOUND');
+  }
+  return target;
+}
+
+/**
+ * Build the JSON body sent for an audit entry
+ */
+function toPayload(entry) {
+  return {
+    id: entry.id,
+    event: entry.action,
+    timestamp: entry.timestamp,
+    org: {
+      id: entry.orgId,
+      key: entry.orgKey,
+      url: entry.orgUrl,
+    },
+    actor: {
+      username: entry.username,
+      source: entry.source,
+      approvedBy: entry.approvedBy || null,
+    },
+    rule: entry.ruleId
+      ? { id: entry.ruleId, name: entry.ruleName, object: entry.entityName }
+      : null,
+    before: entry.before,
+    after: entry.after,
+    reason: entry.reason,
+    ticketId: entry.ticketId,
+  };
+}
+
+/**
+ * HMAC-SHA256 of "<timestamp>.<body>" with the target's secret
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Make one attempt at a delivery
+ * Returns { success, status, error, retryable, durationMs }
+ */
+async function attemptDelivery(delivery) {
+  const target = findTarget(delivery.target);
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const started = Date.now();
+
+  delivery.attempts += 1;
+
+  try {
+    const response = await axios.post(target.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'salesforce-validation-bridge-webhooks',
+        'X-Bridge-Event': delivery.payload.event,
+        'X-Bridge-Delivery': delivery.id,
+        'X-Bridge-Timestamp': timestamp,
+        'X-Bridge-Signature': `sha256=${signPayload(target.secret, timestamp, body)}`,
+      },
+      timeout: config.webhookTimeoutMs,
+      maxRedirects: 0,
+      validateStatus: () => true,
+    });
+
+    const success = response.status >= 200 && response.status < 300;
+    return {
+      success,
+      status: response.status,
+      error: success ? null : `Receiver responded ${response.status}`,
+      retryable: response.status >= 500 || RETRYABLE_STATUSES.includes(response.status),
+      durationMs: Date.now() - started,
+    };
+  } catch (err) {
+    // Timeouts, refused connections and DNS failures
+    return {
+      success: false,
+      status: null,
+      error: err.code ? `${err.code}: ${err.message}` : err.message,
+      retryable: true,
+      durationMs: Date.now() - started,
+    };
+  }
+}
+
+/**
+ * Keep a delivery that ran out of attempts
+ */
+async function saveDeadLetter(delivery, outcome) {
+  const deadLetter = {
+    ...delivery,
+    failedAt: new Date().toISOString(),
+    lastStatus: outcome.status,
+    lastError: outcome.error,
+  };
+
+  try {
+    await storage.setJSON(deadLetterKey(delivery.orgKey, delivery.id), deadLetter, DEAD_LETTER_TTL_SECONDS);
+  } catch (err) {
+    logger.error(`Failed to keep dead webhook delivery ${delivery.id}:`, err.message);
+  }
+}
+
+/**
+ * Deliver, retrying in the background after 1x, 2x, 4x... WEBHOOK_RETRY_BASE_MS
+ * Resolves with the outcome of the first attempt
+ * Retries pending when the server stops are lost, like the rest of process memory
+ */
+async function runDelivery(delivery) {
+  const outcome = await attemptDelivery(delivery);
+
+  if (outcome.success) {
+    logger.debug(`Webhook ${delivery.id} delivered to ${delivery.target} (${outcome.status})`);
+  } else if (outcome.retryable && delivery.attempts < config.webhookMaxAttempts) {
+    const delay = config.webhookRetryBaseMs * 2 ** (delivery.attempts - 1);
+    logger.warn(`Webhook ${delivery.id} to ${delivery.target} failed (${outcome.error}); retry ${delivery.attempts} in ${delay}ms`);
+
+    const timer = setTimeout(() => {
+      runDelivery(delivery).catch((err) => logger.error(`Webhook ${delivery.id} retry failed:`, err.message));
+    }, delay);
+    timer.unref();
+  } else {
+    logger.error(`Webhook ${delivery.id} to ${delivery.target} failed after ${delivery.attempts} attempts: ${outcome.error}`);
+    await saveDeadLetter(delivery, outcome);
+  }
+
+  return outcome;
+}
+
+function createDelivery(target, payload) {
+  return {
+    id: crypto.randomUUID(),
+    target: target.name,
+    orgKey: payload.org.key,
+    createdAt: new Date().toISOString(),
+    attempts: 0,
+    payload,
+  };
+}
+
+/**
+ * Send an audit entry to every target that wants its event
+ * Never throws or waits, so webhooks cannot slow down or block a change
+ */
+function sendRuleChange(entry) {
+  const payload = toPayload(entry);
+
+  getTargets()
+    .filter((target) => !target.events || target.events.includes(payload.event))
+    .forEach((target) => {
+      runDelivery(createDelivery(target, payload))
+        .catch((err) => logger.error(`Webhook to ${target.name} failed:`, err.message));
+    });
+}
+
+/**
+ * List configured targets without their secrets
+ */
+function listTargets() {
+  return getTargets().map(toPublicTarget);
+}
+
+/**
+ * Send a test event about an org to one target (or all), once and without retries
+ */
+async function sendTestDelivery(org, orgKey, targetName) {
+  const targets = targetName ? [findTarget(targetName)] : getTargets();
+
+  const payload = toPayload({
+    id: crypto.randomUUID(),
+    action: 'test',
+    timestamp: new Date().toISOString(),
+    orgId: org.orgId || null,
+    orgKey,
+    orgUrl: org.instance_url,
+    username: org.username || 'Unknown',
+    source: 'user',
+    ruleId: null,
+    before: null,
+    after: null,
+    reason: null,
+    ticketId: null,
+  });
+
+  return Promise.all(targets.map(async (target) => {
+    const delivery = createDelivery(target, payload);
+    const { success, status, error, durationMs } = await attemptDelivery(delivery);
+    return { target: target.name, deliveryId: delivery.id, success, status, error, durationMs };
+  }));
+}
+
+/**
+ * Dead letters for an org, newest first
+ */
+async function listDeadLetters(orgKey) {
+  const deadLetters = await storage.listJSON(`${DEAD_LETTER_PREFIX}${orgKey}:`);
+  return deadLetters.sort((a, b) => b.failedAt.localeCompare(a.failedAt));
+}
+
+/**
+ * Send a dead letter again with a fresh set of attempts
+ * It leaves the list now and comes back if every attempt fails again
+ */
+async function retryDeadLetter(orgKey, deliveryId) {
+  const key = deadLetterKey(orgKey, deliveryId);
+  const deadLetter = await storage.getJSON(key);
+
+  if (!deadLetter) {
+    throw webhookError('Dead letter not found', 404, 'DEAD_LETTER_NOT_FOUND');
+  }
+  findTarget(deadLetter.target);
+
+  await storage.deleteKey(key);
+
+  const delivery = {
+    id: deadLetter.id,
+    target: deadLetter.target,
+    orgKey: deadLetter.orgKey,
+    createdAt: deadLetter.createdAt,
+    attempts: 0,
+    payload: deadLetter.payload,
+  };
+  const { success, status, error } = await runDelivery(delivery);
+
+  return { deliveryId: delivery.id, target: delivery.target, success, status, error };
+}
+
+module.exports = {
+  sendRuleChange,
+  listTargets,
+  sendTestDelivery,
+  listDeadLetters,
+  retryDeadLetter,
+};
@@ -0,0 +1,29 @@
+/**
+ * Concurrency Utilities
+ * Run async work over a list without flooding the Salesforce API
+ */
+
+/**
+ * Map items through an async function with at most `limit` calls in flight
+ * Results keep the order of the input items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker);
+  await Promise.all(workers);
+
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency,
+};
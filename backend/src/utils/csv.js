@@ -0,0 +1,111 @@
+/**
+ * CSV Utility
+ * RFC 4180 style quoting and parsing
+ */
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'CSV_PARSE_ERROR';
+  return err;
+}
+
+/**
+ * Quote a value if it contains a delimiter, quote or line break
+ * Values a spreadsheet would run as a formula are prefixed with ' so they open as text
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const raw = String(value);
+  const text = FORMULA_PREFIX.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text from rows of objects using the given column keys
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.map(escapeCsvValue).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeCsvValue(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Parse CSV text into rows of objects keyed by the header row
+ * Each row also carries its 1-based line number as _line
+ * Throws CSV_PARSE_ERROR (400) for a quoted field that is never closed
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let quoteLine = 1;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+      quoteLine = line;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push({ values: record, line: recordLine });
+      record = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw csvError(`Quoted field opened on line ${quoteLine} is never closed`);
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push({ values: record, line: recordLine });
+  }
+
+  const nonEmpty = records.filter((r) => r.values.some((v) => v.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const [header, ...rows] = nonEmpty;
+  const columns = header.values.map((c) => c.trim().replace(/^\uFEFF/, ''));
+
+  return rows.map((row) => {
+    const result = { _line: row.line };
+    columns.forEach((column, index) => {
+      result[column] = row.values[index] ?? '';
+    });
+    return result;
+  });
+}
+
+module.exports = {
+  toCsv,
+  parseCsv,
+};
@@ -0,0 +1,152 @@
+/**
+ * Desired State Parser
+ * Reads "rule full name -> active" files in JSON, YAML or CSV.
+ *
+ * Accepted shapes (JSON and YAML):
+ *   { "Account.Require_Phone": true, ... }
+ *   { rules: [{ fullName: "Account.Require_Phone", active: true }, ...] }
+ *   [{ fullName: "Account.Require_Phone", active: true }, ...]
+ *
+ * CSV needs a header with fullName (or EntityName + ValidationName) and active,
+ * so a CSV export from the bridge can be used as-is.
+ */
+
+const YAML = require('yaml');
+const { parseCsv } = require('./csv');
+
+const DESIRED_STATE_FORMATS = ['json', 'yaml', 'csv'];
+
+const TRUE_VALUES = ['true', '1', 'yes', 'y', 'on', 'active', 'enabled'];
+const FALSE_VALUES = ['false', '0', 'no', 'n', 'off', 'inactive', 'disabled'];
+
+/**
+ * Pick the format from an explicit value or a file name
+ * Returns null when neither names a known format, including values that are not text
+ */
+function detectFormat(format, filename = '') {
+  if (format) {
+    if (typeof format !== 'string') return null;
+    const normalized = format.toLowerCase() === 'yml' ? 'yaml' : format.toLowerCase();
+    return DESIRED_STATE_FORMATS.includes(normalized) ? normalized : null;
+  }
+
+  if (typeof filename !== 'string') return null;
+  const extension = filename.split('.').pop().toLowerCase();
+  if (extension === 'yml') return 'yaml';
+  return DESIRED_STATE_FORMATS.includes(extension) ? extension : null;
+}
+
+/**
+ * Normalise an active value, or undefined if it is not recognisable
+ */
+function parseActiveValue(value) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value ?? '').trim().toLowerCase();
+  if (TRUE_VALUES.includes(text)) return true;
+  if (FALSE_VALUES.includes(text)) return false;
+  return undefined;
+}
+
+/**
+ * Find a column or property regardless of case
+ */
+function pick(record, ...names) {
+  const keys = Object.keys(record);
+  for (const name of names) {
+    const key = keys.find((k) => k.toLowerCase() === name.toLowerCase());
+    if (key !== undefined) return record[key];
+  }
+  return undefined;
+}
+
+/**
+ * Turn parsed JSON/YAML into raw entries
+ */
+function entriesFromDocument(doc) {
+  const list = Array.isArray(doc) ? doc : Array.isArray(doc?.rules) ? doc.rules : null;
+
+  if (list) {
+    return list.map((item, index) => ({
+      position: `item ${index + 1}`,
+      fullName: item && typeof item === 'object' ? pick(item, 'fullName', 'full_name', 'name') : undefined,
+      active: item && typeof item === 'object' ? pick(item, 'active') : undefined,
+    }));
+  }
+
+  if (doc && typeof doc === 'object') {
+    return Object.entries(doc).map(([fullName, active]) => ({ position: fullName, fullName, active }));
+  }
+
+  return null;
+}
+
+/**
+ * Turn CSV rows into raw entries
+ */
+function entriesFromCsv(rows) {
+  return rows.map((row) => {
+    const entity = pick(row, 'EntityName', 'object');
+    const name = pick(row, 'ValidationName');
+    return {
+      position: `line ${row._line}`,
+      fullName: pick(row, 'fullName', 'full_name') || (entity && name ? `${entity}.${name}` : undefined),
+      active: pick(row, 'active'),
+    };
+  });
+}
+
+/**
+ * Parse a desired state file into [{ fullName, active }] plus per-entry errors
+ * Throws only when the file as a whole cannot be read
+ */
+function parseDesiredState(content, format) {
+  let raw;
+
+  try {
+    if (format === 'csv') {
+      raw = entriesFromCsv(parseCsv(content));
+    } else {
+      raw = entriesFromDocument(format === 'yaml' ? YAML.parse(content) : JSON.parse(content));
+    }
+  } catch (parseErr) {
+    const err = new Error(`Could not read ${format.toUpperCase()} file: ${parseErr.message}`);
+    err.status = 400;
+    err.code = 'INVALID_DESIRED_STATE';
+    throw err;
+  }
+
+  if (!raw) {
+    const err = new Error('Expected a map of rule names to true/false, or a list of { fullName, active }');
+    err.status = 400;
+    err.code = 'INVALID_DESIRED_STATE';
+    throw err;
+  }
+
+  const entries = [];
+  const errors = [];
+  const seen = new Set();
+
+  for (const item of raw) {
+    const fullName = typeof item.fullName === 'string' ? item.fullName.trim() : '';
+    const active = parseActiveValue(item.active);
+
+    if (!/^[A-Za-z][A-Za-z0-9_]*\.[A-Za-z][A-Za-z0-9_]*$/.test(fullName)) {
+      errors.push({ position: item.position, message: 'Expected a full name like Account.Rule_Name' });
+    } else if (active === undefined) {
+      errors.push({ position: item.position, message: `${fullName}: active must be true or false` });
+    } else if (seen.has(fullName.toLowerCase())) {
+      errors.push({ position: item.position, message: `${fullName} is listed more than once` });
+    } else {
+      seen.add(fullName.toLowerCase());
+      entries.push({ fullName, active });
+    }
+  }
+
+  return { entries, errors };
+}
+
+module.exports = {
+  DESIRED_STATE_FORMATS,
+  detectFormat,
+  parseDesiredState,
+};
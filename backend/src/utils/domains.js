@@ -0,0 +1,124 @@
+/**
+ * Salesforce Login Domain Utilities
+ * Resolves the OAuth host for production, sandbox and custom domains
+ */
+
+const config = require('../config/config');
+
+const DOMAIN_TYPES = ['production', 'sandbox', 'custom'];
+
+// A DNS host name: labels of letters, digits and inner hyphens
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+/**
+ * Turn a configured pattern such as *.my.salesforce.com into a regex
+ * * matches exactly one DNS label, so it cannot reach across dots
+ */
+function patternToRegex(pattern) {
+  const escaped = pattern
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[a-z0-9](?:[a-z0-9-]*[a-z0-9])?');
+  return new RegExp(`^${escaped}$`);
+}
+
+function invalidDomainError(message, code) {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = code;
+  return err;
+}
+
+/**
+ * Reduce a user-entered custom domain to its host name
+ * Accepts "acme.my.salesforce.com" as well as "https://acme.my.salesforce.com/"
+ * Returns null for anything that is not a bare https host
+ */
+function normalizeCustomDomain(value) {
+  const input = (value || '').toString().trim().toLowerCase();
+  if (!input) return null;
+
+  const withScheme = /^[a-z][a-z0-9+.-]*:\/\//.test(input) ? input : `https://${input}`;
+
+  let url;
+  try {
+    url = new URL(withScheme);
+  } catch {
+    return null;
+  }
+
+  const bare = url.protocol === 'https:' &&
+    !url.username && !url.password && !url.port &&
+    url.pathname === '/' && !url.search && !url.hash;
+
+  return bare && HOSTNAME_PATTERN.test(url.hostname) ? url.hostname : null;
+}
+
+/**
+ * Whether a host matches CUSTOM_DOMAIN_PATTERNS or CUSTOM_DOMAIN_ALLOWLIST
+ */
+function isAllowedCustomDomain(host) {
+  return config.customDomainAllowlist.includes(host) ||
+    config.customDomainPatterns.some((pattern) => patternToRegex(pattern).test(host));
+}
+
+/**
+ * Validate a login request's domain settings
+ * Returns { domainType, customDomain } with the custom domain reduced to its host
+ */
+function resolveLoginDomain(domainType = 'production', customDomain = '') {
+  if (!DOMAIN_TYPES.includes(domainType)) {
+    throw invalidDomainError(`domain must be one of ${DOMAIN_TYPES.join(', ')}`, 'INVALID_DOMAIN_TYPE');
+  }
+
+  if (domainType !== 'custom') {
+    return { domainType, customDomain: '' };
+  }
+
+  const host = normalizeCustomDomain(customDomain);
+
+  if (!host) {
+    throw invalidDomainError('Custom domain must be a host name such as yourcompany.my.salesforce.com', 'INVALID_CUSTOM_DOMAIN');
+  }
+
+  if (!isAllowedCustomDomain(host)) {
+    throw invalidDomainError(`${host} is not an allowed Salesforce login domain`, 'CUSTOM_DOMAIN_NOT_ALLOWED');
+  }
+
+  return { domainType, customDomain: host };
+}
+
+/**
+ * Get the OAuth base URL for a domain type
+ * Custom domains must have been checked with resolveLoginDomain
+ */
+function getOAuthBaseUrl(domainType, customDomain = '') {
+  if (domainType === 'sandbox') {
+    return 'https://test.salesforce.com/services/oauth2';
+  }
+
+  if (domainType === 'custom' && customDomain) {
+    return `https://${customDomain}/services/oauth2`;
+  }
+
+  return 'https://login.salesforce.com/services/oauth2';
+}
+
+/**
+ * Host of an org's instance URL, which keys the data the bridge stores per org
+ */
+function getInstanceHost(instanceUrl) {
+  try {
+    return new URL(instanceUrl).host;
+  } catch {
+    return instanceUrl || null;
+  }
+}
+
+module.exports = {
+  getInstanceHost,
+  normalizeCustomDomain,
+  isAllowedCustomDomain,
+  resolveLoginDomain,
+  getOAuthBaseUrl,
+};
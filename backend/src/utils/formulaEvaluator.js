@@ -0,0 +1,601 @@
+/**
+ * Formula Evaluator
+ * Parses a Salesforce formula and evaluates it against a sample record entirely in Node,
+ * recording the value of every sub-expression along the way
+ */
+
+const { RE2JS } = require('re2js');
+const { KEYWORDS, tokenizeFormula } = require('./formulaParser');
+
+// Binary operators from lowest to highest precedence
+const BINARY_LEVELS = [
+  ['||'],
+  ['&&'],
+  ['=', '==', '!=', '<>'],
+  ['<', '>', '<=', '>='],
+  ['+', '-', '&'],
+  ['*', '/'],
+  ['^'],
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Deeply nested formulas still return a readable trace
+const MAX_STEPS = 500;
+
+// Parentheses, calls and unary operators nested deeper than this are refused
+// before the recursive parser runs out of stack; far beyond real rules
+const MAX_NESTING = 100;
+
+// Long operator chains build deep trees without nesting, so evaluation has its own cap
+const MAX_EVAL_DEPTH = 1000;
+
+function formulaError(message, code = 'FORMULA_EVAL_ERROR') {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = code;
+  return err;
+}
+
+/**
+ * A date without a time, kept as midnight UTC
+ * Date and Date/Time fields behave differently in arithmetic and TEXT()
+ */
+class FormulaDate {
+  constructor(ms) {
+    this.ms = ms;
+  }
+
+  static of(year, month, day) {
+    return new FormulaDate(Date.UTC(year, month - 1, day));
+  }
+
+  toString() {
+    return new Date(this.ms).toISOString().slice(0, 10);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+function unquote(token) {
+  const quote = token.value[0];
+  if (token.value.length < 2 || token.value[token.value.length - 1] !== quote) {
+    throw formulaError(`Unterminated string at position ${token.start + 1}`, 'FORMULA_PARSE_ERROR');
+  }
+
+  const escapes = { n: '\n', t: '\t', r: '\r' };
+  return token.value.slice(1, -1).replace(/\\(.)/g, (_, c) => escapes[c] ?? c);
+}
+
+/**
+ * Parse a formula into an expression tree
+ * Every node keeps the formula text it was parsed from
+ */
+function parseFormula(formula) {
+  const tokens = tokenizeFormula(formula);
+  let pos = 0;
+  let nesting = 0;
+
+  if (tokens.length === 0) {
+    throw formulaError('Formula is empty', 'FORMULA_PARSE_ERROR');
+  }
+
+  const peek = () => tokens[pos];
+  const describe = (token) => (token ? `"${token.value}" at position ${token.start + 1}` : 'end of formula');
+  const withSource = (props, first, last) => ({
+    ...props,
+    source: formula.slice(first.start, last.start + last.value.length),
+  });
+
+  function expect(value) {
+    const token = tokens[pos];
+    if (!token || token.value !== value) {
+      throw formulaError(`Expected "${value}" but found ${describe(token)}`, 'FORMULA_PARSE_ERROR');
+    }
+    pos++;
+    return token;
+  }
+
+  // Run a nested parse, refusing formulas nested too deeply to parse safely
+  function nested(parse) {
+    if (++nesting > MAX_NESTING) {
+      throw formulaError(`Formula is nested more than ${MAX_NESTING} levels deep`, 'FORMULA_TOO_DEEP');
+    }
+    const node = parse();
+    nesting--;
+    return node;
+  }
+
+  function parseLevel(level) {
+    if (level === BINARY_LEVELS.length) return parseUnary();
+
+    const first = peek();
+    let left = parseLevel(level + 1);
+
+    while (peek()?.type === 'operator' && BINARY_LEVELS[level].includes(peek().value)) {
+      const op = tokens[pos++].value;
+      const right = parseLevel(level + 1);
+      left = withSource({ type: 'binary', op, left, right }, first, tokens[pos - 1]);
+    }
+
+    return left;
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (token?.type === 'operator' && ['-', '+', '!'].includes(token.value)) {
+      pos++;
+      const operand = nested(parseUnary);
+      return withSource({ type: 'unary', op: token.value, operand }, token, tokens[pos - 1]);
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = tokens[pos];
+    if (!token) throw formulaError('Unexpected end of formula', 'FORMULA_PARSE_ERROR');
+    pos++;
+
+    if (token.type === 'number') return { type: 'literal', value: Number(token.value), source: token.value };
+    if (token.type === 'string') return { type: 'literal', value: unquote(token), source: token.value };
+
+    if (token.value === '(') {
+      const inner = nested(() => parseLevel(0));
+      expect(')');
+      return inner;
+    }
+
+    if (token.type === 'identifier') {
+      if (peek()?.value === '(') {
+        pos++;
+        const args = [];
+        if (peek()?.value === ')') {
+          pos++;
+        } else {
+          for (;;) {
+            args.push(nested(() => parseLevel(0)));
+            if (peek()?.value !== ',') break;
+            pos++;
+          }
+          expect(')');
+        }
+        return withSource({ type: 'call', name: token.value.toUpperCase(), args }, token, tokens[pos - 1]);
+      }
+
+      const keyword = token.value.toUpperCase();
+      if (KEYWORDS.includes(keyword)) {
+        return { type: 'literal', value: { TRUE: true, FALSE: false, NULL: null }[keyword], source: token.value };
+      }
+
+      return { type: 'field', path: token.value.replace(/\.+$/, ''), source: token.value };
+    }
+
+    throw formulaError(`Unexpected ${describe(token)}`, 'FORMULA_PARSE_ERROR');
+  }
+
+  const tree = parseLevel(0);
+  if (pos < tokens.length) {
+    throw formulaError(`Unexpected ${describe(tokens[pos])}`, 'FORMULA_PARSE_ERROR');
+  }
+  return tree;
+}
+
+// ---------------------------------------------------------------------------
+// Values
+// ---------------------------------------------------------------------------
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+const isDate = (value) => value instanceof FormulaDate;
+const isDateTime = (value) => value instanceof Date;
+
+/**
+ * Read a JSON record value: ISO dates and date/times become date values
+ */
+function fromRecordValue(value) {
+  if (value === undefined) return null;
+  if (typeof value !== 'string') return value;
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    return FormulaDate.of(year, month, day);
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value) && !Number.isNaN(Date.parse(value))) {
+    return new Date(value);
+  }
+
+  return value;
+}
+
+/**
+ * Value as returned in the API response
+ */
+function toOutputValue(value) {
+  if (isDate(value)) return value.toString();
+  if (isDateTime(value)) return value.toISOString();
+  if (value === undefined) return null;
+  return value;
+}
+
+function timeOf(value) {
+  if (isDate(value)) return value.ms;
+  if (isDateTime(value)) return value.getTime();
+  return value;
+}
+
+function toBoolean(value, where) {
+  if (value === null) return false;
+  if (typeof value !== 'boolean') {
+    throw formulaError(`${where} needs a true/false value but got ${JSON.stringify(toOutputValue(value))}`);
+  }
+  return value;
+}
+
+function toNumber(value, where) {
+  if (value === null) return null;
+  if (typeof value !== 'number') {
+    throw formulaError(`${where} needs a number but got ${JSON.stringify(toOutputValue(value))}`);
+  }
+  return value;
+}
+
+const toText = (value) => (isBlank(value) ? '' : String(value));
+
+function equals(a, b) {
+  if (isBlank(a) || isBlank(b)) return isBlank(a) && isBlank(b);
+  return timeOf(a) === timeOf(b);
+}
+
+function compare(op, a, b) {
+  if (isBlank(a) || isBlank(b)) return false;
+  const [x, y] = [timeOf(a), timeOf(b)];
+  return { '<': x < y, '>': x > y, '<=': x <= y, '>=': x >= y }[op];
+}
+
+function add(a, b, sign) {
+  if (a === null || b === null) return null;
+
+  if ((isDate(a) || isDateTime(a)) && typeof b === 'number') {
+    const ms = timeOf(a) + sign * b * DAY_MS;
+    return isDate(a) ? new FormulaDate(ms) : new Date(ms);
+  }
+
+  if (sign < 0 && (isDate(a) || isDateTime(a)) && (isDate(b) || isDateTime(b))) {
+    return (timeOf(a) - timeOf(b)) / DAY_MS;
+  }
+
+  if (sign > 0 && typeof a === 'string' && typeof b === 'string') return a + b;
+
+  return toNumber(a, 'Arithmetic') + sign * toNumber(b, 'Arithmetic');
+}
+
+function applyBinary(op, a, b) {
+  switch (op) {
+    case '=':
+    case '==':
+      return equals(a, b);
+    case '!=':
+    case '<>':
+      return !equals(a, b);
+    case '<':
+    case '>':
+    case '<=':
+    case '>=':
+      return compare(op, a, b);
+    case '&':
+      return toText(isDate(a) ? a.toString() : a) + toText(isDate(b) ? b.toString() : b);
+    case '+':
+      return add(a, b, 1);
+    case '-':
+      return add(a, b, -1);
+    default: {
+      const [x, y] = [toNumber(a, op), toNumber(b, op)];
+      if (x === null || y === null) return null;
+      if (op === '/' && y === 0) throw formulaError('Division by zero');
+      return { '*': x * y, '/': x / y, '^': x ** y }[op];
+    }
+  }
+}
+
+/**
+ * Find a field in a record by path, ignoring case
+ * Owner:User.Name reads the Owner relationship
+ */
+function lookupPath(record, path) {
+  let current = record;
+
+  for (const segment of path.split('.')) {
+    if (!current || typeof current !== 'object') return { found: false, value: null };
+    const name = segment.split(':')[0].toLowerCase();
+    const key = Object.keys(current).find((k) => k.toLowerCase() === name);
+    if (key === undefined) return { found: false, value: null };
+    current = current[key];
+  }
+
+  return { found: true, value: fromRecordValue(current) };
+}
+
+function textOf(value) {
+  if (isDate(value)) return value.toString();
+  if (isDateTime(value)) return value.toISOString().replace('T', ' ').replace(/\.\d{3}Z$/, 'Z');
+  return toText(value);
+}
+
+function addMonths(value, months) {
+  const date = new Date(timeOf(value));
+  const day = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(day, lastDay));
+  return isDate(value) ? new FormulaDate(date.getTime()) : date;
+}
+
+function toDate(value, where) {
+  if (value === null) return null;
+  if (isDate(value)) return value;
+  if (isDateTime(value)) return new FormulaDate(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+  throw formulaError(`${where} needs a date but got ${JSON.stringify(toOutputValue(value))}`);
+}
+
+function fieldArg(args, name) {
+  if (args[0]?.type !== 'field') throw formulaError(`${name} takes a field, not an expression`);
+  return args[0].path;
+}
+
+// ---------------------------------------------------------------------------
+// Functions
+// ---------------------------------------------------------------------------
+
+/**
+ * Supported functions: [min args, max args, implementation]
+ * Implementations get the argument nodes, a lazy evaluator and the evaluation context,
+ * so IF, CASE, AND and OR only evaluate what they need
+ */
+const FUNCTIONS = {
+  AND: [1, Infinity, (args, arg) => args.every((_, i) => toBoolean(arg(i), 'AND'))],
+  OR: [1, Infinity, (args, arg) => args.some((_, i) => toBoolean(arg(i), 'OR'))],
+  NOT: [1, 1, (args, arg) => !toBoolean(arg(0), 'NOT')],
+  IF: [3, 3, (args, arg) => (toBoolean(arg(0), 'IF') ? arg(1) : arg(2))],
+  CASE: [4, Infinity, (args, arg) => {
+    if (args.length % 2 !== 0) throw formulaError('CASE needs value/result pairs and an else result');
+    const value = arg(0);
+    for (let i = 1; i < args.length - 1; i += 2) {
+      if (equals(value, arg(i))) return arg(i + 1);
+    }
+    return arg(args.length - 1);
+  }],
+  ISBLANK: [1, 1, (args, arg) => isBlank(arg(0))],
+  ISNULL: [1, 1, (args, arg) => isBlank(arg(0))],
+  BLANKVALUE: [2, 2, (args, arg) => (isBlank(arg(0)) ? arg(1) : arg(0))],
+  NULLVALUE: [2, 2, (args, arg) => (isBlank(arg(0)) ? arg(1) : arg(0))],
+  ISNUMBER: [1, 1, (args, arg) => /^[-+]?(?:\d+\.?\d*|\.\d+)$/.test(toText(arg(0)).trim())],
+  ISPICKVAL: [2, 2, (args, arg) => toText(arg(0)) === toText(arg(1))],
+  INCLUDES: [2, 2, (args, arg) => toText(arg(0)).split(';').includes(toText(arg(1)))],
+
+  TEXT: [1, 1, (args, arg) => textOf(arg(0))],
+  LEN: [1, 1, (args, arg) => toText(arg(0)).length],
+  LEFT: [2, 2, (args, arg) => toText(arg(0)).slice(0, Math.max(0, toNumber(arg(1), 'LEFT')))],
+  RIGHT: [2, 2, (args, arg) => {
+    const count = Math.max(0, toNumber(arg(1), 'RIGHT'));
+    return count === 0 ? '' : toText(arg(0)).slice(-count);
+  }],
+  MID: [3, 3, (args, arg) => {
+    const start = Math.max(1, toNumber(arg(1), 'MID'));
+    return toText(arg(0)).substr(start - 1, Math.max(0, toNumber(arg(2), 'MID')));
+  }],
+  LOWER: [1, 2, (args, arg) => toText(arg(0)).toLowerCase()],
+  UPPER: [1, 2, (args, arg) => toText(arg(0)).toUpperCase()],
+  TRIM: [1, 1, (args, arg) => toText(arg(0)).trim()],
+  CONTAINS: [2, 2, (args, arg) => toText(arg(0)).includes(toText(arg(1)))],
+  BEGINS: [2, 2, (args, arg) => toText(arg(0)).startsWith(toText(arg(1)))],
+  FIND: [2, 3, (args, arg) => {
+    const start = args.length > 2 ? toNumber(arg(2), 'FIND') : 1;
+    const search = toText(arg(0));
+    return search ? toText(arg(1)).indexOf(search, start - 1) + 1 : 0;
+  }],
+  SUBSTITUTE: [3, 3, (args, arg) => {
+    const old = toText(arg(1));
+    return old ? toText(arg(0)).split(old).join(toText(arg(2))) : toText(arg(0));
+  }],
+  VALUE: [1, 1, (args, arg) => {
+    const text = toText(arg(0)).trim();
+    if (!text) return null;
+    const number = Number(text);
+    if (Number.isNaN(number)) throw formulaError(`VALUE cannot read "${text}" as a number`);
+    return number;
+  }],
+  // Salesforce uses Java regular expressions that must match the whole text.
+  // Both pattern and text come from the caller, so a linear-time RE2 engine
+  // runs them: backtracking patterns like (a+)+b cannot stall the server.
+  // RE2 has no backreferences or lookaround; those patterns are reported as invalid.
+  REGEX: [2, 2, (args, arg) => {
+    let pattern;
+    try {
+      pattern = RE2JS.compile(toText(arg(1)), RE2JS.DOTALL);
+    } catch (err) {
+      throw formulaError(`Invalid REGEX pattern: ${err.message}`);
+    }
+    return pattern.matches(toText(arg(0)));
+  }],
+
+  ABS: [1, 1, (args, arg) => {
+    const value = toNumber(arg(0), 'ABS');
+    return value === null ? null : Math.abs(value);
+  }],
+  ROUND: [2, 2, (args, arg) => {
+    const [value, digits] = [toNumber(arg(0), 'ROUND'), toNumber(arg(1), 'ROUND')];
+    if (value === null) return null;
+    const factor = 10 ** digits;
+    return (Math.sign(value) * Math.round(Math.abs(value) * factor)) / factor;
+  }],
+  FLOOR: [1, 1, (args, arg) => {
+    const value = toNumber(arg(0), 'FLOOR');
+    return value === null ? null : Math.floor(value);
+  }],
+  CEILING: [1, 1, (args, arg) => {
+    const value = toNumber(arg(0), 'CEILING');
+    return value === null ? null : Math.ceil(value);
+  }],
+  MOD: [2, 2, (args, arg) => {
+    const [a, b] = [toNumber(arg(0), 'MOD'), toNumber(arg(1), 'MOD')];
+    if (a === null || b === null) return null;
+    if (b === 0) throw formulaError('Division by zero');
+    return a % b;
+  }],
+  MAX: [1, Infinity, (args, arg) => Math.max(...args.map((_, i) => toNumber(arg(i), 'MAX')))],
+  MIN: [1, Infinity, (args, arg) => Math.min(...args.map((_, i) => toNumber(arg(i), 'MIN')))],
+
+  TODAY: [0, 0, (args, arg, ctx) => toDate(ctx.now, 'TODAY')],
+  NOW: [0, 0, (args, arg, ctx) => ctx.now],
+  DATE: [3, 3, (args, arg) => {
+    const [year, month, day] = [0, 1, 2].map((i) => toNumber(arg(i), 'DATE'));
+    const date = FormulaDate.of(year, month, day);
+    if (new Date(date.ms).getUTCDate() !== day) throw formulaError(`DATE(${year}, ${month}, ${day}) is not a valid date`);
+    return date;
+  }],
+  DATEVALUE: [1, 1, (args, arg) => {
+    const value = arg(0);
+    if (typeof value === 'string') {
+      const parsed = fromRecordValue(value.trim().slice(0, 10));
+      if (!isDate(parsed)) throw formulaError(`DATEVALUE cannot read "${value}" as a date`);
+      return parsed;
+    }
+    return toDate(value, 'DATEVALUE');
+  }],
+  DATETIMEVALUE: [1, 1, (args, arg) => {
+    const value = arg(0);
+    if (isDate(value)) return new Date(value.ms);
+    if (isDateTime(value) || value === null) return value;
+    const parsed = new Date(`${toText(value).trim().replace(' ', 'T').replace(/Z?$/, 'Z')}`);
+    if (Number.isNaN(parsed.getTime())) throw formulaError(`DATETIMEVALUE cannot read "${value}" as a date/time`);
+    return parsed;
+  }],
+  YEAR: [1, 1, (args, arg) => {
+    const date = toDate(arg(0), 'YEAR');
+    return date && new Date(date.ms).getUTCFullYear();
+  }],
+  MONTH: [1, 1, (args, arg) => {
+    const date = toDate(arg(0), 'MONTH');
+    return date && new Date(date.ms).getUTCMonth() + 1;
+  }],
+  DAY: [1, 1, (args, arg) => {
+    const date = toDate(arg(0), 'DAY');
+    return date && new Date(date.ms).getUTCDate();
+  }],
+  // 1 is Sunday, as in Salesforce
+  WEEKDAY: [1, 1, (args, arg) => {
+    const date = toDate(arg(0), 'WEEKDAY');
+    return date && new Date(date.ms).getUTCDay() + 1;
+  }],
+  ADDMONTHS: [2, 2, (args, arg) => {
+    const value = arg(0);
+    return value === null ? null : addMonths(value, toNumber(arg(1), 'ADDMONTHS'));
+  }],
+
+  ISNEW: [0, 0, (args, arg, ctx) => ctx.isNew],
+  ISCHANGED: [1, 1, (args, arg, ctx) => {
+    const path = fieldArg(args, 'ISCHANGED');
+    if (ctx.isNew) return false;
+    return !equals(ctx.readField(path), ctx.readPrior(path));
+  }],
+  // A new record has no prior value, so Salesforce returns the current one
+  PRIORVALUE: [1, 1, (args, arg, ctx) => {
+    const path = fieldArg(args, 'PRIORVALUE');
+    return ctx.isNew ? ctx.readField(path) : ctx.readPrior(path);
+  }],
+};
+
+// ---------------------------------------------------------------------------
+// Evaluation
+// ---------------------------------------------------------------------------
+
+/**
+ * Evaluate a formula against a sample record
+ * options: { record, priorRecord, isNew, now }
+ * isNew defaults to true when no prior record is given
+ * Returns { fires, result, steps: [{ expression, value, depth }], missingFields, priorMissingFields }
+ */
+function evaluateFormula(formula, { record = {}, priorRecord = null, isNew, now = new Date() } = {}) {
+  const tree = parseFormula(formula);
+  const steps = [];
+  const missingFields = new Set();
+  const priorMissingFields = new Set();
+
+  const ctx = {
+    now,
+    isNew: typeof isNew === 'boolean' ? isNew : !priorRecord,
+    readField(path) {
+      const { found, value } = lookupPath(record, path);
+      if (!found) missingFields.add(path);
+      return value;
+    },
+    readPrior(path) {
+      const { found, value } = lookupPath(priorRecord || {}, path);
+      if (!found) priorMissingFields.add(path);
+      return value;
+    },
+  };
+
+  function evaluate(node, depth) {
+    if (node.type === 'literal') return node.value;
+    if (depth > MAX_EVAL_DEPTH) {
+      throw formulaError(`Formula is nested more than ${MAX_EVAL_DEPTH} levels deep`, 'FORMULA_TOO_DEEP');
+    }
+
+    // Steps are listed outside-in; the value is filled in once known
+    const step = steps.length < MAX_STEPS ? { expression: node.source, value: null, depth } : null;
+    if (step) steps.push(step);
+
+    let value;
+    if (node.type === 'field') {
+      value = ctx.readField(node.path);
+    } else if (node.type === 'unary') {
+      const operand = evaluate(node.operand, depth + 1);
+      if (node.op === '!') value = !toBoolean(operand, '!');
+      else value = operand === null ? null : (node.op === '-' ? -1 : 1) * toNumber(operand, node.op);
+    } else if (node.type === 'binary' && (node.op === '&&' || node.op === '||')) {
+      const left = toBoolean(evaluate(node.left, depth + 1), node.op);
+      value = node.op === '&&'
+        ? left && toBoolean(evaluate(node.right, depth + 1), node.op)
+        : left || toBoolean(evaluate(node.right, depth + 1), node.op);
+    } else if (node.type === 'binary') {
+      value = applyBinary(node.op, evaluate(node.left, depth + 1), evaluate(node.right, depth + 1));
+    } else {
+      const fn = FUNCTIONS[node.name];
+      if (!fn) {
+        throw formulaError(`${node.name} is not supported by the local evaluator`, 'UNSUPPORTED_FUNCTION');
+      }
+
+      const [min, max, implementation] = fn;
+      if (node.args.length < min || node.args.length > max) {
+        const expected = min === max ? `${min}` : `${min}${max === Infinity ? ' or more' : ` to ${max}`}`;
+        throw formulaError(`${node.name} expects ${expected} argument${max === 1 ? '' : 's'}, got ${node.args.length}`);
+      }
+
+      value = implementation(node.args, (i) => evaluate(node.args[i], depth + 1), ctx);
+    }
+
+    if (step) step.value = toOutputValue(value);
+    return value;
+  }
+
+  const value = evaluate(tree, 0);
+
+  return {
+    fires: value === true,
+    result: toOutputValue(value),
+    isNew: ctx.isNew,
+    steps,
+    missingFields: [...missingFields],
+    priorMissingFields: ctx.isNew ? [] : [...priorMissingFields],
+  };
+}
+
+module.exports = {
+  SUPPORTED_FUNCTIONS: Object.keys(FUNCTIONS),
+  parseFormula,
+  evaluateFormula,
+};
@@ -0,0 +1,92 @@
+/**
+ * Formula Parser
+ * Tokenizes Salesforce formulas and pulls out the fields they reference
+ */
+
+// Token patterns for Salesforce formula syntax, tried in order
+// Identifiers may hold dots (Account.Owner.Name) and a polymorphic type (Owner:User.Name)
+const TOKEN_PATTERNS = [
+  ['comment', /^\/\*[\s\S]*?(?:\*\/|$)/],
+  ['string', /^(?:'(?:[^'\\]|\\.)*'?|"(?:[^"\\]|\\.)*"?)/],
+  ['number', /^\d+(?:\.\d+)?/],
+  ['whitespace', /^\s+/],
+  ['identifier', /^\$?[A-Za-z_][\w.:]*/],
+  ['operator', /^(?:&&|\|\||<>|!=|==|<=|>=|[-+*/^&=<>!,])/],
+  ['paren', /^[()]/],
+];
+
+const KEYWORDS = ['TRUE', 'FALSE', 'NULL'];
+
+// Functions that take the field itself rather than its value
+const FIELD_FUNCTIONS = ['PRIORVALUE', 'ISCHANGED'];
+
+/**
+ * Split a formula into tokens, dropping whitespace and comments
+ * Each token keeps its start offset in the formula
+ */
+function tokenizeFormula(formula = '') {
+  const tokens = [];
+  let start = 0;
+
+  while (start < formula.length) {
+    const rest = formula.slice(start);
+    const found = TOKEN_PATTERNS
+      .map(([type, pattern]) => [type, rest.match(pattern)])
+      .find(([, match]) => match && match[0].length > 0);
+
+    const [type, value] = found ? [found[0], found[1][0]] : ['text', rest[0]];
+    if (type !== 'whitespace' && type !== 'comment') tokens.push({ type, value, start });
+    start += value.length;
+  }
+
+  return tokens;
+}
+
+/**
+ * Find the merge fields a formula references
+ * Returns [{ path, global, segments, usedIn }] in order of first use, where global is
+ * the $ prefix ($User, $Setup...) or null and usedIn lists PRIORVALUE/ISCHANGED uses
+ */
+function extractReferences(formula) {
+  const tokens = tokenizeFormula(formula);
+  const references = new Map();
+  // Name of the function each open parenthesis belongs to, null for grouping
+  const calls = [];
+
+  tokens.forEach((token, index) => {
+    if (token.value === '(') {
+      const previous = tokens[index - 1];
+      calls.push(previous?.type === 'identifier' ? previous.value.toUpperCase() : null);
+      return;
+    }
+
+    if (token.value === ')') {
+      calls.pop();
+      return;
+    }
+
+    if (token.type !== 'identifier') return;
+    if (tokens[index + 1]?.value === '(') return;
+    if (KEYWORDS.includes(token.value.toUpperCase())) return;
+
+    const path = token.value.replace(/\.+$/, '');
+    const key = path.toLowerCase();
+    const segments = path.split('.');
+    const global = path.startsWith('$') ? segments.shift() : null;
+
+    const reference = references.get(key) || { path, global, segments, usedIn: [] };
+    const caller = calls[calls.length - 1];
+    if (FIELD_FUNCTIONS.includes(caller) && !reference.usedIn.includes(caller)) {
+      reference.usedIn.push(caller);
+    }
+    references.set(key, reference);
+  });
+
+  return [...references.values()];
+}
+
+module.exports = {
+  KEYWORDS,
+  tokenizeFormula,
+  extractReferences,
+};
@@ -0,0 +1,141 @@
+/**
+ * Metadata XML Utility
+ * Builds and reads Salesforce validation rule metadata XML
+ */
+
+const METADATA_NAMESPACE = 'http://soap.sforce.com/2006/04/metadata';
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Character references past the last Unicode code point are left as written
+function fromCodePoint(entity, code) {
+  return code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+}
+
+function unescapeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (entity, code) => fromCodePoint(entity, Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (entity, code) => fromCodePoint(entity, parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Read the text of a simple element, or null when it is absent
+ */
+function readElement(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? unescapeXml(match[1]) : null;
+}
+
+/**
+ * Read validation rule fields from a <ValidationRule> document or a <validationRules> block
+ */
+function parseValidationRuleXml(xml) {
+  return {
+    fullName: readElement(xml, 'fullName'),
+    active: readElement(xml, 'active') === 'true',
+    description: readElement(xml, 'description'),
+    errorConditionFormula: readElement(xml, 'errorConditionFormula'),
+    errorDisplayField: readElement(xml, 'errorDisplayField'),
+    errorMessage: readElement(xml, 'errorMessage'),
+  };
+}
+
+/**
+ * Read every <validationRules> block of a metadata API .object file
+ */
+function parseObjectValidationRules(xml) {
+  return [...xml.matchAll(/<validationRules>([\s\S]*?)<\/validationRules>/g)]
+    .map((match) => parseValidationRuleXml(match[1]));
+}
+
+/**
+ * Validation rule elements in metadata order
+ * Empty optional elements are left out, as in a Salesforce retrieve
+ */
+function validationRuleElements(name, metadata, indent) {
+  return [
+    ['fullName', name],
+    ['active', metadata.active === true ? 'true' : 'false'],
+    ['description', metadata.description],
+    ['errorConditionFormula', metadata.errorConditionFormula],
+    ['errorDisplayField', metadata.errorDisplayField],
+    ['errorMessage', metadata.errorMessage],
+  ]
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([tag, value]) => `${indent}<${tag}>${escapeXml(value)}</${tag}>`);
+}
+
+/**
+ * Build a .validationRule-meta.xml document
+ */
+function validationRuleToXml(name, metadata) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<ValidationRule xmlns="${METADATA_NAMESPACE}">`,
+    ...validationRuleElements(name, metadata, '    '),
+    '</ValidationRule>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Build a metadata API .object file holding only validation rules
+ * rules: [{ name, metadata }]
+ */
+function customObjectXml(rules) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<CustomObject xmlns="${METADATA_NAMESPACE}">`,
+    ...rules.flatMap(({ name, metadata }) => [
+      '    <validationRules>',
+      ...validationRuleElements(name, metadata, '        '),
+      '    </validationRules>',
+    ]),
+    '</CustomObject>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Build a package.xml manifest
+ * types: { ValidationRule: ['Account.Rule_Name', ...] }
+ */
+function packageXml(types, apiVersion) {
+  const typeBlocks = Object.entries(types).map(([typeName, members]) => [
+    '    <types>',
+    ...[...members].sort().map((member) => `        <members>${escapeXml(member)}</members>`),
+    `        <name>${typeName}</name>`,
+    '    </types>',
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<Package xmlns="${METADATA_NAMESPACE}">`,
+    ...typeBlocks,
+    `    <version>${apiVersion}</version>`,
+    '</Package>',
+    '',
+  ].join('\n');
+}
+
+module.exports = {
+  escapeXml,
+  unescapeXml,
+  parseValidationRuleXml,
+  parseObjectValidationRules,
+  validationRuleToXml,
+  customObjectXml,
+  packageXml,
+};
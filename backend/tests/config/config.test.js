@@ -0,0 +1,65 @@
+describe('config', () => {
+  const loadConfig = (env) => {
+    const previous = { ...process.env };
+    Object.assign(process.env, env);
+    try {
+      let loaded;
+      jest.isolateModules(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        loaded = require('../../src/config/config');
+      });
+      return loaded;
+    } finally {
+      process.env = previous;
+      jest.restoreAllMocks();
+    }
+  };
+
+  describe('bulk operations', () => {
+    it('reads the concurrency and rule limit', () => {
+      const loaded = loadConfig({ BULK_CONCURRENCY: '3', BULK_MAX_RULES: '50' });
+      expect(loaded.bulkConcurrency).toBe(3);
+      expect(loaded.bulkMaxRules).toBe(50);
+    });
+
+    it.each([
+      ['a concurrency of 0', { BULK_CONCURRENCY: '0' }],
+      ['a negative concurrency', { BULK_CONCURRENCY: '-2' }],
+      ['a concurrency that is not a number', { BULK_CONCURRENCY: 'many' }],
+      ['a rule limit of 0', { BULK_MAX_RULES: '0' }],
+      ['a rule limit that is not a number', { BULK_MAX_RULES: 'all' }],
+    ])('rejects %s', (_, env) => {
+      expect(() => loadConfig(env)).toThrow('Configuration validation failed');
+    });
+  });
+
+  describe('audit', () => {
+    it.each([['0'], ['-1'], ['lots']])('rejects an AUDIT_MAX_ENTRIES of %s', (value) => {
+      expect(() => loadConfig({ AUDIT_MAX_ENTRIES: value })).toThrow('Configuration validation failed');
+    });
+  });
+
+  describe('lint severities', () => {
+    it('reads check=severity overrides', () => {
+      const loaded = loadConfig({ LINT_SEVERITIES: ' missing-bypass = OFF, hardcoded-id=warning,' });
+      expect(loaded.lintSeverities).toEqual({ 'missing-bypass': 'off', 'hardcoded-id': 'warning' });
+    });
+
+    it('accepts an override for every check the lint runs', () => {
+      const { listChecks } = require('../../src/services/lintService');
+      const env = { LINT_SEVERITIES: listChecks().map((check) => `${check.id}=info`).join(',') };
+
+      expect(Object.keys(loadConfig(env).lintSeverities)).toHaveLength(listChecks().length);
+    });
+
+    it.each([
+      ['an unknown check', 'missing-owner=error'],
+      ['an unknown severity', 'missing-bypass=fatal'],
+      ['an entry without a severity', 'missing-bypass'],
+      ['an entry with two severities', 'missing-bypass=error=info'],
+    ])('rejects %s', (_, value) => {
+      expect(() => loadConfig({ LINT_SEVERITIES: value })).toThrow('Configuration validation failed');
+    });
+  });
+});
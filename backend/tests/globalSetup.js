@@ -0,0 +1,10 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Audit entries go to a scratch directory instead of logs/; test workers
+// start after this runs, so they inherit the path
+module.exports = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'validation-bridge-test-'));
+  process.env.AUDIT_LOG_FILE = path.join(dir, 'audit.jsonl');
+};
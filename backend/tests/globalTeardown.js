@@ -0,0 +1,6 @@
+const fs = require('fs');
+const path = require('path');
+
+module.exports = () => {
+  fs.rmSync(path.dirname(process.env.AUDIT_LOG_FILE), { recursive: true, force: true });
+};
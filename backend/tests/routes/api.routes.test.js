@@ -0,0 +1,94 @@
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const apiRoutes = require('../../src/routes/api.routes');
+
+/**
+ * Local stand-in for the Tooling API: rule queries return one rule and a
+ * cursor to a second batch, which is the last
+ */
+function startSalesforce() {
+  const salesforce = { urls: [] };
+
+  const record = (n) => ({ Id: `03d00000000000${n}AAA`, ValidationName: `Rule_${n}`, Active: true, EntityDefinition: { QualifiedApiName: 'Account' } });
+
+  salesforce.server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      salesforce.urls.push(req.url);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(req.url.endsWith('/query/01gNEXT-1')
+        ? { totalSize: 2, done: true, records: [record(2)] }
+        : { totalSize: 2, done: false, nextRecordsUrl: '/services/data/v60.0/tooling/query/01gNEXT-1', records: [record(1)] }));
+    });
+  });
+
+  return new Promise((resolve) => {
+    salesforce.server.listen(0, '127.0.0.1', () => {
+      salesforce.url = `http://127.0.0.1:${salesforce.server.address().port}`;
+      resolve(salesforce);
+    });
+  });
+}
+
+describe('api routes', () => {
+  let salesforce;
+  let app;
+
+  beforeAll(async () => {
+    salesforce = await startSalesforce();
+
+    app = express();
+    app.use((req, res, next) => {
+      req.session = {
+        authenticated: true,
+        activeOrgId: '00D000000000001',
+        orgs: { '00D000000000001': { orgId: '00D000000000001', access_token: 'token', instance_url: salesforce.url } },
+      };
+      next();
+    });
+    app.use('/api', apiRoutes);
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => salesforce.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    salesforce.urls = [];
+  });
+
+  describe('GET /api/validation-rules', () => {
+    it('returns every rule without paging options', async () => {
+      const res = await request(app).get('/api/validation-rules');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ totalSize: 2, done: true, nextCursor: null });
+      expect(res.body.records.map((r) => r.ValidationName)).toEqual(['Rule_1', 'Rule_2']);
+    });
+
+    it('returns one batch and the cursor for the next', async () => {
+      const first = await request(app).get('/api/validation-rules').query({ limit: 200 });
+      expect(first.body).toMatchObject({ totalSize: 2, done: false, nextCursor: '01gNEXT-1' });
+      expect(first.body.records.map((r) => r.ValidationName)).toEqual(['Rule_1']);
+
+      const next = await request(app).get('/api/validation-rules').query({ cursor: first.body.nextCursor });
+      expect(next.body).toMatchObject({ done: true, nextCursor: null });
+      expect(next.body.records.map((r) => r.ValidationName)).toEqual(['Rule_2']);
+    });
+
+    it.each([
+      ['a limit below the smallest batch', { limit: 10 }, 'INVALID_LIMIT'],
+      ['a limit above the largest batch', { limit: 5000 }, 'INVALID_LIMIT'],
+      ['a limit that is not a number', { limit: 'all' }, 'INVALID_LIMIT'],
+      ['an offset', { offset: 200 }, 'OFFSET_NOT_SUPPORTED'],
+      ['a cursor that is not a query locator', { cursor: '../sobjects' }, 'INVALID_CURSOR'],
+    ])('rejects %s', async (_, query, code) => {
+      const res = await request(app).get('/api/validation-rules').query(query);
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe(code);
+      expect(salesforce.urls).toEqual([]);
+    });
+  });
+});
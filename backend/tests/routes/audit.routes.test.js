@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const config = require('../../src/config/config');
+const auditRoutes = require('../../src/routes/audit.routes');
+
+describe('audit routes', () => {
+  const orgKey = 'routes.example.my.salesforce.com';
+  const saved = {};
+  let app;
+
+  const entry = (ruleName, timestamp) => JSON.stringify({ id: ruleName, orgKey, ruleName, timestamp, action: 'toggle', username: 'auditor@example.com' });
+
+  beforeAll(() => {
+    saved.auditLogFile = config.auditLogFile;
+    config.auditLogFile = path.join(path.dirname(process.env.AUDIT_LOG_FILE), 'audit-routes.jsonl');
+    fs.writeFileSync(config.auditLogFile, [
+      entry('Before', '2026-03-01T23:59:59.999Z'),
+      entry('Morning', '2026-03-02T08:00:00.000Z'),
+      entry('Evening', '2026-03-02T21:30:00.000Z'),
+      entry('After', '2026-03-03T00:00:00.000Z'),
+    ].join('\n') + '\n');
+
+    app = express();
+    app.use((req, res, next) => {
+      req.session = {
+        authenticated: true,
+        activeOrgId: '00D000000000001',
+        orgs: { '00D000000000001': { orgId: '00D000000000001', access_token: 'token', instance_url: `https://${orgKey}` } },
+      };
+      next();
+    });
+    app.use('/api/audit', auditRoutes);
+  });
+
+  afterAll(() => {
+    config.auditLogFile = saved.auditLogFile;
+  });
+
+  const ruleNames = (res) => res.body.entries.map((e) => e.ruleName);
+
+  it('includes the whole day for a date-only to', async () => {
+    const res = await request(app).get('/api/audit').query({ from: '2026-03-02', to: '2026-03-02' });
+
+    expect(res.status).toBe(200);
+    expect(ruleNames(res)).toEqual(['Evening', 'Morning']);
+  });
+
+  it('uses a to with a time as given', async () => {
+    const res = await request(app).get('/api/audit').query({ to: '2026-03-02T12:00:00Z' });
+
+    expect(ruleNames(res)).toEqual(['Morning', 'Before']);
+  });
+
+  it('rejects a to that is not a date', async () => {
+    const res = await request(app).get('/api/audit').query({ to: '2026-13-45' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_DATE');
+  });
+});
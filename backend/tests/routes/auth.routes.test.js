@@ -0,0 +1,51 @@
+const express = require('express');
+const request = require('supertest');
+const config = require('../../src/config/config');
+const logger = require('../../src/utils/logger');
+const authRoutes = require('../../src/routes/auth.routes');
+
+describe('auth routes', () => {
+  let session;
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    // Stands in for express-session
+    app.use((req, res, next) => {
+      req.session = session;
+      next();
+    });
+    app.use('/', authRoutes);
+  });
+
+  beforeEach(() => {
+    session = { save: (done) => done() };
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /login', () => {
+    it('sends a custom domain login to that domain', async () => {
+      const res = await request(app).get('/login').query({ domain: 'custom', customDomain: 'https://Acme.my.salesforce.com/' });
+
+      expect(res.status).toBe(302);
+      expect(res.headers.location).toMatch(/^https:\/\/acme\.my\.salesforce\.com\/services\/oauth2\/authorize\?/);
+      expect(session).toMatchObject({ login_domain_type: 'custom', login_custom_domain: 'acme.my.salesforce.com' });
+    });
+
+    it.each([
+      ['an unknown domain type', { domain: 'staging' }],
+      ['a custom domain with a path', { domain: 'custom', customDomain: 'acme.my.salesforce.com/evil' }],
+      ['a custom domain outside the allowed patterns', { domain: 'custom', customDomain: 'login.evil.example.com' }],
+    ])('sends %s back to the app with an error instead of to Salesforce', async (_, query) => {
+      const res = await request(app).get('/login').query(query);
+
+      expect(res.status).toBe(302);
+      expect(res.headers.location.startsWith(`${config.frontendUrl}/?error=`)).toBe(true);
+      expect(session.code_verifier).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,124 @@
+const http = require('http');
+const express = require('express');
+const config = require('../../src/config/config');
+const eventsRoutes = require('../../src/routes/events.routes');
+const { publishEvent } = require('../../src/services/eventService');
+const { addOrg } = require('../../src/services/orgService');
+
+const ORG_ID = '00D000000000001';
+const OTHER_ORG_ID = '00D000000000002';
+
+/**
+ * Open the event stream and collect what arrives until the returned stream is closed
+ */
+function openStream(port, path = '/api/events') {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ host: '127.0.0.1', port, path }, (res) => {
+      const stream = { res, received: '', close: () => req.destroy() };
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { stream.received += chunk; });
+      res.on('error', () => {});
+      resolve(stream);
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Wait until the stream has received a message containing the given text
+ */
+async function waitFor(stream, text) {
+  for (let attempt = 0; attempt < 100 && !stream.received.includes(text); attempt++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  return stream.received;
+}
+
+describe('live event stream', () => {
+  let server;
+  let port;
+  let session;
+  let originalPollMs;
+
+  beforeAll(async () => {
+    const app = express();
+    // Stands in for express-session
+    app.use((req, res, next) => {
+      req.session = session;
+      req.sessionID = 'events-session';
+      next();
+    });
+    app.use('/api/events', eventsRoutes);
+
+    server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    originalPollMs = config.externalChangePollMs;
+    config.externalChangePollMs = 0;
+
+    session = { authenticated: true };
+    addOrg(session, {
+      orgId: OTHER_ORG_ID,
+      username: 'dev@example.com',
+      access_token: 'other_token',
+      instance_url: 'https://other.my.salesforce.com',
+    });
+    addOrg(session, {
+      orgId: ORG_ID,
+      username: 'dev@example.com',
+      access_token: 'acme_token',
+      instance_url: 'https://acme.my.salesforce.com',
+    });
+  });
+
+  afterEach(() => {
+    config.externalChangePollMs = originalPollMs;
+  });
+
+  it('opens an event stream with a reconnect delay', async () => {
+    const stream = await openStream(port);
+
+    expect(stream.res.statusCode).toBe(200);
+    expect(stream.res.headers['content-type']).toContain('text/event-stream');
+    expect(await waitFor(stream, 'retry:')).toBe('retry: 5000\n\n');
+    stream.close();
+  });
+
+  it('streams events from the active org only', async () => {
+    const stream = await openStream(port);
+    await waitFor(stream, 'retry:');
+
+    publishEvent('other.my.salesforce.com', 'rule-changed', { ruleId: '03d000000000002AAA' });
+    publishEvent('acme.my.salesforce.com', 'rule-changed', { ruleId: '03d000000000001AAA', active: false });
+
+    const received = await waitFor(stream, 'event: rule-changed');
+    expect(received).toContain('event: rule-changed\ndata: {"ruleId":"03d000000000001AAA","active":false}\n\n');
+    expect(received).not.toContain('03d000000000002AAA');
+    stream.close();
+  });
+
+  it('streams the org picked with ?orgId', async () => {
+    const stream = await openStream(port, `/api/events?orgId=${OTHER_ORG_ID}`);
+    await waitFor(stream, 'retry:');
+
+    publishEvent('other.my.salesforce.com', 'snapshot', { id: 'snapshot-1' });
+
+    expect(await waitFor(stream, 'event: snapshot')).toContain('data: {"id":"snapshot-1"}');
+    stream.close();
+  });
+
+  it('refuses a stream without a login', async () => {
+    session = {};
+    const stream = await openStream(port);
+
+    expect(stream.res.statusCode).toBe(401);
+    stream.close();
+  });
+});
@@ -0,0 +1,132 @@
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const routes = require('../../src/routes');
+const { addOrg } = require('../../src/services/orgService');
+
+const SANDBOX_ID = '00D000000000001';
+const PRODUCTION_ID = '00D000000000002';
+
+/**
+ * Local stand-in for the Tooling API: rule queries return one rule named
+ * after the token that asked, so a response shows which org answered
+ */
+function startSalesforce() {
+  const salesforce = {};
+
+  salesforce.server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      const token = req.headers.authorization.replace('Bearer ', '');
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        totalSize: 1,
+        done: true,
+        records: [{ Id: '03d000000000001AAA', ValidationName: `Rule_for_${token}`, Active: true, EntityDefinition: { QualifiedApiName: 'Account' } }],
+      }));
+    });
+  });
+
+  return new Promise((resolve) => {
+    salesforce.server.listen(0, '127.0.0.1', () => {
+      salesforce.port = salesforce.server.address().port;
+      resolve(salesforce);
+    });
+  });
+}
+
+describe('org selection', () => {
+  let salesforce;
+  let session;
+  let app;
+
+  const askedOrg = (res) => res.body.records[0].ValidationName.replace('Rule_for_', '').replace('_token', '');
+
+  beforeAll(async () => {
+    salesforce = await startSalesforce();
+
+    app = express();
+    app.use(express.json());
+    // Stands in for express-session, keeping one session across requests
+    app.use((req, res, next) => {
+      req.session = session;
+      req.sessionID = 'org-session';
+      next();
+    });
+    app.use('/', routes);
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => salesforce.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    session = {
+      save: (done) => done(),
+      destroy: (done) => {
+        session.orgs = {};
+        session.authenticated = false;
+        done();
+      },
+    };
+    // Two orgs on different hosts of the same stand-in server
+    addOrg(session, {
+      orgId: SANDBOX_ID,
+      username: 'dev@example.com.sandbox',
+      access_token: 'sandbox_token',
+      instance_url: `http://localhost:${salesforce.port}`,
+      isSandbox: true,
+      domain_type: 'sandbox',
+      connectedAt: '2026-01-01T00:00:00.000Z',
+    });
+    addOrg(session, {
+      orgId: PRODUCTION_ID,
+      username: 'dev@example.com',
+      access_token: 'production_token',
+      instance_url: `http://127.0.0.1:${salesforce.port}`,
+      connectedAt: '2026-01-02T00:00:00.000Z',
+    });
+  });
+
+  it('lists every connected org in /api/me without tokens', async () => {
+    const res = await request(app).get('/api/me');
+
+    expect(res.body).toMatchObject({ loggedIn: true, orgId: PRODUCTION_ID, activeOrgId: PRODUCTION_ID });
+    expect(res.body.orgs).toEqual([
+      expect.objectContaining({ orgId: SANDBOX_ID, isSandbox: true, active: false }),
+      expect.objectContaining({ orgId: PRODUCTION_ID, isSandbox: false, active: true }),
+    ]);
+    expect(JSON.stringify(res.body)).not.toContain('_token');
+  });
+
+  it('works against the active org without a selector', async () => {
+    expect(askedOrg(await request(app).get('/api/validation-rules'))).toBe('production');
+  });
+
+  it('works against the org named in the path or the X-Org-Id header', async () => {
+    expect(askedOrg(await request(app).get(`/api/orgs/${SANDBOX_ID}/validation-rules`))).toBe('sandbox');
+    expect(askedOrg(await request(app).get('/api/validation-rules').set('X-Org-Id', `${SANDBOX_ID}AAA`))).toBe('sandbox');
+  });
+
+  it('refuses an org that is not connected in the session', async () => {
+    const res = await request(app).get('/api/validation-rules').set('X-Org-Id', '00D000000000009');
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('ORG_NOT_CONNECTED');
+  });
+
+  it('switches the active org', async () => {
+    const res = await request(app).post(`/api/orgs/${SANDBOX_ID}/activate`);
+
+    expect(res.body.org).toMatchObject({ orgId: SANDBOX_ID, active: true });
+    expect(askedOrg(await request(app).get('/api/validation-rules'))).toBe('sandbox');
+  });
+
+  it('keeps the other orgs connected when one logs out', async () => {
+    const res = await request(app).post('/logout').send({ orgId: PRODUCTION_ID });
+
+    expect(res.body).toMatchObject({ success: true, remainingOrgs: 1 });
+    expect(Object.keys(session.orgs)).toEqual([SANDBOX_ID]);
+    expect(askedOrg(await request(app).get('/api/validation-rules'))).toBe('sandbox');
+  });
+});
@@ -0,0 +1,445 @@
+const http = require('http');
+const session = require('express-session');
+const config = require('../../src/config/config');
+const storage = require('../../src/services/storageService');
+const { setSessionStore } = require('../../src/services/sessionStoreService');
+const {
+  isApprovalRequired,
+  requestApproval,
+  listApprovals,
+  approveRequest,
+  rejectRequest,
+  withdrawSessionApprovals,
+} = require('../../src/services/approvalService');
+
+const RULES = {
+  '03d000000000001AAA': { ValidationName: 'Require_Phone', Active: true },
+  '03d000000000002AAA': { ValidationName: 'Require_Email', Active: false },
+};
+const [PHONE_RULE, EMAIL_RULE] = Object.keys(RULES);
+const NEW_RULE = '03d000000000003AAA';
+
+/**
+ * Local stand-in for the Tooling API: queries answer from RULES and
+ * PATCHes are recorded, after patchDelayMs, with the token that sent them;
+ * created rules are kept in created and deletes recorded
+ */
+function startSalesforce() {
+  const salesforce = { patches: [], patchDelayMs: 0, patchStatus: 204, created: {}, deletes: [] };
+
+  const rules = () => ({ ...RULES, ...salesforce.created });
+  const toRecord = (id) => ({
+    Id: id,
+    ...rules()[id],
+    FullName: `Account.${rules()[id].ValidationName}`,
+    EntityDefinition: { QualifiedApiName: 'Account' },
+    Metadata: { active: rules()[id].Active, errorConditionFormula: 'TRUE', errorMessage: 'No' },
+  });
+
+  salesforce.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(data === undefined ? '' : JSON.stringify(data));
+      };
+
+      if (req.method === 'GET' && url.pathname.endsWith('/tooling/query')) {
+        const id = (url.searchParams.get('q').match(/WHERE Id = '(\w+)'/) || [])[1];
+        const ids = id ? [id].filter((i) => rules()[i]) : Object.keys(RULES);
+        return send(200, { totalSize: ids.length, done: true, records: ids.map(toRecord) });
+      }
+
+      const patch = url.pathname.match(/\/tooling\/sobjects\/ValidationRule\/(\w+)$/);
+      if (req.method === 'PATCH' && patch) {
+        return setTimeout(() => {
+          salesforce.patches.push({ id: patch[1], token: req.headers.authorization, body: JSON.parse(body) });
+          if (salesforce.patchStatus === 204) return send(204);
+          return send(salesforce.patchStatus, [{ message: 'Rule is locked', errorCode: 'LOCKED' }]);
+        }, salesforce.patchDelayMs);
+      }
+
+      if (req.method === 'POST' && url.pathname.endsWith('/tooling/sobjects/ValidationRule')) {
+        const { FullName, Metadata } = JSON.parse(body);
+        salesforce.created[NEW_RULE] = { ValidationName: FullName.split('.')[1], Active: Metadata.active };
+        return send(201, { id: NEW_RULE, success: true });
+      }
+
+      if (req.method === 'DELETE' && patch) {
+        salesforce.deletes.push({ id: patch[1], token: req.headers.authorization });
+        return send(204);
+      }
+
+      return send(404, [{ message: 'Not found', errorCode: 'NOT_FOUND' }]);
+    });
+  });
+
+  return new Promise((resolve) => {
+    salesforce.server.listen(0, '127.0.0.1', () => {
+      salesforce.url = `http://127.0.0.1:${salesforce.server.address().port}`;
+      resolve(salesforce);
+    });
+  });
+}
+
+describe('approvalService', () => {
+  let salesforce;
+  let requester;
+  let approver;
+  let otherApprover;
+  let sessionStore;
+  const saved = {};
+
+  const userRequest = (username, token, sessionID) => ({
+    org: {
+      orgId: '00D000000000001',
+      username,
+      access_token: token,
+      instance_url: salesforce.url,
+      isSandbox: false,
+    },
+    session: {},
+    sessionID,
+    ip: '127.0.0.1',
+  });
+
+  // Sign a request's user in, so approved changes can run with their stored login
+  const signIn = (req) => new Promise((resolve, reject) => {
+    sessionStore.set(req.sessionID, { orgs: { [req.org.orgId]: req.org } }, (err) => (err ? reject(err) : resolve()));
+  });
+
+  const requestToggle = (req = requester, ruleIds = [PHONE_RULE]) => requestApproval(
+    { ...req, changeReason: { reason: 'Data load', ticketId: 'OPS-1' } },
+    { type: 'toggle', ruleIds, active: false }
+  );
+
+  beforeAll(async () => {
+    salesforce = await startSalesforce();
+    saved.requireApproval = config.requireApproval;
+    config.requireApproval = true;
+    sessionStore = new session.MemoryStore();
+    setSessionStore(sessionStore);
+  });
+
+  afterAll(async () => {
+    config.requireApproval = saved.requireApproval;
+    await new Promise((resolve) => salesforce.server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    salesforce.patches = [];
+    salesforce.patchDelayMs = 0;
+    salesforce.patchStatus = 204;
+    salesforce.created = {};
+    salesforce.deletes = [];
+    requester = userRequest('requester@example.com', 'requester-token', 'requester-session');
+    approver = userRequest('approver@example.com', 'approver-token', 'approver-session');
+    otherApprover = userRequest('second@example.com', 'second-token', 'second-session');
+    await signIn(requester);
+  });
+
+  describe('isApprovalRequired', () => {
+    it('holds changes to production orgs when approval is on', () => {
+      expect(isApprovalRequired(requester)).toBe(true);
+      expect(isApprovalRequired({ org: { ...requester.org, isSandbox: true } })).toBe(false);
+      expect(isApprovalRequired({ org: { domain_type: 'sandbox' } })).toBe(false);
+    });
+
+    it('lets every change through when approval is off', () => {
+      config.requireApproval = false;
+      try {
+        expect(isApprovalRequired(requester)).toBe(false);
+      } finally {
+        config.requireApproval = true;
+      }
+    });
+  });
+
+  describe('requestApproval', () => {
+    it('stores a pending request naming the rules, without running it', async () => {
+      const approval = await requestToggle();
+
+      expect(approval).toMatchObject({
+        type: 'toggle',
+        status: 'pending',
+        requestedBy: 'requester@example.com',
+        rules: [{ Id: PHONE_RULE, ValidationName: 'Require_Phone', EntityName: 'Account', Active: true }],
+        active: false,
+        reason: 'Data load',
+        ticketId: 'OPS-1',
+        decidedBy: null,
+      });
+      expect(Date.parse(approval.expiresAt) - Date.parse(approval.createdAt)).toBe(config.approvalTtlHours * 60 * 60 * 1000);
+      expect(salesforce.patches).toEqual([]);
+    });
+
+    it('keeps the requester login apart from the request', async () => {
+      const approval = await requestToggle();
+      expect(JSON.stringify(approval)).not.toContain('requester-token');
+
+      const login = await storage.getJSON(`approval-login:${approval.orgKey}:${approval.id}`);
+      expect(login).toEqual({ sessionId: 'requester-session', orgId: requester.org.orgId });
+
+      const [listed] = (await listApprovals(approver)).filter((a) => a.id === approval.id);
+      expect(listed).toEqual(approval);
+    });
+
+    it('rejects rules that do not exist', async () => {
+      await expect(requestToggle(requester, [PHONE_RULE, '03d000000000009AAA']))
+        .rejects.toMatchObject({ status: 400, code: 'RULE_NOT_FOUND' });
+    });
+  });
+
+  describe('approveRequest', () => {
+    it('runs the change with the requester login and records the approver', async () => {
+      const approval = await requestToggle();
+      const approved = await approveRequest(approver, approval.id, 'Go ahead');
+
+      expect(approved).toMatchObject({
+        status: 'approved',
+        decidedBy: 'approver@example.com',
+        comment: 'Go ahead',
+        result: { success: true, Id: PHONE_RULE, Active: false },
+        error: null,
+      });
+      expect(salesforce.patches).toEqual([
+        { id: PHONE_RULE, token: 'Bearer requester-token', body: { Metadata: expect.objectContaining({ active: false }) } },
+      ]);
+    });
+
+    it('runs a bulk toggle and keeps each rule result', async () => {
+      const approval = await requestApproval(requester, { type: 'bulk-toggle', ruleIds: [PHONE_RULE, EMAIL_RULE], active: true });
+      const approved = await approveRequest(approver, approval.id);
+
+      expect(approved.status).toBe('approved');
+      expect(approved.result).toMatchObject({ success: true, total: 2, succeeded: 2, failed: 0 });
+      expect(salesforce.patches.map((p) => p.id).sort()).toEqual([PHONE_RULE, EMAIL_RULE]);
+      expect(salesforce.patches.every((p) => p.token === 'Bearer requester-token')).toBe(true);
+    });
+
+    it('creates a rule only once approved', async () => {
+      const rule = {
+        objectName: 'Account',
+        validationName: 'Require_Site',
+        errorConditionFormula: 'ISBLANK(Site)',
+        errorMessage: 'Site is required',
+        active: true,
+      };
+      const approval = await requestApproval(requester, {
+        type: 'create',
+        rules: [{ Id: null, ValidationName: rule.validationName, EntityName: rule.objectName, Active: true }],
+        details: { rule },
+      });
+      expect(salesforce.created).toEqual({});
+
+      const approved = await approveRequest(approver, approval.id);
+      expect(approved.status).toBe('approved');
+      expect(approved.result).toMatchObject({ Id: NEW_RULE, ValidationName: 'Require_Site' });
+      expect(salesforce.created).toEqual({ [NEW_RULE]: { ValidationName: 'Require_Site', Active: true } });
+    });
+
+    it('deletes a rule only once approved', async () => {
+      const approval = await requestApproval(requester, { type: 'delete', ruleIds: [EMAIL_RULE] });
+      expect(approval.rules).toEqual([expect.objectContaining({ Id: EMAIL_RULE, ValidationName: 'Require_Email' })]);
+      expect(salesforce.deletes).toEqual([]);
+
+      const approved = await approveRequest(approver, approval.id);
+      expect(approved).toMatchObject({ status: 'approved', result: { success: true, Id: EMAIL_RULE } });
+      expect(salesforce.deletes).toEqual([{ id: EMAIL_RULE, token: 'Bearer requester-token' }]);
+    });
+
+    it('extends a deactivation window only once approved', async () => {
+      const window = {
+        id: 'window-1',
+        orgKey: new URL(salesforce.url).host,
+        status: 'active',
+        startAt: new Date(Date.now() - 60 * 1000).toISOString(),
+        endAt: new Date(Date.now() + 30 * 60 * 1000).toISOString(),
+        rules: [{ Id: PHONE_RULE, ValidationName: 'Require_Phone', EntityName: 'Account' }],
+        disabledIds: [PHONE_RULE],
+        restoredIds: [],
+        handedOverIds: [],
+      };
+      await storage.setJSON(`schedule:${window.orgKey}:${window.id}`, window, 60);
+
+      const approval = await requestApproval(
+        { ...requester, changeReason: { reason: 'Load overran', ticketId: 'OPS-2' } },
+        { type: 'schedule-extend', rules: window.rules, details: { windowId: window.id, minutes: 30 } }
+      );
+      expect((await storage.getJSON(`schedule:${window.orgKey}:${window.id}`)).endAt).toBe(window.endAt);
+
+      const approved = await approveRequest(approver, approval.id);
+      expect(approved.status).toBe('approved');
+      expect(Date.parse(approved.result.endAt)).toBe(Date.parse(window.endAt) + 30 * 60 * 1000);
+      expect(approved.result.extensions).toEqual([expect.objectContaining({
+        extendedBy: 'requester@example.com',
+        minutes: 30,
+        change: { reason: 'Load overran', ticketId: 'OPS-2' },
+      })]);
+    });
+
+    it('drops the requester login once decided', async () => {
+      const approval = await requestToggle();
+      await approveRequest(approver, approval.id);
+
+      expect(await storage.listKeys(`approval-login:${new URL(salesforce.url).host}:${approval.id}`)).toEqual([]);
+    });
+
+    it('only decides a request once', async () => {
+      const approval = await requestToggle();
+      await approveRequest(approver, approval.id);
+
+      await expect(approveRequest(otherApprover, approval.id)).rejects.toMatchObject({ status: 409, code: 'APPROVAL_DECIDED' });
+      await expect(rejectRequest(otherApprover, approval.id)).rejects.toMatchObject({ status: 409, code: 'APPROVAL_DECIDED' });
+      expect(salesforce.patches).toHaveLength(1);
+    });
+
+    it('does not let requesters approve their own changes', async () => {
+      const approval = await requestToggle();
+      const sameUser = { ...requester, org: { ...requester.org, username: 'REQUESTER@example.com' } };
+
+      await expect(approveRequest(sameUser, approval.id)).rejects.toMatchObject({ status: 403, code: 'SELF_APPROVAL' });
+      expect(salesforce.patches).toEqual([]);
+    });
+
+    it('marks the request failed when the change fails', async () => {
+      salesforce.patchStatus = 400;
+      const approval = await requestToggle();
+      const failed = await approveRequest(approver, approval.id);
+
+      expect(failed).toMatchObject({ status: 'failed', error: 'Rule is locked', decidedBy: 'approver@example.com' });
+    });
+
+    it('refuses expired requests', async () => {
+      const approval = await requestToggle();
+      const key = `approval:${approval.orgKey}:${approval.id}`;
+      await storage.setJSON(key, { ...approval, expiresAt: new Date(Date.now() - 1000).toISOString() }, 60);
+
+      await expect(approveRequest(approver, approval.id)).rejects.toMatchObject({ status: 409, code: 'APPROVAL_EXPIRED' });
+      expect((await listApprovals(approver, { status: 'expired' })).map((a) => a.id)).toContain(approval.id);
+    });
+
+    it('fails when the requester login is gone', async () => {
+      const approval = await requestToggle();
+      await storage.deleteKey(`approval-login:${approval.orgKey}:${approval.id}`);
+
+      const failed = await approveRequest(approver, approval.id);
+      expect(failed.status).toBe('failed');
+      expect(failed.error).toMatch(/login is no longer available/);
+      expect(salesforce.patches).toEqual([]);
+    });
+
+    it('fails once the requester has logged out', async () => {
+      const approval = await requestToggle();
+      await new Promise((resolve) => sessionStore.destroy('requester-session', resolve));
+
+      const failed = await approveRequest(approver, approval.id);
+      expect(failed.status).toBe('failed');
+      expect(failed.error).toMatch(/login has expired/);
+      expect(salesforce.patches).toEqual([]);
+    });
+
+    it('runs the change with the requester\'s current tokens', async () => {
+      const approval = await requestToggle();
+      await signIn({ ...requester, org: { ...requester.org, access_token: 'refreshed-token' } });
+
+      await approveRequest(approver, approval.id);
+      expect(salesforce.patches.map((p) => p.token)).toEqual(['Bearer refreshed-token']);
+    });
+
+    it('returns 404 for unknown requests', async () => {
+      await expect(approveRequest(approver, 'missing')).rejects.toMatchObject({ status: 404, code: 'APPROVAL_NOT_FOUND' });
+    });
+  });
+
+  describe('rejectRequest', () => {
+    it('decides the request without running the change', async () => {
+      const approval = await requestToggle();
+      const rejected = await rejectRequest(approver, approval.id, 'Not during quarter close');
+
+      expect(rejected).toMatchObject({ status: 'rejected', decidedBy: 'approver@example.com', comment: 'Not during quarter close' });
+      expect(salesforce.patches).toEqual([]);
+      await expect(approveRequest(otherApprover, approval.id)).rejects.toMatchObject({ status: 409, code: 'APPROVAL_DECIDED' });
+    });
+
+    it('does not let requesters reject their own changes', async () => {
+      const approval = await requestToggle();
+      await expect(rejectRequest(requester, approval.id)).rejects.toMatchObject({ status: 403, code: 'SELF_APPROVAL' });
+    });
+  });
+
+  describe('deciding at the same time', () => {
+    beforeEach(() => {
+      salesforce.patchDelayMs = 100;
+    });
+
+    it('lets only one of an approve and a reject through', async () => {
+      const approval = await requestToggle();
+
+      const [approved, rejected] = await Promise.allSettled([
+        approveRequest(approver, approval.id),
+        rejectRequest(otherApprover, approval.id),
+      ]);
+
+      expect(approved).toMatchObject({ status: 'fulfilled', value: { status: 'approved' } });
+      expect(rejected).toMatchObject({ status: 'rejected', reason: { status: 409, code: 'APPROVAL_IN_PROGRESS' } });
+      expect(salesforce.patches).toHaveLength(1);
+
+      const [stored] = (await listApprovals(approver)).filter((a) => a.id === approval.id);
+      expect(stored).toMatchObject({ status: 'approved', decidedBy: 'approver@example.com' });
+    });
+
+    it('lets only one of a reject and an approve through', async () => {
+      const approval = await requestToggle();
+
+      const [rejected, approved] = await Promise.allSettled([
+        rejectRequest(otherApprover, approval.id),
+        approveRequest(approver, approval.id),
+      ]);
+
+      expect(rejected).toMatchObject({ status: 'fulfilled', value: { status: 'rejected' } });
+      expect(approved.status).toBe('rejected');
+      expect(['APPROVAL_IN_PROGRESS', 'APPROVAL_DECIDED']).toContain(approved.reason.code);
+      expect(salesforce.patches).toEqual([]);
+    });
+
+    it('runs the change once when two approvers approve together', async () => {
+      const approval = await requestToggle();
+
+      const results = await Promise.allSettled([
+        approveRequest(approver, approval.id),
+        approveRequest(otherApprover, approval.id),
+      ]);
+
+      expect(results.filter((r) => r.status === 'fulfilled')).toHaveLength(1);
+      expect(salesforce.patches).toHaveLength(1);
+    });
+
+    it('reports a decision made after the first has finished as decided', async () => {
+      const approval = await requestToggle();
+      await approveRequest(approver, approval.id);
+
+      await expect(rejectRequest(otherApprover, approval.id)).rejects.toMatchObject({ code: 'APPROVAL_DECIDED' });
+    });
+  });
+
+  describe('withdrawSessionApprovals', () => {
+    it('expires the pending requests of a session that logs out', async () => {
+      const leaving = userRequest('leaving@example.com', 'leaving-token', 'leaving-session');
+      const mine = await requestToggle(leaving);
+      const theirs = await requestToggle();
+
+      expect(await withdrawSessionApprovals('leaving-session', mine.orgKey)).toBe(1);
+
+      const approvals = await listApprovals(approver);
+      expect(approvals.find((a) => a.id === mine.id)).toMatchObject({
+        status: 'expired',
+        error: 'The requester logged out before the change was decided',
+      });
+      expect(approvals.find((a) => a.id === theirs.id).status).toBe('pending');
+      await expect(approveRequest(otherApprover, mine.id)).rejects.toMatchObject({ code: 'APPROVAL_EXPIRED' });
+    });
+  });
+});
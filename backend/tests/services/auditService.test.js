@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../src/config/config');
+const logger = require('../../src/utils/logger');
+const { recordAudit, queryAudit, getAuditStatus } = require('../../src/services/auditService');
+
+describe('auditService', () => {
+  const dir = path.dirname(process.env.AUDIT_LOG_FILE);
+  const orgKey = 'audit.example.my.salesforce.com';
+  const req = {
+    org: { orgId: '00D000000000001', username: 'auditor@example.com', instance_url: `https://${orgKey}` },
+    ip: '127.0.0.1',
+  };
+  const saved = {};
+  let nextFile = 1;
+
+  const record = (ruleName) => recordAudit(req, {
+    action: 'toggle',
+    ruleId: '03d000000000001AAA',
+    ruleName,
+    entityName: 'Account',
+    before: { active: true },
+    after: { active: false },
+  });
+
+  const countLines = (file) => fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).length;
+
+  beforeEach(() => {
+    saved.auditLogFile = config.auditLogFile;
+    saved.auditMaxEntries = config.auditMaxEntries;
+    config.auditLogFile = path.join(dir, `audit-service-${nextFile++}.jsonl`);
+  });
+
+  afterEach(() => {
+    config.auditLogFile = saved.auditLogFile;
+    config.auditMaxEntries = saved.auditMaxEntries;
+    jest.restoreAllMocks();
+  });
+
+  describe('audit file', () => {
+    it('rotates the file once it holds auditMaxEntries', async () => {
+      config.auditMaxEntries = 3;
+      for (const name of ['Rule_1', 'Rule_2', 'Rule_3', 'Rule_4']) {
+        await record(name);
+      }
+
+      expect(countLines(`${config.auditLogFile}.1`)).toBe(3);
+      expect(countLines(config.auditLogFile)).toBe(1);
+
+      for (const name of ['Rule_5', 'Rule_6', 'Rule_7']) {
+        await record(name);
+      }
+
+      // The second rotation replaces the first rotated file
+      expect(countLines(`${config.auditLogFile}.1`)).toBe(3);
+      expect(countLines(config.auditLogFile)).toBe(1);
+
+      const { total, entries } = await queryAudit({ orgKey });
+      expect(total).toBe(3);
+      expect(entries.map((e) => e.ruleName)).toEqual(['Rule_7', 'Rule_6', 'Rule_5']);
+    });
+
+    it('keeps every entry written at the same time', async () => {
+      config.auditMaxEntries = 4;
+      await Promise.all(['Rule_1', 'Rule_2', 'Rule_3', 'Rule_4', 'Rule_5', 'Rule_6'].map(record));
+
+      expect(countLines(`${config.auditLogFile}.1`)).toBe(4);
+      expect(countLines(config.auditLogFile)).toBe(2);
+    });
+
+    it('counts entries already in the file before the first write', async () => {
+      config.auditMaxEntries = 2;
+      fs.writeFileSync(config.auditLogFile, '{"orgKey":"other"}\n{"orgKey":"other"}\n');
+
+      await record('Rule_1');
+
+      expect(countLines(`${config.auditLogFile}.1`)).toBe(2);
+      expect(countLines(config.auditLogFile)).toBe(1);
+    });
+  });
+
+  describe('getAuditStatus', () => {
+    it('reports failed writes until an entry is written again', async () => {
+      jest.spyOn(logger, 'error').mockImplementation(() => {});
+      const failuresBefore = getAuditStatus().failedWrites;
+
+      // A directory cannot be created under a file, so the write fails
+      const blocker = path.join(dir, `audit-blocker-${nextFile}`);
+      fs.writeFileSync(blocker, '');
+      config.auditLogFile = path.join(blocker, 'audit.jsonl');
+
+      const entry = await record('Rule_1');
+      expect(entry.ruleName).toBe('Rule_1');
+      expect(getAuditStatus()).toMatchObject({
+        healthy: false,
+        failedWrites: failuresBefore + 1,
+        lastError: expect.any(String),
+      });
+      expect(logger.error).toHaveBeenCalledWith(
+        expect.stringContaining('toggle on Account.Rule_1 by auditor@example.com'),
+        expect.any(String)
+      );
+
+      config.auditLogFile = path.join(dir, `audit-service-${nextFile++}.jsonl`);
+      await record('Rule_2');
+      expect(getAuditStatus()).toMatchObject({ healthy: true, failedWrites: failuresBefore + 1 });
+    });
+  });
+});
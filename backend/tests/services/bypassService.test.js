@@ -0,0 +1,172 @@
+const http = require('http');
+const config = require('../../src/config/config');
+const { hasBypass, wrapFormula, previewBypass, applyBypass } = require('../../src/services/bypassService');
+
+const BYPASS = 'NOT($Permission.Bypass_Validation)';
+const PHONE_RULE = '03d000000000001AAA';
+const EMAIL_RULE = '03d000000000002AAA';
+const STAGE_RULE = '03d000000000003AAA';
+
+/**
+ * Local stand-in for the Tooling API: each rule's metadata comes from
+ * formulas, and PATCHes update them and are recorded
+ */
+function startSalesforce() {
+  const salesforce = { formulas: {}, patches: [] };
+
+  salesforce.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(data === undefined ? '' : JSON.stringify(data));
+      };
+
+      if (req.method === 'GET' && url.pathname.endsWith('/tooling/query')) {
+        const id = url.searchParams.get('q').match(/WHERE Id = '(\w+)'/)[1];
+        const records = id in salesforce.formulas ? [{
+          Id: id,
+          ValidationName: `Rule_${id.slice(-4, -3)}`,
+          Active: true,
+          EntityDefinition: { QualifiedApiName: 'Account' },
+          Metadata: { active: true, errorConditionFormula: salesforce.formulas[id], errorMessage: 'Fix this field' },
+        }] : [];
+        return send(200, { totalSize: records.length, done: true, records });
+      }
+
+      const patch = url.pathname.match(/\/tooling\/sobjects\/ValidationRule\/(\w+)$/);
+      if (req.method === 'PATCH' && patch) {
+        const formula = JSON.parse(body).Metadata.errorConditionFormula;
+        salesforce.patches.push({ id: patch[1], formula });
+        salesforce.formulas[patch[1]] = formula;
+        return send(204);
+      }
+
+      return send(404, [{ message: 'Not found', errorCode: 'NOT_FOUND' }]);
+    });
+  });
+
+  return new Promise((resolve) => {
+    salesforce.server.listen(0, '127.0.0.1', () => {
+      salesforce.url = `http://127.0.0.1:${salesforce.server.address().port}`;
+      resolve(salesforce);
+    });
+  });
+}
+
+describe('bypassService', () => {
+  const saved = {};
+
+  beforeAll(() => {
+    saved.bypassExpression = config.bypassExpression;
+    config.bypassExpression = BYPASS;
+  });
+
+  afterAll(() => {
+    config.bypassExpression = saved.bypassExpression;
+  });
+
+  describe('hasBypass', () => {
+    it('finds the expression regardless of layout and case', () => {
+      expect(hasBypass(`${BYPASS} && ISBLANK(Phone)`)).toBe(true);
+      expect(hasBypass('AND(ISBLANK(Phone), not( $permission.bypass_validation ))')).toBe(true);
+    });
+
+    it('does not take a different permission or a comment for the bypass', () => {
+      expect(hasBypass('NOT($Permission.Data_Load) && ISBLANK(Phone)')).toBe(false);
+      expect(hasBypass('/* NOT($Permission.Bypass_Validation) */ ISBLANK(Phone)')).toBe(false);
+    });
+  });
+
+  describe('wrapFormula', () => {
+    it.each([
+      ['a single term', 'ISBLANK(Phone)', `${BYPASS} && ISBLANK(Phone)`],
+      ['an && chain', 'ISBLANK(Phone) && Amount > 0', `${BYPASS} && ISBLANK(Phone) && Amount > 0`],
+      ['a function call with OR inside', 'OR(ISBLANK(Phone), ISBLANK(Email))', `${BYPASS} && OR(ISBLANK(Phone), ISBLANK(Email))`],
+    ])('prefixes %s as it is', (_, formula, wrapped) => {
+      expect(wrapFormula(formula)).toBe(wrapped);
+    });
+
+    it('keeps an || condition in parentheses so the bypass covers all of it', () => {
+      expect(wrapFormula('  ISBLANK(Phone) || ISBLANK(Email) ')).toBe(`${BYPASS} && (\nISBLANK(Phone) || ISBLANK(Email)\n)`);
+    });
+
+    it('puts formulas it cannot parse in parentheses', () => {
+      expect(wrapFormula('ISBLANK(Phone) ||')).toBe(`${BYPASS} && (\nISBLANK(Phone) ||\n)`);
+    });
+
+    it('ends the parentheses on a new line after a trailing comment', () => {
+      expect(wrapFormula('ISBLANK(Phone) // phone is required')).toBe(`${BYPASS} && (\nISBLANK(Phone) // phone is required\n)`);
+    });
+  });
+
+  describe('previewBypass and applyBypass', () => {
+    let salesforce;
+    let req;
+
+    beforeAll(async () => {
+      salesforce = await startSalesforce();
+    });
+
+    afterAll(async () => {
+      await new Promise((resolve) => salesforce.server.close(resolve));
+    });
+
+    beforeEach(() => {
+      salesforce.formulas = {
+        [PHONE_RULE]: 'ISBLANK(Phone) || ISBLANK(Fax)',
+        [EMAIL_RULE]: `${BYPASS} && ISBLANK(Email)`,
+        [STAGE_RULE]: `NOT($Setup.Load_Settings__c.Skip__c) && ${'ISBLANK(StageName) && '.repeat(200)}TRUE`,
+      };
+      salesforce.patches = [];
+      req = {
+        org: { orgId: '00D000000000001', username: 'admin@example.com', access_token: 'token', instance_url: salesforce.url },
+        session: {},
+        ip: '127.0.0.1',
+      };
+    });
+
+    it('previews each rule without saving anything', async () => {
+      const preview = await previewBypass(req, [PHONE_RULE, EMAIL_RULE, STAGE_RULE, '03d000000000009AAA']);
+
+      expect(preview.expression).toBe(BYPASS);
+      expect(preview.summary).toEqual({ ready: 1, hasBypass: 1, failed: 2 });
+      expect(preview.rules.map((r) => [r.Id, r.status])).toEqual([
+        [PHONE_RULE, 'ready'],
+        [EMAIL_RULE, 'has-bypass'],
+        [STAGE_RULE, 'too-long'],
+        ['03d000000000009AAA', 'error'],
+      ]);
+      expect(preview.rules[0].newFormula).toBe(`${BYPASS} && (\nISBLANK(Phone) || ISBLANK(Fax)\n)`);
+      expect(preview.rules[2].otherBypass).toBe(true);
+      expect(salesforce.patches).toEqual([]);
+    });
+
+    it('adds the bypass only to rules that lack it and fit', async () => {
+      const applied = await applyBypass(req, [PHONE_RULE, EMAIL_RULE, STAGE_RULE], { reason: 'Nightly load', ticketId: 'OPS-7' });
+
+      expect(applied).toMatchObject({ success: false, updated: 1, skipped: 1, failed: 1, reason: 'Nightly load', ticketId: 'OPS-7' });
+      expect(salesforce.patches).toEqual([{ id: PHONE_RULE, formula: `${BYPASS} && (\nISBLANK(Phone) || ISBLANK(Fax)\n)` }]);
+      expect(applied.results.find((r) => r.Id === STAGE_RULE)).toMatchObject({ success: false, code: 'FORMULA_TOO_LONG' });
+    });
+
+    it('wraps the formula as it is when applied, not as it was previewed', async () => {
+      await previewBypass(req, [PHONE_RULE]);
+      salesforce.formulas[PHONE_RULE] = 'ISBLANK(MobilePhone)';
+
+      await applyBypass(req, [PHONE_RULE]);
+
+      expect(salesforce.patches).toEqual([{ id: PHONE_RULE, formula: `${BYPASS} && ISBLANK(MobilePhone)` }]);
+    });
+
+    it('skips rules on a second run', async () => {
+      await applyBypass(req, [PHONE_RULE]);
+      const again = await applyBypass(req, [PHONE_RULE]);
+
+      expect(again).toMatchObject({ success: true, updated: 0, skipped: 1 });
+      expect(salesforce.patches).toHaveLength(1);
+    });
+  });
+});
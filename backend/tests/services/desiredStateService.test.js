@@ -0,0 +1,177 @@
+const http = require('http');
+const storage = require('../../src/services/storageService');
+const { createPlan, applyPlan } = require('../../src/services/desiredStateService');
+
+const PHONE_RULE = '03d000000000001AAA';
+const EMAIL_RULE = '03d000000000002AAA';
+const STAGE_RULE = '03d000000000003AAA';
+const AMOUNT_RULE = '03d000000000004AAA';
+
+/**
+ * Local stand-in for the Tooling API: queries answer from rules, and PATCHes
+ * update them after patchDelayMs unless the rule is in failIds; every PATCH
+ * is recorded
+ */
+function startSalesforce() {
+  const salesforce = { rules: {}, failIds: new Set(), patches: [], patchDelayMs: 0 };
+
+  const toRecord = (id) => ({
+    Id: id,
+    ValidationName: salesforce.rules[id].ValidationName,
+    Active: salesforce.rules[id].Active,
+    FullName: `${salesforce.rules[id].EntityName}.${salesforce.rules[id].ValidationName}`,
+    EntityDefinition: { QualifiedApiName: salesforce.rules[id].EntityName },
+    Metadata: { active: salesforce.rules[id].Active, errorConditionFormula: 'TRUE', errorMessage: 'No' },
+  });
+
+  salesforce.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(data === undefined ? '' : JSON.stringify(data));
+      };
+
+      if (req.method === 'GET' && url.pathname.endsWith('/tooling/query')) {
+        const id = (url.searchParams.get('q').match(/WHERE Id = '(\w+)'/) || [])[1];
+        const ids = id ? [id].filter((i) => salesforce.rules[i]) : Object.keys(salesforce.rules);
+        return send(200, { totalSize: ids.length, done: true, records: ids.map(toRecord) });
+      }
+
+      const patch = url.pathname.match(/\/tooling\/sobjects\/ValidationRule\/(\w+)$/);
+      if (req.method === 'PATCH' && patch) {
+        return setTimeout(() => {
+          const active = JSON.parse(body).Metadata.active;
+          salesforce.patches.push({ id: patch[1], active });
+          if (salesforce.failIds.has(patch[1])) {
+            return send(400, [{ message: 'Rule is locked', errorCode: 'FIELD_INTEGRITY_EXCEPTION' }]);
+          }
+          salesforce.rules[patch[1]].Active = active;
+          return send(204);
+        }, salesforce.patchDelayMs);
+      }
+
+      return send(404, [{ message: 'Not found', errorCode: 'NOT_FOUND' }]);
+    });
+  });
+
+  return new Promise((resolve) => {
+    salesforce.server.listen(0, '127.0.0.1', () => {
+      salesforce.url = `http://127.0.0.1:${salesforce.server.address().port}`;
+      resolve(salesforce);
+    });
+  });
+}
+
+describe('desiredStateService', () => {
+  let salesforce;
+  let req;
+
+  const desiredState = {
+    'Account.Require_Phone': false,
+    'contact.require_email': true,
+    'Opportunity.Require_Stage': true,
+    'Case.Require_Origin': true,
+  };
+  const planFile = (state = desiredState) => ({ content: JSON.stringify(state), format: 'json', filename: 'state.json' });
+
+  beforeAll(async () => {
+    salesforce = await startSalesforce();
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => salesforce.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    salesforce.rules = {
+      [PHONE_RULE]: { ValidationName: 'Require_Phone', EntityName: 'Account', Active: true },
+      [EMAIL_RULE]: { ValidationName: 'Require_Email', EntityName: 'Contact', Active: false },
+      [STAGE_RULE]: { ValidationName: 'Require_Stage', EntityName: 'Opportunity', Active: true },
+      [AMOUNT_RULE]: { ValidationName: 'Require_Amount', EntityName: 'Opportunity', Active: true },
+    };
+    salesforce.failIds = new Set();
+    salesforce.patches = [];
+    salesforce.patchDelayMs = 0;
+    req = {
+      org: { orgId: '00D000000000001', username: 'planner@example.com', access_token: 'token', instance_url: salesforce.url },
+      session: {},
+      ip: '127.0.0.1',
+    };
+  });
+
+  describe('createPlan', () => {
+    it('compares the file with the org without changing anything', async () => {
+      const plan = await createPlan(req, planFile());
+
+      expect(plan.changes).toEqual([
+        { fullName: 'Account.Require_Phone', Id: PHONE_RULE, currentActive: true, desiredActive: false, action: 'disable' },
+        { fullName: 'Contact.Require_Email', Id: EMAIL_RULE, currentActive: false, desiredActive: true, action: 'enable' },
+        { fullName: 'Opportunity.Require_Stage', Id: STAGE_RULE, currentActive: true, desiredActive: true, action: 'unchanged' },
+        { fullName: 'Case.Require_Origin', Id: null, currentActive: null, desiredActive: true, action: 'missing' },
+      ]);
+      expect(plan.summary).toEqual({ enable: 1, disable: 1, unchanged: 1, missing: 1, unlisted: 1, invalid: 0 });
+      expect(plan).toMatchObject({ status: 'planned', filename: 'state.json', format: 'json', createdBy: 'planner@example.com' });
+      expect(salesforce.patches).toEqual([]);
+      expect(await storage.getJSON(`plan:${plan.orgKey}:${plan.id}`)).toEqual(plan);
+    });
+
+    it('keeps the entries it could not read with the plan', async () => {
+      const plan = await createPlan(req, planFile({ 'Account.Require_Phone': false, Require_Email: true }));
+
+      expect(plan.summary.invalid).toBe(1);
+      expect(plan.errors).toEqual([{ position: 'Require_Email', message: 'Expected a full name like Account.Rule_Name' }]);
+    });
+  });
+
+  describe('applyPlan', () => {
+    it('makes the planned changes and leaves everything else alone', async () => {
+      const plan = await createPlan(req, planFile());
+
+      const applied = await applyPlan(req, plan.id, { reason: 'Release 12', ticketId: 'REL-12' });
+
+      expect(applied).toMatchObject({ success: true, total: 2, succeeded: 2, failed: 0 });
+      expect(applied.results).toEqual([
+        { fullName: 'Contact.Require_Email', Id: EMAIL_RULE, action: 'enable', success: true, error: undefined },
+        { fullName: 'Account.Require_Phone', Id: PHONE_RULE, action: 'disable', success: true, error: undefined },
+      ]);
+      expect(salesforce.patches.map((p) => p.id)).toEqual([EMAIL_RULE, PHONE_RULE]);
+      expect(salesforce.rules[AMOUNT_RULE].Active).toBe(true);
+      expect(applied.plan).toMatchObject({ status: 'applied', appliedBy: 'planner@example.com' });
+    });
+
+    it('reports rules that could not be changed', async () => {
+      const plan = await createPlan(req, planFile());
+      salesforce.failIds.add(PHONE_RULE);
+
+      const applied = await applyPlan(req, plan.id);
+
+      expect(applied).toMatchObject({ success: false, succeeded: 1, failed: 1 });
+      expect(applied.results.find((r) => r.Id === PHONE_RULE)).toMatchObject({ success: false, error: 'Rule is locked' });
+    });
+
+    it('applies a plan only once', async () => {
+      const plan = await createPlan(req, planFile());
+      await applyPlan(req, plan.id);
+
+      await expect(applyPlan(req, plan.id)).rejects.toMatchObject({ status: 409, code: 'PLAN_ALREADY_APPLIED' });
+    });
+
+    it('refuses a second apply while the first is running', async () => {
+      salesforce.patchDelayMs = 100;
+      const plan = await createPlan(req, planFile());
+
+      const results = await Promise.allSettled([applyPlan(req, plan.id), applyPlan(req, plan.id)]);
+
+      expect(results.filter((r) => r.status === 'fulfilled')).toHaveLength(1);
+      expect(results.find((r) => r.status === 'rejected').reason).toMatchObject({ status: 409, code: 'PLAN_APPLY_IN_PROGRESS' });
+      expect(salesforce.patches).toHaveLength(2);
+    });
+
+    it('returns 404 for plans that do not exist or have expired', async () => {
+      await expect(applyPlan(req, 'missing')).rejects.toMatchObject({ status: 404, code: 'PLAN_NOT_FOUND' });
+    });
+  });
+});
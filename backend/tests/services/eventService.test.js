@@ -0,0 +1,150 @@
+const { EventEmitter } = require('events');
+
+describe('eventService', () => {
+  let events;
+  let logger;
+
+  // An open event stream as the service sees it
+  const stream = () => ({ write: jest.fn(), flush: jest.fn(), end: jest.fn() });
+  const written = (res) => res.write.mock.calls.map(([message]) => message);
+
+  beforeEach(() => {
+    jest.isolateModules(() => {
+      events = require('../../src/services/eventService');
+      logger = require('../../src/utils/logger');
+    });
+  });
+
+  afterEach(async () => {
+    await events.stopEvents();
+    jest.restoreAllMocks();
+  });
+
+  describe('without Redis', () => {
+    it('sends an event to every stream open on the org', () => {
+      const first = stream();
+      const second = stream();
+      const otherOrg = stream();
+      events.addClient('acme.my.salesforce.com', first);
+      events.addClient('acme.my.salesforce.com', second);
+      events.addClient('other.my.salesforce.com', otherOrg);
+
+      events.publishEvent('acme.my.salesforce.com', 'rule-changed', { ruleId: '03d000000000001AAA', active: false });
+
+      const message = 'event: rule-changed\ndata: {"ruleId":"03d000000000001AAA","active":false}\n\n';
+      expect(written(first)).toEqual([message]);
+      expect(written(second)).toEqual([message]);
+      expect(first.flush).toHaveBeenCalled();
+      expect(otherOrg.write).not.toHaveBeenCalled();
+    });
+
+    it('stops sending to a stream once it is removed', () => {
+      const kept = stream();
+      const closed = stream();
+      events.addClient('acme.my.salesforce.com', kept);
+      const remove = events.addClient('acme.my.salesforce.com', closed);
+
+      remove();
+      remove();
+      events.publishEvent('acme.my.salesforce.com', 'snapshot', { id: 'snapshot-1', deleted: true });
+
+      expect(kept.write).toHaveBeenCalledTimes(1);
+      expect(closed.write).not.toHaveBeenCalled();
+    });
+
+    it('never throws, even when a stream cannot be written', () => {
+      jest.spyOn(logger, 'error').mockImplementation(() => {});
+      const broken = stream();
+      broken.write.mockImplementation(() => { throw new Error('socket hang up'); });
+      events.addClient('acme.my.salesforce.com', broken);
+
+      expect(() => events.publishEvent('acme.my.salesforce.com', 'rule-changed', {})).not.toThrow();
+      expect(() => events.publishEvent(null, 'rule-changed', {})).not.toThrow();
+      expect(logger.error).toHaveBeenCalledWith('Failed to send rule-changed event:', 'socket hang up');
+    });
+
+    it('closes every stream on shutdown', async () => {
+      const res = stream();
+      events.addClient('acme.my.salesforce.com', res);
+
+      await events.stopEvents();
+      events.publishEvent('acme.my.salesforce.com', 'rule-changed', {});
+
+      expect(res.end).toHaveBeenCalled();
+      expect(res.write).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('with Redis', () => {
+    // Stands in for a Redis server's pub/sub, shared by every client connected to it
+    const bus = new EventEmitter();
+
+    const redisClient = () => {
+      const client = {
+        isReady: true,
+        isOpen: true,
+        on: () => client,
+        duplicate: () => redisClient(),
+        connect: async () => {},
+        quit: async () => { client.isOpen = false; },
+        subscribe: async (channel, listener) => bus.on(channel, listener),
+        publish: async (channel, message) => { bus.emit(channel, message); },
+      };
+      return client;
+    };
+
+    afterEach(() => {
+      bus.removeAllListeners();
+    });
+
+    it('reaches streams open on every instance', async () => {
+      let otherInstance;
+      jest.isolateModules(() => {
+        otherInstance = require('../../src/services/eventService');
+      });
+      await events.enableRedisEvents(redisClient());
+      await otherInstance.enableRedisEvents(redisClient());
+
+      const here = stream();
+      const there = stream();
+      events.addClient('acme.my.salesforce.com', here);
+      otherInstance.addClient('acme.my.salesforce.com', there);
+
+      events.publishEvent('acme.my.salesforce.com', 'scheduled-window', { window: { id: 'window-1' } });
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(written(here)).toEqual(['event: scheduled-window\ndata: {"window":{"id":"window-1"}}\n\n']);
+      expect(written(there)).toEqual(written(here));
+      await otherInstance.stopEvents();
+    });
+
+    it('delivers locally when publishing fails', async () => {
+      jest.spyOn(logger, 'error').mockImplementation(() => {});
+      const client = redisClient();
+      client.publish = async () => { throw new Error('connection lost'); };
+      await events.enableRedisEvents(client);
+
+      const res = stream();
+      events.addClient('acme.my.salesforce.com', res);
+      events.publishEvent('acme.my.salesforce.com', 'rule-changed', { ruleId: '03d000000000001AAA' });
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(res.write).toHaveBeenCalledTimes(1);
+      expect(logger.error).toHaveBeenCalledWith('Failed to publish rule-changed event:', 'connection lost');
+    });
+
+    it('keeps events on this instance when subscribing fails', async () => {
+      jest.spyOn(logger, 'error').mockImplementation(() => {});
+      const client = redisClient();
+      client.duplicate = () => ({ ...redisClient(), connect: async () => { throw new Error('ECONNREFUSED'); } });
+      await events.enableRedisEvents(client);
+
+      const res = stream();
+      events.addClient('acme.my.salesforce.com', res);
+      events.publishEvent('acme.my.salesforce.com', 'rule-changed', {});
+
+      expect(res.write).toHaveBeenCalledTimes(1);
+      expect(bus.listenerCount('bridge:events')).toBe(0);
+    });
+  });
+});
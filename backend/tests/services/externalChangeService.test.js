@@ -0,0 +1,260 @@
+const http = require('http');
+const path = require('path');
+const session = require('express-session');
+const config = require('../../src/config/config');
+const storage = require('../../src/services/storageService');
+const { addClient } = require('../../src/services/eventService');
+const { recordAudit } = require('../../src/services/auditService');
+const { setSessionStore } = require('../../src/services/sessionStoreService');
+const {
+  watchOrg,
+  getExternalChanges,
+  runExternalChangePoll,
+} = require('../../src/services/externalChangeService');
+
+const ORG_ID = '00D000000000001';
+const PHONE_RULE = '03d000000000001AAA';
+const EMAIL_RULE = '03d000000000002AAA';
+const STAGE_RULE = '03d000000000003AAA';
+const MINUTE = 60 * 1000;
+
+/**
+ * Local stand-in for the Tooling API: rule queries list every rule in rules,
+ * each keeping the last modified date and user it was given
+ */
+function startSalesforce() {
+  const salesforce = { rules: {} };
+
+  const toRecord = ([id, rule]) => ({
+    Id: id,
+    ValidationName: rule.ValidationName,
+    Active: rule.Active,
+    EntityDefinition: { QualifiedApiName: 'Account' },
+    LastModifiedDate: rule.LastModifiedDate,
+    LastModifiedBy: { Name: rule.LastModifiedBy },
+  });
+
+  salesforce.server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      const records = Object.entries(salesforce.rules).map(toRecord);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ totalSize: records.length, done: true, records }));
+    });
+  });
+
+  return new Promise((resolve) => {
+    salesforce.server.listen(0, '127.0.0.1', () => {
+      salesforce.url = `http://127.0.0.1:${salesforce.server.address().port}`;
+      resolve(salesforce);
+    });
+  });
+}
+
+describe('externalChangeService', () => {
+  let salesforce;
+  let sessionStore;
+  let orgKey;
+  let org;
+  let events;
+  let removeClient;
+  let saved;
+  let nextFile = 1;
+
+  const ago = (ms) => new Date(Date.now() - ms).toISOString();
+
+  // Sign a user in, so polls can run with their stored login
+  const signIn = (sessionId) => new Promise((resolve, reject) => {
+    sessionStore.set(sessionId, { orgs: { [ORG_ID]: org } }, (err) => (err ? reject(err) : resolve()));
+  });
+
+  const signOut = (sessionId) => new Promise((resolve, reject) => {
+    sessionStore.destroy(sessionId, (err) => (err ? reject(err) : resolve()));
+  });
+
+  // A change made in Setup, stamped by Salesforce
+  const editInSetup = (id, changes = {}) => Object.assign(salesforce.rules[id], {
+    LastModifiedDate: new Date().toISOString(),
+    LastModifiedBy: 'Setup Admin',
+    ...changes,
+  });
+
+  // A change made through the bridge: Salesforce stamps the rule, then the bridge audits it
+  const changeInBridge = (id, action = 'toggle') => {
+    if (action !== 'delete') editInSetup(id, { LastModifiedBy: 'Bridge User' });
+    return recordAudit({ org }, {
+      action,
+      ruleId: id,
+      ruleName: salesforce.rules[id]?.ValidationName || 'Deleted_Rule',
+      entityName: 'Account',
+    });
+  };
+
+  const externalEvents = () => events.filter((e) => e.type === 'rule-changed-externally').map((e) => e.data);
+
+  beforeAll(async () => {
+    salesforce = await startSalesforce();
+    orgKey = new URL(salesforce.url).host;
+    org = { orgId: ORG_ID, username: 'watcher@example.com', access_token: 'watcher_token', instance_url: salesforce.url };
+    sessionStore = new session.MemoryStore();
+    setSessionStore(sessionStore);
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => salesforce.server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    saved = { externalChangePollMs: config.externalChangePollMs, auditLogFile: config.auditLogFile };
+    config.externalChangePollMs = MINUTE;
+    config.auditLogFile = path.join(path.dirname(process.env.AUDIT_LOG_FILE), `external-changes-${nextFile++}.jsonl`);
+
+    const lastWeek = ago(7 * 24 * 60 * MINUTE - MINUTE);
+    salesforce.rules = {
+      [PHONE_RULE]: { ValidationName: 'Require_Phone', Active: true, LastModifiedDate: lastWeek, LastModifiedBy: 'Setup Admin' },
+      [EMAIL_RULE]: { ValidationName: 'Require_Email', Active: true, LastModifiedDate: lastWeek, LastModifiedBy: 'Setup Admin' },
+    };
+
+    events = [];
+    removeClient = addClient(orgKey, {
+      write: (message) => {
+        const [, type, data] = message.match(/^event: (.+)\ndata: (.+)\n\n$/);
+        events.push({ type, data: JSON.parse(data) });
+      },
+    });
+
+    await signIn('watcher');
+    await watchOrg('watcher', org);
+    // The first poll only records where the org stands
+    await runExternalChangePoll();
+  });
+
+  afterEach(async () => {
+    removeClient();
+    await storage.deleteKey(`watch:${orgKey}`);
+    config.externalChangePollMs = saved.externalChangePollMs;
+    config.auditLogFile = saved.auditLogFile;
+  });
+
+  it('announces nothing on the first poll of an org', async () => {
+    expect(externalEvents()).toEqual([]);
+    expect(await getExternalChanges(orgKey)).toEqual({});
+  });
+
+  it('announces and marks rules edited or created in Setup', async () => {
+    const edited = editInSetup(PHONE_RULE, { Active: false });
+    salesforce.rules[STAGE_RULE] = { ValidationName: 'Require_Stage', Active: true, LastModifiedDate: new Date().toISOString(), LastModifiedBy: 'Setup Admin' };
+
+    await runExternalChangePoll();
+
+    expect(externalEvents()).toEqual([
+      {
+        change: 'modified',
+        ruleId: PHONE_RULE,
+        ruleName: 'Require_Phone',
+        entityName: 'Account',
+        active: false,
+        lastModifiedBy: 'Setup Admin',
+        lastModifiedDate: edited.LastModifiedDate,
+      },
+      expect.objectContaining({ change: 'created', ruleId: STAGE_RULE, active: true }),
+    ]);
+    expect(await getExternalChanges(orgKey)).toEqual({
+      [PHONE_RULE]: { change: 'modified', by: 'Setup Admin', at: edited.LastModifiedDate },
+      [STAGE_RULE]: expect.objectContaining({ change: 'created', by: 'Setup Admin' }),
+    });
+  });
+
+  it('announces rules deleted in Setup without a marker', async () => {
+    delete salesforce.rules[EMAIL_RULE];
+
+    await runExternalChangePoll();
+
+    expect(externalEvents()).toEqual([
+      expect.objectContaining({ change: 'deleted', ruleId: EMAIL_RULE, ruleName: 'Require_Email', active: null, lastModifiedBy: null }),
+    ]);
+    expect(await getExternalChanges(orgKey)).toEqual({});
+  });
+
+  it('leaves out changes the bridge audited', async () => {
+    await changeInBridge(PHONE_RULE);
+    await changeInBridge(EMAIL_RULE, 'delete');
+    delete salesforce.rules[EMAIL_RULE];
+
+    await runExternalChangePoll();
+
+    expect(externalEvents()).toEqual([]);
+    expect(await getExternalChanges(orgKey)).toEqual({});
+  });
+
+  it('treats an audit entry far from the modified date as another change', async () => {
+    await changeInBridge(PHONE_RULE);
+    // Edited in Setup well before the bridge's entry
+    editInSetup(PHONE_RULE, { LastModifiedDate: ago(10 * MINUTE) });
+
+    await runExternalChangePoll();
+
+    expect(externalEvents()).toEqual([expect.objectContaining({ change: 'modified', ruleId: PHONE_RULE })]);
+  });
+
+  it('ignores audit entries for other rules', async () => {
+    await changeInBridge(EMAIL_RULE);
+    editInSetup(PHONE_RULE);
+
+    await runExternalChangePoll();
+
+    expect(externalEvents()).toEqual([expect.objectContaining({ ruleId: PHONE_RULE })]);
+    expect(Object.keys(await getExternalChanges(orgKey))).toEqual([PHONE_RULE]);
+  });
+
+  it('clears a marker once the bridge changes the rule again', async () => {
+    editInSetup(PHONE_RULE);
+    await runExternalChangePoll();
+    expect(Object.keys(await getExternalChanges(orgKey))).toEqual([PHONE_RULE]);
+
+    // Make sure the bridge's change gets a modified date of its own
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await changeInBridge(PHONE_RULE);
+    await runExternalChangePoll();
+
+    expect(await getExternalChanges(orgKey)).toEqual({});
+  });
+
+  it('drops markers older than a week', async () => {
+    editInSetup(PHONE_RULE, { LastModifiedDate: ago(8 * 24 * 60 * MINUTE) });
+
+    await runExternalChangePoll();
+
+    expect(externalEvents()).toHaveLength(1);
+    expect(await getExternalChanges(orgKey)).toEqual({});
+  });
+
+  it('polls with another login once a session ends, and stops when none is left', async () => {
+    await signIn('second');
+    await watchOrg('second', org);
+    await signOut('second');
+    editInSetup(PHONE_RULE);
+
+    await runExternalChangePoll();
+
+    expect(externalEvents()).toHaveLength(1);
+    expect((await storage.getJSON(`watch:${orgKey}`)).logins).toEqual([{ sessionId: 'watcher', orgId: ORG_ID }]);
+
+    await signOut('watcher');
+    await runExternalChangePoll();
+
+    expect(await storage.getJSON(`watch:${orgKey}`)).toBeNull();
+  });
+
+  it('skips the poll while another instance holds the lock', async () => {
+    const lock = await storage.acquireLock('external-change-poll', 60);
+    editInSetup(PHONE_RULE);
+
+    await runExternalChangePoll();
+    expect(externalEvents()).toEqual([]);
+
+    await storage.releaseLock('external-change-poll', lock);
+    await runExternalChangePoll();
+    expect(externalEvents()).toHaveLength(1);
+  });
+});
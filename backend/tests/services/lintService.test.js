@@ -0,0 +1,172 @@
+const http = require('http');
+const { lintRule, lintValidationRules, listChecks } = require('../../src/services/lintService');
+
+// A rule that passes every check
+const CLEAN_RULE = {
+  Id: '03d000000000001AAA',
+  EntityName: 'Account',
+  ValidationName: 'Require_Phone',
+  Active: true,
+  Description: 'Support needs a phone number to call customers back',
+  ErrorConditionFormula: 'AND(NOT($Permission.Bypass_Validation), ISBLANK(Phone))',
+  ErrorMessage: 'Enter a phone number so support can call the customer back.',
+};
+
+/**
+ * Local stand-in for the Tooling API: the rule list and each rule's
+ * metadata come from rules
+ */
+function startSalesforce() {
+  const salesforce = { rules: [] };
+
+  const toRecord = (rule) => ({
+    Id: rule.Id,
+    ValidationName: rule.ValidationName,
+    Active: rule.Active,
+    EntityDefinition: { QualifiedApiName: rule.EntityName },
+    Metadata: { description: rule.Description, errorConditionFormula: rule.ErrorConditionFormula, errorMessage: rule.ErrorMessage },
+  });
+
+  salesforce.server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const id = (url.searchParams.get('q')?.match(/WHERE Id = '(\w+)'/) || [])[1];
+      const rules = id ? salesforce.rules.filter((r) => r.Id === id) : salesforce.rules;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ totalSize: rules.length, done: true, records: rules.map(toRecord) }));
+    });
+  });
+
+  return new Promise((resolve) => {
+    salesforce.server.listen(0, '127.0.0.1', () => {
+      salesforce.url = `http://127.0.0.1:${salesforce.server.address().port}`;
+      resolve(salesforce);
+    });
+  });
+}
+
+describe('lintService', () => {
+  const checksOf = (rule) => lintRule({ ...CLEAN_RULE, ...rule }).map((f) => f.check);
+
+  describe('lintRule', () => {
+    it('finds nothing wrong with a clean rule', () => {
+      expect(lintRule(CLEAN_RULE)).toEqual([]);
+    });
+
+    it('flags a rule without a description', () => {
+      expect(lintRule({ ...CLEAN_RULE, Description: '  ' })).toEqual([
+        { check: 'missing-description', severity: 'info', message: 'The rule has no description of why it exists' },
+      ]);
+    });
+
+    it('flags hard-coded IDs and names what they point to', () => {
+      const findings = lintRule({
+        ...CLEAN_RULE,
+        ErrorConditionFormula: 'AND(NOT($Permission.Bypass_Validation), OwnerId = "005000000000001AAA", RecordTypeId <> \'012000000000001\')',
+      });
+
+      expect(findings.map((f) => f.message)).toEqual([
+        'The formula compares against a user ID (005000000000001AAA) that differs between orgs',
+        'The formula compares against a record type ID (012000000000001) that differs between orgs',
+      ]);
+      expect(findings.every((f) => f.check === 'hardcoded-id' && f.severity === 'error')).toBe(true);
+    });
+
+    it('does not take ordinary text for an ID', () => {
+      expect(checksOf({ ErrorConditionFormula: 'AND(NOT($Permission.Bypass_Validation), Name = "Acme Corporation", Site = "Internal_Review")' })).toEqual([]);
+    });
+
+    it.each([
+      ['always TRUE', 'OR(TRUE, $Permission.Bypass_Validation)', 'The formula is always TRUE, so every save is blocked'],
+      ['always FALSE', 'AND(FALSE, ISBLANK(Phone), NOT($Permission.Bypass_Validation))', 'The formula is always FALSE, so the rule never fires'],
+    ])('flags a formula that is %s', (_, formula, message) => {
+      expect(lintRule({ ...CLEAN_RULE, ErrorConditionFormula: formula })).toContainEqual({ check: 'constant-formula', severity: 'error', message });
+    });
+
+    it('does not judge formulas that depend on the record or the moment', () => {
+      expect(checksOf({ ErrorConditionFormula: 'AND(NOT($Setup.Bypass__c.Active__c), TODAY() > DATE(2020, 1, 1))' })).toEqual([]);
+      expect(checksOf({ ErrorConditionFormula: 'AND(NOT($Permission.Bypass_Validation), ISNEW())' })).toEqual([]);
+    });
+
+    it('flags a formula with no bypass check', () => {
+      expect(checksOf({ ErrorConditionFormula: 'ISBLANK(Phone)' })).toEqual(['missing-bypass']);
+      expect(checksOf({ ErrorConditionFormula: 'AND(NOT($Setup.Bypass__c.Active__c), ISBLANK(Phone))' })).toEqual([]);
+    });
+
+    it('flags long and unfriendly error messages', () => {
+      expect(checksOf({ ErrorMessage: `Enter a phone number. ${'Support will use it. '.repeat(10)}` })).toEqual(['long-error-message']);
+
+      const [finding] = lintRule({ ...CLEAN_RULE, ErrorMessage: 'Phone__c is null, please fix it' });
+      expect(finding).toEqual({
+        check: 'unfriendly-error-message',
+        severity: 'info',
+        message: 'The error message may confuse users: it names fields by their API name, it uses technical terms',
+      });
+      expect(lintRule({ ...CLEAN_RULE, ErrorMessage: 'Invalid' })[0].message).toContain('it is too short to explain what to fix');
+      expect(lintRule({ ...CLEAN_RULE, ErrorMessage: 'PLEASE ENTER THE PHONE NUMBER' })[0].message).toContain('it is written in capitals');
+    });
+  });
+
+  describe('LINT_SEVERITIES', () => {
+    const loadLintService = (value) => {
+      const previous = process.env.LINT_SEVERITIES;
+      process.env.LINT_SEVERITIES = value;
+      try {
+        let loaded;
+        jest.isolateModules(() => {
+          jest.spyOn(console, 'log').mockImplementation(() => {});
+          loaded = require('../../src/services/lintService');
+        });
+        return loaded;
+      } finally {
+        if (previous === undefined) delete process.env.LINT_SEVERITIES;
+        else process.env.LINT_SEVERITIES = previous;
+        jest.restoreAllMocks();
+      }
+    };
+
+    it('changes a check\'s severity or turns it off', () => {
+      const lint = loadLintService('missing-bypass=error,missing-description=off');
+
+      expect(lint.lintRule({ ...CLEAN_RULE, Description: '', ErrorConditionFormula: 'ISBLANK(Phone)' })).toEqual([
+        expect.objectContaining({ check: 'missing-bypass', severity: 'error' }),
+      ]);
+      expect(lint.listChecks().find((c) => c.id === 'missing-description').severity).toBe('off');
+    });
+  });
+
+  describe('lintValidationRules', () => {
+    let salesforce;
+
+    beforeAll(async () => {
+      salesforce = await startSalesforce();
+    });
+
+    afterAll(async () => {
+      await new Promise((resolve) => salesforce.server.close(resolve));
+    });
+
+    it('lints every rule and flags formulas repeated on the same object', async () => {
+      salesforce.rules = [
+        CLEAN_RULE,
+        { ...CLEAN_RULE, Id: '03d000000000002AAA', ValidationName: 'Phone_Required', ErrorConditionFormula: 'and( not( $Permission.Bypass_Validation ),\n  isblank(Phone) )' },
+        { ...CLEAN_RULE, Id: '03d000000000003AAA', EntityName: 'Contact', ValidationName: 'Require_Phone' },
+        { ...CLEAN_RULE, Id: '03d000000000004AAA', EntityName: 'Contact', ValidationName: 'Require_Email', ErrorConditionFormula: 'ISBLANK(Email)', Description: '' },
+      ];
+      const req = { org: { orgId: '00D000000000001', access_token: 'token', instance_url: salesforce.url } };
+
+      const report = await lintValidationRules(req);
+
+      expect(report.summary).toEqual({ scanned: 4, flagged: 3, error: 0, warning: 3, info: 1 });
+      expect(report.rules.map((r) => [r.EntityName, r.ValidationName, r.findings.map((f) => f.check)])).toEqual([
+        ['Account', 'Phone_Required', ['duplicate-formula']],
+        ['Account', 'Require_Phone', ['duplicate-formula']],
+        ['Contact', 'Require_Email', ['missing-description', 'missing-bypass']],
+      ]);
+      expect(report.rules[0].findings[0].message).toBe('Same formula as Require_Phone');
+      expect(report.checks.map((c) => c.id)).toEqual(listChecks().map((c) => c.id));
+      expect(report.checks.find((c) => c.id === 'duplicate-formula').count).toBe(2);
+    });
+  });
+});
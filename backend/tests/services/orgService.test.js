@@ -0,0 +1,123 @@
+const {
+  getOrgIdFromIdentityUrl,
+  normalizeOrgId,
+  toLongOrgId,
+  listOrgs,
+  addOrg,
+  removeOrg,
+  resolveOrg,
+  activateOrg,
+  getOrgRequest,
+  toPublicOrg,
+} = require('../../src/services/orgService');
+
+const SANDBOX_ID = '00D000000000001';
+const PRODUCTION_ID = '00D000000000002';
+
+describe('orgService', () => {
+  let session;
+
+  const connection = (orgId, overrides = {}) => ({
+    orgId,
+    username: `${orgId}@example.com`,
+    access_token: `${orgId}-token`,
+    refresh_token: `${orgId}-refresh`,
+    instance_url: `https://${orgId}.my.salesforce.com`,
+    connectedAt: new Date().toISOString(),
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    session = {};
+    addOrg(session, connection(SANDBOX_ID, { isSandbox: true, domain_type: 'sandbox', connectedAt: '2026-01-01T00:00:00.000Z' }));
+    addOrg(session, connection(PRODUCTION_ID, { connectedAt: '2026-01-02T00:00:00.000Z' }));
+  });
+
+  describe('org IDs', () => {
+    it('reads the org ID from an identity URL', () => {
+      expect(getOrgIdFromIdentityUrl(`https://login.salesforce.com/id/${SANDBOX_ID}AAA/005000000000001AAA`)).toBe(`${SANDBOX_ID}AAA`);
+      expect(getOrgIdFromIdentityUrl('https://login.salesforce.com/services/005000000000001AAA')).toBeNull();
+      expect(getOrgIdFromIdentityUrl('not a url')).toBeNull();
+    });
+
+    it('compares 15 and 18 character org IDs on the 15 character form', () => {
+      expect(normalizeOrgId(`${SANDBOX_ID}AAA`)).toBe(SANDBOX_ID);
+      expect(normalizeOrgId(` ${SANDBOX_ID} `)).toBe(SANDBOX_ID);
+      expect(normalizeOrgId('001000000000001')).toBeNull();
+      expect(normalizeOrgId(undefined)).toBeNull();
+    });
+
+    it('builds the 18 character form from the case of the 15 character one', () => {
+      expect(toLongOrgId(SANDBOX_ID)).toBe(`${SANDBOX_ID}EAA`);
+      expect(toLongOrgId('00D5g000004ErlW')).toBe('00D5g000004ErlWEAS');
+      expect(toLongOrgId('00D5g000004erlW')).toBe('00D5g000004erlWEAQ');
+      expect(toLongOrgId('00D5g000004ErlWEAS')).toBe('00D5g000004ErlWEAS');
+      expect(toLongOrgId('nope')).toBeNull();
+    });
+  });
+
+  describe('connections', () => {
+    it('keeps each org with its own tokens and makes the newest active', () => {
+      expect(listOrgs(session).map((o) => o.orgId)).toEqual([SANDBOX_ID, PRODUCTION_ID]);
+      expect(session.orgs[SANDBOX_ID].access_token).toBe(`${SANDBOX_ID}-token`);
+      expect(session).toMatchObject({ activeOrgId: PRODUCTION_ID, authenticated: true });
+    });
+
+    it('replaces the connection when an org logs in again', () => {
+      addOrg(session, connection(`${SANDBOX_ID}AAA`, { access_token: 'new-token', connectedAt: '2026-01-03T00:00:00.000Z' }));
+
+      expect(listOrgs(session).map((o) => o.orgId)).toEqual([PRODUCTION_ID, SANDBOX_ID]);
+      expect(session.orgs[SANDBOX_ID].access_token).toBe('new-token');
+    });
+
+    it('keeps the other orgs connected when one is removed', () => {
+      expect(removeOrg(session, PRODUCTION_ID).map((o) => o.orgId)).toEqual([SANDBOX_ID]);
+      expect(session).toMatchObject({ activeOrgId: SANDBOX_ID, authenticated: true });
+
+      expect(removeOrg(session, SANDBOX_ID)).toEqual([]);
+      expect(session).toMatchObject({ activeOrgId: null, authenticated: false });
+    });
+
+    it('activates only connected orgs', () => {
+      expect(activateOrg(session, `${SANDBOX_ID}AAA`).orgId).toBe(SANDBOX_ID);
+      expect(session.activeOrgId).toBe(SANDBOX_ID);
+      expect(() => activateOrg(session, '00D000000000009')).toThrow(expect.objectContaining({ status: 404, code: 'ORG_NOT_CONNECTED' }));
+    });
+
+    it('shows connections without their tokens', () => {
+      const shown = toPublicOrg(session.orgs[SANDBOX_ID], PRODUCTION_ID);
+
+      expect(shown).toMatchObject({ orgId: SANDBOX_ID, isSandbox: true, domainType: 'sandbox', active: false });
+      expect(JSON.stringify(shown)).not.toContain('token');
+      expect(JSON.stringify(shown)).not.toContain('refresh');
+    });
+  });
+
+  describe('resolveOrg', () => {
+    const request = (overrides = {}) => ({ session, query: {}, get: () => undefined, ...overrides });
+
+    it('uses the active org without a selector', () => {
+      expect(resolveOrg(request())).toEqual({ requested: null, org: session.orgs[PRODUCTION_ID] });
+    });
+
+    it('uses the org named in the path, header or query', () => {
+      expect(resolveOrg(request({ requestedOrgId: SANDBOX_ID })).org.orgId).toBe(SANDBOX_ID);
+      expect(resolveOrg(request({ get: (name) => (name === 'X-Org-Id' ? `${SANDBOX_ID}AAA` : undefined) })).org.orgId).toBe(SANDBOX_ID);
+      expect(resolveOrg(request({ query: { orgId: SANDBOX_ID } })).org.orgId).toBe(SANDBOX_ID);
+    });
+
+    it('finds no org for a selector that is not connected', () => {
+      expect(resolveOrg(request({ requestedOrgId: '00D000000000009' }))).toEqual({ requested: '00D000000000009', org: null });
+      expect(resolveOrg(request({ requestedOrgId: 'garbage' })).org).toBeNull();
+    });
+  });
+
+  describe('getOrgRequest', () => {
+    it('works against another connected org with the same session', () => {
+      const req = { session, org: session.orgs[PRODUCTION_ID], ip: '127.0.0.1' };
+
+      expect(getOrgRequest(req, SANDBOX_ID)).toEqual({ session, org: session.orgs[SANDBOX_ID], ip: '127.0.0.1', auditSource: undefined });
+      expect(() => getOrgRequest(req, '00D000000000009')).toThrow(expect.objectContaining({ code: 'ORG_NOT_CONNECTED' }));
+    });
+  });
+});
@@ -0,0 +1,165 @@
+const http = require('http');
+const config = require('../../src/config/config');
+const storage = require('../../src/services/storageService');
+const { deployPromotion } = require('../../src/services/promotionService');
+
+/**
+ * Local stand-in for the Metadata REST API: deploys are recorded after
+ * startDelayMs and stay in progress until finished is set; rule queries
+ * list the promoted rule once it is deployed
+ */
+function startSalesforce() {
+  const salesforce = { deploys: [], startDelayMs: 0, finished: false };
+
+  salesforce.server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+
+      if (req.method === 'POST' && req.url.endsWith('/metadata/deployRequest')) {
+        return setTimeout(() => {
+          const id = `0Af00000000000${salesforce.deploys.length + 1}AAA`;
+          salesforce.deploys.push(id);
+          send(201, { id });
+        }, salesforce.startDelayMs);
+      }
+
+      if (req.method === 'GET' && req.url.includes('/metadata/deployRequest/')) {
+        return send(200, {
+          deployResult: salesforce.finished
+            ? { done: true, success: true, status: 'Succeeded', details: { componentSuccesses: [], componentFailures: [] } }
+            : { done: false, status: 'InProgress' },
+        });
+      }
+
+      if (req.method === 'GET' && req.url.includes('/tooling/query')) {
+        return send(200, {
+          totalSize: 1,
+          done: true,
+          records: [{ Id: '03d000000000001AAA', ValidationName: 'Require_Phone', Active: true, EntityDefinition: { QualifiedApiName: 'Account' } }],
+        });
+      }
+
+      return send(404, [{ message: 'Not found', errorCode: 'NOT_FOUND' }]);
+    });
+  });
+
+  return new Promise((resolve) => {
+    salesforce.server.listen(0, '127.0.0.1', () => {
+      salesforce.url = `http://127.0.0.1:${salesforce.server.address().port}`;
+      resolve(salesforce);
+    });
+  });
+}
+
+describe('promotionService', () => {
+  let salesforce;
+  let target;
+  let nextId = 1;
+  const saved = {};
+
+  // A promotion whose validate-only deploy already passed
+  const storeValidated = async (overrides = {}) => {
+    const promotion = {
+      id: `promotion-${nextId++}`,
+      orgKey: new URL(salesforce.url).host,
+      status: 'validated',
+      rules: [{
+        fullName: 'Account.Require_Phone',
+        EntityName: 'Account',
+        ValidationName: 'Require_Phone',
+        action: 'create',
+        metadata: { active: true, errorConditionFormula: 'ISBLANK(Phone)', errorMessage: 'Phone is required' },
+      }],
+      ...overrides,
+    };
+    await storage.setJSON(`promotion:${promotion.orgKey}:${promotion.id}`, promotion, 60);
+    return promotion;
+  };
+
+  beforeAll(async () => {
+    salesforce = await startSalesforce();
+    saved.promoteWaitMs = config.promoteWaitMs;
+    // Return as soon as the deploy has started instead of polling it
+    config.promoteWaitMs = 0;
+  });
+
+  afterAll(async () => {
+    config.promoteWaitMs = saved.promoteWaitMs;
+    await new Promise((resolve) => salesforce.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    salesforce.deploys = [];
+    salesforce.startDelayMs = 0;
+    salesforce.finished = false;
+    target = {
+      org: { orgId: '00D000000000002', username: 'deployer@example.com', access_token: 'token', instance_url: salesforce.url },
+      session: {},
+      ip: '127.0.0.1',
+    };
+  });
+
+  describe('deployPromotion', () => {
+    it('starts a deploy and stores the promotion as deploying', async () => {
+      const promotion = await storeValidated();
+      const deploying = await deployPromotion(target, promotion.id, { change: { reason: 'Release', ticketId: 'REL-1' } });
+
+      expect(deploying).toMatchObject({
+        status: 'deploying',
+        deploymentDeployId: salesforce.deploys[0],
+        deployedBy: 'deployer@example.com',
+        change: { reason: 'Release', ticketId: 'REL-1' },
+      });
+      expect(await storage.getJSON(`promotion:${promotion.orgKey}:${promotion.id}`)).toMatchObject({ status: 'deploying' });
+    });
+
+    it('starts one deploy when two requests deploy at once', async () => {
+      salesforce.startDelayMs = 100;
+      const promotion = await storeValidated();
+
+      const results = await Promise.allSettled([
+        deployPromotion(target, promotion.id),
+        deployPromotion(target, promotion.id),
+      ]);
+
+      expect(results.filter((r) => r.status === 'fulfilled')).toHaveLength(1);
+      expect(results.find((r) => r.status === 'rejected').reason)
+        .toMatchObject({ status: 409, code: 'PROMOTION_DEPLOY_IN_PROGRESS' });
+      expect(salesforce.deploys).toHaveLength(1);
+    });
+
+    it('refuses a promotion that is already deploying', async () => {
+      const promotion = await storeValidated();
+      await deployPromotion(target, promotion.id);
+
+      await expect(deployPromotion(target, promotion.id)).rejects.toMatchObject({ status: 409, code: 'PROMOTION_NOT_VALIDATED' });
+      expect(salesforce.deploys).toHaveLength(1);
+    });
+
+    it('requires overwrites to be confirmed', async () => {
+      const promotion = await storeValidated({
+        rules: [{ fullName: 'Account.Require_Phone', EntityName: 'Account', ValidationName: 'Require_Phone', action: 'update', metadata: {} }],
+      });
+
+      await expect(deployPromotion(target, promotion.id)).rejects.toMatchObject({ status: 400, code: 'OVERWRITE_NOT_CONFIRMED' });
+      expect(salesforce.deploys).toEqual([]);
+
+      // The refused deploy must not leave the promotion locked
+      await deployPromotion(target, promotion.id, { confirmOverwrite: true });
+      expect(salesforce.deploys).toHaveLength(1);
+    });
+
+    it('stores a deploy that finishes while it is awaited', async () => {
+      salesforce.finished = true;
+      const promotion = await storeValidated();
+
+      const deployed = await deployPromotion(target, promotion.id);
+      expect(deployed.status).toBe('deployed');
+      expect(await storage.getJSON(`promotion:${promotion.orgKey}:${promotion.id}`)).toMatchObject({ status: 'deployed' });
+    });
+  });
+});
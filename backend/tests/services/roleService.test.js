@@ -0,0 +1,204 @@
+const config = require('../../src/config/config');
+const { ROLES, getOrgEnvironment, resolveRole, hasRole } = require('../../src/services/roleService');
+const { requireRole } = require('../../src/middleware/auth');
+
+const production = (user = {}) => ({
+  username: 'pat@example.com',
+  profileName: 'Standard User',
+  permissionSets: ['Sales_Ops'],
+  isSandbox: false,
+  ...user,
+});
+const sandbox = (user = {}) => production({ isSandbox: true, ...user });
+
+describe('roleService', () => {
+  const saved = {};
+
+  beforeAll(() => {
+    saved.roleMappings = config.roleMappings;
+    saved.defaultRole = config.defaultRole;
+  });
+
+  afterEach(() => {
+    config.roleMappings = saved.roleMappings;
+    config.defaultRole = saved.defaultRole;
+  });
+
+  const useMappings = (roleMappings, defaultRole = 'viewer') => {
+    config.roleMappings = roleMappings;
+    config.defaultRole = defaultRole;
+  };
+
+  describe('getOrgEnvironment', () => {
+    it('reads sandboxes from the org or its login domain', () => {
+      expect(getOrgEnvironment({ isSandbox: true })).toBe('sandbox');
+      expect(getOrgEnvironment({ domain_type: 'sandbox' })).toBe('sandbox');
+      expect(getOrgEnvironment({ domain_type: 'custom' })).toBe('production');
+      expect(getOrgEnvironment({})).toBe('production');
+      expect(getOrgEnvironment(null)).toBe('production');
+    });
+  });
+
+  describe('resolveRole', () => {
+    it('gives everyone the default role without mappings', () => {
+      useMappings([], 'admin');
+      expect(resolveRole(production())).toBe('admin');
+    });
+
+    it.each([
+      ['username', { username: 'PAT@example.com', role: 'operator' }],
+      ['profile', { profile: 'standard user', role: 'operator' }],
+      ['permission set', { permissionSet: 'sales_ops', role: 'operator' }],
+    ])('matches the %s without regard to case', (_, mapping) => {
+      useMappings([mapping]);
+      expect(resolveRole(production())).toBe('operator');
+    });
+
+    it('falls back to the default role when nothing matches', () => {
+      useMappings([
+        { username: 'sam@example.com', role: 'admin' },
+        { profile: 'System Administrator', role: 'admin' },
+        { permissionSet: 'Bridge_Admins', role: 'admin' },
+      ]);
+      expect(resolveRole(production())).toBe('viewer');
+      expect(resolveRole(production({ permissionSets: undefined, profileName: undefined }))).toBe('viewer');
+    });
+
+    it('grants the highest role of every matching mapping', () => {
+      useMappings([
+        { profile: 'Standard User', role: 'viewer' },
+        { permissionSet: 'Sales_Ops', role: 'admin' },
+        { username: 'pat@example.com', role: 'operator' },
+      ]);
+      expect(resolveRole(production())).toBe('admin');
+    });
+
+    it('maps viewer, operator and admin users side by side', () => {
+      useMappings([
+        { profile: 'System Administrator', role: 'admin' },
+        { permissionSet: 'Release_Managers', role: 'operator' },
+      ]);
+
+      expect(resolveRole(production({ profileName: 'System Administrator' }))).toBe('admin');
+      expect(resolveRole(production({ permissionSets: ['Release_Managers'] }))).toBe('operator');
+      expect(resolveRole(production())).toBe('viewer');
+    });
+
+    it('reads a per-environment role for the org being used', () => {
+      useMappings([{ permissionSet: 'Sales_Ops', role: { sandbox: 'admin', production: 'operator' } }]);
+
+      expect(resolveRole(production())).toBe('operator');
+      expect(resolveRole(sandbox())).toBe('admin');
+    });
+
+    it('skips mappings without a role for the environment', () => {
+      useMappings([{ username: 'pat@example.com', role: { sandbox: 'admin' } }], 'viewer');
+
+      expect(resolveRole(sandbox())).toBe('admin');
+      expect(resolveRole(production())).toBe('viewer');
+    });
+
+    it('applies a mapping without a user field to everyone', () => {
+      useMappings([{ role: { sandbox: 'operator' } }]);
+      expect(resolveRole(sandbox({ username: 'anyone@example.com' }))).toBe('operator');
+    });
+
+    it('has no role without a connection', () => {
+      expect(resolveRole(null)).toBe(null);
+    });
+  });
+
+  describe('hasRole', () => {
+    it('orders roles from viewer to admin', () => {
+      expect(ROLES).toEqual(['viewer', 'operator', 'admin']);
+    });
+
+    it.each([
+      ['viewer', 'viewer', true],
+      ['viewer', 'operator', false],
+      ['operator', 'viewer', true],
+      ['operator', 'admin', false],
+      ['admin', 'operator', true],
+      ['admin', 'admin', true],
+    ])('%s has the %s role: %s', (role, required, expected) => {
+      expect(hasRole(role, required)).toBe(expected);
+    });
+  });
+
+  describe('role configuration', () => {
+    const loadConfig = (env) => {
+      const previous = { ...process.env };
+      Object.assign(process.env, env);
+      try {
+        let loaded;
+        jest.isolateModules(() => {
+          jest.spyOn(console, 'log').mockImplementation(() => {});
+          jest.spyOn(console, 'error').mockImplementation(() => {});
+          loaded = require('../../src/config/config');
+        });
+        return loaded;
+      } finally {
+        process.env = previous;
+        jest.restoreAllMocks();
+      }
+    };
+
+    it('makes everyone an admin until mappings are configured', () => {
+      expect(loadConfig({ ROLE_MAPPINGS: '[]', DEFAULT_ROLE: '' }).defaultRole).toBe('admin');
+    });
+
+    it('makes unmatched users viewers once mappings are configured', () => {
+      const loaded = loadConfig({ ROLE_MAPPINGS: '[{"profile":"System Administrator","role":"admin"}]', DEFAULT_ROLE: '' });
+      expect(loaded.defaultRole).toBe('viewer');
+      expect(loaded.roleMappings).toEqual([{ profile: 'System Administrator', role: 'admin' }]);
+    });
+
+    it.each([
+      ['ROLE_MAPPINGS that is not JSON', { ROLE_MAPPINGS: '{' }],
+      ['a mapping with two user fields', { ROLE_MAPPINGS: '[{"username":"a","profile":"b","role":"admin"}]' }],
+      ['an unknown role', { ROLE_MAPPINGS: '[{"username":"a","role":"owner"}]' }],
+      ['an unknown default role', { ROLE_MAPPINGS: '[]', DEFAULT_ROLE: 'owner' }],
+    ])('rejects %s', (_, env) => {
+      expect(() => loadConfig(env)).toThrow('Configuration validation failed');
+    });
+  });
+});
+
+describe('requireRole', () => {
+  const run = (role, required) => {
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      },
+    };
+    const next = jest.fn();
+    const req = { role, org: { username: 'pat@example.com' }, method: 'PATCH', originalUrl: '/api/validation-rules/x' };
+
+    requireRole(required)(req, res, next);
+    return { res, next };
+  };
+
+  it('lets users with the role or a higher one through', () => {
+    expect(run('operator', 'operator').next).toHaveBeenCalled();
+    expect(run('admin', 'operator').next).toHaveBeenCalled();
+  });
+
+  it('answers 403 with both roles otherwise', () => {
+    const { res, next } = run('viewer', 'operator');
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+    expect(res.body).toEqual({
+      success: false,
+      error: 'This action needs the operator role; you are a viewer in this org',
+      code: 'INSUFFICIENT_ROLE',
+      role: 'viewer',
+      requiredRole: 'operator',
+    });
+  });
+});
@@ -0,0 +1,269 @@
+const http = require('http');
+const axios = require('axios');
+const config = require('../../src/config/config');
+const logger = require('../../src/utils/logger');
+const { salesforceRequest, toolingPath, fetchValidationRules } = require('../../src/services/salesforceService');
+
+const RULE_COUNT = 5;
+const LOCATOR_PATTERN = /\/tooling\/query\/01gLOCATOR-(\d+)-(\d+)$/;
+
+/**
+ * Local stand-in for the REST API: requests are recorded with the token
+ * that sent them, and any token other than validToken is an expired session;
+ * paths under /missing do not exist. Validation rule queries return
+ * RULE_COUNT rules in batches of the requested size (defaultBatchSize
+ * without one), each pointing at the next through its query locator
+ */
+function startSalesforce() {
+  const salesforce = { requests: [], validToken: 'fresh-token', defaultBatchSize: 2 };
+
+  const batch = (offset, size) => {
+    const next = offset + size;
+    return {
+      totalSize: RULE_COUNT,
+      done: next >= RULE_COUNT,
+      nextRecordsUrl: next >= RULE_COUNT ? undefined : `/services/data/v60.0/tooling/query/01gLOCATOR-${next}-${size}`,
+      records: Array.from({ length: Math.min(size, RULE_COUNT - offset) }, (_, i) => ({
+        Id: `03d00000000000${offset + i + 1}AAA`,
+        ValidationName: `Rule_${offset + i + 1}`,
+        Active: true,
+        EntityDefinition: { QualifiedApiName: 'Account' },
+      })),
+    };
+  };
+
+  salesforce.server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+
+      salesforce.requests.push({
+        method: req.method,
+        url: req.url,
+        token: req.headers.authorization,
+        queryOptions: req.headers['sforce-query-options'],
+      });
+      if (req.headers.authorization !== `Bearer ${salesforce.validToken}`) {
+        return send(401, [{ message: 'Session expired or invalid', errorCode: 'INVALID_SESSION_ID' }]);
+      }
+
+      if (req.url.includes('/missing')) {
+        return send(404, [{ message: 'The requested resource does not exist', errorCode: 'NOT_FOUND' }]);
+      }
+
+      const url = new URL(req.url, 'http://localhost');
+      if (url.searchParams.get('q')?.includes('FROM ValidationRule')) {
+        const size = Number((req.headers['sforce-query-options'] || '').split('=')[1]) || salesforce.defaultBatchSize;
+        return send(200, batch(0, size));
+      }
+
+      const locator = url.pathname.match(LOCATOR_PATTERN);
+      if (locator) {
+        return send(200, batch(Number(locator[1]), Number(locator[2])));
+      }
+
+      return send(200, { totalSize: 0, done: true, records: [] });
+    });
+  });
+
+  return new Promise((resolve) => {
+    salesforce.server.listen(0, '127.0.0.1', () => {
+      salesforce.url = `http://127.0.0.1:${salesforce.server.address().port}`;
+      resolve(salesforce);
+    });
+  });
+}
+
+describe('salesforceService', () => {
+  let salesforce;
+  let tokenRequests;
+
+  const userRequest = (org = {}) => ({
+    org: {
+      orgId: '00D000000000001',
+      access_token: 'expired-token',
+      refresh_token: 'refresh-token',
+      instance_url: salesforce.url,
+      domain_type: 'production',
+      ...org,
+    },
+    session: { save: jest.fn((callback) => callback()) },
+  });
+
+  // The refresh-token grant goes to a Salesforce login host, so it is answered here
+  const answerTokenRequests = (respond = () => ({ data: { access_token: 'fresh-token' } })) => {
+    tokenRequests = [];
+    jest.spyOn(axios, 'post').mockImplementation(async (url, body) => {
+      tokenRequests.push({ url, params: Object.fromEntries(new URLSearchParams(body)) });
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      return respond();
+    });
+  };
+
+  beforeAll(async () => {
+    salesforce = await startSalesforce();
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => salesforce.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    salesforce.requests = [];
+    salesforce.validToken = 'fresh-token';
+    salesforce.defaultBatchSize = 2;
+    answerTokenRequests();
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('salesforceRequest', () => {
+    it('refreshes an expired access token and retries the call once', async () => {
+      const req = userRequest();
+
+      await expect(salesforceRequest(req, 'GET', toolingPath('/query?q=SELECT+Id+FROM+ValidationRule')))
+        .resolves.toMatchObject({ totalSize: RULE_COUNT });
+
+      expect(salesforce.requests.map((r) => r.token)).toEqual(['Bearer expired-token', 'Bearer fresh-token']);
+      expect(tokenRequests).toEqual([{
+        url: 'https://login.salesforce.com/services/oauth2/token',
+        params: {
+          grant_type: 'refresh_token',
+          refresh_token: 'refresh-token',
+          client_id: config.clientId,
+          client_secret: config.clientSecret,
+        },
+      }]);
+      expect(req.org.access_token).toBe('fresh-token');
+      expect(req.session.save).toHaveBeenCalled();
+    });
+
+    it('keeps a refresh token and instance URL the grant returns', async () => {
+      answerTokenRequests(() => ({
+        data: { access_token: 'fresh-token', refresh_token: 'rotated-token', instance_url: salesforce.url },
+      }));
+      const req = userRequest();
+
+      await salesforceRequest(req, 'GET', toolingPath('/query?q=x'));
+
+      expect(req.org).toMatchObject({ access_token: 'fresh-token', refresh_token: 'rotated-token', instance_url: salesforce.url });
+    });
+
+    it.each([
+      ['sandbox', { domain_type: 'sandbox' }, 'https://test.salesforce.com/services/oauth2/token'],
+      ['My Domain', { domain_type: 'custom', custom_domain: 'acme.my.salesforce.com' }, 'https://acme.my.salesforce.com/services/oauth2/token'],
+    ])('refreshes %s logins against their own login host', async (_, org, tokenUrl) => {
+      await salesforceRequest(userRequest(org), 'GET', toolingPath('/query?q=x'));
+
+      expect(tokenRequests.map((r) => r.url)).toEqual([tokenUrl]);
+    });
+
+    it('shares one refresh between concurrent requests', async () => {
+      const req = userRequest();
+
+      await Promise.all([
+        salesforceRequest(req, 'GET', toolingPath('/query?q=a')),
+        salesforceRequest(req, 'GET', toolingPath('/query?q=b')),
+        salesforceRequest(req, 'GET', toolingPath('/query?q=c')),
+      ]);
+
+      expect(tokenRequests).toHaveLength(1);
+      expect(salesforce.requests.filter((r) => r.token === 'Bearer fresh-token')).toHaveLength(3);
+    });
+
+    it('does not retry a request that fails again after the refresh', async () => {
+      salesforce.validToken = 'never-issued';
+
+      await expect(salesforceRequest(userRequest(), 'GET', toolingPath('/query?q=x')))
+        .rejects.toMatchObject({ status: 401, code: 'INVALID_SESSION_ID' });
+      expect(salesforce.requests).toHaveLength(2);
+      expect(tokenRequests).toHaveLength(1);
+    });
+
+    it('asks for a new login without a refresh token', async () => {
+      await expect(salesforceRequest(userRequest({ refresh_token: undefined }), 'GET', toolingPath('/query?q=x')))
+        .rejects.toMatchObject({ status: 401, code: 'SESSION_EXPIRED' });
+      expect(tokenRequests).toEqual([]);
+    });
+
+    it('asks for a new login when the refresh token is refused', async () => {
+      answerTokenRequests(() => {
+        const err = new Error('Request failed with status code 400');
+        err.response = { status: 400, data: { error: 'invalid_grant', error_description: 'expired access/refresh token' } };
+        throw err;
+      });
+
+      await expect(salesforceRequest(userRequest(), 'GET', toolingPath('/query?q=x')))
+        .rejects.toMatchObject({ status: 401, code: 'SESSION_EXPIRED', message: 'expired access/refresh token' });
+      expect(salesforce.requests).toHaveLength(1);
+    });
+
+    it('passes other errors through without refreshing', async () => {
+      const req = userRequest({ access_token: 'fresh-token' });
+
+      await expect(salesforceRequest(req, 'GET', toolingPath('/missing')))
+        .rejects.toMatchObject({ status: 404, code: 'NOT_FOUND' });
+      expect(tokenRequests).toEqual([]);
+    });
+  });
+
+  describe('fetchValidationRules', () => {
+    const ruleNames = (result) => result.records.map((r) => r.ValidationName);
+
+    it('follows every query batch without paging options', async () => {
+      const result = await fetchValidationRules(userRequest({ access_token: 'fresh-token' }));
+
+      expect(result).toMatchObject({ totalSize: RULE_COUNT, done: true, nextCursor: null });
+      expect(ruleNames(result)).toEqual(['Rule_1', 'Rule_2', 'Rule_3', 'Rule_4', 'Rule_5']);
+      expect(salesforce.requests).toHaveLength(3);
+    });
+
+    it('asks Salesforce for batches of the limit', async () => {
+      const result = await fetchValidationRules(userRequest({ access_token: 'fresh-token' }), { limit: 200 });
+
+      expect(salesforce.requests.map((r) => r.queryOptions)).toEqual(['batchSize=200']);
+      expect(result).toMatchObject({ totalSize: RULE_COUNT, done: true, nextCursor: null });
+      expect(result.records).toHaveLength(RULE_COUNT);
+    });
+
+    it('pages through batches with the returned cursor', async () => {
+      const req = userRequest({ access_token: 'fresh-token' });
+
+      const first = await fetchValidationRules(req, { cursor: '01gLOCATOR-0-2' });
+      expect(ruleNames(first)).toEqual(['Rule_1', 'Rule_2']);
+      expect(first).toMatchObject({ totalSize: RULE_COUNT, done: false, nextCursor: '01gLOCATOR-2-2' });
+
+      const second = await fetchValidationRules(req, { cursor: first.nextCursor });
+      expect(ruleNames(second)).toEqual(['Rule_3', 'Rule_4']);
+
+      const last = await fetchValidationRules(req, { cursor: second.nextCursor });
+      expect(ruleNames(last)).toEqual(['Rule_5']);
+      expect(last).toMatchObject({ done: true, nextCursor: null });
+    });
+
+    it.each([[199], [2001]])('rejects a limit of %i', async (limit) => {
+      await expect(fetchValidationRules(userRequest({ access_token: 'fresh-token' }), { limit }))
+        .rejects.toMatchObject({ status: 400, code: 'INVALID_LIMIT' });
+      expect(salesforce.requests).toEqual([]);
+    });
+
+    it('refreshes an expired token between batches', async () => {
+      const req = userRequest({ access_token: 'fresh-token' });
+
+      // The first batch is read with the current token, which then expires
+      const first = await fetchValidationRules(req, { cursor: '01gLOCATOR-0-3' });
+      salesforce.validToken = 'next-token';
+      answerTokenRequests(() => ({ data: { access_token: 'next-token' } }));
+
+      const second = await fetchValidationRules(req, { cursor: first.nextCursor });
+      expect(ruleNames(second)).toEqual(['Rule_4', 'Rule_5']);
+      expect(tokenRequests).toHaveLength(1);
+    });
+  });
+});
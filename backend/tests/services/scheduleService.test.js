@@ -0,0 +1,298 @@
+const http = require('http');
+const session = require('express-session');
+const storage = require('../../src/services/storageService');
+const logger = require('../../src/utils/logger');
+const { setSessionStore } = require('../../src/services/sessionStoreService');
+const {
+  runDueWindows,
+  createWindow,
+  cancelWindow,
+  endSessionWindows,
+} = require('../../src/services/scheduleService');
+
+const ORG_ID = '00D000000000001';
+const PHONE_RULE = '03d000000000001AAA';
+const EMAIL_RULE = '03d000000000002AAA';
+const STAGE_RULE = '03d000000000003AAA';
+const MINUTE = 60 * 1000;
+
+/**
+ * Local stand-in for the Tooling API: queries answer from rules, and PATCHes
+ * update them unless the rule is in failIds; every PATCH is recorded with
+ * the token that sent it
+ */
+function startSalesforce() {
+  const salesforce = { rules: {}, failIds: new Set(), patches: [] };
+
+  const toRecord = (id) => ({
+    Id: id,
+    ValidationName: salesforce.rules[id].ValidationName,
+    Active: salesforce.rules[id].Active,
+    FullName: `Account.${salesforce.rules[id].ValidationName}`,
+    EntityDefinition: { QualifiedApiName: 'Account' },
+    Metadata: { active: salesforce.rules[id].Active, errorConditionFormula: 'TRUE', errorMessage: 'No' },
+  });
+
+  salesforce.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(data === undefined ? '' : JSON.stringify(data));
+      };
+
+      if (req.method === 'GET' && url.pathname.endsWith('/tooling/query')) {
+        const id = (url.searchParams.get('q').match(/WHERE Id = '(\w+)'/) || [])[1];
+        const ids = id ? [id].filter((i) => salesforce.rules[i]) : Object.keys(salesforce.rules);
+        return send(200, { totalSize: ids.length, done: true, records: ids.map(toRecord) });
+      }
+
+      const patch = url.pathname.match(/\/tooling\/sobjects\/ValidationRule\/(\w+)$/);
+      if (req.method === 'PATCH' && patch) {
+        const active = JSON.parse(body).Metadata.active;
+        salesforce.patches.push({ id: patch[1], active, token: req.headers.authorization });
+        if (salesforce.failIds.has(patch[1])) {
+          return send(400, [{ message: 'Rule is locked', errorCode: 'FIELD_INTEGRITY_EXCEPTION' }]);
+        }
+        salesforce.rules[patch[1]].Active = active;
+        return send(204);
+      }
+
+      return send(404, [{ message: 'Not found', errorCode: 'NOT_FOUND' }]);
+    });
+  });
+
+  return new Promise((resolve) => {
+    salesforce.server.listen(0, '127.0.0.1', () => {
+      salesforce.url = `http://127.0.0.1:${salesforce.server.address().port}`;
+      resolve(salesforce);
+    });
+  });
+}
+
+describe('scheduleService', () => {
+  let salesforce;
+  let sessionStore;
+  let orgKey;
+  let nextId = 1;
+
+  const isActive = (id) => salesforce.rules[id].Active;
+
+  // Sign a user in, so windows can run with their stored login
+  const signIn = (sessionId, token) => new Promise((resolve, reject) => {
+    const org = { orgId: ORG_ID, username: `${sessionId}@example.com`, access_token: token, instance_url: salesforce.url };
+    sessionStore.set(sessionId, { orgs: { [ORG_ID]: org } }, (err) => (err ? reject(err) : resolve()));
+  });
+
+  // Windows need Redis to be created, so they are stored the way createWindow leaves them
+  const storeWindow = async (overrides = {}) => {
+    const window = {
+      id: `window-${nextId++}`,
+      orgKey,
+      createdAt: new Date().toISOString(),
+      createdBy: 'owner@example.com',
+      startAt: new Date(Date.now() - MINUTE).toISOString(),
+      endAt: new Date(Date.now() + 30 * MINUTE).toISOString(),
+      status: 'scheduled',
+      rules: [PHONE_RULE, EMAIL_RULE, STAGE_RULE].map((id) => ({ Id: id, ValidationName: salesforce.rules[id].ValidationName, EntityName: 'Account' })),
+      disabledIds: [],
+      restoredIds: [],
+      handedOverIds: [],
+      endAttempts: 0,
+      results: [],
+      change: {},
+      sessionId: 'owner',
+      orgId: ORG_ID,
+      ...overrides,
+    };
+    await storage.setJSON(`schedule:${orgKey}:${window.id}`, window, 3600);
+    return window;
+  };
+
+  const loadWindow = (window) => storage.getJSON(`schedule:${orgKey}:${window.id}`);
+
+  // An active window that disabled its rules and has now run out
+  const storeExpiredWindow = (overrides = {}) => {
+    salesforce.rules[PHONE_RULE].Active = false;
+    salesforce.rules[EMAIL_RULE].Active = false;
+    return storeWindow({
+      status: 'active',
+      startAt: new Date(Date.now() - 60 * MINUTE).toISOString(),
+      endAt: new Date(Date.now() - MINUTE).toISOString(),
+      disabledIds: [PHONE_RULE, EMAIL_RULE],
+      ...overrides,
+    });
+  };
+
+  beforeAll(async () => {
+    salesforce = await startSalesforce();
+    orgKey = new URL(salesforce.url).host;
+    sessionStore = new session.MemoryStore();
+    setSessionStore(sessionStore);
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => salesforce.server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    salesforce.rules = {
+      [PHONE_RULE]: { ValidationName: 'Require_Phone', Active: true },
+      [EMAIL_RULE]: { ValidationName: 'Require_Email', Active: true },
+      [STAGE_RULE]: { ValidationName: 'Require_Stage', Active: false },
+    };
+    salesforce.failIds = new Set();
+    salesforce.patches = [];
+    for (const key of await storage.listKeys('schedule:')) {
+      await storage.deleteKey(key);
+    }
+    await signIn('owner', 'owner-token');
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createWindow', () => {
+    it('needs Redis so windows survive a restart', async () => {
+      const req = { org: { orgId: ORG_ID, instance_url: salesforce.url }, sessionID: 'owner' };
+
+      await expect(createWindow(req, { ruleIds: [PHONE_RULE], startAt: new Date(), endAt: new Date(Date.now() + MINUTE) }))
+        .rejects.toMatchObject({ status: 503, code: 'SCHEDULER_UNAVAILABLE' });
+    });
+  });
+
+  describe('runDueWindows', () => {
+    it('disables the active rules of a window that is due, with its login', async () => {
+      const window = await storeWindow();
+
+      await runDueWindows();
+
+      const started = await loadWindow(window);
+      expect(started.status).toBe('active');
+      expect(started.disabledIds.sort()).toEqual([PHONE_RULE, EMAIL_RULE]);
+      expect(isActive(PHONE_RULE) || isActive(EMAIL_RULE)).toBe(false);
+      expect(salesforce.patches.every((p) => p.token === 'Bearer owner-token')).toBe(true);
+    });
+
+    it('leaves a window that is not due yet alone', async () => {
+      const window = await storeWindow({ startAt: new Date(Date.now() + 10 * MINUTE).toISOString() });
+
+      await runDueWindows();
+
+      expect((await loadWindow(window)).status).toBe('scheduled');
+      expect(salesforce.patches).toEqual([]);
+    });
+
+    it('re-enables only the rules it disabled once the window expires', async () => {
+      const window = await storeExpiredWindow();
+
+      await runDueWindows();
+
+      const ended = await loadWindow(window);
+      expect(ended.status).toBe('completed');
+      expect(ended.restoredIds.sort()).toEqual([PHONE_RULE, EMAIL_RULE]);
+      expect(isActive(PHONE_RULE) && isActive(EMAIL_RULE)).toBe(true);
+      expect(isActive(STAGE_RULE)).toBe(false);
+    });
+
+    it('retries only the rules that could not be re-enabled on the next tick', async () => {
+      const window = await storeExpiredWindow();
+      salesforce.failIds.add(EMAIL_RULE);
+
+      await runDueWindows();
+      const retrying = await loadWindow(window);
+      expect(retrying).toMatchObject({ status: 'active', restoredIds: [PHONE_RULE], endAttempts: 1 });
+
+      salesforce.failIds.clear();
+      salesforce.patches = [];
+      await runDueWindows();
+
+      expect(salesforce.patches.map((p) => p.id)).toEqual([EMAIL_RULE]);
+      expect((await loadWindow(window)).status).toBe('completed');
+    });
+
+    it('fails a window whose rules still cannot be re-enabled after the last attempt', async () => {
+      const window = await storeExpiredWindow({ endAttempts: 4 });
+      salesforce.failIds.add(EMAIL_RULE);
+
+      await runDueWindows();
+
+      const failed = await loadWindow(window);
+      expect(failed).toMatchObject({ status: 'failed', error: 'Some rules could not be re-enabled' });
+      expect(isActive(EMAIL_RULE)).toBe(false);
+    });
+
+    it('hands rules another active window covers over to it', async () => {
+      const window = await storeExpiredWindow();
+      const other = await storeWindow({
+        status: 'active',
+        rules: [{ Id: EMAIL_RULE, ValidationName: 'Require_Email', EntityName: 'Account' }],
+        disabledIds: [],
+      });
+
+      await runDueWindows();
+
+      const ended = await loadWindow(window);
+      expect(ended).toMatchObject({ status: 'completed', restoredIds: [PHONE_RULE], handedOverIds: [EMAIL_RULE] });
+      expect((await loadWindow(other)).disabledIds).toEqual([EMAIL_RULE]);
+      expect(isActive(EMAIL_RULE)).toBe(false);
+    });
+
+    it('marks a window missed when the server was down for all of it', async () => {
+      const window = await storeWindow({
+        startAt: new Date(Date.now() - 60 * MINUTE).toISOString(),
+        endAt: new Date(Date.now() - MINUTE).toISOString(),
+      });
+
+      await runDueWindows();
+
+      expect((await loadWindow(window)).status).toBe('missed');
+      expect(salesforce.patches).toEqual([]);
+    });
+
+    it('fails a window whose login has ended, naming the rules left disabled', async () => {
+      const window = await storeExpiredWindow({ sessionId: 'logged-out' });
+
+      await runDueWindows();
+
+      const failed = await loadWindow(window);
+      expect(failed.status).toBe('failed');
+      expect(failed.error).toMatch(/login that scheduled this window has ended/);
+      expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('left 2 rules disabled'));
+    });
+  });
+
+  describe('cancelWindow', () => {
+    it('re-enables an active window\'s rules with the caller\'s login', async () => {
+      const window = await storeExpiredWindow({ endAt: new Date(Date.now() + 30 * MINUTE).toISOString() });
+      await signIn('operator', 'operator-token');
+      const req = { org: { orgId: ORG_ID, access_token: 'operator-token', instance_url: salesforce.url }, sessionID: 'operator' };
+
+      const cancelled = await cancelWindow(req, window.id, { reason: 'Load finished early' });
+
+      expect(cancelled.status).toBe('cancelled');
+      expect(cancelled).not.toHaveProperty('sessionId');
+      expect(salesforce.patches.map((p) => p.token)).toEqual(['Bearer operator-token', 'Bearer operator-token']);
+      expect(isActive(PHONE_RULE) && isActive(EMAIL_RULE)).toBe(true);
+    });
+  });
+
+  describe('endSessionWindows', () => {
+    it('ends the windows a session runs when it logs out', async () => {
+      const scheduled = await storeWindow({ startAt: new Date(Date.now() + 10 * MINUTE).toISOString() });
+      const active = await storeExpiredWindow({ endAt: new Date(Date.now() + 30 * MINUTE).toISOString() });
+      const otherSession = await storeWindow({ startAt: new Date(Date.now() + 10 * MINUTE).toISOString(), sessionId: 'someone-else' });
+
+      expect(await endSessionWindows('owner', ORG_ID, orgKey)).toBe(2);
+
+      expect((await loadWindow(scheduled)).status).toBe('cancelled');
+      expect((await loadWindow(active)).status).toBe('cancelled');
+      expect((await loadWindow(otherSession)).status).toBe('scheduled');
+      expect(isActive(PHONE_RULE) && isActive(EMAIL_RULE)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const session = require('express-session');
+const {
+  setSessionStore,
+  createSessionRequest,
+  keepSessionAlive,
+} = require('../../src/services/sessionStoreService');
+
+const ORG_A = '00D000000000001AAA';
+const ORG_B = '00D000000000002AAA';
+const ORG_C = '00D000000000003AAA';
+
+const connection = (orgId, token) => ({
+  orgId,
+  access_token: `${token}-access`,
+  refresh_token: `${token}-refresh`,
+  instance_url: 'https://example.my.salesforce.com',
+  username: `${token}@example.com`,
+  connectedAt: `2026-01-0${orgId.slice(-4, -3)}T00:00:00.000Z`,
+});
+
+describe('sessionStoreService', () => {
+  let store;
+
+  const call = (method, ...args) => new Promise((resolve, reject) => {
+    store[method](...args, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+  const save = (req) => new Promise((resolve, reject) => {
+    req.session.save((err) => (err ? reject(err) : resolve()));
+  });
+
+  beforeEach(async () => {
+    store = new session.MemoryStore();
+    setSessionStore(store);
+    await call('set', 'sid', {
+      cookie: { originalMaxAge: 60000, expires: new Date(Date.now() + 60000).toISOString() },
+      orgs: { [ORG_A]: connection(ORG_A, 'a'), [ORG_B]: connection(ORG_B, 'b') },
+      activeOrgId: ORG_A,
+    });
+  });
+
+  it('builds a request for one org of a stored session', async () => {
+    const req = await createSessionRequest('sid', ORG_A, 'approval');
+
+    expect(req.org.access_token).toBe('a-access');
+    expect(req.auditSource).toBe('approval');
+  });
+
+  it('throws SESSION_EXPIRED once the session or the org is gone', async () => {
+    await expect(createSessionRequest('missing', ORG_A)).rejects.toMatchObject({ status: 401, code: 'SESSION_EXPIRED' });
+    await expect(createSessionRequest('sid', ORG_C)).rejects.toMatchObject({ code: 'SESSION_EXPIRED' });
+    await expect(createSessionRequest(null, ORG_A)).rejects.toMatchObject({ code: 'SESSION_EXPIRED' });
+  });
+
+  it('merges refreshed tokens into the session as it is stored now', async () => {
+    const req = await createSessionRequest('sid', ORG_A);
+
+    // The user logs out of one org and connects another while the job runs
+    const current = await call('get', 'sid');
+    delete current.orgs[ORG_B];
+    current.orgs[ORG_C] = connection(ORG_C, 'c');
+    current.activeOrgId = ORG_C;
+    await call('set', 'sid', current);
+
+    req.org.access_token = 'a-access-2';
+    req.org.refresh_token = 'a-refresh-2';
+    await save(req);
+
+    const stored = await call('get', 'sid');
+    expect(Object.keys(stored.orgs).sort()).toEqual([ORG_A, ORG_C]);
+    expect(stored.activeOrgId).toBe(ORG_C);
+    expect(stored.orgs[ORG_A]).toMatchObject({ access_token: 'a-access-2', refresh_token: 'a-refresh-2' });
+  });
+
+  it('does not bring back an org the user logged out of', async () => {
+    const req = await createSessionRequest('sid', ORG_A);
+
+    const current = await call('get', 'sid');
+    delete current.orgs[ORG_A];
+    await call('set', 'sid', current);
+
+    req.org.access_token = 'a-access-2';
+    await save(req);
+
+    expect((await call('get', 'sid')).orgs[ORG_A]).toBeUndefined();
+  });
+
+  it('does not overwrite a newer login to the same org', async () => {
+    const req = await createSessionRequest('sid', ORG_A);
+
+    const current = await call('get', 'sid');
+    current.orgs[ORG_A] = { ...connection(ORG_A, 'relogin'), connectedAt: new Date().toISOString() };
+    await call('set', 'sid', current);
+
+    req.org.access_token = 'a-access-2';
+    await save(req);
+
+    expect((await call('get', 'sid')).orgs[ORG_A].access_token).toBe('relogin-access');
+  });
+
+  it('does not write a session that ended', async () => {
+    const req = await createSessionRequest('sid', ORG_A);
+    await call('destroy', 'sid');
+
+    req.org.access_token = 'a-access-2';
+    await save(req);
+
+    expect(await call('get', 'sid')).toBeFalsy();
+  });
+
+  it('keeps a session alive only while it is still connected to the org', async () => {
+    expect(await keepSessionAlive('sid', ORG_A)).toBe(true);
+    expect(await keepSessionAlive('sid', ORG_C)).toBe(false);
+    expect(await keepSessionAlive('missing', ORG_A)).toBe(false);
+  });
+});
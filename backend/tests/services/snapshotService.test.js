@@ -0,0 +1,192 @@
+const http = require('http');
+const storage = require('../../src/services/storageService');
+const { createSnapshot, restoreSnapshot } = require('../../src/services/snapshotService');
+
+const PHONE_RULE = '03d000000000001AAA';
+const EMAIL_RULE = '03d000000000002AAA';
+const STAGE_RULE = '03d000000000003AAA';
+const AMOUNT_RULE = '03d000000000004AAA';
+
+/**
+ * Local stand-in for the Tooling API: queries answer from rules, and PATCHes
+ * update them unless the rule is in failIds; every PATCH is recorded
+ */
+function startSalesforce() {
+  const salesforce = { rules: {}, failIds: new Set(), patches: [] };
+
+  const toRecord = (id) => ({
+    Id: id,
+    ValidationName: salesforce.rules[id].ValidationName,
+    Active: salesforce.rules[id].Active,
+    FullName: `${salesforce.rules[id].EntityName}.${salesforce.rules[id].ValidationName}`,
+    EntityDefinition: { QualifiedApiName: salesforce.rules[id].EntityName },
+    Metadata: { active: salesforce.rules[id].Active, errorConditionFormula: 'TRUE', errorMessage: 'No' },
+  });
+
+  salesforce.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(data === undefined ? '' : JSON.stringify(data));
+      };
+
+      if (req.method === 'GET' && url.pathname.endsWith('/tooling/query')) {
+        const id = (url.searchParams.get('q').match(/WHERE Id = '(\w+)'/) || [])[1];
+        const ids = id ? [id].filter((i) => salesforce.rules[i]) : Object.keys(salesforce.rules);
+        return send(200, { totalSize: ids.length, done: true, records: ids.map(toRecord) });
+      }
+
+      const patch = url.pathname.match(/\/tooling\/sobjects\/ValidationRule\/(\w+)$/);
+      if (req.method === 'PATCH' && patch) {
+        const active = JSON.parse(body).Metadata.active;
+        salesforce.patches.push({ id: patch[1], active });
+        if (salesforce.failIds.has(patch[1])) {
+          return send(400, [{ message: 'Rule is locked', errorCode: 'FIELD_INTEGRITY_EXCEPTION' }]);
+        }
+        salesforce.rules[patch[1]].Active = active;
+        return send(204);
+      }
+
+      return send(404, [{ message: 'Not found', errorCode: 'NOT_FOUND' }]);
+    });
+  });
+
+  return new Promise((resolve) => {
+    salesforce.server.listen(0, '127.0.0.1', () => {
+      salesforce.url = `http://127.0.0.1:${salesforce.server.address().port}`;
+      resolve(salesforce);
+    });
+  });
+}
+
+describe('snapshotService', () => {
+  let salesforce;
+  let req;
+
+  const isActive = (id) => salesforce.rules[id].Active;
+
+  beforeAll(async () => {
+    salesforce = await startSalesforce();
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => salesforce.server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    salesforce.rules = {
+      [PHONE_RULE]: { ValidationName: 'Require_Phone', EntityName: 'Account', Active: true },
+      [EMAIL_RULE]: { ValidationName: 'Require_Email', EntityName: 'Contact', Active: true },
+      [STAGE_RULE]: { ValidationName: 'Require_Stage', EntityName: 'Opportunity', Active: false },
+      [AMOUNT_RULE]: { ValidationName: 'Require_Amount', EntityName: 'Opportunity', Active: true },
+    };
+    salesforce.failIds = new Set();
+    salesforce.patches = [];
+    req = {
+      org: { orgId: '00D000000000001', username: 'loader@example.com', access_token: 'token', instance_url: salesforce.url },
+      session: {},
+      ip: '127.0.0.1',
+    };
+    for (const key of await storage.listKeys('snapshot:')) {
+      await storage.deleteKey(key);
+    }
+  });
+
+  describe('createSnapshot', () => {
+    it('disables the active rules and keeps them in the snapshot', async () => {
+      const { success, snapshot } = await createSnapshot(req, { change: { reason: 'Data load', ticketId: 'OPS-1' } });
+
+      expect(success).toBe(true);
+      expect(snapshot).toMatchObject({ status: 'disabled', createdBy: 'loader@example.com' });
+      expect(snapshot.rules.map((r) => r.Id).sort()).toEqual([PHONE_RULE, EMAIL_RULE, AMOUNT_RULE]);
+      expect([PHONE_RULE, EMAIL_RULE, AMOUNT_RULE].some(isActive)).toBe(false);
+      expect(await storage.getJSON(`snapshot:${snapshot.orgKey}:${snapshot.id}`)).toEqual(snapshot);
+    });
+
+    it('only disables rules on the given objects', async () => {
+      const { snapshot } = await createSnapshot(req, { objects: ['opportunity'] });
+
+      expect(snapshot.rules.map((r) => r.Id)).toEqual([AMOUNT_RULE]);
+      expect(isActive(PHONE_RULE)).toBe(true);
+      expect(isActive(AMOUNT_RULE)).toBe(false);
+    });
+
+    it('leaves rules it could not disable out of the snapshot', async () => {
+      salesforce.failIds.add(EMAIL_RULE);
+
+      const { success, snapshot, results } = await createSnapshot(req);
+
+      expect(success).toBe(false);
+      expect(results.find((r) => r.Id === EMAIL_RULE)).toMatchObject({ success: false, error: 'Rule is locked' });
+      expect(snapshot.rules.map((r) => r.Id).sort()).toEqual([PHONE_RULE, AMOUNT_RULE]);
+    });
+  });
+
+  describe('restoreSnapshot', () => {
+    it('re-enables exactly the rules in the snapshot', async () => {
+      const { snapshot } = await createSnapshot(req);
+      salesforce.patches = [];
+
+      const restore = await restoreSnapshot(req, snapshot.id);
+
+      expect(restore).toMatchObject({ success: true, changed: [], snapshot: { status: 'restored', restoredBy: 'loader@example.com' } });
+      expect(salesforce.patches.map((p) => p.id).sort()).toEqual([PHONE_RULE, EMAIL_RULE, AMOUNT_RULE]);
+      expect(isActive(STAGE_RULE)).toBe(false);
+    });
+
+    it('reports rules deleted or re-enabled in between without touching them', async () => {
+      const { snapshot } = await createSnapshot(req);
+      delete salesforce.rules[EMAIL_RULE];
+      salesforce.rules[AMOUNT_RULE].Active = true;
+      salesforce.patches = [];
+
+      const restore = await restoreSnapshot(req, snapshot.id);
+
+      expect(restore.changed).toEqual(expect.arrayContaining([
+        expect.objectContaining({ Id: EMAIL_RULE, success: false, status: 'missing' }),
+        expect.objectContaining({ Id: AMOUNT_RULE, success: true, status: 'already-active' }),
+      ]));
+      expect(salesforce.patches.map((p) => p.id)).toEqual([PHONE_RULE]);
+      expect(restore.snapshot.status).toBe('restored');
+    });
+
+    it('retries only the rules that failed after a partial restore', async () => {
+      const { snapshot } = await createSnapshot(req);
+      salesforce.failIds.add(EMAIL_RULE);
+      salesforce.patches = [];
+
+      const partial = await restoreSnapshot(req, snapshot.id);
+      expect(partial.success).toBe(false);
+      expect(partial.snapshot.status).toBe('partially-restored');
+      expect(partial.results.find((r) => r.Id === EMAIL_RULE)).toMatchObject({ status: 'failed', error: 'Rule is locked' });
+
+      salesforce.failIds.clear();
+      salesforce.patches = [];
+
+      const retry = await restoreSnapshot(req, snapshot.id);
+      expect(salesforce.patches).toEqual([{ id: EMAIL_RULE, active: true }]);
+      expect(retry.success).toBe(true);
+      expect(retry.results).toEqual([expect.objectContaining({ Id: EMAIL_RULE, status: 'restored' })]);
+      expect(retry.snapshot.status).toBe('restored');
+      expect(retry.snapshot.restoreResults.map((r) => [r.Id, r.status]).sort()).toEqual([
+        [PHONE_RULE, 'restored'],
+        [EMAIL_RULE, 'restored'],
+        [AMOUNT_RULE, 'restored'],
+      ].sort());
+    });
+
+    it('refuses a snapshot that is already restored', async () => {
+      const { snapshot } = await createSnapshot(req);
+      await restoreSnapshot(req, snapshot.id);
+
+      await expect(restoreSnapshot(req, snapshot.id)).rejects.toMatchObject({ status: 409, code: 'SNAPSHOT_ALREADY_RESTORED' });
+    });
+
+    it('returns 404 for unknown snapshots', async () => {
+      await expect(restoreSnapshot(req, 'missing')).rejects.toMatchObject({ status: 404, code: 'SNAPSHOT_NOT_FOUND' });
+    });
+  });
+});
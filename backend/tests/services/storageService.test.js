@@ -0,0 +1,46 @@
+const storage = require('../../src/services/storageService');
+
+describe('storageService locks', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('hands the lock to one holder at a time', async () => {
+    const lock = await storage.acquireLock('job', 60);
+
+    expect(typeof lock).toBe('string');
+    expect(await storage.acquireLock('job', 60)).toBeNull();
+
+    await storage.releaseLock('job', lock);
+    const next = await storage.acquireLock('job', 60);
+    expect(next).toBeTruthy();
+    expect(next).not.toBe(lock);
+    await storage.releaseLock('job', next);
+  });
+
+  it('keeps the lock when released with someone else\'s token', async () => {
+    const lock = await storage.acquireLock('held', 60);
+
+    await storage.releaseLock('held', 'not-the-token');
+    expect(await storage.acquireLock('held', 60)).toBeNull();
+
+    await storage.releaseLock('held', lock);
+  });
+
+  it('does not release a lock taken over after its own expired', async () => {
+    jest.useFakeTimers();
+
+    const slow = await storage.acquireLock('tick', 5);
+    jest.advanceTimersByTime(6000);
+
+    const next = await storage.acquireLock('tick', 5);
+    expect(next).toBeTruthy();
+
+    // The slow holder finishing late must leave the new holder's lock in place
+    await storage.releaseLock('tick', slow);
+    expect(await storage.acquireLock('tick', 5)).toBeNull();
+
+    await storage.releaseLock('tick', next);
+    expect(await storage.acquireLock('tick', 5)).toBeTruthy();
+  });
+});
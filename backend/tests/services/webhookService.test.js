@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const http = require('http');
+const config = require('../../src/config/config');
+const {
+  sendRuleChange,
+  listTargets,
+  sendTestDelivery,
+  listDeadLetters,
+  retryDeadLetter,
+} = require('../../src/services/webhookService');
+
+const SECRET = 'test-secret';
+const RETRY_BASE_MS = 50;
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Local receiver that answers with the next queued status (200 once the queue is empty)
+ */
+function startReceiver() {
+  const receiver = { requests: [], statuses: [] };
+
+  receiver.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      receiver.requests.push({ at: Date.now(), headers: req.headers, body, url: req.url });
+      res.writeHead(receiver.statuses.length > 0 ? receiver.statuses.shift() : 200);
+      res.end();
+    });
+  });
+
+  return new Promise((resolve) => {
+    receiver.server.listen(0, '127.0.0.1', () => {
+      receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hooks/secret-path`;
+      resolve(receiver);
+    });
+  });
+}
+
+async function waitFor(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = await check();
+    if (value) return value;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error('Timed out waiting for webhook deliveries');
+}
+
+let orgCount = 0;
+
+function auditEntry(action = 'toggle') {
+  orgCount += 1;
+  return {
+    id: crypto.randomUUID(),
+    action,
+    timestamp: new Date().toISOString(),
+    orgId: '00D000000000001',
+    orgKey: `org-${orgCount}.my.salesforce.com`,
+    orgUrl: 'https://org.my.salesforce.com',
+    username: 'admin@example.com',
+    source: 'user',
+    ruleId: '03d000000000001',
+    ruleName: 'Require_Phone',
+    entityName: 'Account',
+    before: { active: true },
+    after: { active: false },
+    reason: 'Data load',
+    ticketId: 'OPS-1',
+  };
+}
+
+describe('webhookService', () => {
+  let receiver;
+  const saved = {};
+
+  beforeAll(async () => {
+    receiver = await startReceiver();
+    ['webhooks', 'webhookRetryBaseMs', 'webhookMaxAttempts', 'webhookTimeoutMs'].forEach((key) => {
+      saved[key] = config[key];
+    });
+    config.webhookRetryBaseMs = RETRY_BASE_MS;
+    config.webhookMaxAttempts = MAX_ATTEMPTS;
+    config.webhookTimeoutMs = 1000;
+  });
+
+  afterAll(async () => {
+    Object.assign(config, saved);
+    await new Promise((resolve) => receiver.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    receiver.requests = [];
+    receiver.statuses = [];
+    config.webhooks = [{ name: 'ops', url: receiver.url, secret: SECRET }];
+  });
+
+  it('signs each delivery with an HMAC of the timestamp and body', async () => {
+    const [result] = await sendTestDelivery({ orgId: '00D000000000001', instance_url: 'https://org.my.salesforce.com' }, 'org.my.salesforce.com');
+
+    expect(result).toMatchObject({ target: 'ops', success: true, status: 200, error: null });
+    expect(receiver.requests).toHaveLength(1);
+
+    const [{ headers, body }] = receiver.requests;
+    const expected = crypto.createHmac('sha256', SECRET).update(`${headers['x-bridge-timestamp']}.${body}`).digest('hex');
+
+    expect(headers['x-bridge-signature']).toBe(`sha256=${expected}`);
+    expect(headers['x-bridge-event']).toBe('test');
+    expect(headers['x-bridge-delivery']).toBe(result.deliveryId);
+    expect(headers['content-type']).toBe('application/json');
+    expect(Math.abs(Number(headers['x-bridge-timestamp']) - Date.now() / 1000)).toBeLessThan(5);
+    expect(JSON.parse(body)).toMatchObject({ event: 'test', org: { id: '00D000000000001', key: 'org.my.salesforce.com' } });
+  });
+
+  it('sends the audit entry as the payload', async () => {
+    const entry = auditEntry();
+    sendRuleChange(entry);
+    await waitFor(() => receiver.requests.length === 1);
+
+    expect(JSON.parse(receiver.requests[0].body)).toEqual({
+      id: entry.id,
+      event: 'toggle',
+      timestamp: entry.timestamp,
+      org: { id: entry.orgId, key: entry.orgKey, url: entry.orgUrl },
+      actor: { username: 'admin@example.com', source: 'user', approvedBy: null },
+      rule: { id: entry.ruleId, name: 'Require_Phone', object: 'Account' },
+      before: { active: true },
+      after: { active: false },
+      reason: 'Data load',
+      ticketId: 'OPS-1',
+    });
+  });
+
+  it('only sends the events a target asks for', async () => {
+    config.webhooks = [
+      { name: 'deletes', url: receiver.url, secret: SECRET, events: ['delete'] },
+      { name: 'all', url: `${receiver.url}/all`, secret: SECRET },
+    ];
+
+    sendRuleChange(auditEntry('toggle'));
+    await waitFor(() => receiver.requests.length === 1);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(receiver.requests.map((r) => r.url)).toEqual(['/hooks/secret-path/all']);
+  });
+
+  it('retries failed deliveries with exponential backoff', async () => {
+    receiver.statuses = [500, 503];
+    const entry = auditEntry();
+
+    sendRuleChange(entry);
+    await waitFor(() => receiver.requests.length === 3);
+
+    const [first, second, third] = receiver.requests;
+    expect(second.at - first.at).toBeGreaterThanOrEqual(RETRY_BASE_MS - 5);
+    expect(third.at - second.at).toBeGreaterThanOrEqual(2 * RETRY_BASE_MS - 5);
+
+    // Every attempt is the same delivery, signed afresh
+    expect(new Set(receiver.requests.map((r) => r.headers['x-bridge-delivery'])).size).toBe(1);
+    expect(receiver.requests.every((r) => r.body === first.body)).toBe(true);
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(await listDeadLetters(entry.orgKey)).toEqual([]);
+  });
+
+  it('retries 429 responses', async () => {
+    receiver.statuses = [429];
+    sendRuleChange(auditEntry());
+    await waitFor(() => receiver.requests.length === 2);
+  });
+
+  it('keeps a dead letter once every attempt has failed', async () => {
+    receiver.statuses = [500, 500, 500];
+    const entry = auditEntry();
+
+    sendRuleChange(entry);
+    const [deadLetter] = await waitFor(async () => {
+      const deadLetters = await listDeadLetters(entry.orgKey);
+      return deadLetters.length > 0 && deadLetters;
+    });
+
+    expect(receiver.requests).toHaveLength(MAX_ATTEMPTS);
+    expect(deadLetter).toMatchObject({
+      target: 'ops',
+      orgKey: entry.orgKey,
+      attempts: MAX_ATTEMPTS,
+      lastStatus: 500,
+      lastError: 'Receiver responded 500',
+      payload: { id: entry.id, event: 'toggle' },
+    });
+  });
+
+  it('does not retry other client errors', async () => {
+    receiver.statuses = [400];
+    const entry = auditEntry();
+
+    sendRuleChange(entry);
+    const [deadLetter] = await waitFor(async () => {
+      const deadLetters = await listDeadLetters(entry.orgKey);
+      return deadLetters.length > 0 && deadLetters;
+    });
+
+    expect(receiver.requests).toHaveLength(1);
+    expect(deadLetter).toMatchObject({ attempts: 1, lastStatus: 400 });
+  });
+
+  it('retries when the receiver cannot be reached', async () => {
+    const closed = http.createServer();
+    await new Promise((resolve) => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise((resolve) => closed.close(resolve));
+
+    config.webhooks = [{ name: 'ops', url: `http://127.0.0.1:${port}/`, secret: SECRET }];
+    const entry = auditEntry();
+
+    sendRuleChange(entry);
+    const [deadLetter] = await waitFor(async () => {
+      const deadLetters = await listDeadLetters(entry.orgKey);
+      return deadLetters.length > 0 && deadLetters;
+    });
+
+    expect(deadLetter.attempts).toBe(MAX_ATTEMPTS);
+    expect(deadLetter.lastStatus).toBe(null);
+    expect(deadLetter.lastError).toMatch(/^ECONNREFUSED/);
+  });
+
+  it('redelivers a dead letter and drops it once delivered', async () => {
+    receiver.statuses = [400];
+    const entry = auditEntry();
+
+    sendRuleChange(entry);
+    const [deadLetter] = await waitFor(async () => {
+      const deadLetters = await listDeadLetters(entry.orgKey);
+      return deadLetters.length > 0 && deadLetters;
+    });
+
+    const result = await retryDeadLetter(entry.orgKey, deadLetter.id);
+
+    expect(result).toEqual({ deliveryId: deadLetter.id, target: 'ops', success: true, status: 200, error: null });
+    expect(receiver.requests).toHaveLength(2);
+    expect(receiver.requests[1].headers['x-bridge-delivery']).toBe(deadLetter.id);
+    expect(await listDeadLetters(entry.orgKey)).toEqual([]);
+  });
+
+  it('rejects unknown dead letters and targets', async () => {
+    await expect(retryDeadLetter('org.my.salesforce.com', 'missing')).rejects.toMatchObject({ status: 404, code: 'DEAD_LETTER_NOT_FOUND' });
+    await expect(sendTestDelivery({}, 'org', 'nope')).rejects.toMatchObject({ status: 404, code: 'WEBHOOK_NOT_FOUND' });
+  });
+
+  it('lists targets without their secret or URL path', () => {
+    expect(listTargets()).toEqual([{ name: 'ops', url: `${new URL(receiver.url).origin}/…`, events: null }]);
+  });
+});
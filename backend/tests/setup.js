@@ -0,0 +1,8 @@
+// Config validation needs OAuth credentials and an app URL (jest runs with
+// NODE_ENV=test, which has no localhost default); tests log only warnings and
+// errors and use in-memory storage even when a .env names a Redis server
+process.env.CLIENT_ID = process.env.CLIENT_ID || 'test-client-id';
+process.env.CLIENT_SECRET = process.env.CLIENT_SECRET || 'test-client-secret';
+process.env.APP_URL = process.env.APP_URL || 'http://localhost:3000';
+process.env.LOG_LEVEL = 'warn';
+process.env.REDIS_URL = '';
@@ -0,0 +1,120 @@
+const { toCsv, parseCsv } = require('../../src/utils/csv');
+
+describe('toCsv', () => {
+  it('writes a header and one CRLF-terminated line per row', () => {
+    expect(toCsv([{ a: 1, b: 'x' }, { a: 2, b: 'y' }], ['a', 'b'])).toBe('a,b\r\n1,x\r\n2,y\r\n');
+  });
+
+  it('quotes values holding commas, quotes or line breaks', () => {
+    const rows = [{ value: 'a,b' }, { value: 'say "hi"' }, { value: 'one\ntwo' }, { value: 'one\r\ntwo' }, { value: 'cr\r' }];
+    expect(toCsv(rows, ['value'])).toBe([
+      'value',
+      '"a,b"',
+      '"say ""hi"""',
+      '"one\ntwo"',
+      '"one\r\ntwo"',
+      '"cr\r"',
+      '',
+    ].join('\r\n'));
+  });
+
+  it('leaves other values unquoted', () => {
+    expect(toCsv([{ value: "it's; fine" }], ['value'])).toBe("value\r\nit's; fine\r\n");
+  });
+
+  it('writes blank cells for null, undefined and missing values', () => {
+    expect(toCsv([{ a: null, b: undefined }], ['a', 'b', 'c'])).toBe('a,b,c\r\n,,\r\n');
+  });
+
+  it('writes false and 0 as text', () => {
+    expect(toCsv([{ a: false, b: 0 }], ['a', 'b'])).toBe('a,b\r\nfalse,0\r\n');
+  });
+
+  it.each(['=HYPERLINK("http://x")', '+1+1', '-2+3', '@SUM(A1)', '\tcmd', '\rcmd'])(
+    'keeps %p from opening as a spreadsheet formula',
+    (value) => {
+      const [, cell] = toCsv([{ value }], ['value']).split('\r\n');
+      expect(cell.replace(/^"/, '').startsWith("'")).toBe(true);
+      expect(parseCsv(toCsv([{ value }], ['value']))[0].value).toBe(`'${value}`);
+    }
+  );
+
+  it('leaves those characters alone after the first one', () => {
+    expect(toCsv([{ a: 'a=b', b: 'x-1', c: 'me@example.com' }], ['a', 'b', 'c'])).toBe('a,b,c\r\na=b,x-1,me@example.com\r\n');
+  });
+});
+
+describe('parseCsv', () => {
+  it('reads rows keyed by the header, with their line numbers', () => {
+    expect(parseCsv('name,active\nAccount.Rule_A,true\nAccount.Rule_B,false\n')).toEqual([
+      { _line: 2, name: 'Account.Rule_A', active: 'true' },
+      { _line: 3, name: 'Account.Rule_B', active: 'false' },
+    ]);
+  });
+
+  it('reads quoted fields with commas and escaped quotes', () => {
+    expect(parseCsv('a,b\n"x, y","say ""hi"""\n')).toEqual([{ _line: 2, a: 'x, y', b: 'say "hi"' }]);
+  });
+
+  it('keeps line breaks inside quoted fields and counts them', () => {
+    const rows = parseCsv('a,b\r\n"first\r\nsecond\nthird",1\r\nnext,2\r\n');
+    expect(rows).toEqual([
+      { _line: 2, a: 'first\r\nsecond\nthird', b: '1' },
+      { _line: 5, a: 'next', b: '2' },
+    ]);
+  });
+
+  it('accepts CRLF, LF and CR line endings', () => {
+    const expected = [{ a: '1', b: '2' }, { a: '3', b: '4' }];
+    ['a,b\r\n1,2\r\n3,4', 'a,b\n1,2\n3,4', 'a,b\r1,2\r3,4'].forEach((text) => {
+      expect(parseCsv(text).map(({ _line, ...row }) => row)).toEqual(expected);
+    });
+  });
+
+  it('round-trips what toCsv writes', () => {
+    const rows = [
+      { name: 'Rule "A"', formula: 'AND(\n  ISBLANK(Name),\r\n  Amount > 1,000\n)', note: '' },
+      { name: 'plain', formula: 'true', note: 'a,b' },
+    ];
+    expect(parseCsv(toCsv(rows, ['name', 'formula', 'note'])).map(({ _line, ...row }) => row)).toEqual(rows);
+  });
+
+  it('skips blank lines but keeps counting them', () => {
+    expect(parseCsv('\n\na\n\n1\n  \n2')).toEqual([
+      { _line: 5, a: '1' },
+      { _line: 7, a: '2' },
+    ]);
+  });
+
+  it('trims header names and drops a byte order mark', () => {
+    expect(parseCsv('\uFEFFname , active\nx,true')).toEqual([{ _line: 2, name: 'x', active: 'true' }]);
+  });
+
+  it('fills short rows with blanks and ignores extra values', () => {
+    expect(parseCsv('a,b,c\n1\n1,2,3,4')).toEqual([
+      { _line: 2, a: '1', b: '', c: '' },
+      { _line: 3, a: '1', b: '2', c: '3' },
+    ]);
+  });
+
+  it('reads a last row without a line break', () => {
+    expect(parseCsv('a\n1')).toEqual([{ _line: 2, a: '1' }]);
+    expect(parseCsv('a,b\n1,')).toEqual([{ _line: 2, a: '1', b: '' }]);
+  });
+
+  it('rejects a quoted field that is never closed', () => {
+    const error = expect.objectContaining({
+      status: 400,
+      code: 'CSV_PARSE_ERROR',
+      message: 'Quoted field opened on line 2 is never closed',
+    });
+    expect(() => parseCsv('a,b\n"open,1\n2')).toThrow(error);
+    expect(() => parseCsv('a,b\n1,"x""')).toThrow(error);
+  });
+
+  it('returns no rows for empty text or a header alone', () => {
+    expect(parseCsv('')).toEqual([]);
+    expect(parseCsv('\r\n \r\n')).toEqual([]);
+    expect(parseCsv('a,b\r\n')).toEqual([]);
+  });
+});
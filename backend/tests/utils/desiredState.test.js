@@ -0,0 +1,78 @@
+const { detectFormat, parseDesiredState } = require('../../src/utils/desiredState');
+
+describe('detectFormat', () => {
+  it('takes an explicit format over the file name', () => {
+    expect(detectFormat('JSON', 'state.csv')).toBe('json');
+    expect(detectFormat('yml')).toBe('yaml');
+    expect(detectFormat('xml', 'state.json')).toBeNull();
+  });
+
+  it('falls back to the file extension', () => {
+    expect(detectFormat(undefined, 'rules.YML')).toBe('yaml');
+    expect(detectFormat('', 'export.csv')).toBe('csv');
+    expect(detectFormat(undefined, 'notes.txt')).toBeNull();
+    expect(detectFormat()).toBeNull();
+  });
+
+  it.each([
+    ['a number format', 1, 'state.json'],
+    ['a list format', ['json'], 'state.json'],
+    ['an object format', { json: true }, undefined],
+    ['a number file name', undefined, 42],
+    ['a list file name', undefined, ['state.json']],
+    ['a null file name', undefined, null],
+  ])('returns null for %s', (_, format, filename) => {
+    expect(detectFormat(format, filename)).toBeNull();
+  });
+});
+
+describe('parseDesiredState', () => {
+  const expected = [
+    { fullName: 'Account.Require_Phone', active: true },
+    { fullName: 'Contact.Require_Email', active: false },
+  ];
+
+  it.each([
+    ['a JSON map', 'json', '{"Account.Require_Phone": true, "Contact.Require_Email": false}'],
+    ['a JSON list', 'json', '[{"fullName": "Account.Require_Phone", "active": true}, {"name": "Contact.Require_Email", "Active": "off"}]'],
+    ['a JSON rules list', 'json', '{"rules": [{"fullName": "Account.Require_Phone", "active": "yes"}, {"fullName": "Contact.Require_Email", "active": 0}]}'],
+    ['a YAML map', 'yaml', 'Account.Require_Phone: true\nContact.Require_Email: disabled\n'],
+    ['a YAML rules list', 'yaml', 'rules:\n  - fullName: Account.Require_Phone\n    active: true\n  - fullName: Contact.Require_Email\n    active: false\n'],
+    ['a CSV with full names', 'csv', 'fullName,active\nAccount.Require_Phone,TRUE\nContact.Require_Email,FALSE\n'],
+    ['a CSV export', 'csv', 'EntityName,ValidationName,Active\nAccount,Require_Phone,true\nContact,Require_Email,false\n'],
+  ])('reads %s', (_, format, content) => {
+    expect(parseDesiredState(content, format)).toEqual({ entries: expected, errors: [] });
+  });
+
+  it('reports entries it cannot use and keeps the rest', () => {
+    const content = JSON.stringify([
+      { fullName: 'Account.Require_Phone', active: true },
+      { fullName: 'Require_Email', active: true },
+      { fullName: 'Contact.Require_Email', active: 'maybe' },
+      { fullName: 'account.require_phone', active: false },
+    ]);
+
+    expect(parseDesiredState(content, 'json')).toEqual({
+      entries: [{ fullName: 'Account.Require_Phone', active: true }],
+      errors: [
+        { position: 'item 2', message: 'Expected a full name like Account.Rule_Name' },
+        { position: 'item 3', message: 'Contact.Require_Email: active must be true or false' },
+        { position: 'item 4', message: 'account.require_phone is listed more than once' },
+      ],
+    });
+  });
+
+  it('names the CSV line of an entry it cannot use', () => {
+    const { errors } = parseDesiredState('fullName,active\nAccount.Require_Phone,true\nContact.Require_Email,\n', 'csv');
+
+    expect(errors).toEqual([{ position: 'line 3', message: 'Contact.Require_Email: active must be true or false' }]);
+  });
+
+  it.each([
+    ['JSON that does not parse', 'json', '{"Account.Require_Phone": '],
+    ['YAML that does not parse', 'yaml', 'rules: [unclosed'],
+    ['a document that is not a map or list', 'json', '"Account.Require_Phone"'],
+  ])('rejects %s', (_, format, content) => {
+    expect(() => parseDesiredState(content, format)).toThrow(expect.objectContaining({ status: 400, code: 'INVALID_DESIRED_STATE' }));
+  });
+});
@@ -0,0 +1,285 @@
+const { parseFormula, evaluateFormula } = require('../../src/utils/formulaEvaluator');
+
+// Wednesday 15 May 2024, 13:45 UTC
+const NOW = new Date('2024-05-15T13:45:00Z');
+
+const run = (formula, options = {}) => evaluateFormula(formula, { now: NOW, ...options });
+const result = (formula, record = {}, options = {}) => run(formula, { record, ...options }).result;
+
+describe('evaluateFormula', () => {
+  describe('AND, OR and NOT', () => {
+    it.each([
+      ['AND(true, true)', true],
+      ['AND(true, false)', false],
+      ['OR(false, true)', true],
+      ['OR(false, false)', false],
+      ['NOT(false)', true],
+      ['true && false', false],
+      ['false || true', true],
+      ['!true', false],
+    ])('%s is %s', (formula, expected) => {
+      expect(result(formula)).toBe(expected);
+    });
+
+    it('stops at the first argument that decides the result', () => {
+      // The second argument would fail: Name is not true/false
+      expect(result('AND(false, Name)', { Name: 'Acme' })).toBe(false);
+      expect(result('OR(true, Name)', { Name: 'Acme' })).toBe(true);
+      expect(result('false && Name', { Name: 'Acme' })).toBe(false);
+    });
+
+    it('treats a blank checkbox as false', () => {
+      expect(result('OR(Flag__c, false)', { Flag__c: null })).toBe(false);
+    });
+
+    it('rejects values that are not true/false', () => {
+      expect(() => run('AND(Name, true)', { record: { Name: 'Acme' } })).toThrow('AND needs a true/false value but got "Acme"');
+    });
+  });
+
+  describe('ISPICKVAL', () => {
+    it('matches the picklist value exactly', () => {
+      expect(result('ISPICKVAL(StageName, "Closed Won")', { StageName: 'Closed Won' })).toBe(true);
+      expect(result('ISPICKVAL(StageName, "closed won")', { StageName: 'Closed Won' })).toBe(false);
+    });
+
+    it('matches a blank picklist against an empty string', () => {
+      expect(result('ISPICKVAL(StageName, "")', { StageName: null })).toBe(true);
+    });
+  });
+
+  describe('ISCHANGED and PRIORVALUE', () => {
+    const record = { Amount: 200, StageName: 'Closed Won' };
+    const priorRecord = { Amount: 100, StageName: 'Closed Won' };
+
+    it('compares the record with its prior version', () => {
+      expect(result('ISCHANGED(Amount)', record, { priorRecord })).toBe(true);
+      expect(result('ISCHANGED(StageName)', record, { priorRecord })).toBe(false);
+      expect(result('PRIORVALUE(Amount)', record, { priorRecord })).toBe(100);
+    });
+
+    it('treats a record without a prior version as new', () => {
+      const evaluation = run('AND(ISNEW(), NOT(ISCHANGED(Amount)), PRIORVALUE(Amount) = 200)', { record });
+      expect(evaluation.isNew).toBe(true);
+      expect(evaluation.result).toBe(true);
+    });
+
+    it('lets isNew override the default', () => {
+      expect(run('ISNEW()', { record, priorRecord, isNew: true }).result).toBe(true);
+      expect(run('ISNEW()', { record, isNew: false }).result).toBe(false);
+    });
+
+    it('counts a blank and a missing value as unchanged', () => {
+      expect(result('ISCHANGED(Description)', { Description: '' }, { priorRecord: { Description: null } })).toBe(false);
+    });
+
+    it('reports fields missing from the prior record', () => {
+      const evaluation = run('ISCHANGED(Amount)', { record, priorRecord: {} });
+      expect(evaluation.priorMissingFields).toEqual(['Amount']);
+      expect(evaluation.missingFields).toEqual([]);
+    });
+
+    it('only takes a field', () => {
+      expect(() => run('ISCHANGED(Amount + 1)', { record, priorRecord })).toThrow('ISCHANGED takes a field, not an expression');
+    });
+  });
+
+  describe('CASE', () => {
+    const formula = 'CASE(Rating, "Hot", 3, "Warm", 2, 0)';
+
+    it('returns the result paired with the matching value', () => {
+      expect(result(formula, { Rating: 'Hot' })).toBe(3);
+      expect(result(formula, { Rating: 'Warm' })).toBe(2);
+    });
+
+    it('falls back to the else result', () => {
+      expect(result(formula, { Rating: 'Cold' })).toBe(0);
+    });
+
+    it('only evaluates the result it returns', () => {
+      expect(result('CASE(1, 1, "one", 1 / 0)')).toBe('one');
+    });
+
+    it('needs an else result', () => {
+      expect(() => run('CASE(Rating, "Hot", 3, "Warm", 2)', { record: { Rating: 'Hot' } }))
+        .toThrow('CASE needs value/result pairs and an else result');
+    });
+  });
+
+  describe('date functions', () => {
+    it('reads ISO dates and date/times from the record', () => {
+      expect(result('CloseDate', { CloseDate: '2024-02-29' })).toBe('2024-02-29');
+      expect(result('CreatedDate', { CreatedDate: '2024-02-29T08:00:00.000Z' })).toBe('2024-02-29T08:00:00.000Z');
+    });
+
+    it('uses the given time for TODAY and NOW', () => {
+      expect(result('TODAY()')).toBe('2024-05-15');
+      expect(result('NOW()')).toBe('2024-05-15T13:45:00.000Z');
+    });
+
+    it.each([
+      ['DATE(2024, 2, 29)', '2024-02-29'],
+      ['DATEVALUE("2024-03-01 10:00:00")', '2024-03-01'],
+      ['DATEVALUE(NOW())', '2024-05-15'],
+      ['DATETIMEVALUE("2024-03-01 10:00:00")', '2024-03-01T10:00:00.000Z'],
+      ['DATETIMEVALUE(DATE(2024, 3, 1))', '2024-03-01T00:00:00.000Z'],
+      ['YEAR(TODAY())', 2024],
+      ['MONTH(TODAY())', 5],
+      ['DAY(TODAY())', 15],
+      ['WEEKDAY(TODAY())', 4],
+      ['ADDMONTHS(DATE(2024, 1, 31), 1)', '2024-02-29'],
+      ['ADDMONTHS(DATE(2024, 3, 31), -1)', '2024-02-29'],
+      ['DATE(2024, 1, 1) + 31', '2024-02-01'],
+      ['DATE(2024, 3, 1) - DATE(2024, 2, 1)', 29],
+      ['TEXT(DATE(2024, 3, 1))', '2024-03-01'],
+      ['TEXT(NOW())', '2024-05-15 13:45:00Z'],
+    ])('%s is %s', (formula, expected) => {
+      expect(result(formula)).toBe(expected);
+    });
+
+    it('compares dates with each other', () => {
+      expect(result('CloseDate < TODAY()', { CloseDate: '2024-05-14' })).toBe(true);
+      expect(result('CloseDate = DATE(2024, 5, 15)', { CloseDate: '2024-05-15' })).toBe(true);
+    });
+
+    it('passes blank dates through', () => {
+      expect(result('YEAR(CloseDate)', { CloseDate: null })).toBe(null);
+      expect(result('CloseDate < TODAY()', { CloseDate: null })).toBe(false);
+    });
+
+    it('rejects dates that do not exist', () => {
+      expect(() => run('DATE(2023, 2, 29)')).toThrow('DATE(2023, 2, 29) is not a valid date');
+      expect(() => run('DATEVALUE("someday")')).toThrow('DATEVALUE cannot read "someday" as a date');
+    });
+
+    it('rejects values that are not dates', () => {
+      expect(() => run('YEAR("2024")')).toThrow('YEAR needs a date but got "2024"');
+    });
+  });
+
+  describe('other functions', () => {
+    it.each([
+      ['IF(Amount > 100, "big", "small")', 'small'],
+      ['ISBLANK(Description)', true],
+      ['BLANKVALUE(Description, "none")', 'none'],
+      ['TEXT(Amount)', '50'],
+      ['LEN(Name)', 4],
+      ['LEFT(Name, 2) & RIGHT(Name, 1) & MID(Name, 2, 2)', 'Acecm'],
+      ['UPPER(Name) & LOWER(Name)', 'ACMEacme'],
+      ['CONTAINS(Name, "cm") && BEGINS(Name, "Ac")', true],
+      ['FIND("m", Name)', 3],
+      ['SUBSTITUTE(Name, "me", "orn")', 'Acorn'],
+      ['VALUE("12.5") + 1', 13.5],
+      ['ISNUMBER("12.5")', true],
+      ['INCLUDES(Regions__c, "EMEA")', true],
+      ['ROUND(2.345, 2)', 2.35],
+      ['ROUND(-2.5, 0)', -3],
+      ['MOD(7, 3) + ABS(-1) + FLOOR(1.5) + CEILING(1.5)', 5],
+      ['MAX(1, 3, 2) - MIN(4, 2)', 1],
+      ['2 ^ 3 * 2', 16],
+      ['REGEX(Phone, "[0-9]{3}-[0-9]{4}")', true],
+      ['REGEX(Phone, "[0-9]{3}")', false],
+    ])('%s is %s', (formula, expected) => {
+      const record = { Amount: 50, Name: 'Acme', Description: null, Regions__c: 'APAC;EMEA', Phone: '555-1234' };
+      expect(result(formula, record)).toBe(expected);
+    });
+
+    it('runs REGEX in linear time', () => {
+      const start = Date.now();
+      expect(result('REGEX(Name, "(a+)+b")', { Name: 'a'.repeat(5000) })).toBe(false);
+      expect(Date.now() - start).toBeLessThan(1000);
+    });
+
+    it('reports patterns the engine cannot run', () => {
+      expect(() => run('REGEX(Name, "(a)\\\\1")', { record: { Name: 'aa' } })).toThrow('Invalid REGEX pattern');
+    });
+
+    it('rejects division by zero', () => {
+      expect(() => run('1 / 0')).toThrow('Division by zero');
+      expect(() => run('MOD(1, 0)')).toThrow('Division by zero');
+    });
+
+    it('rejects functions it does not support', () => {
+      expect(() => run('VLOOKUP(Name, Name, Name)')).toThrow(
+        expect.objectContaining({ code: 'UNSUPPORTED_FUNCTION', status: 400 })
+      );
+    });
+
+    it('checks the number of arguments', () => {
+      expect(() => run('IF(true, 1)')).toThrow('IF expects 3 arguments, got 2');
+      expect(() => run('AND()')).toThrow('AND expects 1 or more arguments, got 0');
+      expect(() => run('FIND("a")')).toThrow('FIND expects 2 to 3 arguments, got 1');
+    });
+  });
+
+  describe('records', () => {
+    it('reads related fields and ignores case', () => {
+      const record = { account: { Owner: { Name: 'Pat' } } };
+      expect(result('Account.Owner.Name = "Pat"', record)).toBe(true);
+      expect(result('Owner:User.Name', { Owner: { Name: 'Sam' } })).toBe('Sam');
+    });
+
+    it('reports fields missing from the record', () => {
+      const evaluation = run('ISBLANK(Account.Name) && ISBLANK(Phone)', { record: { Account: {} } });
+      expect(evaluation.missingFields).toEqual(['Account.Name', 'Phone']);
+      expect(evaluation.fires).toBe(true);
+    });
+
+    it('only fires when the formula is true', () => {
+      expect(run('1 + 1').fires).toBe(false);
+      expect(run('1 + 1 = 2').fires).toBe(true);
+    });
+  });
+
+  it('records each sub-expression with its depth', () => {
+    expect(run('AND(Amount > 10, ISBLANK(Name))', { record: { Amount: 20, Name: '' } }).steps).toEqual([
+      { expression: 'AND(Amount > 10, ISBLANK(Name))', value: true, depth: 0 },
+      { expression: 'Amount > 10', value: true, depth: 1 },
+      { expression: 'Amount', value: 20, depth: 2 },
+      { expression: 'ISBLANK(Name)', value: true, depth: 1 },
+      { expression: 'Name', value: '', depth: 2 },
+    ]);
+  });
+});
+
+describe('parseFormula', () => {
+  it('binds operators by precedence', () => {
+    const tree = parseFormula('1 + 2 * 3 = 7 && true');
+    expect(tree).toMatchObject({ type: 'binary', op: '&&', left: { op: '=', left: { op: '+' } } });
+    expect(evaluateFormula('1 + 2 * 3 = 7 && true').result).toBe(true);
+  });
+
+  it.each([
+    ['', 'Formula is empty'],
+    ['AND(true', 'Expected ")" but found end of formula'],
+    ['1 +', 'Unexpected end of formula'],
+    ['1 2', 'Unexpected "2" at position 3'],
+    ["LEN('open)", 'Unterminated string at position 5'],
+    ['Name # 1', 'Unexpected "#" at position 6'],
+  ])('rejects %p', (formula, message) => {
+    expect(() => parseFormula(formula)).toThrow(expect.objectContaining({ message, code: 'FORMULA_PARSE_ERROR', status: 400 }));
+  });
+
+  it('reads nesting up to 100 levels deep', () => {
+    expect(evaluateFormula(`${'('.repeat(100)}1 = 1${')'.repeat(100)}`).result).toBe(true);
+    expect(evaluateFormula(`${'NOT('.repeat(100)}true${')'.repeat(100)}`).result).toBe(true);
+  });
+
+  it.each([
+    ['parentheses', `${'('.repeat(2000)}1${')'.repeat(2000)}`],
+    ['function calls', `${'NOT('.repeat(101)}true${')'.repeat(101)}`],
+    ['unary operators', `${'-'.repeat(2000)}1`],
+  ])('refuses %s nested too deeply instead of overflowing the stack', (_, formula) => {
+    const error = expect.objectContaining({ code: 'FORMULA_TOO_DEEP', status: 400 });
+    expect(() => parseFormula(formula)).toThrow(error);
+    expect(() => evaluateFormula(formula)).toThrow(error);
+  });
+
+  it('refuses to evaluate operator chains too long to evaluate safely', () => {
+    const formula = Array(1200).fill('1').join(' + ');
+
+    expect(parseFormula(formula).op).toBe('+');
+    expect(() => evaluateFormula(formula)).toThrow(expect.objectContaining({ code: 'FORMULA_TOO_DEEP', status: 400 }));
+    expect(evaluateFormula(Array(500).fill('1').join(' + ')).result).toBe(500);
+  });
+});
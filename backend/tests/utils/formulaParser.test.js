@@ -0,0 +1,129 @@
+const { tokenizeFormula, extractReferences } = require('../../src/utils/formulaParser');
+const { SUPPORTED_FUNCTIONS } = require('../../src/utils/formulaEvaluator');
+
+const paths = (formula) => extractReferences(formula).map((r) => r.path);
+
+describe('tokenizeFormula', () => {
+  it('splits a formula into typed tokens with their offsets', () => {
+    expect(tokenizeFormula("IF(Amount >= 1.5, 'a', \"b\")")).toEqual([
+      { type: 'identifier', value: 'IF', start: 0 },
+      { type: 'paren', value: '(', start: 2 },
+      { type: 'identifier', value: 'Amount', start: 3 },
+      { type: 'operator', value: '>=', start: 10 },
+      { type: 'number', value: '1.5', start: 13 },
+      { type: 'operator', value: ',', start: 16 },
+      { type: 'string', value: "'a'", start: 18 },
+      { type: 'operator', value: ',', start: 21 },
+      { type: 'string', value: '"b"', start: 23 },
+      { type: 'paren', value: ')', start: 26 },
+    ]);
+  });
+
+  it('drops whitespace and comments', () => {
+    const tokens = tokenizeFormula('A /* note */ &&\n\tB');
+    expect(tokens.map((t) => t.value)).toEqual(['A', '&&', 'B']);
+  });
+
+  it('reads every operator', () => {
+    const operators = ['&&', '||', '<>', '!=', '==', '<=', '>=', '-', '+', '*', '/', '^', '&', '=', '<', '>', '!', ','];
+    const tokens = tokenizeFormula(operators.join(' '));
+    expect(tokens.every((t) => t.type === 'operator')).toBe(true);
+    expect(tokens.map((t) => t.value)).toEqual(operators);
+  });
+
+  it('keeps escaped quotes inside a string', () => {
+    expect(tokenizeFormula("'it\\'s'")).toEqual([{ type: 'string', value: "'it\\'s'", start: 0 }]);
+  });
+
+  it('returns no tokens for an empty formula', () => {
+    expect(tokenizeFormula('')).toEqual([]);
+    expect(tokenizeFormula()).toEqual([]);
+  });
+
+  describe('error input', () => {
+    it('reads an unterminated string to the end of the formula', () => {
+      const tokens = tokenizeFormula("LEN('open");
+      expect(tokens[tokens.length - 1]).toEqual({ type: 'string', value: "'open", start: 4 });
+    });
+
+    it('drops an unterminated comment to the end of the formula', () => {
+      expect(tokenizeFormula('A /* open Foo__c').map((t) => t.value)).toEqual(['A']);
+    });
+
+    it('keeps unknown characters as text tokens', () => {
+      expect(tokenizeFormula('A # ~')).toEqual([
+        { type: 'identifier', value: 'A', start: 0 },
+        { type: 'text', value: '#', start: 2 },
+        { type: 'text', value: '~', start: 4 },
+      ]);
+    });
+  });
+});
+
+describe('extractReferences', () => {
+  it('finds plain fields once each, in order of first use', () => {
+    expect(paths('AND(Amount > 0, ISBLANK(CloseDate), amount < 10)')).toEqual(['Amount', 'CloseDate']);
+  });
+
+  it('splits cross-object paths into segments', () => {
+    expect(extractReferences('Account.Owner.Name = null')).toEqual([
+      { path: 'Account.Owner.Name', global: null, segments: ['Account', 'Owner', 'Name'], usedIn: [] },
+    ]);
+  });
+
+  it('keeps the type of a polymorphic relationship', () => {
+    expect(extractReferences('Owner:User.Email')[0].segments).toEqual(['Owner:User', 'Email']);
+  });
+
+  it.each([
+    ['$User.Username', '$User', ['Username']],
+    ['$Permission.Bypass_Rules', '$Permission', ['Bypass_Rules']],
+    ['$Setup.Settings__c.Disabled__c', '$Setup', ['Settings__c', 'Disabled__c']],
+    ['$Profile.Name', '$Profile', ['Name']],
+  ])('separates the %s global', (formula, global, segments) => {
+    expect(extractReferences(formula)).toEqual([{ path: formula, global, segments, usedIn: [] }]);
+  });
+
+  it('records PRIORVALUE and ISCHANGED uses of a field', () => {
+    const [amount, stage] = extractReferences(
+      'AND(ISCHANGED(Amount), PRIORVALUE(Amount) > Amount, ISPICKVAL(PRIORVALUE(StageName), "Won"))'
+    );
+    expect(amount).toMatchObject({ path: 'Amount', usedIn: ['ISCHANGED', 'PRIORVALUE'] });
+    expect(stage).toMatchObject({ path: 'StageName', usedIn: ['PRIORVALUE'] });
+  });
+
+  it('only counts the innermost function call', () => {
+    expect(extractReferences('ISCHANGED(TEXT(Stage__c))')[0].usedIn).toEqual([]);
+  });
+
+  it('ignores TRUE, FALSE and NULL in any case', () => {
+    expect(paths('OR(Flag__c = true, Flag__c = FALSE, Other__c = Null)')).toEqual(['Flag__c', 'Other__c']);
+  });
+
+  it('ignores strings, numbers and comments', () => {
+    expect(paths("Name = 'Account.Name' /* Hidden__c */ && Count__c > 10")).toEqual(['Name', 'Count__c']);
+  });
+
+  it.each(SUPPORTED_FUNCTIONS)('treats %s as a function, not a field', (name) => {
+    expect(paths(`${name}(Field__c, Other__c)`)).toEqual(['Field__c', 'Other__c']);
+  });
+
+  describe('error input', () => {
+    it('returns no references for an empty formula', () => {
+      expect(extractReferences('')).toEqual([]);
+    });
+
+    it('still finds fields when parentheses do not balance', () => {
+      expect(paths('AND((Foo__c, Bar__c')).toEqual(['Foo__c', 'Bar__c']);
+      expect(paths('Foo__c)) + Bar__c')).toEqual(['Foo__c', 'Bar__c']);
+    });
+
+    it('drops a trailing dot from a field path', () => {
+      expect(paths('Account. + 1')).toEqual(['Account']);
+    });
+
+    it('finds nothing inside an unterminated string', () => {
+      expect(paths("Name = 'Foo__c")).toEqual(['Name']);
+    });
+  });
+});
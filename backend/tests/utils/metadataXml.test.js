@@ -0,0 +1,152 @@
+const {
+  escapeXml,
+  unescapeXml,
+  parseValidationRuleXml,
+  parseObjectValidationRules,
+  validationRuleToXml,
+  customObjectXml,
+  packageXml,
+} = require('../../src/utils/metadataXml');
+
+const RULE = {
+  active: true,
+  description: 'Stops "big" deals & <empty> names',
+  errorConditionFormula: "AND(Amount > 1000000, ISBLANK(Name) || Name <> 'x')",
+  errorDisplayField: 'Amount',
+  errorMessage: "Amounts over 1M need a name & an owner's sign-off",
+};
+
+describe('escapeXml and unescapeXml', () => {
+  it('round-trip every special character', () => {
+    const text = `<a href="x">Tom & Jerry's</a>`;
+    expect(escapeXml(text)).toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;');
+    expect(unescapeXml(escapeXml(text))).toBe(text);
+  });
+
+  it('does not unescape twice', () => {
+    expect(unescapeXml('&amp;lt;')).toBe('&lt;');
+    expect(unescapeXml(escapeXml('&amp;'))).toBe('&amp;');
+  });
+
+  it('reads decimal and hex character references', () => {
+    expect(unescapeXml('&#10;&#x41;&#xe9;&#128512;')).toBe('\nAé😀');
+  });
+
+  it('converts numbers and booleans to text', () => {
+    expect(escapeXml(42)).toBe('42');
+    expect(escapeXml(false)).toBe('false');
+  });
+});
+
+describe('validationRuleToXml', () => {
+  it('writes a source format document in metadata order', () => {
+    expect(validationRuleToXml('Big_Deals', RULE)).toBe([
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<ValidationRule xmlns="http://soap.sforce.com/2006/04/metadata">',
+      '    <fullName>Big_Deals</fullName>',
+      '    <active>true</active>',
+      '    <description>Stops &quot;big&quot; deals &amp; &lt;empty&gt; names</description>',
+      '    <errorConditionFormula>AND(Amount &gt; 1000000, ISBLANK(Name) || Name &lt;&gt; &apos;x&apos;)</errorConditionFormula>',
+      '    <errorDisplayField>Amount</errorDisplayField>',
+      '    <errorMessage>Amounts over 1M need a name &amp; an owner&apos;s sign-off</errorMessage>',
+      '</ValidationRule>',
+      '',
+    ].join('\n'));
+  });
+
+  it('leaves out empty optional elements', () => {
+    const xml = validationRuleToXml('Rule', { active: false, description: '', errorDisplayField: null, errorConditionFormula: 'true', errorMessage: 'No' });
+    expect(xml).not.toMatch(/description|errorDisplayField/);
+    expect(xml).toContain('<active>false</active>');
+  });
+
+  it('round-trips through parseValidationRuleXml', () => {
+    expect(parseValidationRuleXml(validationRuleToXml('Big_Deals', RULE))).toEqual({ fullName: 'Big_Deals', ...RULE });
+  });
+
+  it('round-trips multi-line formulas', () => {
+    const metadata = { ...RULE, errorConditionFormula: 'AND(\n  Amount > 0,\n  /* note */ true\n)' };
+    expect(parseValidationRuleXml(validationRuleToXml('Rule', metadata)).errorConditionFormula)
+      .toBe(metadata.errorConditionFormula);
+  });
+});
+
+describe('customObjectXml', () => {
+  it('round-trips every rule through parseObjectValidationRules', () => {
+    const inactive = { active: false, errorConditionFormula: 'ISBLANK(Phone)', errorMessage: 'Phone is required' };
+    const xml = customObjectXml([{ name: 'Big_Deals', metadata: RULE }, { name: 'Phone_Required', metadata: inactive }]);
+
+    expect(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<CustomObject xmlns="http://soap.sforce.com/2006/04/metadata">')).toBe(true);
+    expect(parseObjectValidationRules(xml)).toEqual([
+      { fullName: 'Big_Deals', ...RULE },
+      { fullName: 'Phone_Required', description: null, errorDisplayField: null, ...inactive },
+    ]);
+  });
+
+  it('writes an object without rules', () => {
+    expect(parseObjectValidationRules(customObjectXml([]))).toEqual([]);
+  });
+});
+
+describe('packageXml', () => {
+  it('lists sorted, escaped members for each type', () => {
+    expect(packageXml({ ValidationRule: ['Opportunity.B', 'Account.A&B'] }, '59.0')).toBe([
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<Package xmlns="http://soap.sforce.com/2006/04/metadata">',
+      '    <types>',
+      '        <members>Account.A&amp;B</members>',
+      '        <members>Opportunity.B</members>',
+      '        <name>ValidationRule</name>',
+      '    </types>',
+      '    <version>59.0</version>',
+      '</Package>',
+      '',
+    ].join('\n'));
+  });
+});
+
+describe('parsing malformed input', () => {
+  const EMPTY = {
+    fullName: null,
+    active: false,
+    description: null,
+    errorConditionFormula: null,
+    errorDisplayField: null,
+    errorMessage: null,
+  };
+
+  it('returns empty fields for text that is not XML', () => {
+    expect(parseValidationRuleXml('')).toEqual(EMPTY);
+    expect(parseValidationRuleXml('{"fullName": "Rule"}')).toEqual(EMPTY);
+  });
+
+  it('skips elements that are never closed', () => {
+    const xml = '<ValidationRule><fullName>Rule</fullName><errorMessage>Oops</ValidationRule>';
+    expect(parseValidationRuleXml(xml)).toEqual({ ...EMPTY, fullName: 'Rule' });
+  });
+
+  it('only treats the text true as active', () => {
+    expect(parseValidationRuleXml('<active>TRUE</active>').active).toBe(false);
+    expect(parseValidationRuleXml('<active>yes</active>').active).toBe(false);
+  });
+
+  it('leaves unknown entities and impossible character references as written', () => {
+    const xml = '<errorMessage>&nbsp; &#99999999; &#x110000; &#xZZ;</errorMessage>';
+    expect(parseValidationRuleXml(xml).errorMessage).toBe('&nbsp; &#99999999; &#x110000; &#xZZ;');
+  });
+
+  it('skips validationRules blocks that are never closed', () => {
+    const xml = [
+      '<CustomObject>',
+      '<validationRules><fullName>Closed</fullName></validationRules>',
+      '<validationRules><fullName>Open</fullName>',
+      '</CustomObject>',
+    ].join('\n');
+    expect(parseObjectValidationRules(xml).map((r) => r.fullName)).toEqual(['Closed']);
+  });
+
+  it('finds no rules in an object file without any', () => {
+    expect(parseObjectValidationRules('<CustomObject><fields><fullName>Name</fullName></fields></CustomObject>')).toEqual([]);
+    expect(parseObjectValidationRules('garbage')).toEqual([]);
+  });
+});
@@ -0,0 +1,156 @@
+const { crc32, createZip, readZip } = require('../../src/utils/zip');
+
+const CENTRAL_SIGNATURE = 0x02014b50;
+
+// Offset of the first central directory entry in a zip
+const centralOffset = (zip) => zip.readUInt32LE(zip.length - 22 + 16);
+
+/**
+ * A zip with one stored (uncompressed) file, as some tools write small files
+ */
+function storedZip(name, text) {
+  const nameBytes = Buffer.from(name);
+  const data = Buffer.from(text);
+
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt32LE(crc32(data), 14);
+  local.writeUInt32LE(data.length, 18);
+  local.writeUInt32LE(data.length, 22);
+  local.writeUInt16LE(nameBytes.length, 26);
+
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(CENTRAL_SIGNATURE, 0);
+  central.writeUInt32LE(crc32(data), 16);
+  central.writeUInt32LE(data.length, 20);
+  central.writeUInt32LE(data.length, 24);
+  central.writeUInt16LE(nameBytes.length, 28);
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(1, 8);
+  end.writeUInt16LE(1, 10);
+  end.writeUInt32LE(central.length + nameBytes.length, 12);
+  end.writeUInt32LE(local.length + nameBytes.length + data.length, 16);
+
+  return Buffer.concat([local, nameBytes, data, central, nameBytes, end]);
+}
+
+describe('crc32', () => {
+  it('matches the standard check value', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+    expect(crc32(Buffer.alloc(0))).toBe(0);
+  });
+});
+
+describe('createZip and readZip', () => {
+  it('round-trips text and binary files', () => {
+    const binary = Buffer.from([0, 1, 2, 253, 254, 255]);
+    const files = readZip(createZip([
+      { name: 'package.xml', content: '<?xml version="1.0"?>\n<Package/>' },
+      { name: 'objects/Account.object', content: 'x'.repeat(10000) },
+      { name: 'data.bin', content: binary },
+      { name: 'empty.txt', content: '' },
+    ]));
+
+    expect(files.map((f) => f.name)).toEqual(['package.xml', 'objects/Account.object', 'data.bin', 'empty.txt']);
+    expect(files[0].content.toString()).toBe('<?xml version="1.0"?>\n<Package/>');
+    expect(files[1].content.toString()).toBe('x'.repeat(10000));
+    expect(files[2].content.equals(binary)).toBe(true);
+    expect(files[3].content.length).toBe(0);
+  });
+
+  it('keeps UTF-8 names and content', () => {
+    const [file] = readZip(createZip([{ name: 'règles/Überprüfung.txt', content: 'Größe ≥ 10 ✓' }]));
+    expect(file.name).toBe('règles/Überprüfung.txt');
+    expect(file.content.toString('utf8')).toBe('Größe ≥ 10 ✓');
+  });
+
+  it('compresses repetitive content', () => {
+    expect(createZip([{ name: 'a.txt', content: 'a'.repeat(100000) }]).length).toBeLessThan(1000);
+  });
+
+  it('reads an empty archive', () => {
+    expect(readZip(createZip([]))).toEqual([]);
+  });
+
+  it('skips directory entries', () => {
+    const files = readZip(createZip([{ name: 'objects/', content: '' }, { name: 'objects/a.txt', content: 'a' }]));
+    expect(files.map((f) => f.name)).toEqual(['objects/a.txt']);
+  });
+
+  it('reads stored files', () => {
+    const [file] = readZip(storedZip('notes.txt', 'not compressed'));
+    expect(file).toEqual({ name: 'notes.txt', content: Buffer.from('not compressed') });
+  });
+
+  it('finds the end record behind an archive comment', () => {
+    const zip = createZip([{ name: 'a.txt', content: 'a' }]);
+    const comment = Buffer.from('written by a test');
+    zip.writeUInt16LE(comment.length, zip.length - 2);
+
+    expect(readZip(Buffer.concat([zip, comment]))[0].name).toBe('a.txt');
+  });
+});
+
+describe('readZip with malformed input', () => {
+  const zip = () => createZip([{ name: 'a.txt', content: 'hello hello hello' }]);
+
+  const expectInvalid = (buffer, message, options) => {
+    expect(() => readZip(buffer, options)).toThrow(expect.objectContaining({ message, status: 400, code: 'INVALID_ZIP' }));
+  };
+
+  it('rejects a file that is not a zip', () => {
+    expectInvalid(Buffer.from('just some text that is long enough'), 'File is not a zip archive');
+    expectInvalid(Buffer.alloc(0), 'File is not a zip archive');
+  });
+
+  it('rejects a corrupt central directory', () => {
+    const buffer = zip();
+    buffer.writeUInt32LE(0, centralOffset(buffer));
+    expectInvalid(buffer, 'Zip central directory is corrupt');
+  });
+
+  it('rejects a corrupt local header', () => {
+    const buffer = zip();
+    buffer.writeUInt32LE(0, 0);
+    expectInvalid(buffer, 'a.txt has a corrupt header');
+  });
+
+  it('rejects content that fails its checksum', () => {
+    const buffer = storedZip('a.txt', 'hello');
+    buffer[30 + 'a.txt'.length] ^= 0xff;
+    expectInvalid(buffer, 'a.txt is corrupt');
+  });
+
+  it('rejects compressed data that cannot be inflated', () => {
+    const buffer = zip();
+    buffer.fill(0xff, 30 + 'a.txt'.length, centralOffset(buffer));
+    expectInvalid(buffer, 'a.txt could not be decompressed');
+  });
+
+  it('rejects encrypted files', () => {
+    const buffer = zip();
+    buffer.writeUInt16LE(0x0801, centralOffset(buffer) + 8);
+    expectInvalid(buffer, 'a.txt is encrypted');
+  });
+
+  it('rejects unsupported compression methods', () => {
+    const buffer = zip();
+    buffer.writeUInt16LE(12, centralOffset(buffer) + 10);
+    expectInvalid(buffer, 'a.txt uses an unsupported compression method');
+  });
+
+  it('stops at maxBytes of uncompressed content', () => {
+    const buffer = createZip([{ name: 'a.txt', content: 'a'.repeat(600) }, { name: 'b.txt', content: 'b'.repeat(600) }]);
+    expect(readZip(buffer, { maxBytes: 1200 })).toHaveLength(2);
+    expectInvalid(buffer, 'Zip contents are too large', { maxBytes: 1000 });
+  });
+
+  it('does not inflate past the declared size', () => {
+    const buffer = zip();
+    // Claim the file is smaller than it really is, as a zip bomb would
+    buffer.writeUInt32LE(2, centralOffset(buffer) + 24);
+    expectInvalid(buffer, 'a.txt could not be decompressed');
+  });
+});
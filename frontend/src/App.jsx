@@ -1,27 +1,58 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect } from 'react';
 import Layout from './components/layout/Layout';
 import LoginForm from './components/auth/Loginform';
+import ConnectOrgModal from './components/auth/ConnectOrgModal';
 import RulesSection from './components/rules/Rulessection';
 import Alert from './components/common/Alert';
 import Loader from './components/common/Loader';
 import EmptyState from './components/rules/Emptystate .jsx';
+import RuleDrawer from './components/rules/RuleDrawer';
+import NewRuleWizard from './components/rules/NewRuleWizard';
+import NavTabs from './components/layout/NavTabs';
+import MaintenancePanel from './components/maintenance/MaintenancePanel';
+import SchedulePanel from './components/maintenance/SchedulePanel';
+import AuditPanel from './components/audit/AuditPanel';
+import ComparePanel from './components/compare/ComparePanel';
+import HealthPanel from './components/health/HealthPanel';
+import ApprovalsPanel from './components/approvals/ApprovalsPanel';
+import ScheduleModal from './components/rules/ScheduleModal';
+import ChangeReasonModal from './components/rules/ChangeReasonModal';
+import DesiredStateModal from './components/rules/DesiredStateModal';
+import PromoteModal from './components/rules/PromoteModal';
+import BypassModal from './components/rules/BypassModal';
+import BrokenReferencesModal from './components/rules/BrokenReferencesModal';
 import { useAuth } from './hooks/useAuth';
 import { useRules } from './hooks/useRules';
 import { useToast } from './hooks/useToast';
+import { useBulkToggle } from './hooks/useBulkToggle';
+import { useSnapshots } from './hooks/useSnapshots';
+import { useSchedules } from './hooks/useSchedules';
+import { useAudit } from './hooks/useAudit';
+import { useApprovals } from './hooks/useApprovals';
+import { APP_TABS } from './utils/constants';
+import { exportRules } from './services/api';
+import { setActiveOrgId } from './services/orgContext';
+import { downloadBlob, hasRole } from './utils/helpers';
 import './index.css';
 
 function App() {
   const { 
     loggedIn, 
     userInfo, 
+    orgs,
+    activeOrgId,
     loading, 
     checkAuth, 
-    handleLogout 
+    switchOrg,
+    handleLogout,
+    handleLogoutOrg,
   } = useAuth();
   
   const {
     rules,
     rulesLoading,
+    loadingMore,
+    totalSize,
     togglingId,
     searchTerm,
     filterActive,
@@ -29,18 +60,223 @@ function App() {
     setFilterActive,
     fetchValidationRules,
     handleToggle,
+    patchRule,
+    addRule,
+    removeRule,
     filteredRules
   } = useRules(loggedIn);
 
   const { toast, showToast, clearToast } = useToast();
 
+  const {
+    selectedIds,
+    bulkProgress,
+    toggleSelected,
+    selectAll,
+    clearSelection,
+    dismissProgress,
+    handleBulkToggle,
+  } = useBulkToggle(rules, patchRule, Boolean(userInfo?.requireApproval));
+
+  const {
+    snapshots,
+    snapshotsLoading,
+    busyId: snapshotBusyId,
+    loadSnapshots,
+    handleCreate: handleCreateSnapshot,
+    handleRestore: handleRestoreSnapshot,
+    handleDelete: handleDeleteSnapshot,
+  } = useSnapshots(loggedIn, patchRule);
+
+  const {
+    windows,
+    windowsByRuleId,
+    busyWindowId,
+    loadSchedules,
+    handleSchedule,
+    handleCancel: handleCancelWindow,
+    handleExtend: handleExtendWindow,
+  } = useSchedules(loggedIn, patchRule);
+
+  const {
+    approvals,
+    busyApprovalId,
+    loadApprovals,
+    addApproval,
+    handleApprove,
+    handleReject,
+  } = useApprovals(loggedIn && Boolean(userInfo?.requireApproval), patchRule);
+
+  const [selectedRuleId, setSelectedRuleId] = useState(null);
+  const [creatingRule, setCreatingRule] = useState(false);
+  const [activeTab, setActiveTab] = useState(APP_TABS.RULES);
+  const [scheduling, setScheduling] = useState(false);
+  const [promoting, setPromoting] = useState(false);
+  const [bypassing, setBypassing] = useState(false);
+  const [pendingChange, setPendingChange] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [applyingState, setApplyingState] = useState(false);
+  const [checkingReferences, setCheckingReferences] = useState(false);
+  const [connectingOrg, setConnectingOrg] = useState(false);
+
+  const {
+    entries: auditEntries,
+    total: auditTotal,
+    filters: auditFilters,
+    auditLoading,
+    auditError,
+    updateFilter: updateAuditFilter,
+    resetFilters: resetAuditFilters,
+    loadAudit,
+    loadMoreAudit,
+  } = useAudit(loggedIn && activeTab === APP_TABS.AUDIT);
+
+  const openSnapshots = snapshots.filter((s) => s.status !== 'restored').length;
+  const pendingWindows = windows.filter((w) => ['scheduled', 'active'].includes(w.status)).length;
+  // Failed windows that left rules disabled need someone to step in
+  const stuckRules = windows
+    .filter((w) => w.status === 'failed')
+    .reduce((count, w) => count + w.heldIds.length, 0);
+
+  const tabs = [
+    { id: APP_TABS.RULES, label: 'Rules' },
+    { id: APP_TABS.MAINTENANCE, label: 'Maintenance', badge: openSnapshots + pendingWindows + stuckRules },
+    { id: APP_TABS.AUDIT, label: 'Audit' },
+    { id: APP_TABS.COMPARE, label: 'Compare' },
+    { id: APP_TABS.HEALTH, label: 'Health' },
+    ...(userInfo?.requireApproval
+      ? [{ id: APP_TABS.APPROVALS, label: 'Approvals', badge: approvals.filter((a) => a.status === 'pending').length }]
+      : []),
+  ];
+
+  const handleRefresh = () => {
+    clearSelection();
+    fetchValidationRules();
+    loadSnapshots();
+    loadSchedules();
+    loadApprovals();
+  };
+
+  // Logging out ends the windows this session runs and withdraws its pending requests
+  const confirmLogout = () => {
+    const username = userInfo?.username;
+    const running = windows.some((w) => ['scheduled', 'active'].includes(w.status) && w.createdBy === username)
+      || approvals.some((a) => a.status === 'pending' && a.requestedBy === username);
+
+    return !running || window.confirm(
+      'Logging out ends the deactivation windows you are running here and withdraws your pending approval requests. Log out anyway?'
+    );
+  };
+
+  const handleLogoutRequest = () => {
+    if (confirmLogout()) handleLogout();
+  };
+
+  const handleLogoutOrgRequest = async (orgId) => {
+    if (orgId === activeOrgId && !confirmLogout()) return;
+    const result = await handleLogoutOrg(orgId);
+    showToast(result.message, result.success ? 'success' : 'error');
+  };
+
+  // Export what the grid shows: the same search and status filter
+  const handleExport = async (format) => {
+    setExporting(true);
+    try {
+      const { blob, filename } = await exportRules({ format, search: searchTerm, status: filterActive });
+      downloadBlob(blob, filename);
+    } catch (error) {
+      console.error('Failed to export rules:', error);
+      showToast(error.message || 'Failed to export validation rules', 'error');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleDesiredStateApplied = (results) => {
+    results
+      .filter((r) => r.success)
+      .forEach((r) => patchRule(r.Id, { Active: r.action === 'enable' }));
+  };
+
+  // A change sent for approval shows up in the Approvals tab straight away
+  const trackApproval = (result) => {
+    if (result?.approval) addApproval(result.approval);
+  };
+
+  // Production orgs may require a reason before a change is sent
+  const withChangeReason = (description, run) => {
+    if (userInfo?.requireChangeReason) {
+      setPendingChange({ description, run });
+    } else {
+      run();
+    }
+  };
+
+  const requestToggle = (rule) => {
+    withChangeReason(
+      `${rule.Active ? 'Disable' : 'Enable'} "${rule.ValidationName}"`,
+      (change) => handleToggle(rule, showToast, change).then(trackApproval)
+    );
+  };
+
+  const requestBulkToggle = (active) => {
+    withChangeReason(
+      `${active ? 'Enable' : 'Disable'} ${selectedIds.size} selected rules`,
+      (change) => handleBulkToggle(active, showToast, change).then(trackApproval)
+    );
+  };
+
+  const handleApprovalRequested = (approval) => {
+    addApproval(approval);
+    showToast('Change sent for approval', 'success');
+  };
+
+  const handleChangeReasonConfirmed = (change) => {
+    const { run } = pendingChange;
+    setPendingChange(null);
+    run(change);
+  };
+
+  const handleScheduleSelected = async (schedule) => {
+    const result = await handleSchedule(schedule, showToast);
+    if (result.success) {
+      trackApproval(result);
+      setScheduling(false);
+      clearSelection();
+    }
+  };
+
+  const handleRuleCreated = (rule) => {
+    setCreatingRule(false);
+    addRule({
+      Id: rule.Id,
+      ValidationName: rule.ValidationName,
+      Active: rule.Active,
+      EntityName: rule.EntityName,
+    });
+    showToast(`Validation rule "${rule.ValidationName}" has been created`, 'success');
+  };
+
+  const handleRuleDeleted = (rule) => {
+    setSelectedRuleId(null);
+    removeRule(rule.Id);
+    if (selectedIds.has(rule.Id)) toggleSelected(rule.Id);
+    showToast(`Validation rule "${rule.ValidationName}" has been deleted`, 'success');
+  };
+
   // Handle OAuth callback
   useEffect(() => {
     const params = new URLSearchParams(window.location.search);
     const successParam = params.get('success');
+    const loginParam = params.get('login');
     const errorParam = params.get('error');
 
-    if (successParam === '1') {
+    // A newly connected org opens in the tab that connected it
+    if (loginParam === 'success' && params.get('orgId')) {
+      setActiveOrgId(params.get('orgId'));
+    }
+
+    if (successParam === '1' || loginParam === 'success') {
       showToast('Successfully logged in to Salesforce!', 'success');
       checkAuth();
       window.history.replaceState({}, '', window.location.pathname);
@@ -56,12 +292,22 @@ function App() {
     return <Loader text="Checking authentication..." />;
   }
 
+  // Actions the user's role in the active org does not allow are hidden rather than left to fail
+  const canOperate = hasRole(userInfo?.role, 'operator');
+  const canAdmin = hasRole(userInfo?.role, 'admin');
+  const promoteTargets = orgs.filter((o) => o.orgId !== activeOrgId && hasRole(o.role, 'admin'));
+
   return (
     <Layout 
       loggedIn={loggedIn} 
       userInfo={userInfo}
-      onLogout={handleLogout}
-      onRefresh={fetchValidationRules}
+      orgs={orgs}
+      activeOrgId={activeOrgId}
+      onSwitchOrg={switchOrg}
+      onConnectOrg={() => setConnectingOrg(true)}
+      onLogoutOrg={handleLogoutOrgRequest}
+      onLogout={handleLogoutRequest}
+      onRefresh={handleRefresh}
       rulesLoading={rulesLoading}
     >
       {toast && (
@@ -76,15 +322,113 @@ function App() {
         <LoginForm onShowToast={showToast} />
       ) : (
         <>
-          {rules.length > 0 ? (
+          <NavTabs tabs={tabs} activeTab={activeTab} onChange={setActiveTab} />
+
+          {stuckRules > 0 && (
+            <Alert
+              type="error"
+              message={`${stuckRules} rules are still disabled because a deactivation window could not re-enable them. Re-enable them from the Maintenance tab.`}
+            />
+          )}
+
+          {activeTab === APP_TABS.MAINTENANCE && (
+            <MaintenancePanel
+              rules={rules}
+              snapshots={snapshots}
+              snapshotsLoading={snapshotsLoading}
+              busyId={snapshotBusyId}
+              readOnly={!canOperate}
+              onCreate={(objects) => withChangeReason(
+                'Disable active rules and save a snapshot',
+                (change) => handleCreateSnapshot(objects, showToast, change).then(trackApproval)
+              )}
+              onRestore={(id) => withChangeReason(
+                'Re-enable the rules in this snapshot',
+                (change) => handleRestoreSnapshot(id, showToast, change).then(trackApproval)
+              )}
+              onDelete={(id) => handleDeleteSnapshot(id, showToast)}
+            />
+          )}
+
+          {activeTab === APP_TABS.MAINTENANCE && (
+            <SchedulePanel
+              windows={windows}
+              busyWindowId={busyWindowId}
+              readOnly={!canOperate}
+              onCancel={(id) => withChangeReason(
+                'Cancel this deactivation window',
+                (change) => handleCancelWindow(id, showToast, change)
+              )}
+              onExtend={(id, minutes) => withChangeReason(
+                `Extend this deactivation window by ${minutes} minutes`,
+                (change) => handleExtendWindow(id, minutes, showToast, change).then(trackApproval)
+              )}
+            />
+          )}
+
+          {activeTab === APP_TABS.AUDIT && (
+            <AuditPanel
+              entries={auditEntries}
+              total={auditTotal}
+              filters={auditFilters}
+              loading={auditLoading}
+              error={auditError}
+              onFilterChange={updateAuditFilter}
+              onResetFilters={resetAuditFilters}
+              onRefresh={() => loadAudit(0)}
+              onLoadMore={loadMoreAudit}
+            />
+          )}
+
+          {activeTab === APP_TABS.COMPARE && (
+            <ComparePanel orgs={orgs} activeOrgId={activeOrgId} />
+          )}
+
+          {activeTab === APP_TABS.APPROVALS && (
+            <ApprovalsPanel
+              approvals={approvals}
+              busyApprovalId={busyApprovalId}
+              username={userInfo?.username}
+              canApprove={userInfo?.canApprove}
+              onApprove={(id, comment) => handleApprove(id, comment, showToast)}
+              onReject={(id, comment) => handleReject(id, comment, showToast)}
+              onRefresh={loadApprovals}
+            />
+          )}
+
+          {activeTab === APP_TABS.HEALTH && (
+            <HealthPanel key={activeOrgId} onSelectRule={(rule) => setSelectedRuleId(rule.Id)} />
+          )}
+
+          {activeTab === APP_TABS.RULES && (rules.length > 0 ? (
             <RulesSection
               rules={filteredRules}
               searchTerm={searchTerm}
               filterActive={filterActive}
               onSearchChange={setSearchTerm}
               onFilterChange={setFilterActive}
-              onToggle={(rule) => handleToggle(rule, showToast)}
+              onToggle={canOperate ? requestToggle : null}
               togglingId={togglingId}
+              onSelect={(rule) => setSelectedRuleId(rule.Id)}
+              loadedCount={rules.length}
+              totalSize={totalSize}
+              loadingMore={loadingMore}
+              onNewRule={canAdmin ? () => setCreatingRule(true) : null}
+              onExport={handleExport}
+              exporting={exporting}
+              onImport={canOperate ? () => setApplyingState(true) : null}
+              onCheckReferences={() => setCheckingReferences(true)}
+              selectedIds={selectedIds}
+              bulkProgress={bulkProgress}
+              onSelectedChange={toggleSelected}
+              onSelectAll={selectAll}
+              onClearSelection={clearSelection}
+              onBulkToggle={canOperate ? requestBulkToggle : null}
+              onSchedule={canOperate ? () => setScheduling(true) : null}
+              onPromote={promoteTargets.length > 0 ? () => setPromoting(true) : null}
+              onBypass={canAdmin ? () => setBypassing(true) : null}
+              windowsByRuleId={windowsByRuleId}
+              onDismissProgress={dismissProgress}
             />
           ) : (
             !rulesLoading && (
@@ -96,6 +440,100 @@ function App() {
                 loading={rulesLoading}
               />
             )
+          ))}
+
+          {selectedRuleId && (
+            <RuleDrawer
+              ruleId={selectedRuleId}
+              onClose={() => setSelectedRuleId(null)}
+              onRuleUpdated={(rule) => patchRule(rule.Id, { Active: rule.Active })}
+              onRuleDeleted={handleRuleDeleted}
+              onApprovalRequested={handleApprovalRequested}
+              requireChangeReason={userInfo?.requireChangeReason}
+              readOnly={!canAdmin}
+            />
+          )}
+
+          {pendingChange && (
+            <ChangeReasonModal
+              description={pendingChange.description}
+              onClose={() => setPendingChange(null)}
+              onConfirm={handleChangeReasonConfirmed}
+            />
+          )}
+
+          {applyingState && (
+            <DesiredStateModal
+              requireChangeReason={userInfo?.requireChangeReason}
+              onClose={() => setApplyingState(false)}
+              onApplied={handleDesiredStateApplied}
+              onApprovalRequested={handleApprovalRequested}
+            />
+          )}
+
+          {checkingReferences && (
+            <BrokenReferencesModal
+              onClose={() => setCheckingReferences(false)}
+              onSelectRule={(rule) => {
+                setCheckingReferences(false);
+                setSelectedRuleId(rule.Id);
+              }}
+            />
+          )}
+
+          {scheduling && (
+            <ScheduleModal
+              rules={rules.filter((r) => selectedIds.has(r.Id))}
+              onClose={() => setScheduling(false)}
+              onSchedule={handleScheduleSelected}
+              requireChangeReason={userInfo?.requireChangeReason}
+              saving={busyWindowId === 'new'}
+            />
+          )}
+
+          {promoting && (
+            <PromoteModal
+              rules={rules.filter((r) => selectedIds.has(r.Id))}
+              orgs={orgs}
+              targets={promoteTargets}
+              activeOrgId={activeOrgId}
+              onClose={() => setPromoting(false)}
+            />
+          )}
+
+          {bypassing && (
+            <BypassModal
+              ruleIds={[...selectedIds]}
+              requireChangeReason={userInfo?.requireChangeReason}
+              onClose={() => setBypassing(false)}
+              onApprovalRequested={(approval) => {
+                handleApprovalRequested(approval);
+                clearSelection();
+              }}
+              onApplied={(result) => {
+                showToast(
+                  `Bypass added to ${result.updated} rule${result.updated === 1 ? '' : 's'}`,
+                  result.success ? 'success' : 'error'
+                );
+                if (result.success) clearSelection();
+              }}
+            />
+          )}
+
+          {connectingOrg && (
+            <ConnectOrgModal orgs={orgs} onClose={() => setConnectingOrg(false)} />
+          )}
+
+          {creatingRule && (
+            <NewRuleWizard
+              requireChangeReason={userInfo?.requireChangeReason}
+              onClose={() => setCreatingRule(false)}
+              onCreated={handleRuleCreated}
+              onApprovalRequested={(approval) => {
+                setCreatingRule(false);
+                handleApprovalRequested(approval);
+              }}
+            />
           )}
         </>
       )}
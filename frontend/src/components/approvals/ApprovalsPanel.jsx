@@ -0,0 +1,217 @@
+import { useState } from 'react';
+import Button from '../common/Button';
+import FormulaDiff from '../compare/FormulaDiff';
+import { formatDateTime } from '../../utils/helpers';
+
+const STATUS_LABELS = {
+  pending: 'Waiting for approval',
+  approved: 'Approved',
+  failed: 'Approved, failed to apply',
+  rejected: 'Rejected',
+  expired: 'Expired',
+};
+
+const FIELD_LABELS = {
+  errorMessage: 'Error message',
+  errorDisplayField: 'Display field',
+  description: 'Description',
+};
+
+const ruleName = (rule) => `${rule.EntityName}.${rule.ValidationName}`;
+
+// One line saying what the requested change does
+const describeChange = (approval) => {
+  const target = approval.rules.length === 1 ? ruleName(approval.rules[0]) : `${approval.rules.length} rules`;
+
+  switch (approval.type) {
+    case 'toggle':
+    case 'bulk-toggle':
+      return `${approval.active ? 'Enable' : 'Disable'} ${target}`;
+    case 'update':
+      return `Edit ${target}`;
+    case 'create':
+      return `Create ${target}`;
+    case 'delete':
+      return `Delete ${target}`;
+    case 'bypass':
+      return `Add bypass to ${target}`;
+    case 'snapshot-create':
+      return `Disable ${target} and save a snapshot`;
+    case 'snapshot-restore':
+      return `Re-enable ${target} from a snapshot`;
+    case 'schedule-create':
+      return `Disable ${target} from ${formatDateTime(approval.details.startAt)} to ${formatDateTime(approval.details.endAt)}`;
+    case 'schedule-extend':
+      return `Keep ${target} disabled for ${approval.details.minutes} more minutes`;
+    case 'plan-apply':
+      return `Apply ${approval.details.filename || 'a desired state file'}: enable ${approval.details.enable}, disable ${approval.details.disable}`;
+    case 'promotion-deploy':
+      return `Deploy ${target} from ${approval.details.source.orgName || approval.details.source.username}`;
+    default:
+      return target;
+  }
+};
+
+const ChangeDetail = ({ approval }) => {
+  if (!['update', 'create'].includes(approval.type)) {
+    return (
+      <ul className="snapshot-rules">
+        {approval.rules.map((rule) => (
+          <li key={rule.Id} className="snapshot-rule">
+            <span>{ruleName(rule)}</span>
+            {rule.Active !== undefined && (
+              <span className="snapshot-rule-status">{rule.Active ? 'Enabled' : 'Disabled'} when requested</span>
+            )}
+          </li>
+        ))}
+      </ul>
+    );
+  }
+
+  // A new rule reads as an edit of an empty one
+  const changes = approval.type === 'create' ? approval.details.rule : approval.changes;
+
+  return (
+    <div className="approval-detail">
+      {Object.keys(FIELD_LABELS)
+        .filter((field) => changes[field] !== undefined)
+        .map((field) => (
+          <div key={field} className="approval-field">
+            <h4 className="drawer-label">{FIELD_LABELS[field]}</h4>
+            <p className="approval-field-before">{approval.before?.[field] || '—'}</p>
+            <p className="approval-field-after">{changes[field] || '—'}</p>
+          </div>
+        ))}
+
+      {changes.errorConditionFormula !== undefined && (
+        <>
+          <h4 className="drawer-label">Error Condition Formula</h4>
+          <FormulaDiff
+            before={approval.before?.errorConditionFormula || ''}
+            after={changes.errorConditionFormula}
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+// Inbox of production changes waiting for a second person
+const ApprovalsPanel = ({ approvals, busyApprovalId, username, canApprove, onApprove, onReject, onRefresh }) => {
+  const [expandedId, setExpandedId] = useState(null);
+  const [comments, setComments] = useState({});
+
+  const pending = approvals.filter((a) => a.status === 'pending');
+  const decided = approvals.filter((a) => a.status !== 'pending');
+
+  const setComment = (id, value) => {
+    setComments((prev) => ({ ...prev, [id]: value }));
+  };
+
+  const renderApproval = (approval) => {
+    const expanded = expandedId === approval.id;
+    const ownRequest = approval.requestedBy.toLowerCase() === (username || '').toLowerCase();
+    const decidable = approval.status === 'pending' && canApprove && !ownRequest;
+    const busy = busyApprovalId === approval.id;
+
+    return (
+      <li key={approval.id} className="snapshot-item">
+        <div className="snapshot-summary">
+          <div>
+            <p className="snapshot-title">{describeChange(approval)}</p>
+            <p className="drawer-date">
+              Requested by {approval.requestedBy} {formatDateTime(approval.createdAt)}
+              {approval.status === 'pending' && ` · expires ${formatDateTime(approval.expiresAt)}`}
+              {approval.decidedBy && ` · ${approval.status === 'rejected' ? 'rejected' : 'approved'} by ${approval.decidedBy} ${formatDateTime(approval.decidedAt)}`}
+            </p>
+            {(approval.ticketId || approval.reason) && (
+              <p className="drawer-date">
+                {approval.ticketId && `${approval.ticketId}: `}{approval.reason}
+              </p>
+            )}
+            {approval.comment && <p className="approval-comment">&ldquo;{approval.comment}&rdquo;</p>}
+            {approval.error && <p className="form-error">{approval.error}</p>}
+          </div>
+
+          <span className={`status-badge approval-status-${approval.status}`}>
+            {STATUS_LABELS[approval.status] || approval.status}
+          </span>
+
+          <div className="snapshot-actions">
+            <Button variant="secondary" onClick={() => setExpandedId(expanded ? null : approval.id)}>
+              {expanded ? 'Hide' : 'Details'}
+            </Button>
+          </div>
+        </div>
+
+        {expanded && <ChangeDetail approval={approval} />}
+
+        {approval.status === 'pending' && ownRequest && (
+          <p className="form-hint">Waiting for someone else to approve your change.</p>
+        )}
+
+        {decidable && (
+          <div className="approval-decision">
+            <input
+              type="text"
+              className="form-input"
+              placeholder="Comment (optional)"
+              aria-label="Comment"
+              maxLength={500}
+              value={comments[approval.id] || ''}
+              onChange={(e) => setComment(approval.id, e.target.value)}
+            />
+            <Button
+              variant="danger"
+              onClick={() => onReject(approval.id, comments[approval.id] || '')}
+              disabled={busyApprovalId !== null}
+            >
+              Reject
+            </Button>
+            <Button
+              variant="success"
+              onClick={() => onApprove(approval.id, comments[approval.id] || '')}
+              disabled={busyApprovalId !== null}
+              loading={busy}
+            >
+              {busy ? 'Applying...' : 'Approve & Apply'}
+            </Button>
+          </div>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <section className="maintenance-section">
+      <div className="rules-header">
+        <div>
+          <h2 className="rules-title">Pending Approvals</h2>
+          <p className="rules-subtitle">
+            Production changes run only after a second person approves them
+          </p>
+        </div>
+        <Button variant="secondary" onClick={onRefresh}>
+          Refresh
+        </Button>
+      </div>
+
+      {!canApprove && (
+        <p className="form-hint">You can follow requests here, but approving them needs a higher role in this org.</p>
+      )}
+
+      {pending.length === 0 && <p className="drawer-empty-value">No changes are waiting for approval.</p>}
+
+      <ul className="snapshot-list">{pending.map(renderApproval)}</ul>
+
+      {decided.length > 0 && (
+        <>
+          <h3 className="maintenance-list-title">History</h3>
+          <ul className="snapshot-list">{decided.map(renderApproval)}</ul>
+        </>
+      )}
+    </section>
+  );
+};
+
+export default ApprovalsPanel;
@@ -0,0 +1,190 @@
+import Button from '../common/Button';
+import SearchBox from '../common/Searchbox';
+import { formatDateTime } from '../../utils/helpers';
+
+const ACTION_LABELS = {
+  toggle: 'Toggled',
+  update: 'Edited',
+  create: 'Created',
+  delete: 'Deleted',
+  promote: 'Promoted',
+  bypass: 'Bypass added',
+};
+
+const FIELD_LABELS = {
+  active: 'Active',
+  errorConditionFormula: 'Formula',
+  errorMessage: 'Error message',
+  errorDisplayField: 'Display field',
+  description: 'Description',
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Enabled' : 'Disabled';
+  return String(value);
+};
+
+const AuditChange = ({ entry }) => {
+  const fields = Object.keys({ ...entry.before, ...entry.after });
+
+  if (fields.length === 0) return <span className="drawer-empty-value">—</span>;
+
+  return (
+    <dl className="audit-change">
+      {fields.map((field) => (
+        <div key={field} className="audit-change-row">
+          <dt>{FIELD_LABELS[field] || field}</dt>
+          <dd>
+            {entry.before && <span className="audit-before">{formatValue(entry.before[field])}</span>}
+            {entry.before && entry.after && ' → '}
+            {entry.after && <span className="audit-after">{formatValue(entry.after[field])}</span>}
+          </dd>
+        </div>
+      ))}
+    </dl>
+  );
+};
+
+const AuditPanel = ({
+  entries,
+  total,
+  filters,
+  loading,
+  error,
+  onFilterChange,
+  onResetFilters,
+  onRefresh,
+  onLoadMore,
+}) => {
+  return (
+    <section className="audit-section">
+      <div className="rules-header">
+        <div>
+          <h2 className="rules-title">
+            Audit Log
+            <span className="rules-count">({total})</span>
+          </h2>
+          <p className="rules-subtitle">Every rule change made through the bridge in this org</p>
+        </div>
+        <Button variant="secondary" onClick={onRefresh} disabled={loading}>
+          Refresh
+        </Button>
+      </div>
+
+      <div className="audit-filters">
+        <SearchBox
+          value={filters.q}
+          onChange={(value) => onFilterChange('q', value)}
+          placeholder="Search rule name..."
+        />
+        <input
+          type="text"
+          className="form-input"
+          placeholder="User"
+          aria-label="Filter by user"
+          value={filters.user}
+          onChange={(e) => onFilterChange('user', e.target.value)}
+        />
+        <select
+          className="form-input"
+          aria-label="Filter by action"
+          value={filters.action}
+          onChange={(e) => onFilterChange('action', e.target.value)}
+        >
+          <option value="">All actions</option>
+          {Object.entries(ACTION_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <input
+          type="date"
+          className="form-input"
+          aria-label="From date"
+          value={filters.from}
+          onChange={(e) => onFilterChange('from', e.target.value)}
+        />
+        <input
+          type="date"
+          className="form-input"
+          aria-label="To date"
+          value={filters.to}
+          onChange={(e) => onFilterChange('to', e.target.value)}
+        />
+        <Button variant="secondary" onClick={onResetFilters}>
+          Clear
+        </Button>
+      </div>
+
+      {error && <p className="drawer-error">{error}</p>}
+
+      {!loading && !error && entries.length === 0 && (
+        <p className="drawer-empty-value">No changes match these filters.</p>
+      )}
+
+      {entries.length > 0 && (
+        <div className="audit-table-wrapper">
+          <table className="audit-table">
+            <thead>
+              <tr>
+                <th>When</th>
+                <th>Who</th>
+                <th>Action</th>
+                <th>Rule</th>
+                <th>Change</th>
+                <th>IP</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => (
+                <tr key={entry.id}>
+                  <td className="audit-when">{formatDateTime(entry.timestamp)}</td>
+                  <td>
+                    {entry.username}
+                    {entry.approvedBy ? (
+                      <span className="audit-source"> approved by {entry.approvedBy}</span>
+                    ) : (
+                      entry.source !== 'user' && <span className="audit-source"> via {entry.source}</span>
+                    )}
+                  </td>
+                  <td>
+                    <span className={`audit-action audit-action-${entry.action}`}>
+                      {ACTION_LABELS[entry.action] || entry.action}
+                    </span>
+                  </td>
+                  <td>
+                    <span className="audit-rule">{entry.entityName}.{entry.ruleName}</span>
+                    <span className="rule-id">{entry.ruleId}</span>
+                  </td>
+                  <td>
+                    <AuditChange entry={entry} />
+                    {(entry.ticketId || entry.reason) && (
+                      <p className="audit-reason">
+                        {entry.ticketId && <strong>{entry.ticketId}</strong>}
+                        {entry.ticketId && entry.reason && ' · '}
+                        {entry.reason}
+                      </p>
+                    )}
+                  </td>
+                  <td className="audit-ip">{entry.ip || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {loading && <p className="loading-text">Loading audit log...</p>}
+
+      {!loading && entries.length < total && (
+        <div className="form-actions">
+          <Button variant="secondary" onClick={onLoadMore}>
+            Load more ({total - entries.length} remaining)
+          </Button>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default AuditPanel;
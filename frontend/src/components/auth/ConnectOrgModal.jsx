@@ -0,0 +1,59 @@
+import { useState } from 'react';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+import DomainSelector from './Domainselector';
+import RecentOrgs from './RecentOrgs';
+import { buildLoginUrl, validateCustomDomain } from '../../services/authService';
+import { DOMAIN_TYPES } from '../../utils/constants';
+
+const ConnectOrgModal = ({ orgs = [], onClose }) => {
+  const [domainType, setDomainType] = useState(DOMAIN_TYPES.PRODUCTION);
+  const [customDomain, setCustomDomain] = useState('');
+  const [error, setError] = useState(null);
+
+  // The OAuth callback adds the org to this session next to the ones already connected
+  const handleConnect = () => {
+    if (domainType === DOMAIN_TYPES.CUSTOM) {
+      const domainError = validateCustomDomain(customDomain);
+      if (domainError) {
+        setError(domainError);
+        return;
+      }
+    }
+
+    window.location.href = buildLoginUrl(domainType, customDomain);
+  };
+
+  const footer = (
+    <>
+      <Button variant="secondary" onClick={onClose}>
+        Cancel
+      </Button>
+      <Button variant="primary" onClick={handleConnect}>
+        Login with Salesforce
+      </Button>
+    </>
+  );
+
+  return (
+    <Modal title="Connect Another Org" onClose={onClose} footer={footer}>
+      <p className="modal-text">
+        Orgs you are already connected to stay connected. Switch between them from the header.
+      </p>
+      {error && (
+        <div className="form-errors" role="alert">
+          <p className="form-error">{error}</p>
+        </div>
+      )}
+      <RecentOrgs excludeUsernames={orgs.map((o) => o.username)} />
+      <DomainSelector
+        domainType={domainType}
+        customDomain={customDomain}
+        onDomainTypeChange={setDomainType}
+        onCustomDomainChange={setCustomDomain}
+      />
+    </Modal>
+  );
+};
+
+export default ConnectOrgModal;
@@ -12,17 +12,17 @@ const DomainSelector = ({ domainType, customDomain, onDomainTypeChange, onCustom
         </svg>
       ),
     },
-    // {
-    //   value: DOMAIN_TYPES.SANDBOX,
-    //   title: 'Sandbox',
-    //   description: 'test.salesforce.com',
-    //   icon: (
-    //     <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
-    //       <path d="M9 2a1 1 0 000 2h2a1 1 0 100-2H9z"/>
-    //       <path fillRule="evenodd" d="M4 5a2 2 0 012-2 3 3 0 003 3h2a3 3 0 003-3 2 2 0 012 2v11a2 2 0 01-2 2H6a2 2 0 01-2-2V5zm3 4a1 1 0 000 2h.01a1 1 0 100-2H7zm3 0a1 1 0 000 2h3a1 1 0 100-2h-3zm-3 4a1 1 0 100 2h.01a1 1 0 100-2H7zm3 0a1 1 0 100 2h3a1 1 0 100-2h-3z" clipRule="evenodd"/>
-    //     </svg>
-    //   ),
-    // },
+    {
+      value: DOMAIN_TYPES.SANDBOX,
+      title: 'Sandbox',
+      description: 'test.salesforce.com',
+      icon: (
+        <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
+          <path d="M9 2a1 1 0 000 2h2a1 1 0 100-2H9z"/>
+          <path fillRule="evenodd" d="M4 5a2 2 0 012-2 3 3 0 003 3h2a3 3 0 003-3 2 2 0 012 2v11a2 2 0 01-2 2H6a2 2 0 01-2-2V5zm3 4a1 1 0 000 2h.01a1 1 0 100-2H7zm3 0a1 1 0 000 2h3a1 1 0 100-2h-3zm-3 4a1 1 0 100 2h.01a1 1 0 100-2H7zm3 0a1 1 0 100 2h3a1 1 0 100-2h-3z" clipRule="evenodd"/>
+        </svg>
+      ),
+    },
     {
       value: DOMAIN_TYPES.CUSTOM,
       title: 'Custom Domain',
@@ -72,12 +72,12 @@ const DomainSelector = ({ domainType, customDomain, onDomainTypeChange, onCustom
             id="customDomain"
             type="text"
             className="form-input"
-            placeholder="https://yourdomain.my.salesforce.com"
+            placeholder="yourdomain.my.salesforce.com"
             value={customDomain}
             onChange={(e) => onCustomDomainChange(e.target.value)}
           />
           <p className="form-hint">
-            Enter your complete My Domain URL (must start with https:// and end with .salesforce.com)
+            Your My Domain host, e.g. yourdomain.my.salesforce.com (https:// is optional)
           </p>
         </div>
       )}
@@ -1,5 +1,6 @@
 import { useState } from 'react';
 import DomainSelector from './Domainselector';
+import RecentOrgs from './RecentOrgs';
 import Button from '../common/Button';
 import { buildLoginUrl, validateCustomDomain } from '../../services/authService';
 import { DOMAIN_TYPES } from '../../utils/constants';
@@ -37,6 +38,8 @@ const LoginForm = ({ onShowToast }) => {
           Select your Salesforce environment to manage validation rules
         </p>
 
+        <RecentOrgs />
+
         <DomainSelector
           domainType={domainType}
           customDomain={customDomain}
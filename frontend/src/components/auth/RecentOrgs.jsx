@@ -0,0 +1,48 @@
+import { useState } from 'react';
+import EnvironmentBadge from '../layout/EnvironmentBadge';
+import { getRecentOrgs, forgetRecentOrg } from '../../services/recentOrgs';
+import { buildLoginUrl } from '../../services/authService';
+
+// One-click login to orgs used before from this browser
+const RecentOrgs = ({ excludeUsernames = [] }) => {
+  const [entries, setEntries] = useState(getRecentOrgs);
+
+  const visible = entries.filter((entry) => !excludeUsernames.includes(entry.username));
+  if (visible.length === 0) return null;
+
+  const handleLogin = (entry) => {
+    window.location.href = buildLoginUrl(entry.domainType, entry.customDomain, entry.username);
+  };
+
+  return (
+    <div className="form-group recent-orgs">
+      <label className="form-label">Recent Orgs</label>
+      <ul className="recent-orgs-list">
+        {visible.map((entry) => (
+          <li key={entry.key} className="recent-org">
+            <button type="button" className="recent-org-login" onClick={() => handleLogin(entry)}>
+              <span className="recent-org-name">
+                {entry.label}
+                <EnvironmentBadge org={entry} />
+              </span>
+              <span className="recent-org-detail">
+                {entry.username}
+                {entry.customDomain && ` · ${entry.customDomain}`}
+              </span>
+            </button>
+            <button
+              type="button"
+              className="drawer-close"
+              onClick={() => setEntries(forgetRecentOrg(entry.key))}
+              aria-label={`Forget ${entry.username}`}
+            >
+              ×
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default RecentOrgs;
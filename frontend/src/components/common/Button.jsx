@@ -4,6 +4,7 @@ const Button = ({
   size = 'medium',
   onClick,
   disabled = false,
+  loading,
   icon,
   fullWidth = false,
   type = 'button',
@@ -13,6 +14,9 @@ const Button = ({
   const sizeClass = size === 'large' ? 'btn-large' : '';
   const widthClass = fullWidth ? 'btn-full-width' : '';
 
+  // Disabled primary buttons show a spinner unless told otherwise
+  const showSpinner = loading ?? (disabled && variant === 'primary');
+
   const className = [baseClass, variantClass, sizeClass, widthClass]
     .filter(Boolean)
     .join(' ');
@@ -24,7 +28,7 @@ const Button = ({
       onClick={onClick}
       disabled={disabled}
     >
-      {disabled && variant === 'primary' ? (
+      {showSpinner ? (
         <>
           <span className="btn-spinner"></span>
           {children}
@@ -0,0 +1,238 @@
+import { useState, useMemo } from 'react';
+import Button from '../common/Button';
+import SearchBox from '../common/Searchbox';
+import RuleDiff from './RuleDiff';
+import { uploadCompareZip, fetchComparison } from '../../services/api';
+import { getOrgEnvironment, getOrgLabel, formatDateTime } from '../../utils/helpers';
+
+const STATUS_LABELS = {
+  'only-source': 'Only in source',
+  'only-target': 'Only in target',
+  different: 'Different',
+  identical: 'Identical',
+};
+
+const FIELD_LABELS = {
+  Active: 'Status',
+  ErrorConditionFormula: 'Formula',
+  ErrorMessage: 'Message',
+  ErrorDisplayField: 'Display field',
+};
+
+const FILTERS = [
+  { id: 'drift', label: 'All drift', match: (r) => r.status !== 'identical' },
+  { id: 'only-source', label: 'Only in source', match: (r) => r.status === 'only-source' },
+  { id: 'only-target', label: 'Only in target', match: (r) => r.status === 'only-target' },
+  { id: 'active', label: 'Status differs', match: (r) => r.differences.includes('Active') },
+  { id: 'definition', label: 'Definition differs', match: (r) => r.differences.some((f) => f !== 'Active') },
+  { id: 'identical', label: 'Identical', match: (r) => r.status === 'identical' },
+];
+
+const readFileAsBase64 = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1));
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+const ComparePanel = ({ orgs, activeOrgId }) => {
+  const [uploads, setUploads] = useState([]);
+  const [source, setSource] = useState(activeOrgId);
+  const [target, setTarget] = useState(orgs.find((o) => o.orgId !== activeOrgId)?.orgId || '');
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+  const [filter, setFilter] = useState('drift');
+  const [search, setSearch] = useState('');
+  const [expandedKey, setExpandedKey] = useState(null);
+
+  const sideOptions = [
+    ...orgs.map((o) => ({
+      value: o.orgId,
+      label: `${getOrgLabel(o)} · ${getOrgEnvironment(o).label} · ${o.username}`,
+    })),
+    ...uploads.map((u) => ({
+      value: `upload:${u.id}`,
+      label: `${u.filename} (uploaded zip, ${u.count} rules)`,
+    })),
+  ];
+
+  const visibleRules = useMemo(() => {
+    if (!report) return [];
+    const { match } = FILTERS.find((f) => f.id === filter);
+    const term = search.toLowerCase();
+    return report.rules.filter((r) => match(r) && r.key.includes(term));
+  }, [report, filter, search]);
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setUploading(true);
+    setError(null);
+    try {
+      const content = await readFileAsBase64(file);
+      const data = await uploadCompareZip({ content, filename: file.name });
+      setUploads((prev) => [...prev, data.upload]);
+      setTarget(`upload:${data.upload.id}`);
+    } catch (err) {
+      console.error('Failed to upload metadata zip:', err);
+      setError(err.message || 'Failed to read the zip file');
+    } finally {
+      setUploading(false);
+      e.target.value = '';
+    }
+  };
+
+  const handleCompare = async () => {
+    setLoading(true);
+    setError(null);
+    setExpandedKey(null);
+    try {
+      setReport(await fetchComparison({ source, target }));
+    } catch (err) {
+      console.error('Failed to compare rules:', err);
+      setError(err.message || 'Failed to compare rules');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const count = (id) => report.rules.filter(FILTERS.find((f) => f.id === id).match).length;
+
+  return (
+    <section className="compare-section">
+      <div className="rules-header">
+        <div>
+          <h2 className="rules-title">Compare Orgs</h2>
+          <p className="rules-subtitle">
+            Find rules that drifted between two connected orgs, or an org and an SFDX metadata zip
+          </p>
+        </div>
+      </div>
+
+      <div className="compare-controls">
+        <div className="form-group">
+          <label className="form-label" htmlFor="compareSource">Source</label>
+          <select
+            id="compareSource"
+            className="form-input"
+            value={source}
+            onChange={(e) => setSource(e.target.value)}
+          >
+            {sideOptions.map((o) => (
+              <option key={o.value} value={o.value}>{o.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label" htmlFor="compareTarget">Target</label>
+          <select
+            id="compareTarget"
+            className="form-input"
+            value={target}
+            onChange={(e) => setTarget(e.target.value)}
+          >
+            <option value="" disabled>Pick an org or upload a zip</option>
+            {sideOptions.map((o) => (
+              <option key={o.value} value={o.value}>{o.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="compare-actions">
+          <label className="btn btn-secondary compare-upload">
+            {uploading ? 'Reading...' : 'Upload Zip'}
+            <input type="file" accept=".zip" onChange={handleUpload} disabled={uploading} hidden />
+          </label>
+          <Button
+            variant="primary"
+            onClick={handleCompare}
+            disabled={loading || !source || !target || source === target}
+            loading={loading}
+          >
+            {loading ? 'Comparing...' : 'Compare'}
+          </Button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="form-errors" role="alert">
+          <p className="form-error">{error}</p>
+        </div>
+      )}
+
+      {loading && (
+        <p className="loading-text">Reading every rule definition on both sides, this can take a minute...</p>
+      )}
+
+      {report && !loading && (
+        <>
+          <p className="form-hint">
+            <strong>Source:</strong> {report.source.label} · <strong>Target:</strong> {report.target.label}
+            {' · '}compared {formatDateTime(report.comparedAt)}
+          </p>
+
+          <div className="compare-filters">
+            {FILTERS.map((f) => (
+              <button
+                key={f.id}
+                type="button"
+                className={`plan-chip compare-filter ${filter === f.id ? 'compare-filter-active' : ''}`}
+                onClick={() => setFilter(f.id)}
+              >
+                {f.label} ({count(f.id)})
+              </button>
+            ))}
+          </div>
+
+          <SearchBox value={search} onChange={setSearch} placeholder="Search Object.Rule_Name..." />
+
+          {visibleRules.length === 0 ? (
+            <p className="drawer-empty-value compare-empty">No rules match this filter.</p>
+          ) : (
+            <ul className="compare-list">
+              {visibleRules.map((rule) => (
+                <li key={rule.key} className={`compare-row compare-row-${rule.status}`}>
+                  <button
+                    type="button"
+                    className="compare-row-header"
+                    onClick={() => setExpandedKey(expandedKey === rule.key ? null : rule.key)}
+                    aria-expanded={expandedKey === rule.key}
+                  >
+                    <span className="compare-rule-name">
+                      <span className="rule-entity">{rule.EntityName}</span>
+                      {rule.ValidationName}
+                    </span>
+                    <span className="compare-differences">
+                      {rule.differences.map((field) => (
+                        <span key={field} className="compare-field-chip">{FIELD_LABELS[field]}</span>
+                      ))}
+                      <span className={`compare-status compare-status-${rule.status}`}>
+                        {STATUS_LABELS[rule.status]}
+                      </span>
+                    </span>
+                  </button>
+
+                  {expandedKey === rule.key && (
+                    <div className="compare-detail">
+                      <div className="compare-detail-sides">
+                        <span>{report.source.label}</span>
+                        <span>{report.target.label}</span>
+                      </div>
+                      <RuleDiff rule={rule} />
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </section>
+  );
+};
+
+export default ComparePanel;
@@ -0,0 +1,21 @@
+import { useMemo } from 'react';
+import { diffLines } from '../../utils/diff';
+
+const FormulaDiff = ({ before, after }) => {
+  const rows = useMemo(() => diffLines(before, after), [before, after]);
+
+  if (rows.length === 0) return <p className="drawer-empty-value">No formula</p>;
+
+  return (
+    <div className="formula-diff" role="table" aria-label="Formula differences">
+      {rows.map((row, index) => (
+        <div key={index} className={`formula-diff-row formula-diff-${row.type}`} role="row">
+          <pre className="formula-diff-cell formula-diff-left" role="cell">{row.left ?? ''}</pre>
+          <pre className="formula-diff-cell formula-diff-right" role="cell">{row.right ?? ''}</pre>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default FormulaDiff;
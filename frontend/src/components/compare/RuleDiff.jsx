@@ -0,0 +1,39 @@
+import FormulaDiff from './FormulaDiff';
+
+const FIELDS = [
+  { field: 'Active', label: 'Status', format: (value) => (value ? 'Enabled' : 'Disabled') },
+  { field: 'ErrorMessage', label: 'Error message' },
+  { field: 'ErrorDisplayField', label: 'Display field', format: (value) => value || 'Top of page' },
+];
+
+const RuleDiff = ({ rule }) => {
+  const { source, target, differences } = rule;
+
+  return (
+    <div className="rule-diff">
+      <dl className="rule-diff-fields">
+        {FIELDS.map(({ field, label, format = (value) => value || '—' }) => (
+          <div
+            key={field}
+            className={`rule-diff-field ${differences.includes(field) ? 'rule-diff-field-changed' : ''}`}
+          >
+            <dt>{label}</dt>
+            <dd>{source ? format(source[field]) : <span className="drawer-empty-value">Not present</span>}</dd>
+            <dd>{target ? format(target[field]) : <span className="drawer-empty-value">Not present</span>}</dd>
+          </div>
+        ))}
+      </dl>
+
+      <h4 className="drawer-label">
+        Error Condition Formula
+        {source && target && !differences.includes('ErrorConditionFormula') && ' (identical)'}
+      </h4>
+      <FormulaDiff
+        before={source?.ErrorConditionFormula || ''}
+        after={target?.ErrorConditionFormula || ''}
+      />
+    </div>
+  );
+};
+
+export default RuleDiff;
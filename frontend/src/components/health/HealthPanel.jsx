@@ -0,0 +1,138 @@
+import { useState, useEffect, useCallback } from 'react';
+import Button from '../common/Button';
+import { fetchLintReport } from '../../services/api';
+import { formatDateTime } from '../../utils/helpers';
+
+const SEVERITY_LABELS = {
+  error: 'Error',
+  warning: 'Warning',
+  info: 'Info',
+  off: 'Off',
+};
+
+const HealthPanel = ({ onSelectRule }) => {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [checkFilter, setCheckFilter] = useState(null);
+
+  const loadReport = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setReport(await fetchLintReport());
+    } catch (err) {
+      console.error('Failed to lint rules:', err);
+      setError(err.message || 'Failed to check rule health');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  const visibleRules = report
+    ? report.rules.filter((r) => !checkFilter || r.findings.some((f) => f.check === checkFilter))
+    : [];
+  const labels = report ? Object.fromEntries(report.checks.map((c) => [c.id, c.label])) : {};
+
+  return (
+    <section className="health-section">
+      <div className="rules-header">
+        <div>
+          <h2 className="rules-title">Rule Health</h2>
+          <p className="rules-subtitle">
+            Common problems across every validation rule in this org
+          </p>
+        </div>
+        <Button variant="secondary" onClick={loadReport} disabled={loading} loading={loading}>
+          {loading ? 'Checking...' : 'Run Checks Again'}
+        </Button>
+      </div>
+
+      {error && (
+        <div className="form-errors" role="alert">
+          <p className="form-error">{error}</p>
+        </div>
+      )}
+
+      {loading && (
+        <p className="loading-text">Reading every rule definition, this can take a minute...</p>
+      )}
+
+      {report && !loading && (
+        <>
+          <p className="form-hint">
+            {report.summary.scanned} rules checked {formatDateTime(report.checkedAt)} ·{' '}
+            {report.summary.flagged} with findings · {report.summary.error} errors,{' '}
+            {report.summary.warning} warnings, {report.summary.info} info
+          </p>
+
+          <div className="health-checks">
+            {report.checks.map((check) => (
+              <button
+                key={check.id}
+                type="button"
+                className={[
+                  'health-check',
+                  `health-check-${check.severity}`,
+                  checkFilter === check.id ? 'health-check-active' : '',
+                ].join(' ')}
+                onClick={() => setCheckFilter(checkFilter === check.id ? null : check.id)}
+                disabled={check.severity === 'off'}
+                aria-pressed={checkFilter === check.id}
+              >
+                <span className="health-check-count">{check.severity === 'off' ? '–' : check.count}</span>
+                <span className="health-check-label">{check.label}</span>
+                <span className={`health-severity health-severity-${check.severity}`}>
+                  {SEVERITY_LABELS[check.severity]}
+                </span>
+              </button>
+            ))}
+          </div>
+
+          {checkFilter && (
+            <p className="form-hint">
+              Showing rules flagged for <strong>{labels[checkFilter]}</strong> ·{' '}
+              <button type="button" className="link-button" onClick={() => setCheckFilter(null)}>
+                Show all
+              </button>
+            </p>
+          )}
+
+          {visibleRules.length === 0 ? (
+            <p className="plan-result-success">No rules were flagged.</p>
+          ) : (
+            <ul className="health-list">
+              {visibleRules.map((rule) => (
+                <li key={rule.Id} className="health-row">
+                  <button type="button" className="link-button" onClick={() => onSelectRule(rule)}>
+                    <span className="rule-entity">{rule.EntityName}</span>
+                    {rule.ValidationName}
+                    {!rule.Active && ' (disabled)'}
+                  </button>
+                  <ul className="health-findings">
+                    {rule.findings
+                      .filter((f) => !checkFilter || f.check === checkFilter)
+                      .map((finding, index) => (
+                        <li key={index} className="health-finding">
+                          <span className={`health-severity health-severity-${finding.severity}`}>
+                            {SEVERITY_LABELS[finding.severity]}
+                          </span>
+                          <span>{finding.message}</span>
+                        </li>
+                      ))}
+                  </ul>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </section>
+  );
+};
+
+export default HealthPanel;
@@ -0,0 +1,13 @@
+import { getOrgEnvironment } from '../../utils/helpers';
+
+const EnvironmentBadge = ({ org }) => {
+  const environment = getOrgEnvironment(org);
+
+  return (
+    <span className={`env-badge env-badge-${environment.id}`}>
+      {environment.label}
+    </span>
+  );
+};
+
+export default EnvironmentBadge;
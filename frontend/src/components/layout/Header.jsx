@@ -1,6 +1,19 @@
 import Button from '../common/Button';
+import OrgSwitcher from './OrgSwitcher';
+import { capitalizeFirst } from '../../utils/helpers';
 
-const Header = ({ loggedIn, userInfo, onLogout, onRefresh, rulesLoading }) => {
+const Header = ({
+  loggedIn,
+  userInfo,
+  orgs,
+  activeOrgId,
+  onSwitchOrg,
+  onConnectOrg,
+  onLogoutOrg,
+  onLogout,
+  onRefresh,
+  rulesLoading,
+}) => {
   return (
     <header className="header">
       <div className="header-content">
@@ -20,10 +33,23 @@ const Header = ({ loggedIn, userInfo, onLogout, onRefresh, rulesLoading }) => {
 
         {loggedIn && userInfo && (
           <div className="user-info">
+            <OrgSwitcher
+              orgs={orgs}
+              activeOrgId={activeOrgId}
+              onSwitch={onSwitchOrg}
+              onLogoutOrg={onLogoutOrg}
+              onLogoutAll={onLogout}
+              onConnect={onConnectOrg}
+            />
             <div className="user-details">
               <div className="user-name">{userInfo.username}</div>
               <div className="user-meta">
                 <span className="user-type">{userInfo.userType}</span>
+                {userInfo.role && (
+                  <span className={`user-role user-role-${userInfo.role}`} title="Your role in the bridge for this org">
+                    {capitalizeFirst(userInfo.role)}
+                  </span>
+                )}
                 {userInfo.email && <span className="user-email">{userInfo.email}</span>}
               </div>
             </div>
@@ -42,7 +68,7 @@ const Header = ({ loggedIn, userInfo, onLogout, onRefresh, rulesLoading }) => {
               </Button>
               <Button
                 variant="secondary"
-                onClick={onLogout}
+                onClick={() => onLogoutOrg(activeOrgId)}
                 icon={
                   <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
                     <path fillRule="evenodd" d="M3 3a1 1 0 00-1 1v12a1 1 0 102 0V4a1 1 0 00-1-1zm10.293 9.293a1 1 0 001.414 1.414l3-3a1 1 0 000-1.414l-3-3a1 1 0 10-1.414 1.414L14.586 9H7a1 1 0 100 2h7.586l-1.293 1.293z" clipRule="evenodd"/>
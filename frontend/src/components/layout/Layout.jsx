@@ -1,12 +1,29 @@
 import Header from './Header';
 import Footer from './Footer';
 
-const Layout = ({ children, loggedIn, userInfo, onLogout, onRefresh, rulesLoading }) => {
+const Layout = ({
+  children,
+  loggedIn,
+  userInfo,
+  orgs,
+  activeOrgId,
+  onSwitchOrg,
+  onConnectOrg,
+  onLogoutOrg,
+  onLogout,
+  onRefresh,
+  rulesLoading,
+}) => {
   return (
     <div className="app">
       <Header 
         loggedIn={loggedIn}
         userInfo={userInfo}
+        orgs={orgs}
+        activeOrgId={activeOrgId}
+        onSwitchOrg={onSwitchOrg}
+        onConnectOrg={onConnectOrg}
+        onLogoutOrg={onLogoutOrg}
         onLogout={onLogout}
         onRefresh={onRefresh}
         rulesLoading={rulesLoading}
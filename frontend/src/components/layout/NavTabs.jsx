@@ -0,0 +1,20 @@
+const NavTabs = ({ tabs, activeTab, onChange }) => {
+  return (
+    <nav className="nav-tabs" role="tablist">
+      {tabs.map((tab) => (
+        <button
+          key={tab.id}
+          role="tab"
+          aria-selected={activeTab === tab.id}
+          className={`nav-tab ${activeTab === tab.id ? 'nav-tab-active' : ''}`}
+          onClick={() => onChange(tab.id)}
+        >
+          {tab.label}
+          {tab.badge ? <span className="nav-tab-badge">{tab.badge}</span> : null}
+        </button>
+      ))}
+    </nav>
+  );
+};
+
+export default NavTabs;
@@ -0,0 +1,97 @@
+import { useState, useEffect, useRef } from 'react';
+import EnvironmentBadge from './EnvironmentBadge';
+import { getOrgLabel } from '../../utils/helpers';
+
+const OrgSwitcher = ({ orgs, activeOrgId, onSwitch, onLogoutOrg, onLogoutAll, onConnect }) => {
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  const current = orgs.find((o) => o.orgId === activeOrgId);
+
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setOpen(false);
+    };
+
+    document.addEventListener('mousedown', handleClick);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handleClick);
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [open]);
+
+  const handleAction = (action) => {
+    setOpen(false);
+    action();
+  };
+
+  if (!current) return null;
+
+  return (
+    <div className="org-switcher" ref={menuRef}>
+      <button
+        type="button"
+        className="org-switcher-toggle"
+        onClick={() => setOpen(!open)}
+        aria-haspopup="menu"
+        aria-expanded={open}
+      >
+        <EnvironmentBadge org={current} />
+        <span className="org-switcher-name">{getOrgLabel(current)}</span>
+        <svg width="16" height="16" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
+          <path fillRule="evenodd" d="M5.293 7.293a1 1 0 011.414 0L10 10.586l3.293-3.293a1 1 0 111.414 1.414l-4 4a1 1 0 01-1.414 0l-4-4a1 1 0 010-1.414z" clipRule="evenodd"/>
+        </svg>
+      </button>
+
+      {open && (
+        <ul className="org-switcher-list" role="menu">
+          <li className="export-menu-caption">
+            {orgs.length} connected org{orgs.length === 1 ? '' : 's'}
+          </li>
+          {orgs.map((org) => (
+            <li key={org.orgId} className="org-switcher-row">
+              <button
+                type="button"
+                role="menuitem"
+                className={`org-switcher-item ${org.orgId === activeOrgId ? 'org-switcher-item-current' : ''}`}
+                onClick={() => handleAction(() => org.orgId !== activeOrgId && onSwitch(org.orgId))}
+              >
+                <span className="org-switcher-item-title">
+                  <EnvironmentBadge org={org} />
+                  {getOrgLabel(org)}
+                </span>
+                <span className="export-menu-hint">{org.username}</span>
+              </button>
+              <button
+                type="button"
+                className="link-button org-switcher-logout"
+                onClick={() => handleAction(() => onLogoutOrg(org.orgId))}
+                aria-label={`Log out of ${getOrgLabel(org)}`}
+              >
+                Log out
+              </button>
+            </li>
+          ))}
+          <li className="org-switcher-footer">
+            <button type="button" className="link-button" onClick={() => handleAction(onConnect)}>
+              + Connect another org
+            </button>
+            {orgs.length > 1 && (
+              <button type="button" className="link-button" onClick={() => handleAction(onLogoutAll)}>
+                Log out of all orgs
+              </button>
+            )}
+          </li>
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default OrgSwitcher;
@@ -0,0 +1,213 @@
+import { useState, useMemo } from 'react';
+import Button from '../common/Button';
+import { formatDateTime } from '../../utils/helpers';
+
+const STATUS_LABELS = {
+  disabled: 'Rules disabled',
+  'partially-restored': 'Partially restored',
+  restored: 'Restored',
+};
+
+const RESULT_LABELS = {
+  restored: 'Restored',
+  failed: 'Failed',
+  missing: 'Deleted since snapshot',
+  'already-active': 'Re-enabled outside snapshot',
+};
+
+const MaintenancePanel = ({
+  rules,
+  snapshots,
+  snapshotsLoading,
+  busyId,
+  readOnly,
+  onCreate,
+  onRestore,
+  onDelete,
+}) => {
+  const [scope, setScope] = useState(new Set());
+  const [expandedId, setExpandedId] = useState(null);
+
+  // Objects that currently have active rules, with how many
+  const objects = useMemo(() => {
+    const counts = new Map();
+    rules.filter((r) => r.Active).forEach((r) => {
+      counts.set(r.EntityName, (counts.get(r.EntityName) || 0) + 1);
+    });
+    return [...counts.entries()]
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }, [rules]);
+
+  const affectedCount = objects
+    .filter((o) => scope.size === 0 || scope.has(o.name))
+    .reduce((sum, o) => sum + o.count, 0);
+
+  const toggleScope = (name) => {
+    setScope((prev) => {
+      const next = new Set(prev);
+      if (next.has(name)) next.delete(name);
+      else next.add(name);
+      return next;
+    });
+  };
+
+  const handleCreate = () => {
+    const target = scope.size === 0 ? 'all objects' : [...scope].join(', ');
+    if (!window.confirm(`Disable ${affectedCount} active rules on ${target}? A snapshot will be saved so they can be restored.`)) return;
+    onCreate([...scope]);
+    setScope(new Set());
+  };
+
+  const handleRestore = (snapshot) => {
+    if (!window.confirm(`Re-enable the ${snapshot.rules.length} rules captured on ${formatDateTime(snapshot.createdAt)}?`)) return;
+    setExpandedId(snapshot.id);
+    onRestore(snapshot.id);
+  };
+
+  const handleDelete = (snapshot) => {
+    const warning = snapshot.status === 'restored'
+      ? 'Delete this snapshot?'
+      : 'This snapshot has not been fully restored. Deleting it means its rules must be re-enabled by hand. Delete anyway?';
+    if (!window.confirm(warning)) return;
+    onDelete(snapshot.id);
+  };
+
+  return (
+    <section className="maintenance-section">
+      <div className="rules-header">
+        <div>
+          <h2 className="rules-title">Maintenance Mode</h2>
+          <p className="rules-subtitle">
+            Disable active rules for a data load and restore exactly the same set afterwards
+          </p>
+        </div>
+      </div>
+
+      {readOnly ? (
+        <p className="form-hint">Starting maintenance and restoring snapshots needs the operator role in this org.</p>
+      ) : (
+        <div className="maintenance-card">
+          <h3 className="maintenance-card-title">Start maintenance</h3>
+          <p className="form-hint">
+            Select objects to limit the snapshot, or leave everything unselected to include every object.
+          </p>
+
+          {objects.length === 0 ? (
+            <p className="drawer-empty-value">No active rules are loaded.</p>
+          ) : (
+            <div className="maintenance-objects">
+              {objects.map((o) => (
+                <label
+                  key={o.name}
+                  className={`maintenance-object ${scope.has(o.name) ? 'maintenance-object-selected' : ''}`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={scope.has(o.name)}
+                    onChange={() => toggleScope(o.name)}
+                  />
+                  {o.name}
+                  <span className="maintenance-object-count">{o.count}</span>
+                </label>
+              ))}
+            </div>
+          )}
+
+          <div className="form-actions">
+            <Button
+              variant="danger"
+              onClick={handleCreate}
+              disabled={affectedCount === 0 || busyId !== null}
+              loading={busyId === 'new'}
+            >
+              {busyId === 'new' ? 'Disabling...' : `Disable ${affectedCount} Rules & Save Snapshot`}
+            </Button>
+          </div>
+        </div>
+      )}
+
+      <h3 className="maintenance-list-title">Snapshots</h3>
+
+      {snapshotsLoading && snapshots.length === 0 && (
+        <p className="loading-text">Loading snapshots...</p>
+      )}
+
+      {!snapshotsLoading && snapshots.length === 0 && (
+        <p className="drawer-empty-value">No snapshots yet.</p>
+      )}
+
+      <ul className="snapshot-list">
+        {snapshots.map((snapshot) => {
+          const expanded = expandedId === snapshot.id;
+          const busy = busyId === snapshot.id;
+
+          return (
+            <li key={snapshot.id} className="snapshot-item">
+              <div className="snapshot-summary">
+                <div>
+                  <p className="snapshot-title">
+                    {snapshot.rules.length} rules
+                    {snapshot.objects.length > 0 ? ` on ${snapshot.objects.join(', ')}` : ' on all objects'}
+                  </p>
+                  <p className="drawer-date">
+                    {formatDateTime(snapshot.createdAt)} by {snapshot.createdBy}
+                    {snapshot.restoredAt && ` · restored ${formatDateTime(snapshot.restoredAt)}`}
+                  </p>
+                </div>
+
+                <span className={`status-badge snapshot-status-${snapshot.status}`}>
+                  {STATUS_LABELS[snapshot.status] || snapshot.status}
+                </span>
+
+                <div className="snapshot-actions">
+                  <Button variant="secondary" onClick={() => setExpandedId(expanded ? null : snapshot.id)}>
+                    {expanded ? 'Hide' : 'Details'}
+                  </Button>
+                  {!readOnly && snapshot.status !== 'restored' && (
+                    <Button
+                      variant="success"
+                      onClick={() => handleRestore(snapshot)}
+                      disabled={busyId !== null}
+                      loading={busy}
+                    >
+                      {busy ? 'Restoring...' : 'Restore'}
+                    </Button>
+                  )}
+                  {!readOnly && (
+                    <Button variant="danger" onClick={() => handleDelete(snapshot)} disabled={busyId !== null}>
+                      Delete
+                    </Button>
+                  )}
+                </div>
+              </div>
+
+              {expanded && (
+                <ul className="snapshot-rules">
+                  {snapshot.rules.map((rule) => {
+                    const result = snapshot.restoreResults.find((r) => r.Id === rule.Id);
+                    return (
+                      <li
+                        key={rule.Id}
+                        className={`snapshot-rule ${result && result.status !== 'restored' ? 'snapshot-rule-changed' : ''}`}
+                      >
+                        <span>
+                          {rule.EntityName}.{rule.ValidationName}
+                        </span>
+                        <span className="snapshot-rule-status">
+                          {result ? RESULT_LABELS[result.status] || result.status : 'Pending'}
+                        </span>
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+};
+
+export default MaintenancePanel;
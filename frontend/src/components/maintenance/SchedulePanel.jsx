@@ -0,0 +1,119 @@
+import Button from '../common/Button';
+import WindowCountdown from '../rules/WindowCountdown';
+import { formatDateTime } from '../../utils/helpers';
+
+const STATUS_LABELS = {
+  scheduled: 'Upcoming',
+  active: 'Active',
+  completed: 'Completed',
+  cancelled: 'Cancelled',
+  missed: 'Missed',
+  failed: 'Failed',
+};
+
+const EXTEND_OPTIONS = [30, 60];
+
+const SchedulePanel = ({ windows, busyWindowId, readOnly, onCancel, onExtend }) => {
+  const pending = windows.filter((w) => ['scheduled', 'active'].includes(w.status));
+  const finished = windows.filter((w) => !['scheduled', 'active'].includes(w.status)).reverse();
+
+  const handleCancel = (schedule) => {
+    const message = schedule.status === 'scheduled'
+      ? 'Cancel this deactivation window?'
+      : `${schedule.status === 'active' ? 'End this window now and re-enable' : 'Re-enable'} ${schedule.heldIds.length} rules?`;
+    if (!window.confirm(message)) return;
+    onCancel(schedule.id);
+  };
+
+  const renderWindow = (schedule) => {
+    const busy = busyWindowId === schedule.id;
+    const open = ['scheduled', 'active'].includes(schedule.status);
+    // A failed window can leave rules disabled until someone re-enables them
+    const stuck = schedule.status === 'failed' && schedule.heldIds.length > 0;
+
+    return (
+      <li key={schedule.id} className="snapshot-item">
+        <div className="snapshot-summary">
+          <div>
+            <p className="snapshot-title">
+              {schedule.rules.length === 1
+                ? `${schedule.rules[0].EntityName}.${schedule.rules[0].ValidationName}`
+                : `${schedule.rules.length} rules`}
+            </p>
+            <p className="drawer-date">
+              {formatDateTime(schedule.startAt)} → {formatDateTime(schedule.endAt)} · by {schedule.createdBy}
+            </p>
+            {open && <WindowCountdown schedule={schedule} />}
+            {schedule.error && <p className="form-error">{schedule.error}</p>}
+            {stuck && (
+              <p className="form-error">
+                Still disabled: {schedule.rules
+                  .filter((r) => schedule.heldIds.includes(r.Id))
+                  .map((r) => `${r.EntityName}.${r.ValidationName}`)
+                  .join(', ')}
+              </p>
+            )}
+          </div>
+
+          <span className={`status-badge window-status-${schedule.status}`}>
+            {STATUS_LABELS[schedule.status] || schedule.status}
+          </span>
+
+          {open && !readOnly && (
+            <div className="snapshot-actions">
+              {EXTEND_OPTIONS.map((minutes) => (
+                <Button
+                  key={minutes}
+                  variant="secondary"
+                  onClick={() => onExtend(schedule.id, minutes)}
+                  disabled={busyWindowId !== null}
+                >
+                  +{minutes < 60 ? `${minutes}m` : `${minutes / 60}h`}
+                </Button>
+              ))}
+              <Button
+                variant="danger"
+                onClick={() => handleCancel(schedule)}
+                disabled={busyWindowId !== null}
+                loading={busy}
+              >
+                {schedule.status === 'active' ? 'End now' : 'Cancel'}
+              </Button>
+            </div>
+          )}
+
+          {stuck && !readOnly && (
+            <div className="snapshot-actions">
+              <Button
+                variant="primary"
+                onClick={() => handleCancel(schedule)}
+                disabled={busyWindowId !== null}
+                loading={busy}
+              >
+                Re-enable now
+              </Button>
+            </div>
+          )}
+        </div>
+      </li>
+    );
+  };
+
+  return (
+    <>
+      <h3 className="maintenance-list-title">Deactivation Windows</h3>
+      <p className="form-hint">
+        Schedule a window from the Rules tab by selecting rules and choosing &quot;Schedule&quot;.
+      </p>
+
+      {windows.length === 0 && <p className="drawer-empty-value">No deactivation windows.</p>}
+
+      <ul className="snapshot-list maintenance-windows">
+        {pending.map(renderWindow)}
+        {finished.map(renderWindow)}
+      </ul>
+    </>
+  );
+};
+
+export default SchedulePanel;
@@ -0,0 +1,84 @@
+import { useState, useEffect } from 'react';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+import FieldReferences from './FieldReferences';
+import { fetchBrokenReferences } from '../../services/api';
+import { formatDateTime } from '../../utils/helpers';
+
+const BrokenReferencesModal = ({ onClose, onSelectRule }) => {
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadReport = async () => {
+      try {
+        const data = await fetchBrokenReferences();
+        if (!cancelled) setReport(data);
+      } catch (err) {
+        console.error('Failed to check field references:', err);
+        if (!cancelled) setError(err.message || 'Failed to check field references');
+      }
+    };
+
+    loadReport();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const footer = (
+    <Button variant="primary" onClick={onClose}>
+      Close
+    </Button>
+  );
+
+  return (
+    <Modal title="Broken Field References" onClose={onClose} footer={footer} size="large">
+      {error && (
+        <div className="form-errors" role="alert">
+          <p className="form-error">{error}</p>
+        </div>
+      )}
+
+      {!report && !error && (
+        <p className="loading-text">
+          Reading every rule&apos;s formula and checking it against the object definitions, this can take a minute...
+        </p>
+      )}
+
+      {report && (
+        <>
+          <p className="form-hint">
+            {report.summary.scanned} rules checked {formatDateTime(report.checkedAt)} ·{' '}
+            {report.summary.withBroken} with fields that could not be found
+          </p>
+
+          {report.rules.length === 0 ? (
+            <p className="plan-result-success">Every referenced field exists.</p>
+          ) : (
+            <ul className="plan-list">
+              {report.rules.map((rule) => (
+                <li key={rule.Id} className="plan-row plan-row-missing broken-reference-row">
+                  <button type="button" className="link-button" onClick={() => onSelectRule(rule)}>
+                    {rule.EntityName}.{rule.ValidationName}
+                    {!rule.Active && ' (disabled)'}
+                  </button>
+                  <FieldReferences references={rule.references.filter((r) => r.status === 'missing')} />
+                  <ul className="broken-reference-messages">
+                    {rule.references.filter((r) => r.status === 'missing').map((r) => (
+                      <li key={r.path}>{r.message}</li>
+                    ))}
+                  </ul>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </Modal>
+  );
+};
+
+export default BrokenReferencesModal;
@@ -0,0 +1,112 @@
+import Button from '../common/Button';
+
+const BulkActionBar = ({
+  filteredRules,
+  selectedIds,
+  bulkProgress,
+  onSelectAll,
+  onClearSelection,
+  onBulkToggle,
+  onSchedule,
+  onPromote,
+  onBypass,
+  onDismissProgress,
+}) => {
+  const running = bulkProgress?.running;
+  const allFilteredSelected = filteredRules.length > 0 &&
+    filteredRules.every((rule) => selectedIds.has(rule.Id));
+
+  const handleSelectAllChange = (e) => {
+    if (e.target.checked) {
+      onSelectAll(filteredRules.map((rule) => rule.Id));
+    } else {
+      onClearSelection();
+    }
+  };
+
+  return (
+    <div className="bulk-bar">
+      <div className="bulk-bar-row">
+        <label className="form-checkbox">
+          <input
+            type="checkbox"
+            checked={allFilteredSelected}
+            onChange={handleSelectAllChange}
+            disabled={running}
+          />
+          Select all filtered ({filteredRules.length})
+        </label>
+
+        {selectedIds.size > 0 && (
+          <div className="bulk-bar-actions">
+            <span className="bulk-bar-count">{selectedIds.size} selected</span>
+            {onBulkToggle && (
+              <>
+                <Button variant="success" onClick={() => onBulkToggle(true)} disabled={running}>
+                  Enable selected
+                </Button>
+                <Button variant="danger" onClick={() => onBulkToggle(false)} disabled={running}>
+                  Disable selected
+                </Button>
+              </>
+            )}
+            {onSchedule && (
+              <Button variant="secondary" onClick={onSchedule} disabled={running}>
+                Schedule...
+              </Button>
+            )}
+            {onBypass && (
+              <Button variant="secondary" onClick={onBypass} disabled={running}>
+                Add Bypass...
+              </Button>
+            )}
+            {onPromote && (
+              <Button variant="secondary" onClick={onPromote} disabled={running}>
+                Promote...
+              </Button>
+            )}
+            <Button variant="secondary" onClick={onClearSelection} disabled={running}>
+              Clear
+            </Button>
+          </div>
+        )}
+      </div>
+
+      {bulkProgress && (
+        <div className="bulk-progress" role="status">
+          <div className="bulk-progress-header">
+            <span>
+              {running ? (bulkProgress.active ? 'Enabling' : 'Disabling') : 'Finished'}:{' '}
+              {bulkProgress.done} of {bulkProgress.total}
+              {bulkProgress.failures.length > 0 && (
+                <span className="bulk-progress-failed"> · {bulkProgress.failures.length} failed</span>
+              )}
+            </span>
+            {!running && (
+              <button className="drawer-close" onClick={onDismissProgress} aria-label="Dismiss progress">
+                ×
+              </button>
+            )}
+          </div>
+          <div className="progress-track">
+            <div
+              className={`progress-fill ${bulkProgress.failures.length > 0 ? 'progress-fill-warning' : ''}`}
+              style={{ width: `${(bulkProgress.done / bulkProgress.total) * 100}%` }}
+            />
+          </div>
+          {bulkProgress.failures.length > 0 && (
+            <ul className="bulk-failures">
+              {bulkProgress.failures.map((failure) => (
+                <li key={failure.Id}>
+                  <strong>{failure.name}</strong>: {failure.error}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkActionBar;
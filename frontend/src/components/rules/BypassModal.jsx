@@ -0,0 +1,201 @@
+import { useState, useEffect } from 'react';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+import FormulaDiff from '../compare/FormulaDiff';
+import { previewBypass, applyBypass } from '../../services/api';
+
+const STATUS_LABELS = {
+  ready: 'Will be wrapped',
+  'has-bypass': 'Already has bypass',
+  'too-long': 'Formula too long',
+  error: 'Could not read',
+};
+
+// Previews and adds the standard bypass expression to one or more rules
+const BypassModal = ({ ruleIds, requireChangeReason, onClose, onApplied, onApprovalRequested }) => {
+  // The selection is fixed when the modal opens
+  const [ids] = useState(ruleIds);
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [expandedId, setExpandedId] = useState(ids.length === 1 ? ids[0] : null);
+  const [reason, setReason] = useState('');
+  const [ticketId, setTicketId] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadPreview = async () => {
+      try {
+        const data = await previewBypass(ids);
+        if (!cancelled) setPreview(data);
+      } catch (err) {
+        console.error('Failed to preview bypass:', err);
+        if (!cancelled) setError(err.message || 'Failed to preview the new formulas');
+      }
+    };
+
+    loadPreview();
+    return () => {
+      cancelled = true;
+    };
+  }, [ids]);
+
+  const reasonComplete = !requireChangeReason || (reason.trim() && ticketId.trim());
+  const readyCount = preview ? preview.summary.ready : 0;
+  const outcomes = result ? Object.fromEntries(result.results.map((r) => [r.Id, r])) : {};
+
+  const handleApply = async () => {
+    setWorking(true);
+    setError(null);
+    try {
+      const ready = preview.rules.filter((r) => r.status === 'ready').map((r) => r.Id);
+      const change = requireChangeReason ? { reason: reason.trim(), ticketId: ticketId.trim() } : {};
+      const data = await applyBypass(ready, change);
+      if (data.pending) {
+        onApprovalRequested(data.approval);
+        onClose();
+        return;
+      }
+      setResult(data);
+      onApplied(data);
+    } catch (err) {
+      console.error('Failed to add bypass:', err);
+      setError(err.message || 'Failed to add the bypass');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const footer = result ? (
+    <Button variant="primary" onClick={onClose}>
+      Done
+    </Button>
+  ) : (
+    <>
+      <Button variant="secondary" onClick={onClose} disabled={working}>
+        Cancel
+      </Button>
+      <Button
+        variant="primary"
+        onClick={handleApply}
+        disabled={working || readyCount === 0 || !reasonComplete}
+        loading={working}
+      >
+        {working ? 'Saving...' : `Add Bypass to ${readyCount} Rule${readyCount === 1 ? '' : 's'}`}
+      </Button>
+    </>
+  );
+
+  return (
+    <Modal title="Add Bypass" onClose={onClose} footer={footer} size="large">
+      {error && (
+        <div className="form-errors" role="alert">
+          <p className="form-error">{error}</p>
+        </div>
+      )}
+
+      {!preview && !error && <p className="loading-text">Reading the current formulas...</p>}
+
+      {preview && (
+        <>
+          <p className="form-hint">
+            Each formula is changed to start with <code>{preview.expression} &amp;&amp;</code> so users
+            with the bypass are never blocked. Review the new formulas before saving.
+          </p>
+
+          <div className="plan-summary">
+            <span className="plan-chip plan-chip-enable">{preview.summary.ready} to update</span>
+            <span className="plan-chip">{preview.summary.hasBypass} already bypassed</span>
+            {preview.summary.failed > 0 && (
+              <span className="plan-chip plan-chip-disable">{preview.summary.failed} cannot be updated</span>
+            )}
+          </div>
+
+          {result && (
+            <p className={result.success ? 'plan-result-success' : 'form-error'} role="status">
+              {result.updated} updated, {result.skipped} skipped, {result.failed} failed.
+            </p>
+          )}
+
+          <ul className="compare-list">
+            {preview.rules.map((rule) => {
+              const outcome = outcomes[rule.Id];
+
+              return (
+                <li key={rule.Id} className="compare-row">
+                  <button
+                    type="button"
+                    className="compare-row-header"
+                    onClick={() => setExpandedId(expandedId === rule.Id ? null : rule.Id)}
+                    aria-expanded={expandedId === rule.Id}
+                    disabled={!rule.newFormula}
+                  >
+                    <span className="compare-rule-name">
+                      <span className="rule-entity">{rule.EntityName}</span>
+                      {rule.ValidationName || rule.Id}
+                    </span>
+                    <span className="compare-differences">
+                      {rule.otherBypass && (
+                        <span className="compare-field-chip" title="The formula already checks another $Permission or $Setup value">
+                          Other bypass
+                        </span>
+                      )}
+                      <span className={`bypass-status bypass-status-${outcome ? (outcome.success ? 'saved' : 'failed') : rule.status}`}>
+                        {outcome ? (outcome.success ? 'Saved' : 'Failed') : STATUS_LABELS[rule.status]}
+                      </span>
+                    </span>
+                  </button>
+
+                  {(rule.error || outcome?.error) && (
+                    <p className="form-error bypass-error">{outcome?.error || rule.error}</p>
+                  )}
+
+                  {expandedId === rule.Id && rule.newFormula && (
+                    <div className="compare-detail">
+                      <div className="compare-detail-sides">
+                        <span>Current</span>
+                        <span>With bypass</span>
+                      </div>
+                      <FormulaDiff before={rule.formula} after={rule.newFormula} />
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+
+          {requireChangeReason && !result && (
+            <div className="plan-reason">
+              <div className="form-group">
+                <label className="form-label" htmlFor="bypassTicketId">Ticket</label>
+                <input
+                  id="bypassTicketId"
+                  type="text"
+                  className="form-input"
+                  maxLength={100}
+                  value={ticketId}
+                  onChange={(e) => setTicketId(e.target.value)}
+                />
+              </div>
+              <div className="form-group">
+                <label className="form-label" htmlFor="bypassReason">Reason</label>
+                <input
+                  id="bypassReason"
+                  type="text"
+                  className="form-input"
+                  maxLength={500}
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                />
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </Modal>
+  );
+};
+
+export default BypassModal;
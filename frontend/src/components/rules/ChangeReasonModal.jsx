@@ -0,0 +1,69 @@
+import { useState } from 'react';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+
+const ChangeReasonModal = ({ description, onClose, onConfirm }) => {
+  const [reason, setReason] = useState('');
+  const [ticketId, setTicketId] = useState('');
+
+  const complete = reason.trim() && ticketId.trim();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!complete) return;
+    onConfirm({ reason: reason.trim(), ticketId: ticketId.trim() });
+  };
+
+  const footer = (
+    <>
+      <Button variant="secondary" onClick={onClose}>
+        Cancel
+      </Button>
+      <Button variant="primary" onClick={handleSubmit} disabled={!complete} loading={false}>
+        Continue
+      </Button>
+    </>
+  );
+
+  return (
+    <Modal title="Change Justification" onClose={onClose} footer={footer}>
+      <form onSubmit={handleSubmit}>
+        <p className="form-hint">
+          {description}. Production changes need a reason and a ticket reference.
+        </p>
+
+        <div className="form-group">
+          <label className="form-label" htmlFor="changeTicketId">
+            Ticket
+          </label>
+          <input
+            id="changeTicketId"
+            type="text"
+            className="form-input"
+            placeholder="CHG-1234"
+            maxLength={100}
+            value={ticketId}
+            onChange={(e) => setTicketId(e.target.value)}
+            autoFocus
+          />
+        </div>
+
+        <div className="form-group">
+          <label className="form-label" htmlFor="changeReason">
+            Reason
+          </label>
+          <textarea
+            id="changeReason"
+            className="form-input form-textarea"
+            rows={3}
+            maxLength={500}
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+          />
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default ChangeReasonModal;
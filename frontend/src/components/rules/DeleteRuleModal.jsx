@@ -0,0 +1,102 @@
+import { useState } from 'react';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+import { deleteRule } from '../../services/api';
+
+const DeleteRuleModal = ({ rule, requireChangeReason, onClose, onDeleted, onApprovalRequested }) => {
+  const [confirmName, setConfirmName] = useState('');
+  const [deleting, setDeleting] = useState(false);
+  const [error, setError] = useState(null);
+  const [reason, setReason] = useState('');
+  const [ticketId, setTicketId] = useState('');
+
+  const reasonComplete = !requireChangeReason || (reason.trim() && ticketId.trim());
+  const confirmed = confirmName === rule.ValidationName && reasonComplete;
+
+  const handleDelete = async () => {
+    if (!confirmed) return;
+
+    setDeleting(true);
+    setError(null);
+    try {
+      const change = requireChangeReason ? { reason: reason.trim(), ticketId: ticketId.trim() } : {};
+      const data = await deleteRule(rule.Id, change);
+      if (data.pending) {
+        onApprovalRequested(data.approval);
+        onClose();
+      } else {
+        onDeleted(rule);
+      }
+    } catch (err) {
+      console.error('Failed to delete rule:', err);
+      setError(err.message || 'Failed to delete validation rule');
+      setDeleting(false);
+    }
+  };
+
+  const footer = (
+    <>
+      <Button variant="secondary" onClick={onClose}>
+        Cancel
+      </Button>
+      <Button variant="danger" onClick={handleDelete} disabled={!confirmed || deleting}>
+        {deleting ? 'Deleting...' : 'Delete Rule'}
+      </Button>
+    </>
+  );
+
+  return (
+    <Modal title="Delete Validation Rule" onClose={onClose} footer={footer}>
+      {error && (
+        <div className="form-errors" role="alert">
+          <p className="form-error">{error}</p>
+        </div>
+      )}
+      <p className="modal-text">
+        This permanently deletes <strong>{rule.ValidationName}</strong> on{' '}
+        <strong>{rule.EntityName}</strong>. This cannot be undone.
+      </p>
+      <div className="form-group">
+        <label className="form-label" htmlFor="confirmRuleName">
+          Type <code>{rule.ValidationName}</code> to confirm
+        </label>
+        <input
+          id="confirmRuleName"
+          type="text"
+          className="form-input"
+          autoComplete="off"
+          value={confirmName}
+          onChange={(e) => setConfirmName(e.target.value)}
+        />
+      </div>
+      {requireChangeReason && (
+        <div className="plan-reason">
+          <div className="form-group">
+            <label className="form-label" htmlFor="deleteTicketId">Ticket</label>
+            <input
+              id="deleteTicketId"
+              type="text"
+              className="form-input"
+              maxLength={100}
+              value={ticketId}
+              onChange={(e) => setTicketId(e.target.value)}
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label" htmlFor="deleteReason">Reason</label>
+            <input
+              id="deleteReason"
+              type="text"
+              className="form-input"
+              maxLength={500}
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+            />
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default DeleteRuleModal;
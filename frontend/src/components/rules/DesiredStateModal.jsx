@@ -0,0 +1,232 @@
+import { useState } from 'react';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+import { createDesiredStatePlan, applyDesiredStatePlan } from '../../services/api';
+
+const ACTION_GROUPS = [
+  { action: 'enable', title: 'Will be enabled' },
+  { action: 'disable', title: 'Will be disabled' },
+  { action: 'missing', title: 'Missing in this org' },
+];
+
+const readFile = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+});
+
+const DesiredStateModal = ({ requireChangeReason, onClose, onApplied, onApprovalRequested }) => {
+  const [plan, setPlan] = useState(null);
+  const [result, setResult] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [showUnchanged, setShowUnchanged] = useState(false);
+  const [reason, setReason] = useState('');
+  const [ticketId, setTicketId] = useState('');
+
+  const changeCount = plan ? plan.summary.enable + plan.summary.disable : 0;
+  const reasonComplete = !requireChangeReason || (reason.trim() && ticketId.trim());
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setWorking(true);
+    setError(null);
+    try {
+      const content = await readFile(file);
+      const data = await createDesiredStatePlan({ content, filename: file.name });
+      setPlan(data.plan);
+    } catch (err) {
+      console.error('Failed to plan desired state:', err);
+      setError(err.message || 'Failed to read the file');
+    } finally {
+      setWorking(false);
+      e.target.value = '';
+    }
+  };
+
+  const handleApply = async () => {
+    if (!window.confirm(`Apply ${changeCount} change${changeCount === 1 ? '' : 's'} to this org?`)) return;
+
+    setWorking(true);
+    setError(null);
+    try {
+      const change = requireChangeReason ? { reason: reason.trim(), ticketId: ticketId.trim() } : {};
+      const data = await applyDesiredStatePlan(plan.id, change);
+      if (data.pending) {
+        onApprovalRequested(data.approval);
+        onClose();
+        return;
+      }
+      setResult(data);
+      onApplied(data.results);
+    } catch (err) {
+      console.error('Failed to apply desired state:', err);
+      setError(err.message || 'Failed to apply the plan');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const footer = result ? (
+    <Button variant="primary" onClick={onClose} loading={false}>
+      Done
+    </Button>
+  ) : (
+    <>
+      <Button variant="secondary" onClick={plan ? () => setPlan(null) : onClose}>
+        {plan ? 'Back' : 'Cancel'}
+      </Button>
+      {plan && (
+        <Button
+          variant="primary"
+          onClick={handleApply}
+          disabled={working || changeCount === 0 || !reasonComplete}
+          loading={working}
+        >
+          {working ? 'Applying...' : `Apply ${changeCount} Change${changeCount === 1 ? '' : 's'}`}
+        </Button>
+      )}
+    </>
+  );
+
+  return (
+    <Modal title="Apply Desired State" onClose={onClose} footer={footer} size="large">
+      {error && (
+        <div className="form-errors" role="alert">
+          <p className="form-error">{error}</p>
+        </div>
+      )}
+
+      {!plan && (
+        <div className="desired-state-upload">
+          <p className="form-hint">
+            Upload a JSON, YAML or CSV file mapping rule full names (Object.Rule_Name) to true or false.
+            Nothing changes until you review the plan and apply it.
+          </p>
+          <label className="btn btn-secondary desired-state-file">
+            {working ? 'Reading...' : 'Choose File'}
+            <input type="file" accept=".json,.yaml,.yml,.csv" onChange={handleFile} disabled={working} hidden />
+          </label>
+        </div>
+      )}
+
+      {plan && (
+        <>
+          <p className="form-hint">
+            {plan.filename} · planned {new Date(plan.createdAt).toLocaleTimeString()}, expires{' '}
+            {new Date(plan.expiresAt).toLocaleTimeString()}
+          </p>
+
+          <div className="plan-summary">
+            <span className="plan-chip plan-chip-enable">{plan.summary.enable} enable</span>
+            <span className="plan-chip plan-chip-disable">{plan.summary.disable} disable</span>
+            <span className="plan-chip plan-chip-missing">{plan.summary.missing} missing</span>
+            <span className="plan-chip">{plan.summary.unchanged} unchanged</span>
+            <span className="plan-chip">{plan.summary.unlisted} not in file</span>
+            {plan.summary.invalid > 0 && (
+              <span className="plan-chip plan-chip-missing">{plan.summary.invalid} invalid</span>
+            )}
+          </div>
+
+          {plan.errors.length > 0 && (
+            <section className="drawer-section">
+              <h3 className="drawer-label">Skipped entries</h3>
+              <ul className="plan-list">
+                {plan.errors.map((e, index) => (
+                  <li key={index} className="plan-row plan-row-missing">
+                    <span>{e.position}</span>
+                    <span>{e.message}</span>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          {ACTION_GROUPS.map(({ action, title }) => {
+            const items = plan.changes.filter((c) => c.action === action);
+            if (items.length === 0) return null;
+
+            return (
+              <section key={action} className="drawer-section">
+                <h3 className="drawer-label">{title}</h3>
+                <ul className="plan-list">
+                  {items.map((item) => {
+                    const outcome = result?.results.find((r) => r.fullName === item.fullName);
+                    return (
+                      <li key={item.fullName} className={`plan-row plan-row-${action}`}>
+                        <span>{item.fullName}</span>
+                        <span>
+                          {action === 'missing'
+                            ? 'Not found'
+                            : `${item.currentActive ? 'Enabled' : 'Disabled'} → ${item.desiredActive ? 'Enabled' : 'Disabled'}`}
+                          {outcome && (outcome.success ? ' ✓' : ` ✗ ${outcome.error}`)}
+                        </span>
+                      </li>
+                    );
+                  })}
+                </ul>
+              </section>
+            );
+          })}
+
+          {plan.summary.unchanged > 0 && (
+            <section className="drawer-section">
+              <button type="button" className="link-button" onClick={() => setShowUnchanged(!showUnchanged)}>
+                {showUnchanged ? 'Hide' : 'Show'} {plan.summary.unchanged} unchanged rules
+              </button>
+              {showUnchanged && (
+                <ul className="plan-list">
+                  {plan.changes.filter((c) => c.action === 'unchanged').map((item) => (
+                    <li key={item.fullName} className="plan-row">
+                      <span>{item.fullName}</span>
+                      <span>{item.currentActive ? 'Enabled' : 'Disabled'}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </section>
+          )}
+
+          {requireChangeReason && !result && changeCount > 0 && (
+            <div className="plan-reason">
+              <div className="form-group">
+                <label className="form-label" htmlFor="planTicketId">Ticket</label>
+                <input
+                  id="planTicketId"
+                  type="text"
+                  className="form-input"
+                  maxLength={100}
+                  value={ticketId}
+                  onChange={(e) => setTicketId(e.target.value)}
+                />
+              </div>
+              <div className="form-group">
+                <label className="form-label" htmlFor="planReason">Reason</label>
+                <input
+                  id="planReason"
+                  type="text"
+                  className="form-input"
+                  maxLength={500}
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                />
+              </div>
+            </div>
+          )}
+
+          {result && (
+            <p className={result.success ? 'plan-result-success' : 'form-error'}>
+              {result.succeeded} of {result.total} changes applied
+              {result.failed > 0 && `, ${result.failed} failed`}
+            </p>
+          )}
+        </>
+      )}
+    </Modal>
+  );
+};
+
+export default DesiredStateModal;
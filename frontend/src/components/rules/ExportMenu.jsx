@@ -0,0 +1,75 @@
+import { useState, useEffect, useRef } from 'react';
+import Button from '../common/Button';
+
+const EXPORT_OPTIONS = [
+  { format: 'csv', label: 'CSV', hint: 'Spreadsheet with one row per rule' },
+  { format: 'json', label: 'JSON', hint: 'Full rule definitions' },
+  { format: 'xml', label: 'Metadata XML (.zip)', hint: 'SFDX source files with package.xml' },
+];
+
+const ExportMenu = ({ onExport, exporting, count }) => {
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setOpen(false);
+    };
+
+    document.addEventListener('mousedown', handleClick);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handleClick);
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [open]);
+
+  const handleSelect = (format) => {
+    setOpen(false);
+    onExport(format);
+  };
+
+  return (
+    <div className="export-menu" ref={menuRef}>
+      <Button
+        variant="secondary"
+        onClick={() => setOpen(!open)}
+        disabled={exporting || count === 0}
+        loading={exporting}
+        icon={
+          <svg width="16" height="16" viewBox="0 0 20 20" fill="currentColor">
+            <path fillRule="evenodd" d="M3 17a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zm3.293-7.707a1 1 0 011.414 0L9 10.586V3a1 1 0 112 0v7.586l1.293-1.293a1 1 0 111.414 1.414l-3 3a1 1 0 01-1.414 0l-3-3a1 1 0 010-1.414z" clipRule="evenodd"/>
+          </svg>
+        }
+      >
+        {exporting ? 'Exporting...' : 'Export'}
+      </Button>
+
+      {open && (
+        <ul className="export-menu-list" role="menu">
+          <li className="export-menu-caption">{count} rule{count === 1 ? '' : 's'} matching the current view</li>
+          {EXPORT_OPTIONS.map((option) => (
+            <li key={option.format}>
+              <button
+                type="button"
+                role="menuitem"
+                className="export-menu-item"
+                onClick={() => handleSelect(option.format)}
+              >
+                <span className="export-menu-label">{option.label}</span>
+                <span className="export-menu-hint">{option.hint}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
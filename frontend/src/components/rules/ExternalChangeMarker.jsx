@@ -0,0 +1,16 @@
+import { useNow } from '../../hooks/useNow';
+import { formatDateTime, formatTimeAgo } from '../../utils/helpers';
+
+// Flags a rule last created or edited directly in Salesforce Setup
+const ExternalChangeMarker = ({ change }) => {
+  const now = useNow(60000);
+  const verb = change.change === 'created' ? 'Created' : 'Modified';
+
+  return (
+    <p className="external-change" title={formatDateTime(change.at)}>
+      {verb} externally by {change.by}, {formatTimeAgo(change.at, now)}
+    </p>
+  );
+};
+
+export default ExternalChangeMarker;
@@ -0,0 +1,32 @@
+const STATUS_TITLES = {
+  ok: 'Field exists',
+  missing: 'Field not found',
+  unchecked: 'Not checked',
+};
+
+// Chips for the fields a formula references; missing ones are flagged
+const FieldReferences = ({ references }) => {
+  if (references.length === 0) {
+    return <p className="drawer-empty-value">No field references</p>;
+  }
+
+  return (
+    <ul className="field-chips">
+      {references.map((ref) => (
+        <li
+          key={ref.path}
+          className={`field-chip field-chip-${ref.status} ${ref.global ? 'field-chip-global' : ''}`}
+          title={ref.message || STATUS_TITLES[ref.status]}
+        >
+          {ref.status === 'missing' && <span aria-hidden="true">⚠ </span>}
+          {ref.path}
+          {ref.usedIn.map((fn) => (
+            <span key={fn} className="field-chip-usage">{fn}</span>
+          ))}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default FieldReferences;
@@ -0,0 +1,24 @@
+import { useMemo } from 'react';
+import { tokenizeFormula } from '../../utils/formula';
+
+const FormulaHighlighter = ({ formula }) => {
+  const tokens = useMemo(() => tokenizeFormula(formula), [formula]);
+
+  if (!formula) {
+    return <p className="drawer-empty-value">No formula</p>;
+  }
+
+  return (
+    <pre className="formula-code">
+      <code>
+        {tokens.map((token, index) => (
+          <span key={index} className={`formula-token formula-${token.type}`}>
+            {token.value}
+          </span>
+        ))}
+      </code>
+    </pre>
+  );
+};
+
+export default FormulaHighlighter;
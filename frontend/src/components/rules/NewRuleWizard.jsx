@@ -0,0 +1,318 @@
+import { useState, useEffect, useMemo } from 'react';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+import SearchBox from '../common/Searchbox';
+import FormulaHighlighter from './FormulaHighlighter';
+import { fetchObjects, createRule } from '../../services/api';
+import { useUnsavedChanges } from '../../hooks/useUnsavedChanges';
+
+const STEPS = ['Object', 'Details', 'Review'];
+
+const EMPTY_RULE = {
+  validationName: '',
+  errorConditionFormula: '',
+  errorMessage: '',
+  errorDisplayField: '',
+  description: '',
+  active: true,
+};
+
+const RULE_NAME_PATTERN = /^[A-Za-z](?:[A-Za-z0-9]|_(?!_))*$/;
+
+const NewRuleWizard = ({ requireChangeReason, onClose, onCreated, onApprovalRequested }) => {
+  const [step, setStep] = useState(0);
+  const [objects, setObjects] = useState([]);
+  const [objectsLoading, setObjectsLoading] = useState(true);
+  const [objectSearch, setObjectSearch] = useState('');
+  const [objectName, setObjectName] = useState('');
+  const [values, setValues] = useState(EMPTY_RULE);
+  const [saving, setSaving] = useState(false);
+  const [errors, setErrors] = useState([]);
+  const [reason, setReason] = useState('');
+  const [ticketId, setTicketId] = useState('');
+
+  const reasonComplete = !requireChangeReason || (reason.trim() && ticketId.trim());
+  const dirty = Boolean(objectName) || Object.keys(EMPTY_RULE).some((k) => values[k] !== EMPTY_RULE[k]);
+
+  useUnsavedChanges(dirty);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetchObjects()
+      .then((data) => {
+        if (!cancelled) setObjects(data.objects || []);
+      })
+      .catch((err) => {
+        console.error('Failed to fetch objects:', err);
+        if (!cancelled) setErrors([{ message: 'Failed to load objects. Please try again.' }]);
+      })
+      .finally(() => {
+        if (!cancelled) setObjectsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const filteredObjects = useMemo(() => {
+    const term = objectSearch.toLowerCase();
+    return objects.filter((o) =>
+      o.label.toLowerCase().includes(term) || o.name.toLowerCase().includes(term)
+    );
+  }, [objects, objectSearch]);
+
+  const nameError = values.validationName && (
+    !RULE_NAME_PATTERN.test(values.validationName) || values.validationName.endsWith('_')
+  )
+    ? 'Use letters, numbers and single underscores, starting with a letter'
+    : null;
+
+  const detailsComplete = values.validationName && !nameError &&
+    values.errorConditionFormula.trim() && values.errorMessage.trim();
+
+  const handleChange = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setValues((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleClose = () => {
+    if (dirty && !window.confirm('Discard this new rule?')) return;
+    onClose();
+  };
+
+  const handleCreate = async () => {
+    setSaving(true);
+    setErrors([]);
+    try {
+      const change = requireChangeReason ? { reason: reason.trim(), ticketId: ticketId.trim() } : {};
+      const data = await createRule({ objectName, ...values }, change);
+      if (data.pending) {
+        onApprovalRequested(data.approval);
+      } else {
+        onCreated(data.rule);
+      }
+    } catch (err) {
+      console.error('Failed to create rule:', err);
+      setErrors(err.details?.length ? err.details : [{ message: err.message }]);
+      setStep(1);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const footer = (
+    <>
+      {step > 0 && (
+        <Button variant="secondary" onClick={() => setStep(step - 1)}>
+          Back
+        </Button>
+      )}
+      {step < STEPS.length - 1 ? (
+        <Button
+          variant="primary"
+          onClick={() => setStep(step + 1)}
+          disabled={step === 0 ? !objectName : !detailsComplete}
+          loading={false}
+        >
+          Next
+        </Button>
+      ) : (
+        <Button variant="primary" onClick={handleCreate} disabled={saving || !reasonComplete}>
+          {saving ? 'Creating...' : 'Create Rule'}
+        </Button>
+      )}
+    </>
+  );
+
+  return (
+    <Modal title="New Validation Rule" onClose={handleClose} footer={footer} size="large">
+      <ol className="wizard-steps">
+        {STEPS.map((label, index) => (
+          <li
+            key={label}
+            className={`wizard-step ${index === step ? 'wizard-step-current' : ''} ${index < step ? 'wizard-step-done' : ''}`}
+          >
+            <span className="wizard-step-number">{index + 1}</span>
+            {label}
+          </li>
+        ))}
+      </ol>
+
+      {errors.length > 0 && (
+        <div className="form-errors" role="alert">
+          {errors.map((error, index) => (
+            <p key={index} className="form-error">
+              {error.line ? `Line ${error.line}, column ${error.column}: ` : ''}
+              {error.message}
+            </p>
+          ))}
+        </div>
+      )}
+
+      {step === 0 && (
+        <div className="wizard-objects">
+          <SearchBox value={objectSearch} onChange={setObjectSearch} placeholder="Search objects..." />
+          {objectsLoading ? (
+            <p className="loading-text">Loading objects...</p>
+          ) : (
+            <ul className="object-list">
+              {filteredObjects.map((o) => (
+                <li key={o.name}>
+                  <button
+                    type="button"
+                    className={`object-option ${objectName === o.name ? 'object-option-selected' : ''}`}
+                    onClick={() => setObjectName(o.name)}
+                  >
+                    <span className="object-label">{o.label}</span>
+                    <span className="object-name">{o.name}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {step === 1 && (
+        <div>
+          <div className="form-group">
+            <label className="form-label" htmlFor="validationName">
+              Rule Name
+            </label>
+            <input
+              id="validationName"
+              type="text"
+              className="form-input"
+              placeholder="Require_Close_Date"
+              maxLength={40}
+              value={values.validationName}
+              onChange={handleChange('validationName')}
+            />
+            <p className="form-hint">{nameError || `Full name: ${objectName}.${values.validationName || '…'}`}</p>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label" htmlFor="newErrorConditionFormula">
+              Error Condition Formula
+            </label>
+            <textarea
+              id="newErrorConditionFormula"
+              className="form-input form-textarea form-code"
+              rows={6}
+              maxLength={3900}
+              spellCheck={false}
+              value={values.errorConditionFormula}
+              onChange={handleChange('errorConditionFormula')}
+            />
+          </div>
+
+          <div className="form-group">
+            <label className="form-label" htmlFor="newErrorMessage">
+              Error Message
+            </label>
+            <textarea
+              id="newErrorMessage"
+              className="form-input form-textarea"
+              rows={2}
+              maxLength={255}
+              value={values.errorMessage}
+              onChange={handleChange('errorMessage')}
+            />
+          </div>
+
+          <div className="form-group">
+            <label className="form-label" htmlFor="newErrorDisplayField">
+              Error Display Field
+            </label>
+            <input
+              id="newErrorDisplayField"
+              type="text"
+              className="form-input"
+              placeholder="Leave empty to show the error at the top of the page"
+              value={values.errorDisplayField}
+              onChange={handleChange('errorDisplayField')}
+            />
+          </div>
+
+          <div className="form-group">
+            <label className="form-label" htmlFor="newDescription">
+              Description
+            </label>
+            <textarea
+              id="newDescription"
+              className="form-input form-textarea"
+              rows={2}
+              maxLength={1000}
+              value={values.description}
+              onChange={handleChange('description')}
+            />
+          </div>
+
+          <label className="form-checkbox">
+            <input type="checkbox" checked={values.active} onChange={handleChange('active')} />
+            Activate the rule immediately
+          </label>
+        </div>
+      )}
+
+      {step === 2 && (
+        <div>
+          <section className="drawer-section">
+            <h3 className="drawer-label">Full Name</h3>
+            <p className="drawer-value">{objectName}.{values.validationName}</p>
+          </section>
+          <section className="drawer-section">
+            <h3 className="drawer-label">Error Condition Formula</h3>
+            <FormulaHighlighter formula={values.errorConditionFormula} />
+          </section>
+          <section className="drawer-section">
+            <h3 className="drawer-label">Error Message</h3>
+            <p className="drawer-value">{values.errorMessage}</p>
+          </section>
+          <section className="drawer-section">
+            <h3 className="drawer-label">Error Location</h3>
+            <p className="drawer-value">
+              {values.errorDisplayField ? `Field: ${values.errorDisplayField}` : 'Top of page'}
+            </p>
+          </section>
+          <section className="drawer-section">
+            <h3 className="drawer-label">Status</h3>
+            <span className={`status-badge ${values.active ? 'status-enabled' : 'status-disabled'}`}>
+              {values.active ? 'Enabled' : 'Disabled'}
+            </span>
+          </section>
+          {requireChangeReason && (
+            <div className="plan-reason">
+              <div className="form-group">
+                <label className="form-label" htmlFor="newRuleTicketId">Ticket</label>
+                <input
+                  id="newRuleTicketId"
+                  type="text"
+                  className="form-input"
+                  maxLength={100}
+                  value={ticketId}
+                  onChange={(e) => setTicketId(e.target.value)}
+                />
+              </div>
+              <div className="form-group">
+                <label className="form-label" htmlFor="newRuleReason">Reason</label>
+                <input
+                  id="newRuleReason"
+                  type="text"
+                  className="form-input"
+                  maxLength={500}
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                />
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default NewRuleWizard;
@@ -0,0 +1,323 @@
+import { useState, useEffect } from 'react';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+import RuleDiff from '../compare/RuleDiff';
+import EnvironmentBadge from '../layout/EnvironmentBadge';
+import { createPromotion, fetchPromotion, deployPromotion } from '../../services/api';
+import { getOrgLabel } from '../../utils/helpers';
+
+const ACTION_LABELS = {
+  create: 'New',
+  update: 'Overwrites',
+  unchanged: 'Identical',
+};
+
+const STATUS_TEXT = {
+  validating: 'Validating the deploy in the target org...',
+  validated: 'Validation passed. Nothing has been saved yet.',
+  'validation-failed': 'Validation failed. Nothing was saved.',
+  deploying: 'Deploying to the target org...',
+  deployed: 'Deployed.',
+  'deploy-failed': 'Deploy failed. Nothing was saved.',
+};
+
+const RUNNING_STATUSES = ['validating', 'deploying'];
+
+// How often a deploy that outlived the request is checked on
+const POLL_INTERVAL_MS = 3000;
+
+const RuleOutcome = ({ outcome, label }) => {
+  if (!outcome) return null;
+
+  return (
+    <div className={`promote-outcome ${outcome.success ? 'promote-outcome-success' : 'promote-outcome-failed'}`}>
+      <strong>{label}: {outcome.success ? 'passed' : 'failed'}</strong>
+      {outcome.problems.length > 0 && (
+        <ul className="promote-problems">
+          {outcome.problems.map((p, index) => (
+            <li key={index}>
+              {p.problem}
+              {p.line && ` (line ${p.line}${p.column ? `, column ${p.column}` : ''})`}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const PromoteModal = ({ rules, orgs, targets, activeOrgId, onClose }) => {
+  const sourceOrg = orgs.find((o) => o.orgId === activeOrgId);
+
+  const [targetOrgId, setTargetOrgId] = useState(targets[0]?.orgId || '');
+  const [promotion, setPromotion] = useState(null);
+  const [approvalSent, setApprovalSent] = useState(false);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [expandedKey, setExpandedKey] = useState(null);
+  const [confirmOverwrite, setConfirmOverwrite] = useState(false);
+  const [reason, setReason] = useState('');
+  const [ticketId, setTicketId] = useState('');
+
+  const targetOrg = orgs.find((o) => o.orgId === targetOrgId);
+  const overwrites = promotion ? promotion.rules.filter((r) => r.action === 'update') : [];
+  const reasonComplete = !promotion?.requireChangeReason || (reason.trim() && ticketId.trim());
+  const running = promotion && RUNNING_STATUSES.includes(promotion.status);
+
+  // A deploy still running when the request returned is polled until it finishes
+  useEffect(() => {
+    if (!running) return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const data = await fetchPromotion(targetOrgId, promotion.id);
+        setPromotion(data.promotion);
+      } catch (err) {
+        console.error('Failed to check promotion:', err);
+        setError(err.message || 'Failed to check the deploy');
+      }
+    }, POLL_INTERVAL_MS);
+
+    return () => clearTimeout(timer);
+  }, [running, promotion, targetOrgId]);
+
+  const handleValidate = async () => {
+    setWorking(true);
+    setError(null);
+    try {
+      const data = await createPromotion(targetOrgId, {
+        sourceOrgId: activeOrgId,
+        ruleIds: rules.map((r) => r.Id),
+      });
+      setPromotion(data.promotion);
+    } catch (err) {
+      console.error('Failed to validate promotion:', err);
+      setError(err.message || 'Failed to validate the promotion');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleDeploy = async () => {
+    setWorking(true);
+    setError(null);
+    try {
+      const change = promotion.requireChangeReason ? { reason: reason.trim(), ticketId: ticketId.trim() } : {};
+      const data = await deployPromotion(targetOrgId, promotion.id, { confirmOverwrite, ...change });
+      // Production targets may hold the deploy until an approver there runs it
+      if (data.pending) {
+        setApprovalSent(true);
+      } else {
+        setPromotion(data.promotion);
+      }
+    } catch (err) {
+      console.error('Failed to deploy promotion:', err);
+      setError(err.message || 'Failed to deploy the promotion');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleBack = () => {
+    setPromotion(null);
+    setConfirmOverwrite(false);
+    setExpandedKey(null);
+  };
+
+  const finished = promotion && ['deployed', 'deploy-failed'].includes(promotion.status);
+  const deployCount = promotion ? promotion.summary.create + promotion.summary.update : 0;
+
+  const footer = finished || approvalSent ? (
+    <Button variant="primary" onClick={onClose}>
+      Done
+    </Button>
+  ) : (
+    <>
+      <Button variant="secondary" onClick={promotion ? handleBack : onClose} disabled={working || running}>
+        {promotion ? 'Back' : 'Cancel'}
+      </Button>
+      {!promotion && (
+        <Button
+          variant="primary"
+          onClick={handleValidate}
+          disabled={working || !targetOrgId}
+          loading={working}
+        >
+          {working ? 'Validating...' : 'Validate'}
+        </Button>
+      )}
+      {promotion && (
+        <Button
+          variant="primary"
+          onClick={handleDeploy}
+          disabled={
+            working ||
+            promotion.status !== 'validated' ||
+            (overwrites.length > 0 && !confirmOverwrite) ||
+            !reasonComplete
+          }
+          loading={working || promotion.status === 'deploying'}
+        >
+          {promotion.status === 'deploying' ? 'Deploying...' : `Deploy ${deployCount} Rule${deployCount === 1 ? '' : 's'}`}
+        </Button>
+      )}
+    </>
+  );
+
+  return (
+    <Modal title="Promote Rules" onClose={onClose} footer={footer} size="large">
+      {error && (
+        <div className="form-errors" role="alert">
+          <p className="form-error">{error}</p>
+        </div>
+      )}
+
+      {!promotion && (
+        <>
+          <p className="form-hint">
+            Copy {rules.length} selected rule{rules.length === 1 ? '' : 's'} from{' '}
+            <strong>{sourceOrg ? getOrgLabel(sourceOrg) : 'this org'}</strong> into another connected org.
+            A validate-only deploy runs first; nothing is saved until you deploy.
+          </p>
+          <div className="form-group">
+            <label className="form-label" htmlFor="promoteTarget">Target org</label>
+            <select
+              id="promoteTarget"
+              className="form-input"
+              value={targetOrgId}
+              onChange={(e) => setTargetOrgId(e.target.value)}
+            >
+              {targets.map((o) => (
+                <option key={o.orgId} value={o.orgId}>
+                  {getOrgLabel(o)} · {o.username}
+                </option>
+              ))}
+            </select>
+          </div>
+          {working && (
+            <p className="loading-text">Reading rule metadata and validating the deploy, this can take a minute...</p>
+          )}
+        </>
+      )}
+
+      {approvalSent && (
+        <p className="form-hint">
+          The deploy was sent for approval. Someone who can approve changes in the target org runs it
+          from that org&apos;s Approvals tab.
+        </p>
+      )}
+
+      {promotion && !approvalSent && (
+        <>
+          <p className="form-hint promote-orgs">
+            <span>{getOrgLabel(sourceOrg || promotion.source)}</span>
+            <span aria-hidden="true">→</span>
+            <strong>{getOrgLabel(targetOrg || promotion.target)}</strong>
+            {targetOrg && <EnvironmentBadge org={targetOrg} />}
+          </p>
+
+          <div className="plan-summary">
+            <span className="plan-chip plan-chip-enable">{promotion.summary.create} new</span>
+            <span className="plan-chip plan-chip-disable">{promotion.summary.update} overwrite</span>
+            <span className="plan-chip">{promotion.summary.unchanged} identical</span>
+          </div>
+
+          <p
+            className={`promote-status promote-status-${promotion.status}`}
+            role="status"
+          >
+            {STATUS_TEXT[promotion.status]}
+          </p>
+
+          <ul className="compare-list">
+            {promotion.rules.map((rule) => (
+              <li key={rule.key} className="compare-row">
+                <button
+                  type="button"
+                  className="compare-row-header"
+                  onClick={() => setExpandedKey(expandedKey === rule.key ? null : rule.key)}
+                  aria-expanded={expandedKey === rule.key}
+                >
+                  <span className="compare-rule-name">
+                    <span className="rule-entity">{rule.EntityName}</span>
+                    {rule.ValidationName}
+                  </span>
+                  <span className={`promote-action promote-action-${rule.action}`}>
+                    {ACTION_LABELS[rule.action]}
+                  </span>
+                </button>
+
+                {(rule.validation || rule.deployment) && (
+                  <div className="promote-outcomes">
+                    <RuleOutcome outcome={rule.validation} label="Validation" />
+                    <RuleOutcome outcome={rule.deployment} label="Deploy" />
+                  </div>
+                )}
+
+                {expandedKey === rule.key && (
+                  <div className="compare-detail">
+                    <div className="compare-detail-sides">
+                      <span>Source</span>
+                      <span>Target{rule.action === 'create' && ' (not present yet)'}</span>
+                    </div>
+                    <RuleDiff rule={rule} />
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          {promotion.status === 'validated' && overwrites.length > 0 && (
+            <div className="promote-overwrite">
+              <p>
+                These rules already exist in the target org and will be replaced by the source version:
+              </p>
+              <ul>
+                {overwrites.map((rule) => (
+                  <li key={rule.key}>{rule.fullName}</li>
+                ))}
+              </ul>
+              <label className="form-checkbox">
+                <input
+                  type="checkbox"
+                  checked={confirmOverwrite}
+                  onChange={(e) => setConfirmOverwrite(e.target.checked)}
+                />
+                Overwrite {overwrites.length} existing rule{overwrites.length === 1 ? '' : 's'}
+              </label>
+            </div>
+          )}
+
+          {promotion.requireChangeReason && promotion.status === 'validated' && (
+            <div className="plan-reason">
+              <div className="form-group">
+                <label className="form-label" htmlFor="promoteTicketId">Ticket</label>
+                <input
+                  id="promoteTicketId"
+                  type="text"
+                  className="form-input"
+                  maxLength={100}
+                  value={ticketId}
+                  onChange={(e) => setTicketId(e.target.value)}
+                />
+              </div>
+              <div className="form-group">
+                <label className="form-label" htmlFor="promoteReason">Reason</label>
+                <input
+                  id="promoteReason"
+                  type="text"
+                  className="form-input"
+                  maxLength={500}
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                />
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </Modal>
+  );
+};
+
+export default PromoteModal;
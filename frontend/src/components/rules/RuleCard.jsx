@@ -1,9 +1,18 @@
 import Button from '../common/Button';
+import WindowCountdown from './WindowCountdown';
+import ExternalChangeMarker from './ExternalChangeMarker';
 
-const RuleCard = ({ rule, onToggle, isToggling }) => {
+const RuleCard = ({ rule, onToggle, isToggling, onSelect, selected, onSelectedChange, schedule }) => {
   return (
-    <div className="rule-card">
+    <div className={`rule-card ${selected ? 'rule-card-selected' : ''}`}>
       <div className="rule-card-header">
+        <input
+          type="checkbox"
+          className="rule-select"
+          checked={selected}
+          onChange={() => onSelectedChange(rule.Id)}
+          aria-label={`Select ${rule.ValidationName}`}
+        />
         <div className="rule-info">
           <h3 className="rule-name">{rule.ValidationName}</h3>
           <p className="rule-entity">{rule.EntityName}</p>
@@ -29,27 +38,43 @@ const RuleCard = ({ rule, onToggle, isToggling }) => {
 
       <div className="rule-card-body">
         <p className="rule-id">ID: {rule.Id}</p>
+        {schedule && <WindowCountdown schedule={schedule} />}
+        {rule.ExternalChange && <ExternalChangeMarker change={rule.ExternalChange} />}
       </div>
 
       <div className="rule-card-footer">
         <Button
-          variant={rule.Active ? 'danger' : 'success'}
-          onClick={() => onToggle(rule)}
-          disabled={isToggling}
+          variant="secondary"
+          onClick={() => onSelect(rule)}
           icon={
-            rule.Active ? (
-              <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
-                <path fillRule="evenodd" d="M8 15A7 7 0 1 0 8 1a7 7 0 0 0 0 14zM5 7a1 1 0 0 1 1-1h4a1 1 0 1 1 0 2H6a1 1 0 0 1-1-1z"/>
-              </svg>
-            ) : (
-              <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
-                <path fillRule="evenodd" d="M8 15A7 7 0 1 0 8 1a7 7 0 0 0 0 14zm1-11a1 1 0 1 0-2 0v3H4a1 1 0 1 0 0 2h3v3a1 1 0 1 0 2 0V9h3a1 1 0 1 0 0-2H9V4z"/>
-              </svg>
-            )
+            <svg width="16" height="16" viewBox="0 0 20 20" fill="currentColor">
+              <path d="M10 12a2 2 0 100-4 2 2 0 000 4z"/>
+              <path fillRule="evenodd" d="M.458 10C1.732 5.943 5.522 3 10 3s8.268 2.943 9.542 7c-1.274 4.057-5.064 7-9.542 7S1.732 14.057.458 10zM14 10a4 4 0 11-8 0 4 4 0 018 0z" clipRule="evenodd"/>
+            </svg>
           }
         >
-          {isToggling ? 'Updating...' : (rule.Active ? 'Disable' : 'Enable')}
+          Details
         </Button>
+        {onToggle && (
+          <Button
+            variant={rule.Active ? 'danger' : 'success'}
+            onClick={() => onToggle(rule)}
+            disabled={isToggling}
+            icon={
+              rule.Active ? (
+                <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
+                  <path fillRule="evenodd" d="M8 15A7 7 0 1 0 8 1a7 7 0 0 0 0 14zM5 7a1 1 0 0 1 1-1h4a1 1 0 1 1 0 2H6a1 1 0 0 1-1-1z"/>
+                </svg>
+              ) : (
+                <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
+                  <path fillRule="evenodd" d="M8 15A7 7 0 1 0 8 1a7 7 0 0 0 0 14zm1-11a1 1 0 1 0-2 0v3H4a1 1 0 1 0 0 2h3v3a1 1 0 1 0 2 0V9h3a1 1 0 1 0 0-2H9V4z"/>
+                </svg>
+              )
+            }
+          >
+            {isToggling ? 'Updating...' : (rule.Active ? 'Disable' : 'Enable')}
+          </Button>
+        )}
       </div>
     </div>
   );
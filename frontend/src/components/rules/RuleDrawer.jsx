@@ -0,0 +1,275 @@
+import { useState, useEffect, useCallback } from 'react';
+import FormulaHighlighter from './FormulaHighlighter';
+import RuleEditForm from './RuleEditForm';
+import DeleteRuleModal from './DeleteRuleModal';
+import FieldReferences from './FieldReferences';
+import TryItPanel from './TryItPanel';
+import BypassModal from './BypassModal';
+import Button from '../common/Button';
+import { fetchRuleDetail, fetchRuleReferences } from '../../services/api';
+import { formatDateTime } from '../../utils/helpers';
+
+const RuleDrawer = ({ ruleId, onClose, onRuleUpdated, onRuleDeleted, onApprovalRequested, requireChangeReason, readOnly }) => {
+  const [rule, setRule] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [dirty, setDirty] = useState(false);
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const [addingBypass, setAddingBypass] = useState(false);
+  const [references, setReferences] = useState(null);
+  const [referencesError, setReferencesError] = useState(null);
+
+  const handleClose = useCallback(() => {
+    if (editing && dirty && !window.confirm('Discard your unsaved changes?')) return;
+    onClose();
+  }, [editing, dirty, onClose]);
+
+  const handleSaved = (updated) => {
+    setRule(updated);
+    setEditing(false);
+    setDirty(false);
+    onRuleUpdated(updated);
+  };
+
+  // The edit waits for approval, so the rule itself is unchanged for now
+  const handleSubmittedForApproval = (approval) => {
+    setEditing(false);
+    setDirty(false);
+    onApprovalRequested(approval);
+  };
+
+  // The saved formula changed, so the drawer shows it fresh from the org
+  const handleBypassApplied = async (result) => {
+    if (result.updated === 0) return;
+    try {
+      const data = await fetchRuleDetail(ruleId);
+      setRule(data.rule);
+    } catch (err) {
+      console.error('Failed to reload rule:', err);
+    }
+  };
+
+  const handleCancelEdit = () => {
+    setEditing(false);
+    setDirty(false);
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadRule = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const data = await fetchRuleDetail(ruleId);
+        if (!cancelled) setRule(data.rule);
+      } catch (err) {
+        console.error('Failed to fetch rule details:', err);
+        if (!cancelled) setError('Failed to load rule details. Please try again.');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadRule();
+    return () => {
+      cancelled = true;
+    };
+  }, [ruleId]);
+
+  // References are checked against the org's describes, so they load after the rule
+  const formula = rule?.ErrorConditionFormula;
+  useEffect(() => {
+    if (formula === undefined) return undefined;
+    let cancelled = false;
+
+    const loadReferences = async () => {
+      setReferences(null);
+      setReferencesError(null);
+      try {
+        const data = await fetchRuleReferences(ruleId);
+        if (!cancelled) setReferences(data.references);
+      } catch (err) {
+        console.error('Failed to check field references:', err);
+        if (!cancelled) setReferencesError('Could not check the referenced fields.');
+      }
+    };
+
+    loadReferences();
+    return () => {
+      cancelled = true;
+    };
+  }, [ruleId, formula]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape' && !confirmingDelete && !addingBypass) handleClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [handleClose, confirmingDelete, addingBypass]);
+
+  return (
+    <div className="drawer-overlay" onClick={handleClose}>
+      <aside
+        className="drawer"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Validation rule details"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="drawer-header">
+          <div className="rule-info">
+            <h2 className="drawer-title">{rule?.ValidationName || 'Validation Rule'}</h2>
+            {rule && <p className="rule-entity">{rule.EntityName}</p>}
+          </div>
+          <button className="drawer-close" onClick={handleClose} aria-label="Close details">
+            ×
+          </button>
+        </div>
+
+        <div className="drawer-body">
+          {loading && (
+            <div className="drawer-loading">
+              <div className="spinner"></div>
+              <p className="loading-text">Loading rule details...</p>
+            </div>
+          )}
+
+          {!loading && error && <p className="drawer-error">{error}</p>}
+
+          {!loading && rule && editing && (
+            <RuleEditForm
+              rule={rule}
+              requireChangeReason={requireChangeReason}
+              onSaved={handleSaved}
+              onSubmittedForApproval={handleSubmittedForApproval}
+              onCancel={handleCancelEdit}
+              onDirtyChange={setDirty}
+            />
+          )}
+
+          {!loading && rule && !editing && (
+            <>
+              <section className="drawer-section">
+                <span className={`status-badge ${rule.Active ? 'status-enabled' : 'status-disabled'}`}>
+                  {rule.Active ? 'Enabled' : 'Disabled'}
+                </span>
+                <p className="rule-id">ID: {rule.Id}</p>
+                {rule.FullName && <p className="rule-id">Full name: {rule.FullName}</p>}
+                {!readOnly && (
+                  <div className="drawer-actions">
+                    <Button
+                      variant="secondary"
+                      onClick={() => setEditing(true)}
+                      icon={
+                        <svg width="16" height="16" viewBox="0 0 20 20" fill="currentColor">
+                          <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z"/>
+                        </svg>
+                      }
+                    >
+                      Edit Rule
+                    </Button>
+                    <Button variant="secondary" onClick={() => setAddingBypass(true)}>
+                      Add Bypass
+                    </Button>
+                    <Button
+                      variant="danger"
+                      onClick={() => setConfirmingDelete(true)}
+                      icon={
+                        <svg width="16" height="16" viewBox="0 0 20 20" fill="currentColor">
+                          <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clipRule="evenodd"/>
+                        </svg>
+                      }
+                    >
+                      Delete
+                    </Button>
+                  </div>
+                )}
+              </section>
+
+              <section className="drawer-section">
+                <h3 className="drawer-label">Description</h3>
+                {rule.Description ? (
+                  <p className="drawer-value">{rule.Description}</p>
+                ) : (
+                  <p className="drawer-empty-value">No description</p>
+                )}
+              </section>
+
+              <section className="drawer-section">
+                <h3 className="drawer-label">Error Condition Formula</h3>
+                <FormulaHighlighter formula={rule.ErrorConditionFormula} />
+              </section>
+
+              <section className="drawer-section">
+                <h3 className="drawer-label">Referenced Fields</h3>
+                {referencesError && <p className="drawer-empty-value">{referencesError}</p>}
+                {!references && !referencesError && <p className="drawer-empty-value">Checking fields...</p>}
+                {references && <FieldReferences references={references} />}
+                {references?.some((r) => r.status === 'missing') && (
+                  <p className="field-references-summary">
+                    Some referenced fields could not be found in this org; the rule may fail to save or evaluate.
+                  </p>
+                )}
+              </section>
+
+              <section className="drawer-section">
+                <h3 className="drawer-label">Try It</h3>
+                <TryItPanel key={rule.Id} ruleId={rule.Id} references={references} />
+              </section>
+
+              <section className="drawer-section">
+                <h3 className="drawer-label">Error Message</h3>
+                <p className="drawer-value">{rule.ErrorMessage || '—'}</p>
+              </section>
+
+              <section className="drawer-section">
+                <h3 className="drawer-label">Error Location</h3>
+                <p className="drawer-value">
+                  {rule.ErrorDisplayField ? `Field: ${rule.ErrorDisplayField}` : 'Top of page'}
+                </p>
+              </section>
+
+              <section className="drawer-section drawer-meta">
+                <div>
+                  <h3 className="drawer-label">Created By</h3>
+                  <p className="drawer-value">{rule.CreatedByName || '—'}</p>
+                  <p className="drawer-date">{formatDateTime(rule.CreatedDate)}</p>
+                </div>
+                <div>
+                  <h3 className="drawer-label">Last Modified By</h3>
+                  <p className="drawer-value">{rule.LastModifiedByName || '—'}</p>
+                  <p className="drawer-date">{formatDateTime(rule.LastModifiedDate)}</p>
+                </div>
+              </section>
+            </>
+          )}
+        </div>
+      </aside>
+
+      {addingBypass && rule && (
+        <BypassModal
+          ruleIds={[rule.Id]}
+          requireChangeReason={requireChangeReason}
+          onClose={() => setAddingBypass(false)}
+          onApplied={handleBypassApplied}
+          onApprovalRequested={onApprovalRequested}
+        />
+      )}
+
+      {confirmingDelete && rule && (
+        <DeleteRuleModal
+          rule={rule}
+          requireChangeReason={requireChangeReason}
+          onClose={() => setConfirmingDelete(false)}
+          onDeleted={onRuleDeleted}
+          onApprovalRequested={onApprovalRequested}
+        />
+      )}
+    </div>
+  );
+};
+
+export default RuleDrawer;
@@ -0,0 +1,182 @@
+import { useState, useMemo, useEffect } from 'react';
+import Button from '../common/Button';
+import { updateRule } from '../../services/api';
+import { useUnsavedChanges } from '../../hooks/useUnsavedChanges';
+
+const FIELDS = ['errorConditionFormula', 'errorMessage', 'errorDisplayField', 'description'];
+
+const toFormValues = (rule) => ({
+  errorConditionFormula: rule.ErrorConditionFormula || '',
+  errorMessage: rule.ErrorMessage || '',
+  errorDisplayField: rule.ErrorDisplayField || '',
+  description: rule.Description || '',
+});
+
+const RuleEditForm = ({ rule, requireChangeReason, onSaved, onSubmittedForApproval, onCancel, onDirtyChange }) => {
+  const initialValues = useMemo(() => toFormValues(rule), [rule]);
+  const [values, setValues] = useState(initialValues);
+  const [saving, setSaving] = useState(false);
+  const [errors, setErrors] = useState([]);
+  const [reason, setReason] = useState('');
+  const [ticketId, setTicketId] = useState('');
+
+  const changes = useMemo(() => {
+    return FIELDS.reduce((acc, field) => {
+      if (values[field] !== initialValues[field]) acc[field] = values[field];
+      return acc;
+    }, {});
+  }, [values, initialValues]);
+
+  const dirty = Object.keys(changes).length > 0;
+  const reasonComplete = !requireChangeReason || (reason.trim() && ticketId.trim());
+
+  useUnsavedChanges(dirty);
+
+  useEffect(() => {
+    onDirtyChange(dirty);
+  }, [dirty, onDirtyChange]);
+
+  const handleChange = (field) => (e) => {
+    setValues((prev) => ({ ...prev, [field]: e.target.value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!dirty || !reasonComplete) return;
+
+    setSaving(true);
+    setErrors([]);
+    try {
+      const change = requireChangeReason ? { reason: reason.trim(), ticketId: ticketId.trim() } : {};
+      const data = await updateRule(rule.Id, { ...changes, ...change });
+      if (data.pending) {
+        onSubmittedForApproval(data.approval);
+      } else {
+        onSaved(data.rule);
+      }
+    } catch (err) {
+      console.error('Failed to update rule:', err);
+      setErrors(err.details?.length ? err.details : [{ message: err.message }]);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancel = () => {
+    if (dirty && !window.confirm('Discard your unsaved changes?')) return;
+    onCancel();
+  };
+
+  return (
+    <form className="rule-edit-form" onSubmit={handleSubmit}>
+      {errors.length > 0 && (
+        <div className="form-errors" role="alert">
+          {errors.map((error, index) => (
+            <p key={index} className="form-error">
+              {error.line ? `Line ${error.line}, column ${error.column}: ` : ''}
+              {error.message}
+            </p>
+          ))}
+        </div>
+      )}
+
+      <div className="form-group">
+        <label className="form-label" htmlFor="errorConditionFormula">
+          Error Condition Formula
+        </label>
+        <textarea
+          id="errorConditionFormula"
+          className="form-input form-textarea form-code"
+          rows={8}
+          maxLength={3900}
+          value={values.errorConditionFormula}
+          onChange={handleChange('errorConditionFormula')}
+          spellCheck={false}
+          required
+        />
+      </div>
+
+      <div className="form-group">
+        <label className="form-label" htmlFor="errorMessage">
+          Error Message
+        </label>
+        <textarea
+          id="errorMessage"
+          className="form-input form-textarea"
+          rows={3}
+          maxLength={255}
+          value={values.errorMessage}
+          onChange={handleChange('errorMessage')}
+          required
+        />
+        <p className="form-hint">{values.errorMessage.length}/255 characters</p>
+      </div>
+
+      <div className="form-group">
+        <label className="form-label" htmlFor="errorDisplayField">
+          Error Display Field
+        </label>
+        <input
+          id="errorDisplayField"
+          type="text"
+          className="form-input"
+          placeholder="Leave empty to show the error at the top of the page"
+          value={values.errorDisplayField}
+          onChange={handleChange('errorDisplayField')}
+        />
+      </div>
+
+      <div className="form-group">
+        <label className="form-label" htmlFor="description">
+          Description
+        </label>
+        <textarea
+          id="description"
+          className="form-input form-textarea"
+          rows={3}
+          maxLength={1000}
+          value={values.description}
+          onChange={handleChange('description')}
+        />
+      </div>
+
+      {requireChangeReason && (
+        <div className="plan-reason">
+          <div className="form-group">
+            <label className="form-label" htmlFor="editTicketId">Ticket</label>
+            <input
+              id="editTicketId"
+              type="text"
+              className="form-input"
+              maxLength={100}
+              value={ticketId}
+              onChange={(e) => setTicketId(e.target.value)}
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label" htmlFor="editReason">Reason</label>
+            <input
+              id="editReason"
+              type="text"
+              className="form-input"
+              maxLength={500}
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+            />
+          </div>
+        </div>
+      )}
+
+      <div className="form-actions">
+        <Button variant="secondary" onClick={handleCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" variant="primary" disabled={saving || !reasonComplete}>
+          {saving ? 'Saving...' : 'Save Changes'}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default RuleEditForm;
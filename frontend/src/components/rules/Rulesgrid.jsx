@@ -1,6 +1,6 @@
 import RuleCard from './RuleCard.jsx';
 
-const RulesGrid = ({ rules, onToggle, togglingId }) => {
+const RulesGrid = ({ rules, onToggle, togglingId, onSelect, selectedIds, onSelectedChange, windowsByRuleId }) => {
   return (
     <div className="rules-grid">
       {rules.map((rule) => (
@@ -9,6 +9,10 @@ const RulesGrid = ({ rules, onToggle, togglingId }) => {
           rule={rule}
           onToggle={onToggle}
           isToggling={togglingId === rule.Id}
+          onSelect={onSelect}
+          selected={selectedIds.has(rule.Id)}
+          onSelectedChange={onSelectedChange}
+          schedule={windowsByRuleId.get(rule.Id)}
         />
       ))}
     </div>
@@ -1,5 +1,7 @@
 import SearchBox from '../common/Searchbox';
 import FilterGroup from '../common/Filtergroup';
+import Button from '../common/Button';
+import ExportMenu from './ExportMenu';
 
 const RulesHeader = ({
   totalCount,
@@ -7,6 +9,14 @@ const RulesHeader = ({
   filterActive,
   onSearchChange,
   onFilterChange,
+  loadedCount,
+  totalSize,
+  loadingMore,
+  onNewRule,
+  onExport,
+  exporting,
+  onImport,
+  onCheckReferences,
 }) => {
   return (
     <div className="rules-header">
@@ -18,11 +28,55 @@ const RulesHeader = ({
         <p className="rules-subtitle">
           Manage validation rules across your Salesforce org
         </p>
+        {loadingMore && (
+          <p className="rules-loading-more">
+            <span className="btn-spinner rules-loading-spinner"></span>
+            Loading more rules... {loadedCount} of {totalSize}
+          </p>
+        )}
       </div>
 
       <div className="rules-controls">
         <SearchBox value={searchTerm} onChange={onSearchChange} />
         <FilterGroup activeFilter={filterActive} onChange={onFilterChange} />
+        <ExportMenu onExport={onExport} exporting={exporting} count={totalCount} />
+        {onImport && (
+          <Button
+            variant="secondary"
+            onClick={onImport}
+            icon={
+              <svg width="16" height="16" viewBox="0 0 20 20" fill="currentColor">
+                <path fillRule="evenodd" d="M3 17a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zM6.293 6.707a1 1 0 010-1.414l3-3a1 1 0 011.414 0l3 3a1 1 0 01-1.414 1.414L11 5.414V13a1 1 0 11-2 0V5.414L7.707 6.707a1 1 0 01-1.414 0z" clipRule="evenodd"/>
+              </svg>
+            }
+          >
+            Apply State
+          </Button>
+        )}
+        <Button
+          variant="secondary"
+          onClick={onCheckReferences}
+          icon={
+            <svg width="16" height="16" viewBox="0 0 20 20" fill="currentColor">
+              <path fillRule="evenodd" d="M8 4a4 4 0 100 8 4 4 0 000-8zM2 8a6 6 0 1110.89 3.476l4.817 4.817a1 1 0 01-1.414 1.414l-4.816-4.816A6 6 0 012 8z" clipRule="evenodd"/>
+            </svg>
+          }
+        >
+          Check Fields
+        </Button>
+        {onNewRule && (
+          <Button
+            variant="primary"
+            onClick={onNewRule}
+            icon={
+              <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
+                <path fillRule="evenodd" d="M10 3a1 1 0 011 1v5h5a1 1 0 110 2h-5v5a1 1 0 11-2 0v-5H4a1 1 0 110-2h5V4a1 1 0 011-1z" clipRule="evenodd"/>
+              </svg>
+            }
+          >
+            New Rule
+          </Button>
+        )}
       </div>
     </div>
   );
@@ -1,6 +1,7 @@
 import RulesHeader from './Rulesheader .jsx';
 import RulesGrid from './Rulesgrid.jsx';
 import EmptyState from './Emptystate .jsx';
+import BulkActionBar from './BulkActionBar';
 
 const RulesSection = ({
   rules,
@@ -10,6 +11,26 @@ const RulesSection = ({
   onFilterChange,
   onToggle,
   togglingId,
+  onSelect,
+  loadedCount,
+  totalSize,
+  loadingMore,
+  onNewRule,
+  onExport,
+  exporting,
+  onImport,
+  onCheckReferences,
+  selectedIds,
+  bulkProgress,
+  onSelectedChange,
+  onSelectAll,
+  onClearSelection,
+  onBulkToggle,
+  onSchedule,
+  onPromote,
+  onBypass,
+  onDismissProgress,
+  windowsByRuleId,
 }) => {
   return (
     <div className="rules-section">
@@ -19,6 +40,27 @@ const RulesSection = ({
         filterActive={filterActive}
         onSearchChange={onSearchChange}
         onFilterChange={onFilterChange}
+        loadedCount={loadedCount}
+        totalSize={totalSize}
+        loadingMore={loadingMore}
+        onNewRule={onNewRule}
+        onExport={onExport}
+        exporting={exporting}
+        onImport={onImport}
+        onCheckReferences={onCheckReferences}
+      />
+
+      <BulkActionBar
+        filteredRules={rules}
+        selectedIds={selectedIds}
+        bulkProgress={bulkProgress}
+        onSelectAll={onSelectAll}
+        onClearSelection={onClearSelection}
+        onBulkToggle={onBulkToggle}
+        onSchedule={onSchedule}
+        onPromote={onPromote}
+        onBypass={onBypass}
+        onDismissProgress={onDismissProgress}
       />
 
       {rules.length === 0 ? (
@@ -28,7 +70,15 @@ const RulesSection = ({
           showAction={false}
         />
       ) : (
-        <RulesGrid rules={rules} onToggle={onToggle} togglingId={togglingId} />
+        <RulesGrid
+          rules={rules}
+          onToggle={onToggle}
+          togglingId={togglingId}
+          onSelect={onSelect}
+          selectedIds={selectedIds}
+          onSelectedChange={onSelectedChange}
+          windowsByRuleId={windowsByRuleId}
+        />
       )}
     </div>
   );
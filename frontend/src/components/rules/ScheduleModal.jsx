@@ -0,0 +1,192 @@
+import { useState } from 'react';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+
+const DURATION_PRESETS = [30, 60, 120, 240];
+
+const MODES = {
+  DURATION: 'duration',
+  WINDOW: 'window',
+};
+
+// Turn "22:00" to "02:00" into the next upcoming window, crossing midnight if needed
+const resolveWindow = (startTime, endTime) => {
+  const [startHour, startMinute] = startTime.split(':').map(Number);
+  const [endHour, endMinute] = endTime.split(':').map(Number);
+
+  const start = new Date();
+  start.setHours(startHour, startMinute, 0, 0);
+
+  const end = new Date(start);
+  end.setHours(endHour, endMinute, 0, 0);
+  if (end <= start) end.setDate(end.getDate() + 1);
+
+  // A window that is already over today means tomorrow's
+  if (end <= new Date()) {
+    start.setDate(start.getDate() + 1);
+    end.setDate(end.getDate() + 1);
+  }
+
+  return { start, end };
+};
+
+const ScheduleModal = ({ rules, requireChangeReason, onClose, onSchedule, saving }) => {
+  const [mode, setMode] = useState(MODES.DURATION);
+  const [minutes, setMinutes] = useState(30);
+  const [startTime, setStartTime] = useState('22:00');
+  const [endTime, setEndTime] = useState('02:00');
+  const [reason, setReason] = useState('');
+  const [ticketId, setTicketId] = useState('');
+
+  const range = mode === MODES.WINDOW && startTime && endTime
+    ? resolveWindow(startTime, endTime)
+    : null;
+
+  const timingValid = mode === MODES.DURATION ? Number.isInteger(minutes) && minutes > 0 : Boolean(range);
+  const reasonComplete = !requireChangeReason || (reason.trim() && ticketId.trim());
+  const valid = timingValid && reasonComplete;
+
+  const handleSubmit = () => {
+    const ruleIds = rules.map((r) => r.Id);
+    const change = requireChangeReason ? { reason: reason.trim(), ticketId: ticketId.trim() } : {};
+    if (mode === MODES.DURATION) {
+      onSchedule({ ruleIds, durationMinutes: minutes, ...change });
+    } else {
+      onSchedule({ ruleIds, startAt: range.start.toISOString(), endAt: range.end.toISOString(), ...change });
+    }
+  };
+
+  const footer = (
+    <>
+      <Button variant="secondary" onClick={onClose}>
+        Cancel
+      </Button>
+      <Button variant="primary" onClick={handleSubmit} disabled={!valid || saving} loading={saving}>
+        {saving ? 'Scheduling...' : 'Schedule'}
+      </Button>
+    </>
+  );
+
+  return (
+    <Modal title="Schedule Deactivation" onClose={onClose} footer={footer}>
+      <p className="form-hint">
+        {rules.length} rule{rules.length === 1 ? '' : 's'} will be disabled and turned back on automatically.
+        Rules that are already disabled when the window starts stay disabled.
+      </p>
+
+      <div className="schedule-modes" role="radiogroup">
+        <label className="form-checkbox">
+          <input
+            type="radio"
+            name="scheduleMode"
+            checked={mode === MODES.DURATION}
+            onChange={() => setMode(MODES.DURATION)}
+          />
+          Disable now for a while
+        </label>
+        <label className="form-checkbox">
+          <input
+            type="radio"
+            name="scheduleMode"
+            checked={mode === MODES.WINDOW}
+            onChange={() => setMode(MODES.WINDOW)}
+          />
+          Disable between two times
+        </label>
+      </div>
+
+      {mode === MODES.DURATION && (
+        <div className="form-group">
+          <label className="form-label" htmlFor="scheduleMinutes">
+            Minutes
+          </label>
+          <div className="schedule-presets">
+            {DURATION_PRESETS.map((preset) => (
+              <button
+                key={preset}
+                type="button"
+                className={`schedule-preset ${minutes === preset ? 'schedule-preset-selected' : ''}`}
+                onClick={() => setMinutes(preset)}
+              >
+                {preset < 60 ? `${preset}m` : `${preset / 60}h`}
+              </button>
+            ))}
+          </div>
+          <input
+            id="scheduleMinutes"
+            type="number"
+            className="form-input"
+            min={1}
+            value={minutes}
+            onChange={(e) => setMinutes(parseInt(e.target.value, 10))}
+          />
+        </div>
+      )}
+
+      {mode === MODES.WINDOW && (
+        <>
+          <div className="schedule-times">
+            <div className="form-group">
+              <label className="form-label" htmlFor="scheduleStart">
+                From
+              </label>
+              <input
+                id="scheduleStart"
+                type="time"
+                className="form-input"
+                value={startTime}
+                onChange={(e) => setStartTime(e.target.value)}
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label" htmlFor="scheduleEnd">
+                Until
+              </label>
+              <input
+                id="scheduleEnd"
+                type="time"
+                className="form-input"
+                value={endTime}
+                onChange={(e) => setEndTime(e.target.value)}
+              />
+            </div>
+          </div>
+          {range && (
+            <p className="form-hint">
+              {range.start.toLocaleString()} → {range.end.toLocaleString()}
+            </p>
+          )}
+        </>
+      )}
+
+      {requireChangeReason && (
+        <div className="plan-reason">
+          <div className="form-group">
+            <label className="form-label" htmlFor="scheduleTicketId">Ticket</label>
+            <input
+              id="scheduleTicketId"
+              type="text"
+              className="form-input"
+              maxLength={100}
+              value={ticketId}
+              onChange={(e) => setTicketId(e.target.value)}
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label" htmlFor="scheduleReason">Reason</label>
+            <input
+              id="scheduleReason"
+              type="text"
+              className="form-input"
+              maxLength={500}
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+            />
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default ScheduleModal;
@@ -0,0 +1,163 @@
+import { useState } from 'react';
+import Button from '../common/Button';
+import { evaluateRule } from '../../services/api';
+
+// A record skeleton with every referenced field, nesting relationship paths
+const buildTemplate = (references) => {
+  const record = {};
+  references
+    .filter((ref) => !ref.global)
+    .forEach((ref) => {
+      const segments = ref.path.split('.').map((s) => s.split(':')[0]);
+      let target = record;
+      segments.slice(0, -1).forEach((segment) => {
+        if (typeof target[segment] !== 'object' || target[segment] === null) target[segment] = {};
+        target = target[segment];
+      });
+      target[segments[segments.length - 1]] = null;
+    });
+  return JSON.stringify(record, null, 2);
+};
+
+const parseRecord = (text, label) => {
+  let value;
+  try {
+    value = JSON.parse(text || '{}');
+  } catch (err) {
+    throw new Error(`${label} is not valid JSON: ${err.message}`);
+  }
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`${label} must be a JSON object`);
+  }
+  return value;
+};
+
+// Runs the rule's formula against a pasted record without saving anything
+const TryItPanel = ({ ruleId, references }) => {
+  const [recordText, setRecordText] = useState('{}');
+  const [priorText, setPriorText] = useState('');
+  const [isUpdate, setIsUpdate] = useState(false);
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleRun = async () => {
+    setError(null);
+    let record;
+    let priorRecord;
+    try {
+      record = parseRecord(recordText, 'Record');
+      priorRecord = isUpdate ? parseRecord(priorText, 'Prior values') : null;
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+
+    setRunning(true);
+    try {
+      const data = await evaluateRule(ruleId, { record, priorRecord, isNew: !isUpdate });
+      setResult(data);
+    } catch (err) {
+      console.error('Failed to evaluate rule:', err);
+      setResult(null);
+      setError(err.message || 'Failed to evaluate the formula');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <div className="try-it">
+      <div className="try-it-fields">
+        <div className="form-group">
+          <label className="form-label" htmlFor="tryItRecord">Record (JSON)</label>
+          <textarea
+            id="tryItRecord"
+            className="form-input form-textarea try-it-json"
+            rows={6}
+            spellCheck={false}
+            value={recordText}
+            onChange={(e) => setRecordText(e.target.value)}
+          />
+        </div>
+
+        <div className="try-it-options">
+          <label className="form-checkbox">
+            <input
+              type="checkbox"
+              checked={isUpdate}
+              onChange={(e) => setIsUpdate(e.target.checked)}
+            />
+            Editing an existing record
+          </label>
+          {references?.length > 0 && (
+            <Button variant="secondary" onClick={() => setRecordText(buildTemplate(references))}>
+              Fill Referenced Fields
+            </Button>
+          )}
+        </div>
+
+        {isUpdate && (
+          <div className="form-group">
+            <label className="form-label" htmlFor="tryItPrior">Prior values (JSON)</label>
+            <textarea
+              id="tryItPrior"
+              className="form-input form-textarea try-it-json"
+              rows={4}
+              spellCheck={false}
+              placeholder="Values before the edit, used by ISCHANGED and PRIORVALUE"
+              value={priorText}
+              onChange={(e) => setPriorText(e.target.value)}
+            />
+          </div>
+        )}
+
+        <div>
+          <Button variant="primary" onClick={handleRun} disabled={running} loading={running}>
+            {running ? 'Evaluating...' : 'Run'}
+          </Button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="form-errors" role="alert">
+          <p className="form-error">{error}</p>
+        </div>
+      )}
+
+      {result && !error && (
+        <>
+          <p className={`try-it-result ${result.fires ? 'try-it-fires' : 'try-it-passes'}`} role="status">
+            {result.fires
+              ? 'The rule fires: this record would be blocked with the error message.'
+              : `The rule does not fire (formula returned ${JSON.stringify(result.result)}).`}
+          </p>
+
+          {result.missingFields.length > 0 && (
+            <p className="try-it-warning">
+              Not in the record, treated as blank: {result.missingFields.join(', ')}
+            </p>
+          )}
+          {result.priorMissingFields.length > 0 && (
+            <p className="try-it-warning">
+              Not in the prior values, treated as blank: {result.priorMissingFields.join(', ')}
+            </p>
+          )}
+
+          <ol className="try-it-steps">
+            {result.steps.map((step, index) => (
+              <li key={index} className="try-it-step" style={{ '--depth': step.depth }}>
+                <span className="try-it-expression">{step.expression}</span>
+                <span className={`try-it-value ${step.value === true ? 'try-it-value-true' : ''}`}>
+                  {JSON.stringify(step.value)}
+                </span>
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TryItPanel;
@@ -0,0 +1,19 @@
+import { useNow } from '../../hooks/useNow';
+import { formatDuration } from '../../utils/helpers';
+
+const WindowCountdown = ({ schedule }) => {
+  const now = useNow(1000);
+  const started = schedule.status === 'active';
+  const target = Date.parse(started ? schedule.endAt : schedule.startAt);
+  const remaining = target - now;
+
+  return (
+    <p className={`window-countdown ${started ? 'window-countdown-active' : ''}`}>
+      {started
+        ? remaining > 0 ? `Re-enables in ${formatDuration(remaining)}` : 'Re-enabling...'
+        : remaining > 0 ? `Disables in ${formatDuration(remaining)}` : 'Disabling...'}
+    </p>
+  );
+};
+
+export default WindowCountdown;
@@ -0,0 +1,89 @@
+import { useState, useCallback, useEffect } from 'react';
+import { fetchApprovals, approveChange, rejectChange } from '../services/api';
+import { APPROVAL_POLL_INTERVAL } from '../utils/constants';
+
+export const useApprovals = (enabled, patchRule) => {
+  const [approvals, setApprovals] = useState([]);
+  const [busyApprovalId, setBusyApprovalId] = useState(null);
+
+  const updateApproval = useCallback((updated) => {
+    setApprovals((prev) => {
+      const exists = prev.some((a) => a.id === updated.id);
+      return exists ? prev.map((a) => (a.id === updated.id ? updated : a)) : [updated, ...prev];
+    });
+  }, []);
+
+  const loadApprovals = useCallback(async () => {
+    if (!enabled) return;
+
+    try {
+      const data = await fetchApprovals();
+      setApprovals(data.approvals || []);
+    } catch (error) {
+      console.error('Failed to fetch approval requests:', error);
+    }
+  }, [enabled]);
+
+  useEffect(() => {
+    loadApprovals();
+    if (!enabled) return undefined;
+    const timer = setInterval(loadApprovals, APPROVAL_POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [enabled, loadApprovals]);
+
+  // Mirror the rule states an approved toggle changed
+  const applyResult = useCallback((approval) => {
+    if (approval.type === 'toggle') {
+      patchRule(approval.rules[0].Id, { Active: approval.active });
+    } else if (approval.type === 'bulk-toggle') {
+      (approval.result?.results || [])
+        .filter((r) => r.success)
+        .forEach((r) => patchRule(r.Id, { Active: approval.active }));
+    }
+  }, [patchRule]);
+
+  const handleApprove = useCallback(async (approvalId, comment, showToast) => {
+    setBusyApprovalId(approvalId);
+    try {
+      const data = await approveChange(approvalId, comment);
+      updateApproval(data.approval);
+
+      if (data.approval.status === 'approved') {
+        applyResult(data.approval);
+        showToast(`Change from ${data.approval.requestedBy} approved and applied`, 'success');
+      } else {
+        showToast(data.approval.error || 'The approved change failed', 'error');
+      }
+    } catch (error) {
+      console.error('Failed to approve change:', error);
+      showToast(error.message || 'Failed to approve change', 'error');
+      loadApprovals();
+    } finally {
+      setBusyApprovalId(null);
+    }
+  }, [updateApproval, applyResult, loadApprovals]);
+
+  const handleReject = useCallback(async (approvalId, comment, showToast) => {
+    setBusyApprovalId(approvalId);
+    try {
+      const data = await rejectChange(approvalId, comment);
+      updateApproval(data.approval);
+      showToast(`Change from ${data.approval.requestedBy} rejected`, 'success');
+    } catch (error) {
+      console.error('Failed to reject change:', error);
+      showToast(error.message || 'Failed to reject change', 'error');
+      loadApprovals();
+    } finally {
+      setBusyApprovalId(null);
+    }
+  }, [updateApproval, loadApprovals]);
+
+  return {
+    approvals,
+    busyApprovalId,
+    loadApprovals,
+    addApproval: updateApproval,
+    handleApprove,
+    handleReject,
+  };
+};
@@ -0,0 +1,68 @@
+import { useState, useCallback, useEffect } from 'react';
+import { fetchAudit } from '../services/api';
+import { AUDIT_PAGE_SIZE, AUDIT_FILTER_DEBOUNCE } from '../utils/constants';
+
+const EMPTY_FILTERS = {
+  user: '',
+  q: '',
+  action: '',
+  from: '',
+  to: '',
+};
+
+// Date inputs give local days; the API wants instants covering the whole day
+const toQuery = (filters) => ({
+  ...filters,
+  from: filters.from ? new Date(`${filters.from}T00:00:00`).toISOString() : '',
+  to: filters.to ? new Date(`${filters.to}T23:59:59.999`).toISOString() : '',
+});
+
+export const useAudit = (enabled) => {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [auditLoading, setAuditLoading] = useState(false);
+  const [auditError, setAuditError] = useState(null);
+
+  const loadAudit = useCallback(async (offset = 0) => {
+    setAuditLoading(true);
+    setAuditError(null);
+    try {
+      const data = await fetchAudit({ ...toQuery(filters), limit: AUDIT_PAGE_SIZE, offset });
+      setEntries((prev) => (offset === 0 ? data.entries : [...prev, ...data.entries]));
+      setTotal(data.total);
+    } catch (error) {
+      console.error('Failed to fetch audit log:', error);
+      setAuditError(error.message || 'Failed to load the audit log');
+    } finally {
+      setAuditLoading(false);
+    }
+  }, [filters]);
+
+  // Wait for typing to pause before querying
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const timer = setTimeout(() => loadAudit(0), AUDIT_FILTER_DEBOUNCE);
+    return () => clearTimeout(timer);
+  }, [enabled, loadAudit]);
+
+  const updateFilter = useCallback((field, value) => {
+    setFilters((prev) => ({ ...prev, [field]: value }));
+  }, []);
+
+  const resetFilters = useCallback(() => {
+    setFilters(EMPTY_FILTERS);
+  }, []);
+
+  return {
+    entries,
+    total,
+    filters,
+    auditLoading,
+    auditError,
+    updateFilter,
+    resetFilters,
+    loadAudit,
+    loadMoreAudit: () => loadAudit(entries.length),
+  };
+};
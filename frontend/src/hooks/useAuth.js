@@ -1,11 +1,23 @@
 import { useState, useCallback, useEffect } from 'react';
-import { checkAuthStatus, logout } from '../services/authService';
+import { checkAuthStatus, logout, activateOrg } from '../services/authService';
+import { getActiveOrgId, setActiveOrgId } from '../services/orgContext';
+import { rememberOrgs } from '../services/recentOrgs';
 
 export const useAuth = () => {
   const [loggedIn, setLoggedIn] = useState(false);
   const [userInfo, setUserInfo] = useState(null);
+  const [orgs, setOrgs] = useState([]);
+  const [activeOrgId, setActiveOrg] = useState(null);
   const [loading, setLoading] = useState(true);
 
+  const clearAuth = () => {
+    setActiveOrgId(null);
+    setActiveOrg(null);
+    setOrgs([]);
+    setLoggedIn(false);
+    setUserInfo(null);
+  };
+
   const checkAuth = useCallback(async () => {
     try {
       // Small delay to ensure cookie is set after OAuth redirect
@@ -14,32 +26,50 @@ export const useAuth = () => {
       const data = await checkAuthStatus();
       
       if (data.loggedIn) {
+        // The server falls back to its active org if this tab's org is gone
+        setActiveOrgId(data.orgId);
+        setActiveOrg(data.orgId);
+        setOrgs(data.orgs || []);
+        rememberOrgs(data.orgs || []);
         setLoggedIn(true);
         setUserInfo({
+          orgId: data.orgId,
+          orgName: data.orgName || '',
+          isSandbox: data.isSandbox === true,
           username: data.username || 'User',
           email: data.email || '',
           userType: data.userType || 'Standard',
           instanceUrl: data.instanceUrl || '',
           domainType: data.domainType || 'production',
+          requireChangeReason: data.requireChangeReason === true,
         });
       } else {
-        setLoggedIn(false);
-        setUserInfo(null);
+        clearAuth();
       }
     } catch (error) {
       console.error('Auth check failed:', error);
-      setLoggedIn(false);
-      setUserInfo(null);
+      clearAuth();
     } finally {
       setLoading(false);
     }
   }, []);
 
+  // Every loaded list belongs to the current org, so switching starts the app afresh
+  const switchOrg = async (orgId) => {
+    setActiveOrgId(orgId);
+    try {
+      await activateOrg(orgId);
+    } catch (error) {
+      // This tab still switches through its X-Org-Id header
+      console.error('Failed to make org the session default:', error);
+    }
+    window.location.reload();
+  };
+
   const handleLogout = async () => {
     try {
       await logout();
-      setLoggedIn(false);
-      setUserInfo(null);
+      clearAuth();
       return { success: true, message: 'Successfully logged out. You can now login with a different account.' };
     } catch (error) {
       console.error('Logout error:', error);
@@ -47,6 +77,26 @@ export const useAuth = () => {
     }
   };
 
+  // Disconnect one org; the others stay connected
+  const handleLogoutOrg = async (orgId) => {
+    try {
+      const data = await logout(orgId);
+
+      if (!data.remainingOrgs) {
+        clearAuth();
+      } else if (orgId === getActiveOrgId()) {
+        setActiveOrgId(null);
+        window.location.reload();
+      } else {
+        await checkAuth();
+      }
+      return { success: true, message: 'Org disconnected.' };
+    } catch (error) {
+      console.error('Logout error:', error);
+      return { success: false, message: 'Failed to disconnect the org. Please try again.' };
+    }
+  };
+
   useEffect(() => {
     checkAuth();
   }, [checkAuth]);
@@ -54,8 +104,12 @@ export const useAuth = () => {
   return {
     loggedIn,
     userInfo,
+    orgs,
+    activeOrgId,
     loading,
     checkAuth,
+    switchOrg,
     handleLogout,
+    handleLogoutOrg,
   };
 };
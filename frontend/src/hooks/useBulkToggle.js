@@ -0,0 +1,97 @@
+import { useState, useCallback } from 'react';
+import { bulkToggleRules } from '../services/api';
+import { BULK_CHUNK_SIZE } from '../utils/constants';
+
+export const useBulkToggle = (rules, patchRule, requireApproval = false) => {
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [bulkProgress, setBulkProgress] = useState(null);
+
+  const toggleSelected = useCallback((ruleId) => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(ruleId)) {
+        next.delete(ruleId);
+      } else {
+        next.add(ruleId);
+      }
+      return next;
+    });
+  }, []);
+
+  const selectAll = useCallback((ruleIds) => {
+    setSelectedIds(new Set(ruleIds));
+  }, []);
+
+  const clearSelection = useCallback(() => {
+    setSelectedIds(new Set());
+  }, []);
+
+  const dismissProgress = useCallback(() => {
+    setBulkProgress(null);
+  }, []);
+
+  const handleBulkToggle = useCallback(async (active, showToast, change) => {
+    const ids = [...selectedIds];
+    if (ids.length === 0) return;
+
+    const names = Object.fromEntries(rules.map((r) => [r.Id, r.ValidationName]));
+    const failures = [];
+    let done = 0;
+
+    // A change needing approval is sent whole so it becomes a single request
+    const chunkSize = requireApproval ? ids.length : BULK_CHUNK_SIZE;
+
+    setBulkProgress({ active, total: ids.length, done: 0, failures: [], running: true });
+
+    for (let i = 0; i < ids.length; i += chunkSize) {
+      const chunk = ids.slice(i, i + chunkSize);
+
+      try {
+        const data = await bulkToggleRules(chunk, active, change);
+        if (data.pending) {
+          setBulkProgress(null);
+          setSelectedIds(new Set());
+          if (showToast) showToast(`${chunk.length} rule change${chunk.length === 1 ? '' : 's'} sent for approval`, 'success');
+          return { approval: data.approval };
+        }
+        for (const result of data.results || []) {
+          if (result.success) {
+            patchRule(result.Id, { Active: active });
+          } else {
+            failures.push({ Id: result.Id, name: names[result.Id] || result.Id, error: result.error });
+          }
+        }
+      } catch (error) {
+        console.error('Bulk toggle request failed:', error);
+        chunk.forEach((id) => failures.push({ Id: id, name: names[id] || id, error: error.message }));
+      }
+
+      done += chunk.length;
+      setBulkProgress({ active, total: ids.length, done, failures: [...failures], running: done < ids.length });
+    }
+
+    // Keep failed rules selected so they can be retried
+    setSelectedIds(new Set(failures.map((f) => f.Id)));
+
+    if (showToast) {
+      const succeeded = ids.length - failures.length;
+      showToast(
+        failures.length === 0
+          ? `${succeeded} validation rule${succeeded === 1 ? '' : 's'} ${active ? 'enabled' : 'disabled'}`
+          : `${succeeded} of ${ids.length} rules ${active ? 'enabled' : 'disabled'}, ${failures.length} failed`,
+        failures.length === 0 ? 'success' : 'error'
+      );
+    }
+    return {};
+  }, [selectedIds, rules, patchRule, requireApproval]);
+
+  return {
+    selectedIds,
+    bulkProgress,
+    toggleSelected,
+    selectAll,
+    clearSelection,
+    dismissProgress,
+    handleBulkToggle,
+  };
+};
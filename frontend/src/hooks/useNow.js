@@ -0,0 +1,12 @@
+import { useState, useEffect } from 'react';
+
+export const useNow = (intervalMs = 1000) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(timer);
+  }, [intervalMs]);
+
+  return now;
+};
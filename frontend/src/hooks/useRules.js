@@ -1,43 +1,87 @@
-import { useState, useCallback, useMemo } from 'react';
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import { fetchRules, toggleRule } from '../services/api';
+import { subscribe } from '../services/liveEvents';
+import { RULES_PAGE_SIZE } from '../utils/constants';
 
 export const useRules = (loggedIn) => {
   const [rules, setRules] = useState([]);
   const [rulesLoading, setRulesLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [totalSize, setTotalSize] = useState(0);
   const [togglingId, setTogglingId] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [filterActive, setFilterActive] = useState('all');
+  const loadIdRef = useRef(0);
+  const rulesRef = useRef([]);
+
+  useEffect(() => {
+    rulesRef.current = rules;
+  }, [rules]);
 
   const fetchValidationRules = useCallback(async () => {
     if (!loggedIn) return;
     
+    // A newer refresh supersedes any batches still loading
+    const loadId = ++loadIdRef.current;
     setRulesLoading(true);
     try {
-      const data = await fetchRules();
-      setRules(data.records || []);
+      let data = await fetchRules({ limit: RULES_PAGE_SIZE });
+      if (loadId !== loadIdRef.current) return;
+
+      let loaded = data.records || [];
+      setRules(loaded);
+      setTotalSize(data.totalSize || loaded.length);
+      setRulesLoading(false);
+
+      if (data.nextCursor) {
+        setLoadingMore(true);
+      }
+      while (data.nextCursor) {
+        data = await fetchRules({ cursor: data.nextCursor });
+        if (loadId !== loadIdRef.current) return;
+
+        const batch = data.records || [];
+        loaded = [...loaded, ...batch];
+        setRules((prev) => [...prev, ...batch]);
+      }
+
       return { 
         success: true, 
-        message: data.records && data.records.length > 0 
-          ? `Successfully loaded ${data.records.length} validation rule${data.records.length === 1 ? '' : 's'}`
+        message: loaded.length > 0 
+          ? `Successfully loaded ${loaded.length} validation rule${loaded.length === 1 ? '' : 's'}`
           : 'No validation rules found in this Salesforce org'
       };
     } catch (error) {
       console.error('Failed to fetch rules:', error);
-      setRules([]);
+      if (loadId === loadIdRef.current) {
+        setRules([]);
+        setTotalSize(0);
+      }
       return { success: false, message: 'Failed to fetch validation rules. Please check your connection.' };
     } finally {
-      setRulesLoading(false);
+      if (loadId === loadIdRef.current) {
+        setRulesLoading(false);
+        setLoadingMore(false);
+      }
     }
   }, [loggedIn]);
 
-  const handleToggle = useCallback(async (rule, showToast) => {
+  const handleToggle = useCallback(async (rule, showToast, change) => {
     const ruleId = rule.Id;
     const newActive = !rule.Active;
 
     setTogglingId(ruleId);
     try {
-      await toggleRule(ruleId, newActive);
-      
+      const data = await toggleRule(ruleId, newActive, change);
+
+      // Production changes may wait for a second person instead of applying now
+      if (data.pending) {
+        if (showToast) {
+          showToast(`Sent "${rule.ValidationName}" for approval`, 'success');
+        }
+        return { success: true, approval: data.approval };
+      }
+
       setRules((prev) =>
         prev.map((r) => (r.Id === ruleId ? { ...r, Active: newActive } : r))
       );
@@ -60,6 +104,84 @@ export const useRules = (loggedIn) => {
     }
   }, []);
 
+  const patchRule = useCallback((ruleId, fields) => {
+    setRules((prev) =>
+      prev.map((r) => (r.Id === ruleId ? { ...r, ...fields } : r))
+    );
+  }, []);
+
+  // The live stream can announce a rule before or after the tab that created it adds it
+  const addRule = useCallback((rule) => {
+    if (!rulesRef.current.some((r) => r.Id === rule.Id)) {
+      setTotalSize((prev) => prev + 1);
+    }
+    setRules((prev) =>
+      [...prev.filter((r) => r.Id !== rule.Id), rule]
+        .sort((a, b) => a.ValidationName.localeCompare(b.ValidationName))
+    );
+  }, []);
+
+  const removeRule = useCallback((ruleId) => {
+    if (rulesRef.current.some((r) => r.Id === ruleId)) {
+      setTotalSize((prev) => Math.max(prev - 1, 0));
+    }
+    setRules((prev) => prev.filter((r) => r.Id !== ruleId));
+  }, []);
+
+  // Apply changes made by other sessions (and the scheduler) in this org
+  useEffect(() => {
+    if (!loggedIn) return undefined;
+
+    return subscribe('rule-changed', (change) => {
+      if (!change.ruleId) return;
+
+      if (change.action === 'delete') {
+        removeRule(change.ruleId);
+        return;
+      }
+
+      const known = rulesRef.current.some((r) => r.Id === change.ruleId);
+      if (!known && ['create', 'promote'].includes(change.action) && change.active !== null) {
+        addRule({
+          Id: change.ruleId,
+          ValidationName: change.ruleName,
+          Active: change.active,
+          EntityName: change.entityName,
+        });
+      } else if (known) {
+        // A change through the bridge supersedes an earlier one made in Setup
+        patchRule(change.ruleId, change.active === null
+          ? { ExternalChange: null }
+          : { Active: change.active, ExternalChange: null });
+      }
+    });
+  }, [loggedIn, addRule, removeRule, patchRule]);
+
+  // Rules created, edited or deleted directly in Salesforce Setup
+  useEffect(() => {
+    if (!loggedIn) return undefined;
+
+    return subscribe('rule-changed-externally', (change) => {
+      if (change.change === 'deleted') {
+        removeRule(change.ruleId);
+        return;
+      }
+
+      const fields = {
+        Active: change.active,
+        LastModifiedDate: change.lastModifiedDate,
+        LastModifiedByName: change.lastModifiedBy,
+        ExternalChange: { change: change.change, by: change.lastModifiedBy, at: change.lastModifiedDate },
+      };
+
+      if (rulesRef.current.some((r) => r.Id === change.ruleId)) {
+        patchRule(change.ruleId, fields);
+      } else {
+        addRule({ Id: change.ruleId, ValidationName: change.ruleName, EntityName: change.entityName, ...fields });
+      }
+    });
+  }, [loggedIn, addRule, removeRule, patchRule]);
+
   const filteredRules = useMemo(() => {
     return rules.filter((rule) => {
       const matchesSearch = rule.ValidationName.toLowerCase().includes(searchTerm.toLowerCase()) ||
@@ -76,6 +198,8 @@ export const useRules = (loggedIn) => {
   return {
     rules,
     rulesLoading,
+    loadingMore,
+    totalSize,
     togglingId,
     searchTerm,
     filterActive,
@@ -83,6 +207,9 @@ export const useRules = (loggedIn) => {
     setFilterActive,
     fetchValidationRules,
     handleToggle,
+    patchRule,
+    addRule,
+    removeRule,
     filteredRules,
   };
 };
\ No newline at end of file
@@ -0,0 +1,166 @@
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import {
+  fetchSchedules,
+  createSchedule,
+  cancelSchedule,
+  extendSchedule,
+} from '../services/api';
+import { subscribe } from '../services/liveEvents';
+import { SCHEDULE_POLL_INTERVAL } from '../utils/constants';
+
+const PENDING_STATUSES = ['scheduled', 'active'];
+
+export const useSchedules = (loggedIn, patchRule) => {
+  const [windows, setWindows] = useState([]);
+  const [busyWindowId, setBusyWindowId] = useState(null);
+  const windowsRef = useRef([]);
+  const statusesRef = useRef(new Map());
+
+  // Mirror window boundaries the server ran since we last looked
+  const applyWindows = useCallback((nextWindows) => {
+    nextWindows.forEach((w) => {
+      const previous = statusesRef.current.get(w.id);
+      if (previous === w.status) return;
+
+      if (w.status === 'active') {
+        w.disabledIds.forEach((id) => patchRule(id, { Active: false }));
+      } else if (previous === 'active' || previous === 'failed') {
+        w.restoredIds.forEach((id) => patchRule(id, { Active: true }));
+      }
+    });
+
+    statusesRef.current = new Map(nextWindows.map((w) => [w.id, w.status]));
+    windowsRef.current = nextWindows;
+    setWindows(nextWindows);
+  }, [patchRule]);
+
+  const updateWindow = useCallback((updated) => {
+    const prev = windowsRef.current;
+    const exists = prev.some((w) => w.id === updated.id);
+    applyWindows(exists ? prev.map((w) => (w.id === updated.id ? updated : w)) : [...prev, updated]);
+  }, [applyWindows]);
+
+  const loadSchedules = useCallback(async () => {
+    if (!loggedIn) return;
+
+    try {
+      const data = await fetchSchedules();
+      applyWindows(data.windows || []);
+    } catch (error) {
+      console.error('Failed to fetch deactivation windows:', error);
+    }
+  }, [loggedIn, applyWindows]);
+
+  useEffect(() => {
+    loadSchedules();
+  }, [loadSchedules]);
+
+  // Windows created, extended or run by the scheduler on any instance
+  useEffect(() => {
+    if (!loggedIn) return undefined;
+    return subscribe('scheduled-window', (event) => updateWindow(event.window));
+  }, [loggedIn, updateWindow]);
+
+  const hasPending = windows.some((w) => PENDING_STATUSES.includes(w.status));
+
+  useEffect(() => {
+    if (!hasPending) return undefined;
+    const timer = setInterval(loadSchedules, SCHEDULE_POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [hasPending, loadSchedules]);
+
+  // The earliest pending window for each rule, for card countdowns
+  const windowsByRuleId = useMemo(() => {
+    const byRule = new Map();
+    windows
+      .filter((w) => PENDING_STATUSES.includes(w.status))
+      .forEach((w) => {
+        w.rules.forEach((rule) => {
+          const current = byRule.get(rule.Id);
+          if (!current || w.startAt < current.startAt) byRule.set(rule.Id, w);
+        });
+      });
+    return byRule;
+  }, [windows]);
+
+  const handleSchedule = useCallback(async (schedule, showToast) => {
+    setBusyWindowId('new');
+    try {
+      const data = await createSchedule(schedule);
+
+      // Production changes may wait for a second person instead of applying now
+      if (data.pending) {
+        showToast('Deactivation window sent for approval', 'success');
+        return { success: true, approval: data.approval };
+      }
+
+      updateWindow(data.window);
+      showToast(
+        data.window.status === 'active'
+          ? `${data.window.disabledIds.length} rules disabled until ${new Date(data.window.endAt).toLocaleTimeString()}`
+          : `Deactivation scheduled for ${new Date(data.window.startAt).toLocaleString()}`,
+        'success'
+      );
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to schedule deactivation:', error);
+      showToast(error.message || 'Failed to schedule deactivation', 'error');
+      return { success: false };
+    } finally {
+      setBusyWindowId(null);
+    }
+  }, [updateWindow]);
+
+  const handleCancel = useCallback(async (windowId, showToast, change) => {
+    setBusyWindowId(windowId);
+    try {
+      const data = await cancelSchedule(windowId, change);
+      updateWindow(data.window);
+      const messages = {
+        cancelled: 'Deactivation window cancelled',
+        completed: 'Rules re-enabled',
+      };
+      showToast(
+        messages[data.window.status] || 'Some rules could not be re-enabled yet',
+        messages[data.window.status] ? 'success' : 'error'
+      );
+    } catch (error) {
+      console.error('Failed to cancel deactivation window:', error);
+      showToast(error.message || 'Failed to cancel deactivation window', 'error');
+    } finally {
+      setBusyWindowId(null);
+    }
+  }, [updateWindow]);
+
+  const handleExtend = useCallback(async (windowId, minutes, showToast, change) => {
+    setBusyWindowId(windowId);
+    try {
+      const data = await extendSchedule(windowId, minutes, change);
+
+      if (data.pending) {
+        showToast('Window extension sent for approval', 'success');
+        return { success: true, approval: data.approval };
+      }
+
+      updateWindow(data.window);
+      showToast(`Window now ends at ${new Date(data.window.endAt).toLocaleTimeString()}`, 'success');
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to extend deactivation window:', error);
+      showToast(error.message || 'Failed to extend deactivation window', 'error');
+      return { success: false };
+    } finally {
+      setBusyWindowId(null);
+    }
+  }, [updateWindow]);
+
+  return {
+    windows,
+    windowsByRuleId,
+    busyWindowId,
+    loadSchedules,
+    handleSchedule,
+    handleCancel,
+    handleExtend,
+  };
+};
@@ -0,0 +1,130 @@
+import { useState, useCallback, useEffect } from 'react';
+import {
+  fetchSnapshots,
+  createSnapshot,
+  restoreSnapshot,
+  deleteSnapshot,
+} from '../services/api';
+import { subscribe } from '../services/liveEvents';
+
+export const useSnapshots = (loggedIn, patchRule) => {
+  const [snapshots, setSnapshots] = useState([]);
+  const [snapshotsLoading, setSnapshotsLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadSnapshots = useCallback(async () => {
+    if (!loggedIn) return;
+
+    setSnapshotsLoading(true);
+    try {
+      const data = await fetchSnapshots();
+      setSnapshots(data.snapshots || []);
+    } catch (error) {
+      console.error('Failed to fetch snapshots:', error);
+    } finally {
+      setSnapshotsLoading(false);
+    }
+  }, [loggedIn]);
+
+  useEffect(() => {
+    loadSnapshots();
+  }, [loadSnapshots]);
+
+  // Snapshots taken, restored or deleted in other sessions
+  useEffect(() => {
+    if (!loggedIn) return undefined;
+
+    return subscribe('snapshot', (event) => {
+      if (event.deleted) {
+        setSnapshots((prev) => prev.filter((s) => s.id !== event.id));
+        return;
+      }
+      setSnapshots((prev) => (
+        prev.some((s) => s.id === event.snapshot.id)
+          ? prev.map((s) => (s.id === event.snapshot.id ? event.snapshot : s))
+          : [event.snapshot, ...prev]
+      ));
+    });
+  }, [loggedIn]);
+
+  const handleCreate = useCallback(async (objects, showToast, change) => {
+    setBusyId('new');
+    try {
+      const data = await createSnapshot(objects, change);
+
+      // Production changes may wait for a second person instead of applying now
+      if (data.pending) {
+        showToast('Snapshot sent for approval', 'success');
+        return { approval: data.approval };
+      }
+
+      data.results.filter((r) => r.success).forEach((r) => patchRule(r.Id, { Active: false }));
+      setSnapshots((prev) => [data.snapshot, ...prev.filter((s) => s.id !== data.snapshot.id)]);
+
+      const failed = data.results.filter((r) => !r.success).length;
+      showToast(
+        failed === 0
+          ? `Snapshot saved: ${data.snapshot.rules.length} rules disabled`
+          : `Snapshot saved: ${data.snapshot.rules.length} rules disabled, ${failed} could not be disabled`,
+        failed === 0 ? 'success' : 'error'
+      );
+    } catch (error) {
+      console.error('Failed to create snapshot:', error);
+      showToast(error.message || 'Failed to create snapshot', 'error');
+    } finally {
+      setBusyId(null);
+    }
+  }, [patchRule]);
+
+  const handleRestore = useCallback(async (snapshotId, showToast, change) => {
+    setBusyId(snapshotId);
+    try {
+      const data = await restoreSnapshot(snapshotId, change);
+
+      if (data.pending) {
+        showToast('Snapshot restore sent for approval', 'success');
+        return { approval: data.approval };
+      }
+
+      data.results.filter((r) => r.status === 'restored').forEach((r) => patchRule(r.Id, { Active: true }));
+      setSnapshots((prev) => prev.map((s) => (s.id === snapshotId ? data.snapshot : s)));
+
+      const changed = data.changed.length;
+      showToast(
+        data.success
+          ? `Snapshot restored${changed ? `, ${changed} rule${changed === 1 ? '' : 's'} changed in between` : ''}`
+          : 'Some rules could not be restored. Review the snapshot and retry.',
+        data.success ? 'success' : 'error'
+      );
+    } catch (error) {
+      console.error('Failed to restore snapshot:', error);
+      showToast(error.message || 'Failed to restore snapshot', 'error');
+    } finally {
+      setBusyId(null);
+    }
+  }, [patchRule]);
+
+  const handleDelete = useCallback(async (snapshotId, showToast) => {
+    setBusyId(snapshotId);
+    try {
+      await deleteSnapshot(snapshotId);
+      setSnapshots((prev) => prev.filter((s) => s.id !== snapshotId));
+      showToast('Snapshot deleted', 'success');
+    } catch (error) {
+      console.error('Failed to delete snapshot:', error);
+      showToast(error.message || 'Failed to delete snapshot', 'error');
+    } finally {
+      setBusyId(null);
+    }
+  }, []);
+
+  return {
+    snapshots,
+    snapshotsLoading,
+    busyId,
+    loadSnapshots,
+    handleCreate,
+    handleRestore,
+    handleDelete,
+  };
+};
@@ -0,0 +1,16 @@
+import { useEffect } from 'react';
+
+// Warn before leaving the page while a form has unsaved changes
+export const useUnsavedChanges = (dirty) => {
+  useEffect(() => {
+    if (!dirty) return;
+
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [dirty]);
+};
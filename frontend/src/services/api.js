@@ -1,4 +1,12 @@
 import { API_BASE } from '../utils/constants';
+import { orgHeaders } from './orgContext';
+
+// Every API call sends the session cookie and selects this tab's org
+const apiFetch = (path, options = {}) => fetch(`${API_BASE}${path}`, {
+  ...options,
+  credentials: 'include',
+  headers: { ...orgHeaders(), ...options.headers },
+});
 
 const handleResponse = async (response) => {
   const data = await response.json();
@@ -7,26 +15,290 @@ const handleResponse = async (response) => {
     if (response.status === 401 || data.code === 'INVALID_SESSION_ID') {
       throw new Error('SESSION_EXPIRED');
     }
-    throw new Error(data.error || 'Request failed');
+    const error = new Error(data.error || 'Request failed');
+    error.code = data.code;
+    error.details = data.details;
+    throw error;
   }
   
   return data;
 };
 
-export const fetchRules = async () => {
-  const response = await fetch(`${API_BASE}/api/validation-rules`, {
-    credentials: 'include',
+export const fetchRules = async ({ limit, cursor } = {}) => {
+  const params = new URLSearchParams();
+  if (limit) params.set('limit', limit);
+  if (cursor) params.set('cursor', cursor);
+  const query = params.toString();
+
+  const response = await apiFetch(`/api/validation-rules${query ? `?${query}` : ''}`);
+  return handleResponse(response);
+};
+
+export const fetchRuleDetail = async (ruleId) => {
+  const response = await apiFetch(`/api/validation-rules/${encodeURIComponent(ruleId)}`);
+  return handleResponse(response);
+};
+
+export const updateRule = async (ruleId, changes) => {
+  const response = await apiFetch(`/api/validation-rules/${encodeURIComponent(ruleId)}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(changes),
+  });
+  return handleResponse(response);
+};
+
+export const createRule = async (rule, change = {}) => {
+  const response = await apiFetch('/api/validation-rules', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...rule, ...change }),
+  });
+  return handleResponse(response);
+};
+
+export const deleteRule = async (ruleId, change = {}) => {
+  const response = await apiFetch(`/api/validation-rules/${encodeURIComponent(ruleId)}`, {
+    method: 'DELETE',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(change),
+  });
+  return handleResponse(response);
+};
+
+export const fetchObjects = async () => {
+  const response = await apiFetch('/api/objects');
+  return handleResponse(response);
+};
+
+export const toggleRule = async (ruleId, active, change = {}) => {
+  const path = `/api/validation-toggle?id=${encodeURIComponent(ruleId)}&active=${active}`;
+  const response = await apiFetch(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ Id: ruleId, Active: active, ...change }),
+  });
+  return handleResponse(response);
+};
+
+export const bulkToggleRules = async (ruleIds, active, change = {}) => {
+  const response = await apiFetch('/api/validation-rules/bulk-toggle', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ids: ruleIds, active, ...change }),
+  });
+  return handleResponse(response);
+};
+
+export const fetchSnapshots = async () => {
+  const response = await apiFetch('/api/snapshots');
+  return handleResponse(response);
+};
+
+export const createSnapshot = async (objects = [], change = {}) => {
+  const response = await apiFetch('/api/snapshots', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ objects, ...change }),
+  });
+  return handleResponse(response);
+};
+
+export const restoreSnapshot = async (snapshotId, change = {}) => {
+  const response = await apiFetch(`/api/snapshots/${encodeURIComponent(snapshotId)}/restore`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(change),
+  });
+  return handleResponse(response);
+};
+
+export const deleteSnapshot = async (snapshotId) => {
+  const response = await apiFetch(`/api/snapshots/${encodeURIComponent(snapshotId)}`, {
+    method: 'DELETE',
+  });
+  return handleResponse(response);
+};
+
+export const fetchSchedules = async () => {
+  const response = await apiFetch('/api/schedules');
+  return handleResponse(response);
+};
+
+export const createSchedule = async (schedule) => {
+  const response = await apiFetch('/api/schedules', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(schedule),
+  });
+  return handleResponse(response);
+};
+
+export const cancelSchedule = async (windowId, change = {}) => {
+  const response = await apiFetch(`/api/schedules/${encodeURIComponent(windowId)}/cancel`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(change),
+  });
+  return handleResponse(response);
+};
+
+export const extendSchedule = async (windowId, minutes, change = {}) => {
+  const response = await apiFetch(`/api/schedules/${encodeURIComponent(windowId)}/extend`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ minutes, ...change }),
+  });
+  return handleResponse(response);
+};
+
+export const fetchAudit = async (filters = {}) => {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value !== undefined && value !== '') params.set(key, value);
+  });
+
+  const response = await apiFetch(`/api/audit?${params}`);
+  return handleResponse(response);
+};
+
+export const exportRules = async ({ format, search, status }) => {
+  const params = new URLSearchParams({ format, search, status });
+  const response = await apiFetch(`/api/validation-rules/export?${params}`);
+
+  // Errors come back as JSON; a successful export is a file
+  if (!response.ok) return handleResponse(response);
+
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const match = disposition.match(/filename="?([^";]+)"?/);
+
+  return {
+    blob: await response.blob(),
+    filename: match ? match[1] : `validation-rules.${format === 'xml' ? 'zip' : format}`,
+  };
+};
+
+export const createDesiredStatePlan = async ({ content, filename }) => {
+  const response = await apiFetch('/api/desired-state/plan', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ content, filename }),
+  });
+  return handleResponse(response);
+};
+
+export const applyDesiredStatePlan = async (planId, change = {}) => {
+  const response = await apiFetch(`/api/desired-state/plans/${encodeURIComponent(planId)}/apply`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(change),
+  });
+  return handleResponse(response);
+};
+
+export const uploadCompareZip = async ({ content, filename }) => {
+  const response = await apiFetch('/api/compare/uploads', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ content, filename }),
+  });
+  return handleResponse(response);
+};
+
+export const fetchComparison = async ({ source, target }) => {
+  const params = new URLSearchParams({ source, target });
+  const response = await apiFetch(`/api/compare?${params}`);
+  return handleResponse(response);
+};
+
+// Promotions live on the target org, so they are addressed by its org ID
+const promotionsPath = (targetOrgId) => `/api/orgs/${encodeURIComponent(targetOrgId)}/promotions`;
+
+export const createPromotion = async (targetOrgId, { sourceOrgId, ruleIds }) => {
+  const response = await apiFetch(promotionsPath(targetOrgId), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sourceOrgId, ruleIds }),
+  });
+  return handleResponse(response);
+};
+
+export const fetchPromotion = async (targetOrgId, promotionId) => {
+  const response = await apiFetch(`${promotionsPath(targetOrgId)}/${encodeURIComponent(promotionId)}`);
+  return handleResponse(response);
+};
+
+export const deployPromotion = async (targetOrgId, promotionId, { confirmOverwrite, ...change }) => {
+  const response = await apiFetch(`${promotionsPath(targetOrgId)}/${encodeURIComponent(promotionId)}/deploy`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ confirmOverwrite, ...change }),
+  });
+  return handleResponse(response);
+};
+
+export const fetchRuleReferences = async (ruleId) => {
+  const response = await apiFetch(`/api/validation-rules/${encodeURIComponent(ruleId)}/references`);
+  return handleResponse(response);
+};
+
+// Runs locally on the server; formula overrides the saved one to try unsaved edits
+export const evaluateRule = async (ruleId, { record, priorRecord, isNew, formula }) => {
+  const response = await apiFetch(`/api/validation-rules/${encodeURIComponent(ruleId)}/evaluate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ record, priorRecord, isNew, formula }),
+  });
+  return handleResponse(response);
+};
+
+export const previewBypass = async (ruleIds) => {
+  const response = await apiFetch('/api/validation-rules/bypass/preview', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ids: ruleIds }),
+  });
+  return handleResponse(response);
+};
+
+export const applyBypass = async (ruleIds, change = {}) => {
+  const response = await apiFetch('/api/validation-rules/bypass', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ids: ruleIds, ...change }),
+  });
+  return handleResponse(response);
+};
+
+export const fetchBrokenReferences = async () => {
+  const response = await apiFetch('/api/validation-rules/references?broken=true');
+  return handleResponse(response);
+};
+
+export const fetchLintReport = async () => {
+  const response = await apiFetch('/api/validation-rules/lint');
+  return handleResponse(response);
+};
+
+export const fetchApprovals = async () => {
+  const response = await apiFetch('/api/approvals');
+  return handleResponse(response);
+};
+
+export const approveChange = async (approvalId, comment) => {
+  const response = await apiFetch(`/api/approvals/${encodeURIComponent(approvalId)}/approve`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ comment }),
   });
   return handleResponse(response);
 };
 
-export const toggleRule = async (ruleId, active) => {
-  const url = `${API_BASE}/api/validation-toggle?id=${encodeURIComponent(ruleId)}&active=${active}`;
-  const response = await fetch(url, {
+export const rejectChange = async (approvalId, comment) => {
+  const response = await apiFetch(`/api/approvals/${encodeURIComponent(approvalId)}/reject`, {
     method: 'POST',
-    credentials: 'include',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ Id: ruleId, Active: active }),
+    body: JSON.stringify({ comment }),
   });
   return handleResponse(response);
 };
@@ -1,11 +1,13 @@
 import { API_BASE } from '../utils/constants';
+import { orgHeaders } from './orgContext';
 
 export const checkAuthStatus = async () => {
   const response = await fetch(`${API_BASE}/api/me`, {
     credentials: 'include',
     headers: {
       'Accept': 'application/json',
-      'Content-Type': 'application/json'
+      'Content-Type': 'application/json',
+      ...orgHeaders(),
     },
   });
   
@@ -16,10 +18,13 @@ export const checkAuthStatus = async () => {
   return response.json();
 };
 
-export const logout = async () => {
+// Logs out of one org when orgId is given, otherwise out of every connected org
+export const logout = async (orgId) => {
   const response = await fetch(`${API_BASE}/logout`, {
     method: 'POST',
     credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(orgId ? { orgId } : {}),
   });
   
   const data = await response.json();
@@ -31,23 +36,47 @@ export const logout = async () => {
   return data;
 };
 
-export const buildLoginUrl = (domainType, customDomain = '') => {
-  let loginUrl = `${API_BASE}/login?domain=${domainType}`;
+// Make an org the session default, so new tabs open in it
+export const activateOrg = async (orgId) => {
+  const response = await fetch(`${API_BASE}/api/orgs/${encodeURIComponent(orgId)}/activate`, {
+    method: 'POST',
+    credentials: 'include',
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to switch org');
+  }
+
+  return data;
+};
+
+// "https://acme.my.salesforce.com/" and "acme.my.salesforce.com" are the same domain
+export const normalizeCustomDomain = (domain) =>
+  domain.trim().toLowerCase().replace(/^https:\/\//, '').replace(/\/+$/, '');
+
+export const buildLoginUrl = (domainType, customDomain = '', loginHint = '') => {
+  const params = new URLSearchParams({ domain: domainType });
   if (domainType === 'custom' && customDomain) {
-    loginUrl += `&customDomain=${encodeURIComponent(customDomain)}`;
+    params.set('customDomain', normalizeCustomDomain(customDomain));
+  }
+  if (loginHint) {
+    params.set('loginHint', loginHint);
   }
-  return loginUrl;
+  return `${API_BASE}/login?${params}`;
 };
 
+// Only the shape is checked here; the server decides which domains are allowed
 export const validateCustomDomain = (domain) => {
-  if (!domain) {
+  if (!domain || !domain.trim()) {
     return 'Please enter your custom Salesforce domain';
   }
-  if (!domain.startsWith('https://')) {
-    return 'Custom domain must start with https://';
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(domain.trim()) && !/^https:\/\//i.test(domain.trim())) {
+    return 'Custom domain must use https://';
   }
-  if (!domain.includes('.salesforce.com')) {
-    return 'Domain must be a valid Salesforce URL (e.g., https://yourdomain.my.salesforce.com)';
+  if (!/^(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/.test(normalizeCustomDomain(domain))) {
+    return 'Domain must be a Salesforce host name (e.g., yourdomain.my.salesforce.com)';
   }
   return null;
 };
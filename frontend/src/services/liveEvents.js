@@ -0,0 +1,56 @@
+import { API_BASE } from '../utils/constants';
+import { getActiveOrgId } from './orgContext';
+
+// One event stream per tab, shared by every hook that listens to it.
+// EventSource reconnects on its own; switching orgs reloads the page.
+let source = null;
+const listeners = new Map();
+
+const openSource = () => {
+  // EventSource cannot send the X-Org-Id header, so the org goes in the query
+  const orgId = getActiveOrgId();
+  const query = orgId ? `?orgId=${encodeURIComponent(orgId)}` : '';
+  const eventSource = new EventSource(`${API_BASE}/api/events${query}`, { withCredentials: true });
+
+  [...listeners.keys()].forEach((type) => {
+    eventSource.addEventListener(type, (event) => dispatch(type, event));
+  });
+
+  return eventSource;
+};
+
+const dispatch = (type, event) => {
+  let data;
+  try {
+    data = JSON.parse(event.data);
+  } catch {
+    console.error(`Ignoring malformed ${type} event`);
+    return;
+  }
+  (listeners.get(type) || []).forEach((handler) => handler(data));
+};
+
+// Call handler with the data of every `type` event for this tab's org.
+// Returns a function that stops listening.
+export const subscribe = (type, handler) => {
+  if (!listeners.has(type)) {
+    listeners.set(type, new Set());
+    source?.addEventListener(type, (event) => dispatch(type, event));
+  }
+  listeners.get(type).add(handler);
+
+  if (!source) {
+    source = openSource();
+  }
+
+  return () => {
+    listeners.get(type)?.delete(handler);
+
+    const remaining = [...listeners.values()].some((handlers) => handlers.size > 0);
+    if (!remaining && source) {
+      source.close();
+      source = null;
+      listeners.clear();
+    }
+  };
+};
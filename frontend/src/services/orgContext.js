@@ -0,0 +1,31 @@
+// The org this tab works against. Kept per tab (sessionStorage) so two tabs
+// can work in different orgs of the same session.
+const STORAGE_KEY = 'activeOrgId';
+
+const readStoredOrgId = () => {
+  try {
+    return sessionStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null;
+  }
+};
+
+let activeOrgId = readStoredOrgId();
+
+export const getActiveOrgId = () => activeOrgId;
+
+export const setActiveOrgId = (orgId) => {
+  activeOrgId = orgId || null;
+  try {
+    if (activeOrgId) {
+      sessionStorage.setItem(STORAGE_KEY, activeOrgId);
+    } else {
+      sessionStorage.removeItem(STORAGE_KEY);
+    }
+  } catch {
+    // Storage can be unavailable (private mode); the in-memory value still applies
+  }
+};
+
+// Header that selects the org on every API request
+export const orgHeaders = () => (activeOrgId ? { 'X-Org-Id': activeOrgId } : {});
@@ -0,0 +1,54 @@
+// Orgs logged into from this browser, so they can be reconnected with one click.
+// Only login settings and the username are kept (localStorage), never tokens.
+const STORAGE_KEY = 'recentOrgs';
+const MAX_RECENT_ORGS = 5;
+
+const recentOrgKey = (entry) =>
+  [entry.domainType, entry.customDomain || '', entry.username].join('|').toLowerCase();
+
+export const getRecentOrgs = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+const saveRecentOrgs = (entries) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch {
+    // Storage can be unavailable (private mode); recent orgs are a convenience only
+  }
+};
+
+// Add or refresh connected orgs, newest connection first
+export const rememberOrgs = (orgs) => {
+  const byKey = new Map(getRecentOrgs().map((entry) => [entry.key, entry]));
+
+  orgs.forEach((org) => {
+    const entry = {
+      domainType: org.domainType,
+      customDomain: org.customDomain || '',
+      username: org.username,
+      label: org.orgName || org.username,
+      isSandbox: org.isSandbox === true,
+      lastUsedAt: org.connectedAt,
+    };
+    byKey.set(recentOrgKey(entry), { ...entry, key: recentOrgKey(entry) });
+  });
+
+  const entries = [...byKey.values()]
+    .sort((a, b) => (b.lastUsedAt || '').localeCompare(a.lastUsedAt || ''))
+    .slice(0, MAX_RECENT_ORGS);
+
+  saveRecentOrgs(entries);
+  return entries;
+};
+
+export const forgetRecentOrg = (key) => {
+  const entries = getRecentOrgs().filter((entry) => entry.key !== key);
+  saveRecentOrgs(entries);
+  return entries;
+};
@@ -6,11 +6,38 @@ export const DOMAIN_TYPES = {
   CUSTOM: 'custom',
 };
 
+// Bridge roles from lowest to highest, as ranked by the server
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+export const APP_TABS = {
+  RULES: 'rules',
+  MAINTENANCE: 'maintenance',
+  AUDIT: 'audit',
+  COMPARE: 'compare',
+  HEALTH: 'health',
+  APPROVALS: 'approvals',
+};
+
 export const FILTER_OPTIONS = {
   ALL: 'all',
   ACTIVE: 'active',
   INACTIVE: 'inactive',
 };
 
+// Rules are loaded in batches so large orgs render incrementally
+export const RULES_PAGE_SIZE = 200;
+
+// Bulk toggles are sent in chunks so progress can be shown between requests
+export const BULK_CHUNK_SIZE = 10;
+
+// Deactivation windows are re-checked while any are pending so cards follow the server
+export const SCHEDULE_POLL_INTERVAL = 30000;
+
+// Pending approvals are re-checked so approvers see new requests without refreshing
+export const APPROVAL_POLL_INTERVAL = 60000;
+
+export const AUDIT_PAGE_SIZE = 100;
+export const AUDIT_FILTER_DEBOUNCE = 300;
+
 export const TOAST_DURATION = 5000;
 export const SUCCESS_TOAST_DURATION = 3000;
\ No newline at end of file
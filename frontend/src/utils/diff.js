@@ -0,0 +1,64 @@
+// Line diff (longest common subsequence) laid out as side-by-side rows
+
+const splitLines = (text) => (text ? text.replace(/\r\n/g, '\n').split('\n') : []);
+
+export const diffLines = (before, after) => {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: 'same', left: a[i++], right: b[j++] });
+    } else if (j < b.length && (i === a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      ops.push({ type: 'added', right: b[j++] });
+    } else {
+      ops.push({ type: 'removed', left: a[i++] });
+    }
+  }
+
+  return pairRows(ops);
+};
+
+// Put each run of removed lines next to the run of added lines that replaces it
+const pairRows = (ops) => {
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+      rows.push({
+        type: removed[k] !== undefined && added[k] !== undefined ? 'changed' : (removed[k] !== undefined ? 'removed' : 'added'),
+        left: removed[k],
+        right: added[k],
+      });
+    }
+    removed = [];
+    added = [];
+  };
+
+  for (const op of ops) {
+    if (op.type === 'removed') removed.push(op.left);
+    else if (op.type === 'added') added.push(op.right);
+    else {
+      flush();
+      rows.push(op);
+    }
+  }
+  flush();
+
+  return rows;
+};
@@ -0,0 +1,50 @@
+// Token patterns for Salesforce formula syntax, tried in order
+const TOKEN_PATTERNS = [
+  ['comment', /^\/\*[\s\S]*?(?:\*\/|$)/],
+  ['string', /^(?:'(?:[^'\\]|\\.)*'?|"(?:[^"\\]|\\.)*"?)/],
+  ['number', /^\d+(?:\.\d+)?/],
+  ['whitespace', /^\s+/],
+  ['identifier', /^\$?[A-Za-z_][\w.]*/],
+  ['operator', /^(?:&&|\|\||<>|!=|==|<=|>=|[-+*/^&=<>!,])/],
+  ['paren', /^[()]/],
+];
+
+const KEYWORDS = ['TRUE', 'FALSE', 'NULL'];
+
+/**
+ * Split a formula into tokens for syntax highlighting
+ */
+export const tokenizeFormula = (formula = '') => {
+  const tokens = [];
+  let rest = formula;
+
+  while (rest.length > 0) {
+    let matched = false;
+
+    for (const [type, pattern] of TOKEN_PATTERNS) {
+      const match = rest.match(pattern);
+      if (match && match[0].length > 0) {
+        tokens.push({ type, value: match[0] });
+        rest = rest.slice(match[0].length);
+        matched = true;
+        break;
+      }
+    }
+
+    if (!matched) {
+      tokens.push({ type: 'text', value: rest[0] });
+      rest = rest.slice(1);
+    }
+  }
+
+  // Classify identifiers now that the following token is known
+  return tokens.map((token, index) => {
+    if (token.type !== 'identifier') return token;
+
+    const next = tokens.slice(index + 1).find((t) => t.type !== 'whitespace');
+    if (next && next.value === '(') return { ...token, type: 'function' };
+    if (KEYWORDS.includes(token.value.toUpperCase())) return { ...token, type: 'keyword' };
+    if (token.value.startsWith('$')) return { ...token, type: 'global' };
+    return { ...token, type: 'field' };
+  });
+};
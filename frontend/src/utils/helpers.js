@@ -1,3 +1,5 @@
+import { DOMAIN_TYPES, ROLES } from './constants';
+
 export const truncateText = (text, maxLength = 50) => {
   if (text.length <= maxLength) return text;
   return `${text.substring(0, maxLength)}...`;
@@ -9,4 +11,69 @@ export const capitalizeFirst = (str) => {
 
 export const formatRuleCount = (count) => {
   return `${count} rule${count === 1 ? '' : 's'}`;
-};
\ No newline at end of file
+};
+export const formatDateTime = (value) => {
+  if (!value) return '—';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '—' : date.toLocaleString();
+};
+
+export const formatDuration = (ms) => {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${seconds}s`;
+  return `${seconds}s`;
+};
+
+export const formatTimeAgo = (value, now = Date.now()) => {
+  const elapsed = now - Date.parse(value);
+  if (Number.isNaN(elapsed)) return '';
+
+  const minutes = Math.floor(elapsed / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+
+  const days = Math.floor(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'} ago`;
+};
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Whether a bridge role includes another; the server enforces the same ranking
+export const hasRole = (role, required) => ROLES.indexOf(role) >= ROLES.indexOf(required);
+
+// Sandbox orgs come from the org record; instance and login host cover orgs connected without it
+export const getOrgEnvironment = (org) => {
+  const sandbox = org.isSandbox ||
+    org.domainType === DOMAIN_TYPES.SANDBOX ||
+    /\.sandbox\.my\.salesforce\.com$|^https:\/\/cs\d+\./.test(org.instanceUrl || '');
+
+  return sandbox
+    ? { id: 'sandbox', label: 'Sandbox' }
+    : { id: 'production', label: 'Production' };
+};
+
+export const getOrgLabel = (org) => {
+  if (org.orgName) return org.orgName;
+  try {
+    return new URL(org.instanceUrl).host;
+  } catch {
+    return org.orgId;
+  }
+};